@@ -12,8 +12,25 @@
  */
 
 import { createInterface } from 'readline';
+import fs from 'fs';
 import { processUserRequest } from './schemas/agentOrchestrator.js';
 import memorySystem from './lib/memorySystem.js';
+import { getUsageTotals } from './lib/usageTracker.js';
+import { listAgentProfiles, warnUnusableCaches } from './lib/agentProfiles.js';
+import { ProviderUnavailableError, getSchedulerStats } from './lib/requestScheduler.js';
+import { resolveResponseCache } from './lib/responseCache.js';
+import { resolvePolicy } from './lib/policyEngine.js';
+import { resolveExecution } from './lib/executionBackends.js';
+import { hasLimits, describeLimits } from './lib/resourceLimits.js';
+import { SecretRedactor } from './lib/secretRedactor.js';
+import { openVaultSession, parseTtl } from './lib/secretVault.js';
+import { listJobs, getJob, readJobLog, killJob, onJobFinished } from './lib/jobManager.js';
+import { verifyAuditLog } from './lib/auditLogger.js';
+import { auditSinkStatus, formatAuditSinkStatus, flushAuditSinks, startAuditSinks } from './lib/auditSinks.js';
+import { LOG_LEVELS, configureLogging, getLoggingSettings } from './lib/logger.js';
+import {
+  AUDIT_REPORTS, parseAuditArgs, readAuditEntries, filterAuditEntries, buildAuditReport, toCsv, formatAuditLine, formatAuditEntry
+} from './lib/auditReports.js';
 
 // ANSI color codes for prettier output
 const colors = {
@@ -28,6 +45,9 @@ const colors = {
   blue: '\x1b[34m'
 };
 
+// Usage and per-user budgets are attributed to this id
+const cliUserId = process.env.LUMEN_USER_ID || process.env.USER || 'cli';
+
 /**
  * Display the welcome banner
  */
@@ -58,12 +78,20 @@ function showHelp() {
   console.log('  /memory        Display memory statistics and usage');
   console.log('  /clear         Clear all conversation memory');
   console.log('  /config        Show current configuration');
+  console.log('  /jobs          List background jobs');
+  console.log('  /job <id>      Show a job and the tail of its output');
+  console.log('  /kill <id>     Cancel a running job');
+  console.log('  /secrets       List this session\'s secrets (placeholders only)');
+  console.log('  /secret set <name> <value> [ttl]  Store a secret the model can use as {{SECRET:name}}');
+  console.log('  /secret name <placeholder> <name> Name a detected secret');
+  console.log('  /secret revoke <name|placeholder> Forget a secret');
+  console.log('  /log [level|quiet|component=level] Show or change how much the pipeline logs');
   console.log('  /exit or /quit Exit the CLI\n');
   
   console.log(colors.yellow + '🎯 What Lumen Can Do:' + colors.reset);
   console.log('  • Answer questions and have conversations');
   console.log('  • Generate and explain code in multiple languages');
-  console.log('  • Execute terminal commands (with your approval)');
+  console.log('  • Execute terminal commands (with your approval; answer "b" to run one in the background)');
   console.log('  • Summarize long documents and articles');
   console.log('  • Create step-by-step execution plans');
   console.log('  • Remember context across conversations\n');
@@ -72,7 +100,7 @@ function showHelp() {
   console.log('  • Automatic secret detection and redaction');
   console.log('  • Dangerous command blocking');
   console.log('  • Manual approval for terminal executions');
-  console.log('  • Full audit trail logging\n');
+  console.log('  • Full audit trail logging (lumen audit list|show|export|verify)\n');
 }
 
 /**
@@ -119,22 +147,384 @@ async function clearMemory(rl) {
   });
 }
 
+const JOB_STATUS_COLORS = { running: 'yellow', succeeded: 'green', failed: 'red', killed: 'dim' };
+
+function formatJobLine(job, redactor) {
+  const color = colors[JOB_STATUS_COLORS[job.status]] || '';
+  const took = job.durationMs !== null ? ` ${(job.durationMs / 1000).toFixed(1)}s` : '';
+  return `  ${colors.bright}${job.id}${colors.reset}  ${color}${job.status.padEnd(9)}${colors.reset}${took}  ${redactor.conceal(job.command)}`;
+}
+
+/**
+ * List background jobs
+ * @param {SecretRedactor} redactor - Session redactor; commands and output are shown with placeholders
+ */
+async function showJobs(redactor) {
+  const jobs = await listJobs();
+  if (jobs.length === 0) {
+    console.log(colors.dim + '\nNo background jobs\n' + colors.reset);
+    return;
+  }
+  console.log(colors.cyan + '\n🕒 Background Jobs:' + colors.reset);
+  jobs.forEach(job => console.log(formatJobLine(job, redactor)));
+  console.log();
+}
+
+/**
+ * Show one job with the tail of its output
+ * @param {string} id - Job id
+ * @param {SecretRedactor} redactor - Session redactor; commands and output are shown with placeholders
+ */
+async function showJob(id, redactor) {
+  const job = id && await getJob(id);
+  if (!job) {
+    console.log(colors.red + `❌ Unknown job: ${id || '(none given)'}\n` + colors.reset);
+    return;
+  }
+  console.log(colors.cyan + '\n🕒 Job:' + colors.reset);
+  console.log(formatJobLine(job, redactor));
+  console.log(`  Started: ${job.createdAt}${job.finishedAt ? `, finished: ${job.finishedAt}` : ''}`);
+  console.log(`  Backend: ${job.backend}, cwd: ${job.cwd}`);
+  if (job.exitCode !== null) console.log(`  Exit code: ${job.exitCode}`);
+  if (job.message) console.log(`  ${redactor.conceal(job.message)}`);
+  console.log(colors.dim + `  Log: ${job.logFile}` + colors.reset);
+  const output = await readJobLog(id, { tailBytes: 4000 });
+  if (output) {
+    console.log(colors.dim + '\nOutput (tail):' + colors.reset);
+    console.log(redactor.conceal(output).trimEnd());
+  }
+  console.log();
+}
+
+/**
+ * Cancel a running job
+ */
+async function cancelJob(id) {
+  if (killJob(id)) {
+    console.log(colors.yellow + `🛑 Stopping job ${id}...\n` + colors.reset);
+  } else {
+    const job = id && await getJob(id);
+    console.log(colors.red + (job ? `❌ Job ${id} is not running (${job.status})\n` : `❌ Unknown job: ${id || '(none given)'}\n`) + colors.reset);
+  }
+}
+
+const AUDIT_STATUS_COLORS = { success: 'green', error: 'red', blocked: 'yellow', denied: 'yellow', 'resource-limit': 'red', 'dry-run': 'dim' };
+
+/**
+ * `lumen audit ...`: query, show, export or verify the audit log (see auditReports.js)
+ * @param {string[]} args - Arguments after "audit"
+ * @returns {number} Exit code
+ */
+function runAuditCommand(args) {
+  const usage = [
+    'Usage: lumen audit <command> [options]',
+    '  list [filters]                        Matching entries, newest first (default: last 50)',
+    '  show <seq>                            One entry with its full output',
+    `  export <${AUDIT_REPORTS.join('|')}> [--format csv|json] [--output file] [filters]`,
+    '  verify                                Check the hash chain for edits and truncation',
+    '  sinks                                 Configured sinks (LUMEN_AUDIT_SINKS) and their buffers',
+    'Filters: --since 24h|7d|2026-10-01  --until ...  --status blocked,denied  --actor <user>',
+    '         --host <name>  --command <text>  --trace <id>  --limit <n>'
+  ].join('\n');
+
+  let parsed;
+  try {
+    parsed = parseAuditArgs(args);
+  } catch (error) {
+    console.error(colors.red + `❌ ${error.message}` + colors.reset);
+    console.log(usage);
+    return 2;
+  }
+  const { positional: [action = 'list', target], filters, format, output } = parsed;
+
+  switch (action) {
+    case 'list': {
+      const entries = filterAuditEntries(readAuditEntries(), { ...filters, limit: filters.limit ?? 50 });
+      if (entries.length === 0) {
+        console.log(colors.dim + 'No matching audit entries' + colors.reset);
+        return 0;
+      }
+      for (const entry of entries) {
+        console.log((colors[AUDIT_STATUS_COLORS[entry.status]] || '') + formatAuditLine(entry, 100) + colors.reset);
+      }
+      return 0;
+    }
+
+    case 'show': {
+      const entry = readAuditEntries().find(candidate => String(candidate.seq) === String(target).replace(/^#/, ''));
+      if (!entry) {
+        console.error(colors.red + `❌ No audit entry ${target || '(usage: lumen audit show <seq>)'}` + colors.reset);
+        return 1;
+      }
+      console.log(formatAuditEntry(entry));
+      return 0;
+    }
+
+    case 'export': {
+      let rows;
+      try {
+        rows = buildAuditReport(target || 'entries', filterAuditEntries(readAuditEntries(), filters).reverse());
+      } catch (error) {
+        console.error(colors.red + `❌ ${error.message}` + colors.reset);
+        return 2;
+      }
+      const text = format === 'json' ? `${JSON.stringify(rows, null, 2)}\n` : toCsv(rows);
+      if (output) {
+        fs.writeFileSync(output, text, { encoding: 'utf-8', mode: 0o600 });
+        console.log(`📄 Wrote ${rows.length} rows to ${output}`);
+      } else {
+        process.stdout.write(text);
+      }
+      return 0;
+    }
+
+    case 'verify': {
+      const result = verifyAuditLog();
+      if (result.ok) {
+        console.log(colors.green + `✅ Audit log intact: ${result.entries} entries in ${result.files.length} file(s)` + colors.reset);
+        return 0;
+      }
+      console.log(colors.red + `❌ Audit log tampered or damaged (${result.problems.length} problem(s)):` + colors.reset);
+      for (const problem of result.problems) {
+        console.log(`  ${problem.file}${problem.line ? `:${problem.line}` : ''}${problem.seq !== null ? ` (#${problem.seq})` : ''} - ${problem.problem}`);
+      }
+      return 1;
+    }
+
+    case 'sinks': {
+      const sinks = auditSinkStatus();
+      if (sinks.length === 0) {
+        console.log(colors.dim + 'No audit sinks configured (LUMEN_AUDIT_SINKS)' + colors.reset);
+        return 0;
+      }
+      for (const sink of sinks) console.log(formatAuditSinkStatus(sink));
+      return 0;
+    }
+
+    default:
+      console.log(usage);
+      return action === 'help' ? 0 : 2;
+  }
+}
+
+/**
+ * Redactor for this CLI session; with the vault its placeholders survive restarts
+ * @returns {SecretRedactor} Redactor (in-memory if the vault can't be opened)
+ */
+function createSessionRedactor() {
+  try {
+    const vault = openVaultSession(`cli:${cliUserId}`);
+    vault.list();
+    return new SecretRedactor({ vault });
+  } catch (error) {
+    console.warn(colors.yellow + `⚠️  Secret vault unavailable, placeholders will last for this session only: ${error.message}` + colors.reset);
+    return new SecretRedactor();
+  }
+}
+
+/**
+ * /secrets and /secret subcommands
+ */
+function manageSecrets(redactor, [action = 'list', ...args]) {
+  const vault = redactor.vault;
+  if (!vault) {
+    console.log(colors.red + '❌ The secret vault is unavailable\n' + colors.reset);
+    return;
+  }
+  try {
+    switch (action) {
+      case 'list': {
+        const secrets = vault.list();
+        if (secrets.length === 0) {
+          console.log(colors.dim + '\nNo secrets in this session\n' + colors.reset);
+          return;
+        }
+        console.log(colors.cyan + '\n🔐 Session Secrets:' + colors.reset);
+        secrets.forEach(secret => console.log(`  ${colors.bright}${secret.placeholder}${colors.reset} ${colors.dim}${secret.type}, expires ${secret.expiresAt || 'never'}${colors.reset}`));
+        console.log();
+        return;
+      }
+      case 'set': {
+        const [name, value, ttl] = args;
+        if (!name || !value) throw new Error('Usage: /secret set <name> <value> [ttl]');
+        const placeholder = vault.store({ type: 'secret', value, name, ...(ttl && { ttlMs: parseTtl(ttl) }) });
+        console.log(colors.green + `🔐 Stored as ${placeholder}\n` + colors.reset);
+        return;
+      }
+      case 'name': {
+        const [ref, name] = args;
+        if (!ref || !name) throw new Error('Usage: /secret name <placeholder> <name>');
+        const placeholder = vault.rename(ref, name);
+        console.log(placeholder
+          ? colors.green + `🔐 ${ref} is now ${placeholder}\n` + colors.reset
+          : colors.red + `❌ Unknown secret: ${ref}\n` + colors.reset);
+        return;
+      }
+      case 'revoke':
+        if (!args[0]) throw new Error('Usage: /secret revoke <name|placeholder>');
+        console.log(vault.revoke(args[0])
+          ? colors.yellow + `🗑️  Revoked ${args[0]}\n` + colors.reset
+          : colors.red + `❌ Unknown secret: ${args[0]}\n` + colors.reset);
+        return;
+      default:
+        throw new Error(`Unknown /secret action: ${action} (list, set, name, revoke)`);
+    }
+  } catch (error) {
+    console.log(colors.red + `❌ ${error.message}\n` + colors.reset);
+  }
+}
+
+/**
+ * Show or change log verbosity: /log, /log debug, /log quiet, /log executor=debug
+ */
+function setLogging(args) {
+  try {
+    for (const arg of args) {
+      if (arg === 'quiet') configureLogging({ quiet: true });
+      else if (arg.includes('=')) configureLogging({ components: arg });
+      else configureLogging({ level: arg, quiet: false });
+    }
+  } catch (error) {
+    console.log(colors.red + `❌ ${error.message}` + colors.reset);
+  }
+  console.log(colors.dim + `📜 Logging: ${describeLogging()} (levels: ${LOG_LEVELS.join(', ')})\n` + colors.reset);
+}
+
+function describeLogging() {
+  const { level, components, format, quiet } = getLoggingSettings();
+  const overrides = Object.entries(components).map(([component, componentLevel]) => `${component}=${componentLevel}`);
+  return `${quiet ? 'quiet' : level}, ${format}${overrides.length > 0 ? `, ${overrides.join(' ')}` : ''}`;
+}
+
+/**
+ * Format a budget limit for display
+ */
+function formatBudget(limitUsd) {
+  return limitUsd === null || limitUsd === undefined ? 'none' : `$${limitUsd.toFixed(2)}`;
+}
+
 /**
  * Show current configuration
  */
-function showConfig() {
+async function showConfig() {
   console.log(colors.cyan + '\n⚙️  Current Configuration:' + colors.reset);
   console.log(`  Auto-approve commands: ${colors.bright}${process.env.LUMEN_AUTO_APPROVE === 'true' ? 'Enabled' : 'Disabled'}${colors.reset}`);
   console.log(`  Dry-run mode: ${colors.bright}${process.env.LUMEN_DRY_RUN === 'true' ? 'Enabled' : 'Disabled'}${colors.reset}`);
   console.log(`  Command timeout: ${colors.bright}${process.env.LUMEN_TIMEOUT || '30000'}ms${colors.reset}`);
+  console.log(`  Streaming output: ${colors.bright}${process.env.LUMEN_STREAM === 'false' ? 'Disabled' : 'Enabled'}${colors.reset}`);
+  console.log(`  Agent mode: ${colors.bright}${process.env.LUMEN_AGENT_MODE || 'single'}${colors.reset}`);
+  try {
+    const policy = resolvePolicy();
+    console.log(`  Command policy: ${colors.bright}${policy.name}${colors.reset} (${policy.rules.length} rules, default ${policy.defaultDecision}) ${colors.dim}${policy.file}${colors.reset}`);
+    const execution = resolveExecution({ execution: policy.execution });
+    const availability = execution.backend.available();
+    console.log(`  Execution backend: ${colors.bright}${execution.name}${colors.reset}` +
+      (execution.backend.name === 'sandbox' ? ` (network ${execution.options.network ? 'on' : 'off'})` : '') +
+      (availability.ok ? '' : ` ${colors.red}unavailable - commands will be blocked (${availability.reason})${colors.reset}`));
+    console.log(`  Resource limits: ${colors.bright}${hasLimits(policy.limits) ? describeLimits(policy.limits) : 'none'}${colors.reset}`);
+  } catch (error) {
+    console.log(`  Command policy: ${colors.red}unavailable - commands will be blocked (${error.message})${colors.reset}`);
+  }
+  console.log(`  Agent profiles: ${colors.dim}${process.env.LUMEN_AGENT_PROFILES || 'built-in'}${colors.reset}`);
+  for (const [name, profile] of Object.entries(listAgentProfiles())) {
+    if (name === 'default' || !profile.model) continue;
+    console.log(`    ${name}: ${colors.bright}${profile.model}${colors.reset} (temperature ${profile.temperature})`);
+  }
+  for (const stats of getSchedulerStats()) {
+    console.log(`  Model scheduler (${stats.name}): ${stats.inFlight} in flight, ${stats.queued} queued, circuit ${colors.bright}${stats.breaker.state}${colors.reset}`);
+  }
+  const cachedAgents = Object.entries(listAgentProfiles())
+    .filter(([name, profile]) => name !== 'default' && profile.cache?.enabled)
+    .map(([name]) => name);
+  if (cachedAgents.length > 0) {
+    const cacheStats = resolveResponseCache().stats();
+    console.log(`  Response cache: ${colors.bright}${cachedAgents.join(', ')}${colors.reset} (${cacheStats.entries} entries, ${cacheStats.hits} hits / ${cacheStats.misses} misses this session)`);
+  }
   console.log(`  Memory file: ${colors.dim}${process.env.USER_MEMORY_FILE || './memory.json'}${colors.reset}`);
+  console.log(`  Logging: ${colors.bright}${describeLogging()}${colors.reset}`);
+
+  try {
+    const usage = await getUsageTotals({ userId: cliUserId });
+    console.log(colors.cyan + `\n💰 Model Usage (${usage.date}, UTC):` + colors.reset);
+    console.log(`  Today (all users): ${colors.bright}${usage.today.calls}${colors.reset} calls, ${usage.today.totalTokens} tokens, ${colors.bright}$${usage.today.costUsd.toFixed(4)}${colors.reset}`);
+    console.log(`  Today (${cliUserId}): ${usage.user.calls} calls, ${usage.user.totalTokens} tokens, $${usage.user.costUsd.toFixed(4)}`);
+    console.log(`  Budgets: request ${formatBudget(usage.budgets.perRequestUsd)} • user/day ${formatBudget(usage.budgets.perUserDailyUsd)} • day ${formatBudget(usage.budgets.dailyUsd)}`);
+  } catch (error) {
+    console.error(colors.red + '  Error fetching usage totals: ' + error.message + colors.reset);
+  }
   console.log('');
 }
 
+// User-facing fields printed live while the model streams (field → label)
+const STREAM_LABELS = {
+  userResponse: '✨ Lumen: ',
+  response: '',
+  code: ''
+};
+
+/**
+ * Create a stream handler that prints user-facing fields as they arrive
+ * @returns {object} { onStream, streamed } - streamed maps field name → schema it came from
+ */
+function createStreamPrinter() {
+  const streamed = new Map();
+  let current = null;
+
+  const onStream = (event) => {
+    if (event.type === 'retry') {
+      if (current) process.stdout.write(colors.reset + '\n');
+      console.log(colors.yellow + `↻ ${event.schemaName} response failed validation, retrying...` + colors.reset);
+      for (const [name, schemaName] of streamed) {
+        if (schemaName === event.schemaName) streamed.delete(name);
+      }
+      current = null;
+      return;
+    }
+
+    if (event.type !== 'field' || !(event.name in STREAM_LABELS) || !event.value) return;
+
+    const key = `${event.schemaName}.${event.name}`;
+    if (current !== key) {
+      process.stdout.write('\n' + colors.bright + STREAM_LABELS[event.name]);
+      current = key;
+    }
+    process.stdout.write(event.delta);
+
+    if (event.complete) {
+      process.stdout.write(colors.reset + '\n');
+      streamed.set(event.name, event.schemaName);
+      current = null;
+    }
+  };
+
+  return { onStream, streamed };
+}
+
+/**
+ * Create an output handler that prints command output live as it arrives
+ * @returns {object} { onOutput, printed } - printed() says whether anything was shown
+ */
+function createCommandOutputPrinter() {
+  let started = false;
+
+  const onOutput = ({ stream, text }) => {
+    if (!started) {
+      console.log(colors.dim + '\nOutput:' + colors.reset);
+      started = true;
+    }
+    process.stdout.write(stream === 'stderr' ? colors.red + text + colors.reset : text);
+  };
+
+  return { onOutput, printed: () => started };
+}
+
 /**
  * Format and display AI response
+ * @param {object} response - Orchestrator result
+ * @param {Map} streamed - Fields already printed while streaming (skipped here)
+ * @param {boolean} outputShown - Command output was already printed live
  */
-function displayResponse(response) {
+function displayResponse(response, streamed = new Map(), outputShown = false) {
   console.log(colors.cyan + '\n╔════════════════════════════════════════════════════════════╗' + colors.reset);
   console.log(colors.cyan + '║  🤖 LUMEN RESPONSE                                         ║' + colors.reset);
   console.log(colors.cyan + '╚════════════════════════════════════════════════════════════╝' + colors.reset);
@@ -143,14 +533,25 @@ function displayResponse(response) {
   switch (response.choice) {
     case 'lumenPersonality':
       // Lumen handled directly without agent chain
-      console.log(colors.bright + '\n' + response.response + colors.reset);
+      if (!streamed.has('userResponse')) {
+        console.log(colors.bright + '\n' + response.response + colors.reset);
+      }
       if (response.lumenPersonality?.conversationSummary) {
         console.log(colors.dim + '\n📝 Context: ' + response.lumenPersonality.conversationSummary + colors.reset);
       }
       break;
       
     case 'response':
-      console.log(colors.bright + '\n' + response.response + colors.reset);
+      if (response.toolRuns?.length > 0) {
+        console.log(colors.dim + `\n🔧 Tool calls (${response.toolRuns.length}):` + colors.reset);
+        response.toolRuns.forEach((run, i) => {
+          const color = run.status === 'success' ? colors.green : colors.yellow;
+          console.log(color + `   ${i + 1}. ${run.tool} [${run.status}]` + colors.reset + colors.dim + (run.command ? ` ${run.command.split('\n')[0]}` : '') + colors.reset);
+        });
+      }
+      if (!streamed.has('response')) {
+        console.log(colors.bright + '\n' + response.response + colors.reset);
+      }
       if (response.questionsForUser && response.questions?.length > 0) {
         console.log(colors.yellow + '\n❓ Follow-up questions:' + colors.reset);
         response.questions.forEach((q, i) => {
@@ -166,26 +567,37 @@ function displayResponse(response) {
       break;
       
     case 'code':
-      console.log(colors.green + `\n📝 Generated ${response.language || 'code'}:` + colors.reset);
-      console.log(colors.dim + '```' + (response.language || '') + colors.reset);
-      console.log(response.code);
-      console.log(colors.dim + '```' + colors.reset);
+      if (!streamed.has('code')) {
+        console.log(colors.green + `\n📝 Generated ${response.language || 'code'}:` + colors.reset);
+        console.log(colors.dim + '```' + (response.language || '') + colors.reset);
+        console.log(response.code);
+        console.log(colors.dim + '```' + colors.reset);
+      }
       if (response.codeExplanation) {
         console.log(colors.dim + '\n💡 ' + response.codeExplanation + colors.reset);
       }
       break;
       
     case 'terminalCommand':
-      if (response.executionResult) {
+      if (response.executionResult?.status === 'started') {
+        console.log(colors.cyan + `\n🕒 ${response.executionResult.message} - /job ${response.executionResult.jobId} to check on it` + colors.reset);
+      } else if (response.executionResult) {
         console.log(colors.green + '\n✅ Command executed' + colors.reset);
-        if (response.executionResult.stdout) {
+        if (!outputShown && response.executionResult.stdout) {
           console.log(colors.dim + '\nOutput:' + colors.reset);
           console.log(response.executionResult.stdout);
         }
-        if (response.executionResult.stderr) {
+        if (!outputShown && response.executionResult.stderr) {
           console.log(colors.red + '\nErrors:' + colors.reset);
           console.log(response.executionResult.stderr);
         }
+        if (response.executionResult.status === 'resource-limit') {
+          console.log(colors.red + `\n📏 ${response.executionResult.message} and was stopped` + colors.reset);
+        }
+        const { truncated } = response.executionResult;
+        if (truncated?.stdout || truncated?.stderr) {
+          console.log(colors.dim + '✂️  Output was truncated in the result (head and tail kept)' + colors.reset);
+        }
       }
       break;
       
@@ -208,6 +620,13 @@ function displayResponse(response) {
     console.log(colors.dim + '\n┌─ Routing Info ─────────────────────────────────' + colors.reset);
     console.log(colors.dim + `│ Schema: ${response._metadata.routing.selectedSchema}` + colors.reset);
     console.log(colors.dim + `│ Reason: ${response._metadata.routing.routerExplanation}` + colors.reset);
+    if (response._metadata.usage) {
+      const usage = response._metadata.usage;
+      console.log(colors.dim + `│ Usage: ${usage.calls} calls, ${usage.totalTokens} tokens, ~$${usage.estimatedCostUsd.toFixed(4)}` + colors.reset);
+    }
+    if (response._metadata.trace) {
+      console.log(colors.dim + `│ Trace: ${response._metadata.trace.traceId} (${response._metadata.trace.durationMs}ms)` + colors.reset);
+    }
     console.log(colors.dim + '└────────────────────────────────────────────────\n' + colors.reset);
   }
 }
@@ -217,6 +636,8 @@ function displayResponse(response) {
  */
 async function main() {
   showBanner();
+  startAuditSinks(); // A sink that can't start is reported now, not with the first command
+  warnUnusableCaches();
   
   const rl = createInterface({
     input: process.stdin,
@@ -230,8 +651,19 @@ async function main() {
     dryRun: process.env.LUMEN_DRY_RUN === 'true',
     timeout: parseInt(process.env.LUMEN_TIMEOUT || '30000'),
     skipMemory: process.env.LUMEN_SKIP_MEMORY === 'true',
-    skipRedaction: process.env.LUMEN_SKIP_REDACTION === 'true'
+    skipRedaction: process.env.LUMEN_SKIP_REDACTION === 'true',
+    agentMode: process.env.LUMEN_AGENT_MODE || 'single',
+    userId: cliUserId,
+    actor: { platform: 'cli', userId: cliUserId }, // Recorded in the audit log
+    redactor: createSessionRedactor() // One session: placeholders stay the same from request to request
   };
+  const streamEnabled = process.env.LUMEN_STREAM !== 'false';
+
+  onJobFinished((job) => {
+    console.log(colors.cyan + `\n🕒 Job ${job.id} ${job.status}${job.exitCode !== null ? ` (exit ${job.exitCode})` : ''}: ${config.redactor.conceal(job.command)}` + colors.reset);
+    console.log(colors.dim + `   /job ${job.id} for the output` + colors.reset);
+    rl.prompt(true);
+  });
   
   rl.prompt();
   
@@ -245,7 +677,8 @@ async function main() {
     
     // Handle commands
     if (query.startsWith('/')) {
-      const command = query.toLowerCase();
+      const [name, ...args] = query.split(/\s+/);
+      const command = name.toLowerCase();
       
       switch (command) {
         case '/help':
@@ -264,13 +697,38 @@ async function main() {
           
         case '/config':
         case '/settings':
-          showConfig();
+          await showConfig();
+          break;
+
+        case '/jobs':
+          await showJobs(config.redactor);
+          break;
+
+        case '/job':
+          await showJob(args[0], config.redactor);
+          break;
+
+        case '/kill':
+          await cancelJob(args[0]);
+          break;
+
+        case '/secrets':
+          manageSecrets(config.redactor, ['list']);
+          break;
+
+        case '/secret':
+          manageSecrets(config.redactor, args);
+          break;
+
+        case '/log':
+          setLogging(args);
           break;
           
         case '/exit':
         case '/quit':
         case '/q':
           console.log(colors.cyan + '\n👋 Goodbye! Thanks for using Lumen.\n' + colors.reset);
+          await flushAuditSinks();
           process.exit(0);
           break;
           
@@ -285,13 +743,27 @@ async function main() {
     
     // Process user query through full pipeline
     try {
-      const response = await processUserRequest(query, config);
-      displayResponse(response);
+      const printer = streamEnabled ? createStreamPrinter() : null;
+      const commandOutput = createCommandOutputPrinter();
+      const response = await processUserRequest(query, {
+        ...config,
+        ...(printer && { onStream: printer.onStream }),
+        onCommandOutput: commandOutput.onOutput
+      });
+      displayResponse(response, printer?.streamed, commandOutput.printed());
     } catch (error) {
-      console.error(colors.red + '\n❌ Error processing request:' + colors.reset);
-      console.error(colors.red + error.message + colors.reset);
-      if (error.stack) {
-        console.error(colors.dim + error.stack + colors.reset);
+      if (error instanceof ProviderUnavailableError) {
+        // Provider is down and the breaker is open - no stack trace needed
+        console.error(colors.yellow + '\n⏸️  ' + error.userMessage + colors.reset);
+      } else {
+        console.error(colors.red + '\n❌ Error processing request:' + colors.reset);
+        console.error(colors.red + error.message + colors.reset);
+        if (error.stack) {
+          console.error(colors.dim + error.stack + colors.reset);
+        }
+      }
+      if (error.traceId) {
+        console.error(colors.dim + `🔎 Trace: ${error.traceId}` + colors.reset);
       }
     }
     
@@ -299,8 +771,9 @@ async function main() {
     rl.prompt();
   });
   
-  rl.on('close', () => {
+  rl.on('close', async () => {
     console.log(colors.cyan + '\n👋 Goodbye! Thanks for using Lumen.\n' + colors.reset);
+    await flushAuditSinks();
     process.exit(0);
   });
 }
@@ -318,5 +791,17 @@ process.on('unhandledRejection', (error) => {
   process.exit(1);
 });
 
-// Start the CLI
-main();
+// `lumen --verbose` shows the pipeline's debug detail, `lumen --quiet` only its warnings and errors
+const argv = process.argv.slice(2).filter(arg => {
+  if (arg === '--verbose' || arg === '-v') configureLogging({ level: 'debug' });
+  else if (arg === '--quiet' || arg === '-q') configureLogging({ quiet: true });
+  else return true;
+  return false;
+});
+
+// Start the CLI, or answer `lumen audit ...` and exit
+if (argv[0] === 'audit') {
+  process.exit(runAuditCommand(argv.slice(1)));
+} else {
+  main();
+}
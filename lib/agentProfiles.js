@@ -0,0 +1,206 @@
+/**
+ * Agent Profiles - Per-agent model and parameter settings
+ *
+ * Every model call is made on behalf of an agent (its schema name, or a loop role
+ * like 'recovery'). The agent's profile decides:
+ *
+ *   model        - Model name (null = the provider's default model)
+ *   temperature  - Sampling temperature
+ *   maxTokens    - Completion token cap (null = provider default)
+ *   timeoutMs    - Per-request timeout
+ *   retry        - { maxRetries, baseDelayMs } for rate limits and server errors
+ *   cache        - { enabled, ttlMs, allowTemperature } response caching (see responseCache.js)
+ *
+ * Resolution: explicit call options → profile for the agent → 'default' profile.
+ * Profiles are merged from the built-ins below, LUMEN_CACHE_AGENTS (comma-separated agents
+ * with caching enabled), the JSON file at LUMEN_AGENT_PROFILES, and setAgentProfile().
+ * Models are unset by default because they depend on the provider.
+ *
+ *   { "routerAgent": { "model": "gpt-4.1-nano" }, "baseAgent": { "model": "gpt-4.1" } }
+ */
+
+import fs from 'fs';
+import { getLogger } from './logger.js';
+
+const log = getLogger('profiles');
+
+const DEFAULT_PROFILES = {
+  default: {
+    model: null,
+    temperature: parseFloat(process.env.OPENAI_DEFAULT_TEMPERATURE) || 0.7, // default moderate creativity
+    maxTokens: null,
+    timeoutMs: 120000,
+    retry: { maxRetries: 3, baseDelayMs: 1000 },
+    cache: { enabled: false, ttlMs: null, allowTemperature: false }
+  },
+  // Every other agent uses the default temperature
+  summarizeAgent: { temperature: 0.1 },
+  step: { temperature: 0.5 },
+  reassess: { temperature: 0.8 },
+  verifier: { temperature: 0.5 }
+};
+
+// Temperatures the call sites used before profiles existed (null = the default temperature); `npm run profiles:eval`
+const BASELINE_TEMPERATURES = {
+  routerAgent: null,
+  lumenPersonalityAgent: null,
+  baseAgent: null,
+  validatorAgent: null,
+  summarizeAgent: 0.1,
+  toolAgent: null,
+  step: 0.5,
+  recovery: null,
+  reassess: 0.8,
+  verifier: 0.5
+};
+
+// Short names accepted in profile files and setAgentProfile()
+const ALIASES = {
+  router: 'routerAgent',
+  personality: 'lumenPersonalityAgent',
+  summarizer: 'summarizeAgent',
+  validator: 'validatorAgent',
+  tools: 'toolAgent'
+};
+
+let fileProfiles = null;
+const overrides = {};
+
+function canonicalName(name) {
+  return ALIASES[name] || name;
+}
+
+/**
+ * Load profiles from LUMEN_AGENT_PROFILES (once)
+ */
+function loadFileProfiles() {
+  if (fileProfiles) return fileProfiles;
+
+  fileProfiles = {};
+  if (process.env.LUMEN_AGENT_PROFILES) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(process.env.LUMEN_AGENT_PROFILES, 'utf-8'));
+      for (const [name, profile] of Object.entries(raw)) {
+        fileProfiles[canonicalName(name)] = profile;
+      }
+    } catch (error) {
+      log.warn(`⚠️  Could not load agent profiles ${process.env.LUMEN_AGENT_PROFILES}: ${error.message}`);
+    }
+  }
+  return fileProfiles;
+}
+
+const NESTED_FIELDS = ['retry', 'cache'];
+
+/**
+ * Agents listed in LUMEN_CACHE_AGENTS get caching switched on
+ */
+function cacheAgentsFromEnv() {
+  return (process.env.LUMEN_CACHE_AGENTS || '').split(',').map(name => name.trim()).filter(Boolean).map(canonicalName);
+}
+
+function cacheLayerFromEnv(agent) {
+  return cacheAgentsFromEnv().includes(agent) ? { cache: { enabled: true } } : null;
+}
+
+/**
+ * Merge profile layers; `retry` and `cache` are merged field by field
+ */
+function mergeProfiles(...layers) {
+  const merged = {};
+  for (const layer of layers) {
+    if (!layer) continue;
+    for (const [key, value] of Object.entries(layer)) {
+      if (value === undefined) continue;
+      merged[key] = NESTED_FIELDS.includes(key) ? { ...merged[key], ...value } : value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Resolve the effective profile for an agent
+ * @param {string} name - Agent or schema name ('routerAgent', 'recovery', 'router', ...)
+ * @returns {object} { name, model, temperature, maxTokens, timeoutMs, retry, cache }
+ */
+export function resolveAgentProfile(name) {
+  const agent = canonicalName(name || 'default');
+  const files = loadFileProfiles();
+
+  return {
+    name: agent,
+    ...mergeProfiles(
+      DEFAULT_PROFILES.default,
+      files.default,
+      overrides.default,
+      DEFAULT_PROFILES[agent],
+      cacheLayerFromEnv(agent),
+      files[agent],
+      overrides[agent]
+    )
+  };
+}
+
+/**
+ * Override an agent's profile in this process (merged over built-ins and the file)
+ * @param {string} name - Agent name or alias
+ * @param {object|null} profile - Partial profile, or null to drop the override
+ */
+export function setAgentProfile(name, profile) {
+  const agent = canonicalName(name);
+  if (profile === null) {
+    delete overrides[agent];
+    return;
+  }
+  overrides[agent] = mergeProfiles(overrides[agent], profile);
+}
+
+/**
+ * List the effective profile of every known agent
+ * @returns {object} Map of agent name → profile
+ */
+export function listAgentProfiles() {
+  const names = new Set([
+    ...Object.keys(DEFAULT_PROFILES),
+    ...cacheAgentsFromEnv(),
+    ...Object.keys(loadFileProfiles()),
+    ...Object.keys(overrides)
+  ]);
+  return Object.fromEntries([...names].map(name => [name, resolveAgentProfile(name)]));
+}
+
+/**
+ * Warn about agents whose response cache is enabled but can never be used: calls above
+ * temperature 0 are only cached with cache.allowTemperature (see responseCache.js)
+ * @returns {string[]} Names of those agents
+ */
+export function warnUnusableCaches() {
+  const unusable = Object.values(listAgentProfiles())
+    .filter(profile => profile.cache?.enabled && profile.temperature > 0 && profile.cache.allowTemperature !== true);
+  for (const { name, temperature } of unusable) {
+    log.warn(`⚠️  Response cache is enabled for ${name} but nothing will be cached at temperature ${temperature}: set "temperature": 0 or "cache": { "allowTemperature": true } in its profile`);
+  }
+  return unusable.map(profile => profile.name);
+}
+
+/**
+ * Re-read LUMEN_AGENT_PROFILES on next use
+ */
+export function reloadAgentProfiles() {
+  fileProfiles = null;
+}
+
+// Check the built-in profiles against BASELINE_TEMPERATURES: node lib/agentProfiles.js
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const failures = [];
+  for (const [agent, baseline] of Object.entries(BASELINE_TEMPERATURES)) {
+    const expected = baseline ?? DEFAULT_PROFILES.default.temperature;
+    const actual = mergeProfiles(DEFAULT_PROFILES.default, DEFAULT_PROFILES[agent]).temperature;
+    console.log(`   ${actual === expected ? '✅' : '❌'} ${agent}: ${actual}${actual === expected ? '' : ` (expected ${expected})`}`);
+    if (actual !== expected) failures.push(agent);
+  }
+  console.log(failures.length === 0 ? '\n   ✅ Built-in temperatures match\n' : `\n   ${failures.length} changed\n`);
+  if (failures.length > 0) process.exitCode = 1;
+}
+
+export default { resolveAgentProfile, setAgentProfile, listAgentProfiles, warnUnusableCaches, reloadAgentProfiles };
@@ -1,38 +1,506 @@
 /**
- * Audit Logger - Logs all terminal commands and their results
- * 
- * This module provides a simple logging interface for tracking
- * command execution, results, and security decisions.
+ * Audit Logger - Tamper-evident record of every command Lumen runs or refuses
+ *
+ * Each logCommand() call logs a line (component 'audit', see logger.js) and appends one JSON
+ * line to audit.jsonl in LUMEN_AUDIT_DIR (default ./audit):
+ *
+ *   { seq, timestamp, event: 'command', host, actor, approval, policy, status, command, inputBytes, reasoning,
+ *     exitCode, signal, durationMs, cwd, backend, jobId, traceId, message, stdout, stderr, truncated,
+ *     resourceLimit, secrets, leaks, prevHash, hash }
+ *
+ * auditReports.js queries and summarizes it (`lumen audit`, the Telegram bot's /audit).
+ *
+ * hash is SHA-256 (HMAC-SHA-256 keyed with LUMEN_AUDIT_KEY, if set) of the entry including
+ * prevHash, the previous entry's hash - across rotated files too - so editing, removing or
+ * reordering an entry breaks the chain. audit.head.json records the last seq and hash, so
+ * cutting entries off the end shows as well. verifyAuditLog() checks both. Processes append one
+ * at a time under audit.lock, which names its holder: a lock whose holder died is cleared, a live
+ * holder is waited for and never overridden. A missing or lagging head record is rebuilt from the
+ * log, and a line cut off by a crash is left on its own line for verifyAuditLog() to report.
+ *
+ * Command, reasoning, messages and output are redacted (see secretRedactor.js) before they are
+ * written, whatever LUMEN_SKIP_REDACTION says, and output is capped at LUMEN_AUDIT_MAX_OUTPUT
+ * characters per stream (head and tail kept). The active file is renamed to
+ * audit-<date>-<first seq>.jsonl when it would pass LUMEN_AUDIT_MAX_BYTES (default 10 MiB) and,
+ * unless LUMEN_AUDIT_ROTATE=size, when the first entry of a new (UTC) day arrives.
+ * LUMEN_AUDIT=false keeps only that log line (and the sinks).
+ *
+ * Written entries are also handed to the configured sinks - SQLite, syslog, webhooks, another
+ * file (see auditSinks.js, LUMEN_AUDIT_SINKS); they deliver in the background.
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { SecretRedactor } from './secretRedactor.js';
+import { dispatchAuditEntry } from './auditSinks.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('audit');
+
+const ACTIVE_FILE = 'audit.jsonl';
+const HEAD_FILE = 'audit.head.json';
+const LOCK_DIR = 'audit.lock';
+const ROTATED_FILE = /^audit-\d{4}-\d{2}-\d{2}-\d+\.jsonl$/;
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_OUTPUT = 64 * 1024;
+const LOCK_STALE_MS = 10000; // Age after which a lock whose holder can't be checked (another host) is abandoned
+const LOCK_WAIT_MS = 30000; // Wait this long for a live holder, then give up on the entry (never take its lock)
+const TAIL_BYTES = 256 * 1024;
+
+// Fields copied from an execution result, in this order
+const RESULT_FIELDS = ['status', 'command', 'inputBytes', 'reasoning', 'exitCode', 'signal', 'executionTimeMs', 'cwd', 'backend', 'jobId', 'traceId', 'message', 'stdout', 'stderr', 'truncated', 'resourceLimit', 'secrets', 'leaks'];
+const REDACTED_FIELDS = ['command', 'reasoning', 'message', 'stdout', 'stderr'];
+
+const redactor = new SecretRedactor();
+let appendQueue = Promise.resolve(); // Appends from this process, one at a time
+
+function getAuditDir() {
+  return process.env.LUMEN_AUDIT_DIR || path.join(process.cwd(), 'audit');
+}
+
+function auditEnabled() {
+  return process.env.LUMEN_AUDIT !== 'false';
+}
+
+function maxOutput() {
+  const max = parseInt(process.env.LUMEN_AUDIT_MAX_OUTPUT, 10);
+  return Number.isFinite(max) && max > 0 ? max : DEFAULT_MAX_OUTPUT;
+}
+
+function maxBytes() {
+  const max = parseInt(process.env.LUMEN_AUDIT_MAX_BYTES, 10);
+  return Number.isFinite(max) && max > 0 ? max : DEFAULT_MAX_BYTES;
+}
+
+/**
+ * Hash of an entry (everything but its own hash)
+ */
+function hashEntry(entry) {
+  const { hash, ...body } = entry;
+  const key = process.env.LUMEN_AUDIT_KEY;
+  const digest = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+  return digest.update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Keep the head and tail of long output
+ */
+function capOutput(text) {
+  const max = maxOutput();
+  if (typeof text !== 'string' || text.length <= max) return text;
+  const half = Math.floor(max / 2);
+  return `${text.slice(0, half)}\n… [${text.length - 2 * half} characters not audited] …\n${text.slice(-half)}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function lockOwner(lock) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(lock, 'owner.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Whether a lock was left behind by a process that died mid-write: its holder on this host is gone
+ * (or has our pid, which this process never holds while checking), or - holder unknown or on
+ * another host - it is older than LOCK_STALE_MS
+ */
+function isStale(lock, owner) {
+  if (owner?.host === os.hostname()) return owner.pid === process.pid || !processAlive(owner.pid);
+  const modified = fs.statSync(lock, { throwIfNoEntry: false })?.mtimeMs;
+  return modified !== undefined && Date.now() - modified > LOCK_STALE_MS;
+}
+
+/**
+ * Remove a stale lock, unless a live one replaced it since it was checked
+ */
+function removeStaleLock(lock, owner) {
+  // Moved aside first, so two waiters can't both remove it and one of them a fresh lock
+  const moved = `${lock}.stale-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  try {
+    fs.renameSync(lock, moved);
+  } catch {
+    return; // Already gone
+  }
+  if (lockOwner(moved)?.token === owner?.token) {
+    fs.rmSync(moved, { recursive: true, force: true });
+    return;
+  }
+  try {
+    fs.renameSync(moved, lock);
+  } catch {
+    // A third process locked in between; the holder we moved releases by token, so nothing else is removed
+  }
+}
+
+/**
+ * Take the audit directory lock (the CLI, the bot and jobs may append at the same time)
+ * @returns {Promise<string>} Token that releases it
+ */
+async function acquireLock(lock) {
+  const token = crypto.randomBytes(8).toString('hex');
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      fs.mkdirSync(lock);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const owner = lockOwner(lock);
+      if (isStale(lock, owner)) {
+        removeStaleLock(lock, owner);
+        continue;
+      }
+      // A live holder is waited for, never overridden: two writers would fork the hash chain
+      if (Date.now() > deadline) {
+        throw new Error(`audit log locked by ${owner ? `pid ${owner.pid} on ${owner.host} since ${owner.since}` : 'another process'} (${lock})`);
+      }
+      await sleep(10 + Math.random() * 20);
+      continue;
+    }
+    try {
+      fs.writeFileSync(path.join(lock, 'owner.json'), JSON.stringify({ pid: process.pid, host: os.hostname(), since: new Date().toISOString(), token }));
+    } catch (error) {
+      fs.rmSync(lock, { recursive: true, force: true });
+      throw error;
+    }
+    return token;
+  }
+}
+
+function releaseLock(lock, token) {
+  if (lockOwner(lock)?.token === token) fs.rmSync(lock, { recursive: true, force: true });
+}
+
+async function withLock(dir, fn) {
+  const lock = path.join(dir, LOCK_DIR);
+  const token = await acquireLock(lock);
+  try {
+    return fn();
+  } finally {
+    releaseLock(lock, token);
+  }
+}
+
+function firstSeqOf(rotatedName) {
+  return parseInt(rotatedName.match(/-(\d+)\.jsonl$/)[1], 10);
+}
+
+/**
+ * Complete entries in text, skipping blank lines and partial writes
+ */
+function parseEntries(text) {
+  const entries = [];
+  for (const line of text.split('\n')) {
+    try {
+      const entry = JSON.parse(line);
+      if (Number.isInteger(entry?.seq) && typeof entry.hash === 'string') entries.push(entry);
+    } catch {
+      // Blank, or cut off by a crash mid-append
+    }
+  }
+  return entries;
+}
+
+/**
+ * The last complete entry of a file, reading only its tail when that is enough
+ */
+function lastEntry(file) {
+  let handle;
+  try {
+    handle = fs.openSync(file, 'r');
+  } catch {
+    return null;
+  }
+  try {
+    const { size } = fs.fstatSync(handle);
+    for (let length = Math.min(size, TAIL_BYTES); ; length = size) {
+      const buffer = Buffer.alloc(length);
+      fs.readSync(handle, buffer, 0, length, size - length);
+      // The first line of a partial read may be cut off; parseEntries skips it
+      const entry = parseEntries(buffer.toString('utf-8')).at(-1);
+      if (entry || length === size) return entry ?? null;
+    }
+  } finally {
+    fs.closeSync(handle);
+  }
+}
+
+/**
+ * Rebuild the head record from the newest file with a complete entry
+ */
+function rebuildHead(dir) {
+  for (const file of listAuditFiles(dir).reverse()) {
+    const entries = parseEntries(fs.readFileSync(file, 'utf-8'));
+    if (entries.length === 0) continue;
+    const last = entries.at(-1);
+    // Entries in a rotated file: the next one starts the active file
+    const inActive = path.basename(file) === ACTIVE_FILE;
+    return {
+      seq: last.seq,
+      hash: last.hash,
+      fileFirstSeq: inActive ? entries[0].seq : null,
+      fileDate: inActive ? entries[0].timestamp.slice(0, 10) : null
+    };
+  }
+  return { seq: 0, hash: GENESIS_HASH, fileFirstSeq: null, fileDate: null };
+}
+
+/**
+ * Where the chain stands: the head record, rebuilt from the log when it is missing or behind
+ * (the head is written after the entry, so a crash in between leaves it one entry behind)
+ */
+function readHead(dir) {
+  let head = null;
+  try {
+    head = JSON.parse(fs.readFileSync(path.join(dir, HEAD_FILE), 'utf-8'));
+  } catch {
+    // Missing or unreadable
+  }
+  const last = lastEntry(path.join(dir, ACTIVE_FILE));
+  if (head && (!last || last.seq <= head.seq)) return head;
+  if (head) log.warn(`Head record behind the log (entry ${head.seq}, log at ${last.seq}); continuing from the log`);
+  else if (fs.existsSync(path.join(dir, ACTIVE_FILE)) || listAuditFiles(dir).length > 0) log.warn('Head record missing; rebuilt from the log');
+  return rebuildHead(dir);
+}
+
+/**
+ * Whether a file ends in the middle of a line (an append cut off by a crash)
+ */
+function endsMidLine(file) {
+  let handle;
+  try {
+    handle = fs.openSync(file, 'r');
+  } catch {
+    return false;
+  }
+  try {
+    const { size } = fs.fstatSync(handle);
+    if (size === 0) return false;
+    const last = Buffer.alloc(1);
+    fs.readSync(handle, last, 0, 1, size - 1);
+    return last[0] !== 0x0a;
+  } finally {
+    fs.closeSync(handle);
+  }
+}
+
+function writeHead(dir, head) {
+  const file = path.join(dir, HEAD_FILE);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(head, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Rename the active file when it is full or from an earlier day
+ */
+function rotateIfNeeded(dir, head, line, today) {
+  const active = path.join(dir, ACTIVE_FILE);
+  const size = fs.statSync(active, { throwIfNoEntry: false })?.size;
+  if (size === undefined || size === 0 || head.fileFirstSeq === null) return false;
+
+  const full = size + Buffer.byteLength(line) > maxBytes();
+  const stale = process.env.LUMEN_AUDIT_ROTATE !== 'size' && head.fileDate !== today;
+  if (!full && !stale) return false;
+
+  const rotated = `audit-${head.fileDate}-${String(head.fileFirstSeq).padStart(10, '0')}.jsonl`;
+  fs.renameSync(active, path.join(dir, rotated));
+  return true;
+}
+
+/**
+ * Append an entry to the chain
+ * @param {object} fields - Entry fields (seq, timestamp, prevHash and hash are added)
+ * @returns {Promise<object>} The written entry
+ */
+function appendEntry(fields) {
+  const write = appendQueue.then(() => {
+    const dir = getAuditDir();
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    return withLock(dir, () => appendLocked(dir, fields));
+  });
+  appendQueue = write.catch(() => {});
+  return write;
+}
+
+function appendLocked(dir, fields) {
+  const head = readHead(dir);
+  const timestamp = new Date().toISOString();
+  const entry = { seq: head.seq + 1, timestamp, ...fields, prevHash: head.hash };
+  entry.hash = hashEntry(entry);
+  let line = `${JSON.stringify(entry)}\n`;
+
+  const today = timestamp.slice(0, 10);
+  const rotated = rotateIfNeeded(dir, head, line, today);
+  const startsFile = rotated || head.fileFirstSeq === null;
+  const active = path.join(dir, ACTIVE_FILE);
+  // Keep a partial line from a crash on a line of its own (verifyAuditLog reports it)
+  if (endsMidLine(active)) line = `\n${line}`;
+  fs.appendFileSync(active, line, { encoding: 'utf-8', mode: 0o600 });
+  writeHead(dir, {
+    seq: entry.seq,
+    hash: entry.hash,
+    fileFirstSeq: startsFile ? entry.seq : head.fileFirstSeq,
+    fileDate: startsFile ? today : head.fileDate
+  });
+  return entry;
+}
+
 /**
  * Logs a command execution to the audit trail
- * @param {object} entry - Log entry details
+ * @param {object} entry - Log entry details (an executeAgentCommand result plus who and how)
  * @param {string} entry.command - The command that was executed
- * @param {string} entry.status - Execution status (success, error, blocked, denied, dry-run)
+ * @param {number} entry.inputBytes - Size of the data fed to its stdin (the data itself isn't logged)
+ * @param {string} entry.status - Execution status (success, error, blocked, denied, dry-run, started, cancelled, resource-limit)
  * @param {string} entry.reasoning - Why this command was chosen
  * @param {string} entry.stdout - Command output (if successful)
  * @param {string} entry.stderr - Command error output (if any)
  * @param {string} entry.message - Additional message (for errors/blocks)
  * @param {object} entry.policyReport - Security policy report (if available)
+ * @param {string[]} entry.secrets - Names of secrets injected into the command's environment (if any)
+ * @param {Array<object>} entry.leaks - Credentials or secrets whose value showed up in the output: [{ name, stream }]
+ * @param {object} entry.actor - Who asked: { platform: 'cli'|'telegram', userId, chatId, username }
+ * @param {string} entry.approval - How the command was cleared to run: 'policy' (allowed without approval),
+ *   'auto-approve', 'prompt' (approved or denied at the CLI prompt), 'pre-approved' (by the caller, e.g.
+ *   Telegram buttons) or 'not-required'; absent when it never got that far
+ * @param {string} entry.traceId - Trace of the request that asked for the command (see tracing.js)
+ * @returns {Promise<object>} The audit entry as written (redacted, with seq and hash)
  */
 export async function logCommand(entry) {
   const timestamp = new Date().toISOString();
-  const logEntry = {
-    timestamp,
-    ...entry
-  };
+  const command = entry.command ? redactor.redact(entry.command) : 'no command';
+
+  log.info(`${entry.status || 'unknown'} - ${command}`);
+  if (entry.leaks?.length > 0) {
+    log.warn(`LEAK - ${entry.leaks.map(leak => `${leak.name} in ${leak.stream}`).join(', ')}`);
+  }
+
+  const fields = { event: 'command', host: os.hostname(), actor: entry.actor || null, approval: entry.approval || null, policy: entry.policyReport || null };
+  for (const field of RESULT_FIELDS) {
+    if (entry[field] === undefined) continue;
+    const value = REDACTED_FIELDS.includes(field) && typeof entry[field] === 'string'
+      ? redactor.redact(capOutput(entry[field]))
+      : entry[field];
+    fields[field === 'executionTimeMs' ? 'durationMs' : field] = value;
+  }
+
+  let written = { timestamp, ...fields };
+  if (auditEnabled()) {
+    try {
+      written = await appendEntry(fields);
+    } catch (error) {
+      // Never fail a command because the audit file can't be written, but say so loudly
+      log.error(`WRITE FAILED - ${error.message}`, { command });
+    }
+  }
+  dispatchAuditEntry(written);
+  return written;
+}
+
+/**
+ * Audit files, oldest first (rotated files by their first seq, then the active file)
+ * @param {string} dir - Audit directory (default: LUMEN_AUDIT_DIR)
+ * @returns {string[]} Paths
+ */
+export function listAuditFiles(dir = getAuditDir()) {
+  if (!fs.existsSync(dir)) return [];
+  const names = fs.readdirSync(dir);
+  return [
+    ...names.filter(name => ROTATED_FILE.test(name)).sort((a, b) => firstSeqOf(a) - firstSeqOf(b)),
+    ...names.filter(name => name === ACTIVE_FILE)
+  ].map(name => path.join(dir, name));
+}
+
+/**
+ * Check the audit chain for edits, removed or reordered entries and truncation
+ * @param {object} options - Options
+ * @param {string} options.dir - Audit directory (default: LUMEN_AUDIT_DIR)
+ * @returns {object} { ok, entries, firstSeq, lastSeq, files, problems: [{ file, line, seq, problem }] }
+ */
+export function verifyAuditLog({ dir = getAuditDir() } = {}) {
+  const files = listAuditFiles(dir);
+  const problems = [];
+  let previous = null;
+  let entries = 0;
+  let firstSeq = null;
+
+  for (const file of files) {
+    const lines = fs.readFileSync(file, 'utf-8').split('\n');
+    lines.forEach((line, index) => {
+      if (line.trim() === '') return;
+      const where = { file: path.basename(file), line: index + 1 };
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        problems.push({ ...where, seq: null, problem: 'not valid JSON (edited or a partial write)' });
+        return;
+      }
+      entries++;
+      where.seq = entry.seq;
 
-  // For now, just log to console
-  // In production, this could write to a file, database, or monitoring service
-  console.log(`[AUDIT] ${timestamp} - ${entry.status || 'unknown'} - ${entry.command || 'no command'}`);
-  
-  // TODO: Implement persistent logging
-  // - Write to audit log file
-  // - Send to monitoring service
-  // - Store in database
-  
-  return logEntry;
+      if (previous === null) {
+        firstSeq = entry.seq;
+        if (entry.seq !== 1 || entry.prevHash !== GENESIS_HASH) {
+          problems.push({ ...where, problem: `log starts at entry ${entry.seq}: earlier entries or files were removed` });
+        }
+      } else {
+        if (entry.seq !== previous.seq + 1) {
+          problems.push({ ...where, problem: `entry ${entry.seq} follows entry ${previous.seq}: entries were removed or reordered` });
+        }
+        if (entry.prevHash !== previous.hash) {
+          problems.push({ ...where, problem: `does not chain to entry ${previous.seq}` });
+        }
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        problems.push({ ...where, problem: 'hash mismatch: the entry was modified' });
+      }
+      previous = entry;
+    });
+  }
+
+  let head = null;
+  try {
+    head = JSON.parse(fs.readFileSync(path.join(dir, HEAD_FILE), 'utf-8'));
+  } catch {
+    if (entries > 0) problems.push({ file: HEAD_FILE, line: null, seq: null, problem: 'head record is missing' });
+  }
+  if (head && (previous?.seq ?? 0) !== head.seq) {
+    problems.push({
+      file: HEAD_FILE,
+      line: null,
+      seq: head.seq,
+      problem: (previous?.seq ?? 0) < head.seq
+        ? `log ends at entry ${previous?.seq ?? 0} but ${head.seq} were written: entries were cut off the end`
+        : `head record is behind the log (entry ${previous.seq}): interrupted write or edited head`
+    });
+  } else if (head && previous && head.hash !== previous.hash) {
+    problems.push({ file: HEAD_FILE, line: null, seq: head.seq, problem: 'last entry does not match the head record' });
+  }
+
+  return {
+    ok: problems.length === 0,
+    entries,
+    firstSeq,
+    lastSeq: previous?.seq ?? null,
+    files: files.map(file => path.basename(file)),
+    problems
+  };
 }
 
-export default { logCommand };
+export default { logCommand, listAuditFiles, verifyAuditLog };
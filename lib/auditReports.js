@@ -0,0 +1,269 @@
+/**
+ * Audit Reports - Query the audit log (see auditLogger.js) and build summaries from it
+ *
+ * Used by `lumen audit` and the Telegram bot's /audit. Both take the same arguments:
+ *
+ *   list   [filters]                      matching entries, newest first
+ *   show   <seq>                          one entry with its full (redacted) output
+ *   export <entries|per-user-day|blocked> [--format csv|json] [filters]
+ *   verify                                check the hash chain
+ *   sinks                                 configured sinks and their buffers (see auditSinks.js)
+ *
+ *   filters: --since 24h|7d|2026-10-01  --until <same>  --status blocked,denied  --actor alice
+ *            --host web1  --command "rm -rf"  --trace <trace id>  --limit 50
+ *
+ * --actor matches a user id, username or platform ("telegram", "cli:alice"); --host and
+ * --command match substrings (case-insensitive).
+ */
+
+import fs from 'fs';
+import { listAuditFiles } from './auditLogger.js';
+
+export const AUDIT_STATUSES = ['success', 'error', 'blocked', 'denied', 'dry-run', 'started', 'cancelled', 'resource-limit'];
+export const AUDIT_REPORTS = ['entries', 'per-user-day', 'blocked'];
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a point in time: a duration back from now ("24h", "7d") or a date
+ * @param {string} text - "30m", "24h", "7d", "2w", or anything Date.parse understands
+ * @returns {Date} The time
+ */
+export function parseAuditTime(text, now = Date.now()) {
+  const relative = String(text).match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/i);
+  if (relative) return new Date(now - parseFloat(relative[1]) * DURATION_UNITS[relative[2].toLowerCase()]);
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) throw new Error(`Invalid time "${text}" (use e.g. 24h, 7d or 2026-10-01)`);
+  return new Date(time);
+}
+
+/**
+ * Split `lumen audit` / `/audit` arguments into positionals and filters
+ * @param {string[]} args - e.g. ['list', '--status', 'blocked', '--since=7d']
+ * @returns {object} { positional: [...], filters: { since, until, status, actor, host, command, trace, limit }, format, output }
+ */
+export function parseAuditArgs(args) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([a-z]+)(?:=(.*))?$/);
+    if (!match) {
+      positional.push(args[i]);
+      continue;
+    }
+    const value = match[2] ?? args[++i];
+    if (value === undefined) throw new Error(`--${match[1]} needs a value`);
+    flags[match[1]] = value;
+  }
+
+  const known = ['since', 'until', 'status', 'actor', 'host', 'command', 'trace', 'limit', 'format', 'output'];
+  const unknown = Object.keys(flags).filter(flag => !known.includes(flag));
+  if (unknown.length > 0) throw new Error(`Unknown option --${unknown[0]} (options: ${known.map(flag => `--${flag}`).join(' ')})`);
+
+  const status = flags.status ? flags.status.split(',').map(value => value.trim()).filter(Boolean) : null;
+  const badStatus = status?.find(value => !AUDIT_STATUSES.includes(value));
+  if (badStatus) throw new Error(`Unknown status "${badStatus}" (one of ${AUDIT_STATUSES.join(', ')})`);
+  const limit = flags.limit !== undefined ? parseInt(flags.limit, 10) : null;
+  if (limit !== null && !(limit > 0)) throw new Error(`Invalid --limit "${flags.limit}"`);
+  if (flags.format && !['csv', 'json'].includes(flags.format)) throw new Error(`Invalid --format "${flags.format}" (csv or json)`);
+
+  return {
+    positional,
+    filters: {
+      since: flags.since ? parseAuditTime(flags.since) : null,
+      until: flags.until ? parseAuditTime(flags.until) : null,
+      status,
+      actor: flags.actor || null,
+      host: flags.host || null,
+      command: flags.command || null,
+      trace: flags.trace || null,
+      limit
+    },
+    format: flags.format || 'csv',
+    output: flags.output || null
+  };
+}
+
+/**
+ * Every audit entry, oldest first (lines that don't parse are skipped; verifyAuditLog reports them)
+ * @param {object} options - Options
+ * @param {string} options.dir - Audit directory (default: LUMEN_AUDIT_DIR)
+ * @returns {object[]} Entries
+ */
+export function readAuditEntries({ dir = undefined } = {}) {
+  const entries = [];
+  for (const file of listAuditFiles(dir)) {
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+      if (line.trim() === '') continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Reported by verifyAuditLog
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * "platform:user" label for an entry's actor
+ */
+export function actorLabel(actor) {
+  if (!actor) return 'unknown';
+  const user = actor.username || actor.userId;
+  return `${actor.platform || 'unknown'}:${user ?? '?'}`;
+}
+
+function matchesActor(actor, wanted) {
+  if (!actor) return false;
+  const needle = wanted.toLowerCase();
+  const names = [actor.userId, actor.username, actor.platform, actorLabel(actor), `${actor.platform}:${actor.userId}`];
+  return names.some(name => name !== undefined && name !== null && String(name).toLowerCase() === needle);
+}
+
+/**
+ * Filter audit entries
+ * @param {object[]} entries - Entries (oldest first)
+ * @param {object} filters - { since, until, status, actor, host, command, trace, limit } (see parseAuditArgs)
+ * @returns {object[]} Matching entries, newest first, at most `limit`
+ */
+export function filterAuditEntries(entries, filters = {}) {
+  const { since, until, status, actor, host, command, trace, limit } = filters;
+  const matches = entries.filter(entry => {
+    const time = Date.parse(entry.timestamp);
+    if (since && time < since.getTime()) return false;
+    if (until && time > until.getTime()) return false;
+    if (status && !status.includes(entry.status)) return false;
+    if (actor && !matchesActor(entry.actor, actor)) return false;
+    if (host && !(entry.host || '').toLowerCase().includes(host.toLowerCase())) return false;
+    if (command && !(entry.command || '').toLowerCase().includes(command.toLowerCase())) return false;
+    if (trace && entry.traceId !== trace) return false;
+    return true;
+  }).reverse();
+  return limit ? matches.slice(0, limit) : matches;
+}
+
+/**
+ * Build a report from entries
+ * @param {string} report - 'entries' (one row per entry), 'per-user-day' (commands per user per day,
+ *   by status) or 'blocked' (blocked and denied attempts)
+ * @param {object[]} entries - Entries to summarize
+ * @returns {object[]} Rows (flat objects, ready for CSV)
+ */
+export function buildAuditReport(report, entries) {
+  if (report === 'entries') {
+    return entries.map(entry => ({
+      seq: entry.seq,
+      timestamp: entry.timestamp,
+      status: entry.status,
+      actor: actorLabel(entry.actor),
+      host: entry.host || '',
+      approval: entry.approval || '',
+      policy: entry.policy?.policy || '',
+      decision: entry.policy?.decision || '',
+      exitCode: entry.exitCode ?? '',
+      durationMs: entry.durationMs ?? '',
+      command: entry.command || ''
+    }));
+  }
+
+  if (report === 'per-user-day') {
+    const rows = new Map();
+    for (const entry of entries) {
+      const date = entry.timestamp.slice(0, 10);
+      const actor = actorLabel(entry.actor);
+      const key = `${date} ${actor}`;
+      if (!rows.has(key)) {
+        rows.set(key, { date, actor, commands: 0, ...Object.fromEntries(AUDIT_STATUSES.map(status => [status, 0])) });
+      }
+      const row = rows.get(key);
+      row.commands++;
+      if (entry.status in row) row[entry.status]++;
+    }
+    return [...rows.values()].sort((a, b) => a.date.localeCompare(b.date) || a.actor.localeCompare(b.actor));
+  }
+
+  if (report === 'blocked') {
+    return entries
+      .filter(entry => entry.status === 'blocked' || entry.status === 'denied')
+      .map(entry => ({
+        seq: entry.seq,
+        timestamp: entry.timestamp,
+        status: entry.status,
+        actor: actorLabel(entry.actor),
+        host: entry.host || '',
+        policy: entry.policy?.policy || '',
+        rules: (entry.policy?.rules || []).join(' '),
+        command: entry.command || '',
+        message: entry.message || ''
+      }));
+  }
+
+  throw new Error(`Unknown report "${report}" (one of ${AUDIT_REPORTS.join(', ')})`);
+}
+
+/**
+ * Rows as CSV; cells that a spreadsheet would run as a formula are quoted with a leading '
+ * @param {object[]} rows - Flat objects with the same keys
+ * @returns {string} CSV with a header line
+ */
+export function toCsv(rows) {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  const cell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * One line per entry for listings
+ */
+export function formatAuditLine(entry, maxCommand = 80) {
+  const command = (entry.command || '').replace(/\s+/g, ' ');
+  const shown = command.length > maxCommand ? `${command.slice(0, maxCommand - 1)}…` : command;
+  const exit = entry.exitCode !== undefined && entry.exitCode !== null ? ` exit ${entry.exitCode}` : '';
+  return `#${entry.seq} ${entry.timestamp.replace('T', ' ').slice(0, 19)} ${entry.status}${exit} ${actorLabel(entry.actor)}${entry.host ? `@${entry.host}` : ''}  ${shown}`;
+}
+
+/**
+ * An entry in full, as text
+ */
+export function formatAuditEntry(entry) {
+  const lines = [
+    `Entry #${entry.seq} • ${entry.timestamp}`,
+    `Status:    ${entry.status}${entry.exitCode !== undefined && entry.exitCode !== null ? ` (exit ${entry.exitCode}${entry.signal ? `, ${entry.signal}` : ''})` : ''}`,
+    `Actor:     ${actorLabel(entry.actor)}${entry.actor?.chatId ? ` (chat ${entry.actor.chatId})` : ''}`,
+    `Host:      ${entry.host || 'unknown'}${entry.cwd ? ` in ${entry.cwd}` : ''}${entry.backend ? ` (${entry.backend})` : ''}`,
+    `Approval:  ${entry.approval || '-'}`,
+    `Policy:    ${entry.policy ? `${entry.policy.policy} → ${entry.policy.decision} (${entry.policy.securityLevel})${entry.policy.rules?.length ? `, rules: ${entry.policy.rules.join(', ')}` : ''}` : '-'}`,
+    `Command:   ${entry.command || ''}`
+  ];
+  if (entry.reasoning) lines.push(`Reasoning: ${entry.reasoning}`);
+  if (entry.durationMs !== undefined) lines.push(`Duration:  ${entry.durationMs}ms`);
+  if (entry.jobId) lines.push(`Job:       ${entry.jobId}`);
+  if (entry.traceId) lines.push(`Trace:     ${entry.traceId}`);
+  if (entry.message) lines.push(`Message:   ${entry.message}`);
+  if (entry.secrets?.length) lines.push(`Secrets:   ${entry.secrets.join(', ')}`);
+  if (entry.leaks?.length) lines.push(`Leaks:     ${entry.leaks.map(leak => `${leak.name} in ${leak.stream}`).join(', ')}`);
+  if (entry.stdout) lines.push('', '--- stdout ---', entry.stdout);
+  if (entry.stderr) lines.push('', '--- stderr ---', entry.stderr);
+  lines.push('', `Hash: ${entry.hash}`);
+  return lines.join('\n');
+}
+
+export default {
+  AUDIT_STATUSES,
+  AUDIT_REPORTS,
+  parseAuditTime,
+  parseAuditArgs,
+  readAuditEntries,
+  actorLabel,
+  filterAuditEntries,
+  buildAuditReport,
+  toCsv,
+  formatAuditLine,
+  formatAuditEntry
+};
@@ -0,0 +1,805 @@
+/**
+ * Audit Sinks - Copies of audit entries sent elsewhere: files, SQLite, syslog, webhooks
+ *
+ * The hash-chained log in LUMEN_AUDIT_DIR (see auditLogger.js) is always written first; every
+ * entry is then handed to the configured sinks. Each sink implements:
+ *
+ *   sink.name               - Name from the config (used for its disk buffer)
+ *   sink.type               - Sink type ('file', 'sqlite', 'syslog', 'webhook', ...)
+ *   sink.describe()         - Where it delivers, for `lumen audit sinks`
+ *   sink.write(entries)     - Resolves once a batch is delivered; rejects if it wasn't
+ *
+ * Sinks are configured in LUMEN_AUDIT_SINKS (a JSON file, or the JSON itself), default
+ * ./audit-sinks.json if it exists:
+ *
+ *   { "sinks": [
+ *     { "name": "archive", "type": "sqlite", "path": "/var/lib/lumen/audit.db" },
+ *     { "name": "siem", "type": "syslog", "transport": "tcp", "host": "logs.internal", "port": 601 },
+ *     { "name": "security", "type": "webhook", "url": "https://hooks.example.com/lumen",
+ *       "headers": { "Authorization": "Bearer ${SECURITY_WEBHOOK_TOKEN}" },
+ *       "filter": { "status": ["blocked", "denied"] } }
+ *   ] }
+ *
+ * ${VAR} in string options is replaced from the environment, so tokens stay out of the file.
+ * filter takes the same fields as `lumen audit list` (status, actor, host, command).
+ *
+ * Delivery never blocks a command: entries are queued per sink and written in batches
+ * (batchSize, default 100, or after flushMs, default 1000) in the background, each sink on its
+ * own. A failed batch is retried (retries, default 3, with backoff from backoffMs, default 500);
+ * after that the sink counts as unavailable and its entries go to a buffer file,
+ * <LUMEN_AUDIT_DIR>/buffer/<name>.jsonl (at most LUMEN_AUDIT_BUFFER_MAX_BYTES, default 50 MiB,
+ * per sink). The buffer is replayed, oldest first, once the sink takes entries again - also by
+ * the next process that starts. Entries still queued when the process exits are buffered too,
+ * so delivery is at least once: a batch cut off mid-write may arrive twice (the SQLite sink
+ * ignores duplicates by hash).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import tls from 'tls';
+import path from 'path';
+import dgram from 'dgram';
+import { createRequire } from 'module';
+import { AUDIT_STATUSES, actorLabel, filterAuditEntries } from './auditReports.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('audit');
+const require = createRequire(import.meta.url);
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_FLUSH_MS = 1000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF_MS = 500;
+const MAX_REPLAY_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_BUFFER_MAX_BYTES = 50 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10000;
+const NAME_PATTERN = /^[\w.-]+$/;
+
+const sinkTypes = new Map();
+let activeSinks = null; // [{ sink, filter, queue, ... }] once loaded
+let failedSinks = []; // [{ name, type, filter, error }] configured sinks that couldn't be created
+let exitHandlerInstalled = false;
+
+function getBufferDir() {
+  return process.env.LUMEN_AUDIT_BUFFER_DIR
+    || path.join(process.env.LUMEN_AUDIT_DIR || path.join(process.cwd(), 'audit'), 'buffer');
+}
+
+function bufferMaxBytes() {
+  const max = parseInt(process.env.LUMEN_AUDIT_BUFFER_MAX_BYTES, 10);
+  return Number.isFinite(max) && max > 0 ? max : DEFAULT_BUFFER_MAX_BYTES;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms).unref());
+}
+
+/**
+ * Replace ${VAR} in every string of a config value with the environment variable
+ */
+function expandEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => process.env[name] ?? '');
+  }
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, expandEnv(inner)]));
+  }
+  return value;
+}
+
+// --- file ---------------------------------------------------------------------------------
+
+/**
+ * Append entries as JSON lines to a file of its own (e.g. on another disk or a shared mount)
+ * @param {object} options - { name, path }
+ */
+export function createFileSink({ name = 'file', path: file } = {}) {
+  if (!file) throw new Error(`Audit sink "${name}" (file) needs a path`);
+
+  return {
+    name,
+    type: 'file',
+    describe: () => `file ${file}`,
+    async write(entries) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), { encoding: 'utf-8', mode: 0o600 });
+    }
+  };
+}
+
+// --- sqlite -------------------------------------------------------------------------------
+
+let sqliteDriver; // file => database, null if there is none; looked up once
+
+/**
+ * Find a SQLite driver: node:sqlite (Node 22.5+) or better-sqlite3 (optional dependency), whichever opens a database
+ * @returns {Function|null} file => database
+ */
+function findSqliteDriver() {
+  if (sqliteDriver !== undefined) return sqliteDriver;
+  const candidates = [
+    () => {
+      const { DatabaseSync } = require('node:sqlite');
+      return file => new DatabaseSync(file);
+    },
+    () => {
+      const Database = require('better-sqlite3');
+      return file => new Database(file);
+    }
+  ];
+  sqliteDriver = null;
+  for (const candidate of candidates) {
+    try {
+      const open = candidate();
+      // better-sqlite3 loads its native binding on first open; a failed build only shows up here
+      open(':memory:').close();
+      sqliteDriver = open;
+      break;
+    } catch {
+      // Older Node, sqlite behind --experimental-sqlite, or better-sqlite3 missing or not built
+    }
+  }
+  return sqliteDriver;
+}
+
+/**
+ * Insert entries into a SQLite table: the columns people filter on, plus the whole entry as JSON
+ * @param {object} options - { name, path, table }
+ */
+export function createSqliteSink({ name = 'sqlite', path: file, table = 'audit_log' } = {}) {
+  if (!file) throw new Error(`Audit sink "${name}" (sqlite) needs a path`);
+  if (!/^\w+$/.test(table)) throw new Error(`Audit sink "${name}": invalid table name "${table}"`);
+  const openSqlite = findSqliteDriver();
+  if (!openSqlite) {
+    throw new Error(`Audit sink "${name}" (sqlite): no SQLite driver (needs Node 22.5+ with node:sqlite, or \`npm install better-sqlite3\`)`);
+  }
+  let db = null;
+
+  async function open() {
+    if (db) return db;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const opened = openSqlite(file);
+    opened.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+      hash TEXT PRIMARY KEY,
+      seq INTEGER,
+      timestamp TEXT,
+      host TEXT,
+      status TEXT,
+      actor TEXT,
+      command TEXT,
+      exit_code INTEGER,
+      entry TEXT NOT NULL
+    )`);
+    opened.exec(`CREATE INDEX IF NOT EXISTS ${table}_timestamp ON ${table} (timestamp)`);
+    db = opened;
+    return db;
+  }
+
+  return {
+    name,
+    type: 'sqlite',
+    describe: () => `sqlite ${file} (${table})`,
+    async write(entries) {
+      const database = await open();
+      // Replayed entries may have been stored already; the hash makes them duplicates
+      const insert = database.prepare(`INSERT OR IGNORE INTO ${table}
+        (hash, seq, timestamp, host, status, actor, command, exit_code, entry) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+      database.exec('BEGIN');
+      try {
+        for (const entry of entries) {
+          insert.run(
+            entry.hash ?? null,
+            entry.seq ?? null,
+            entry.timestamp ?? null,
+            entry.host ?? null,
+            entry.status ?? null,
+            actorLabel(entry.actor),
+            entry.command ?? null,
+            Number.isInteger(entry.exitCode) ? entry.exitCode : null,
+            JSON.stringify(entry)
+          );
+        }
+        database.exec('COMMIT');
+      } catch (error) {
+        database.exec('ROLLBACK');
+        throw error;
+      }
+    }
+  };
+}
+
+// --- syslog -------------------------------------------------------------------------------
+
+const FACILITIES = {
+  kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7, uucp: 8, cron: 9,
+  authpriv: 10, ftp: 11, ntp: 12, audit: 13, alert: 14, clock: 15,
+  local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+// IANA's example enterprise number, as used in RFC 5424's own examples
+const SD_ID = 'lumen@32473';
+
+/**
+ * Syslog severity for an entry: leaked credentials are critical, refusals warnings, failures errors
+ */
+function severityOf(entry) {
+  if (entry.leaks?.length > 0) return 2;
+  if (entry.status === 'error' || entry.status === 'resource-limit') return 3;
+  if (entry.status === 'blocked' || entry.status === 'denied') return 4;
+  return 6;
+}
+
+/**
+ * RFC 5424 header field: printable US-ASCII without spaces, '-' when empty
+ */
+function headerField(value, maxLength) {
+  const text = String(value ?? '').replace(/[^\x21-\x7e]/g, '').slice(0, maxLength);
+  return text === '' ? '-' : text;
+}
+
+function sdValue(value) {
+  return String(value).replace(/["\\\]]/g, '\\$&');
+}
+
+/**
+ * Format an audit entry as an RFC 5424 syslog message
+ * @param {object} entry - Audit entry
+ * @param {object} options - { facility (name or number, default 'auth'), appName (default 'lumen'), includeOutput }
+ * @returns {string} `<PRI>1 TIMESTAMP HOST APP PROCID MSGID [lumen@32473 ...] BOM{json}`
+ */
+export function formatSyslogMessage(entry, { facility = 'auth', appName = 'lumen', includeOutput = false } = {}) {
+  const code = typeof facility === 'number' ? facility : FACILITIES[facility];
+  if (code === undefined) throw new Error(`Unknown syslog facility "${facility}"`);
+
+  const params = {
+    seq: entry.seq,
+    status: entry.status,
+    actor: actorLabel(entry.actor),
+    approval: entry.approval,
+    exitCode: entry.exitCode,
+    hash: entry.hash
+  };
+  const structured = `[${SD_ID}${Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${sdValue(value)}"`)
+    .join('')}]`;
+
+  const { stdout, stderr, ...summary } = entry;
+  const message = JSON.stringify(includeOutput ? entry : summary);
+
+  return [
+    `<${code * 8 + severityOf(entry)}>1`,
+    entry.timestamp || new Date().toISOString(),
+    headerField(entry.host || os.hostname(), 255),
+    headerField(appName, 48),
+    headerField(process.pid, 128),
+    headerField(entry.event || 'command', 32),
+    structured,
+    `\uFEFF${message}`
+  ].join(' ');
+}
+
+function sendDatagrams(host, port, messages, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    const timer = setTimeout(() => finish(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+    let pending = messages.length;
+    let done = false;
+    function finish(error) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      socket.close();
+      if (error) reject(error); else resolve();
+    }
+    socket.once('error', finish);
+    for (const message of messages) {
+      socket.send(Buffer.from(message), port, host, (error) => {
+        if (error) finish(error);
+        else if (--pending === 0) finish();
+      });
+    }
+  });
+}
+
+function sendStream(connectOptions, secure, payload, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect(connectOptions) : net.connect(connectOptions);
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    socket.on('error', reject);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.end(payload, () => {
+        // Everything is handed to the kernel; don't hold the process open for the close
+        socket.unref();
+        resolve();
+      });
+    });
+  });
+}
+
+/**
+ * Send entries to a syslog server as RFC 5424 messages
+ * @param {object} options - { name, transport: 'udp'|'tcp'|'unix', host, port, path, tls, facility, appName,
+ *   includeOutput, framing: 'octet-counting'|'newline', maxLength, timeoutMs }
+ *   udp (default port 514) sends one datagram per entry, cut to maxLength (default 8192) bytes;
+ *   tcp (default port 601, 6514 with tls) uses RFC 6587 octet counting; unix connects to a
+ *   stream socket at path (Node can't write to datagram sockets like /dev/log) with newline framing
+ */
+export function createSyslogSink({
+  name = 'syslog',
+  transport = 'udp',
+  host = '127.0.0.1',
+  port = undefined,
+  path: socketPath = undefined,
+  tls: secure = false,
+  facility = 'auth',
+  appName = 'lumen',
+  includeOutput = false,
+  framing = transport === 'tcp' ? 'octet-counting' : 'newline',
+  maxLength = 8192,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) {
+  if (!['udp', 'tcp', 'unix'].includes(transport)) {
+    throw new Error(`Audit sink "${name}": unknown syslog transport "${transport}" (udp, tcp or unix)`);
+  }
+  if (transport === 'unix' && !socketPath) throw new Error(`Audit sink "${name}": the unix transport needs a path`);
+  if (typeof facility !== 'number' && FACILITIES[facility] === undefined) {
+    throw new Error(`Audit sink "${name}": unknown syslog facility "${facility}"`);
+  }
+  const serverPort = port || (transport === 'udp' ? 514 : secure ? 6514 : 601);
+  const target = transport === 'unix' ? socketPath : `${host}:${serverPort}`;
+
+  const frame = (message) => framing === 'octet-counting'
+    ? `${Buffer.byteLength(message)} ${message}`
+    : `${message}\n`;
+
+  return {
+    name,
+    type: 'syslog',
+    describe: () => `syslog ${transport}${secure ? '+tls' : ''} ${target} (${facility})`,
+    async write(entries) {
+      const messages = entries.map(entry => formatSyslogMessage(entry, { facility, appName, includeOutput }));
+      if (transport === 'udp') {
+        const datagrams = messages.map(message => Buffer.from(message).subarray(0, maxLength).toString('utf-8'));
+        await sendDatagrams(host, serverPort, datagrams, timeoutMs);
+        return;
+      }
+      const connectOptions = transport === 'unix' ? { path: socketPath } : { host, port: serverPort, servername: host };
+      await sendStream(connectOptions, secure && transport === 'tcp', messages.map(frame).join(''), timeoutMs);
+    }
+  };
+}
+
+// --- webhook ------------------------------------------------------------------------------
+
+/**
+ * POST batches of entries as JSON: { source: 'lumen', sink, host, entries: [...] }
+ * @param {object} options - { name, url, headers, timeoutMs }; any non-2xx answer counts as a failure
+ */
+export function createWebhookSink({ name = 'webhook', url, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  if (!url) throw new Error(`Audit sink "${name}" (webhook) needs a url`);
+  const target = new URL(url);
+
+  return {
+    name,
+    type: 'webhook',
+    describe: () => `webhook ${target.origin}${target.pathname}`,
+    async write(entries) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'lumen-audit', ...headers },
+        body: JSON.stringify({ source: 'lumen', sink: name, host: os.hostname(), entries }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+    }
+  };
+}
+
+const builtInTypes = {
+  file: createFileSink,
+  sqlite: createSqliteSink,
+  syslog: createSyslogSink,
+  webhook: createWebhookSink
+};
+
+/**
+ * Register (or replace) a sink type
+ * @param {string} type - Type name used in the config
+ * @param {Function} factory - (options) => sink implementing write(entries) and describe()
+ */
+export function registerAuditSinkType(type, factory) {
+  if (typeof factory !== 'function') throw new Error(`Audit sink type "${type}" needs a factory function`);
+  sinkTypes.set(type, factory);
+  return factory;
+}
+
+/**
+ * List all sink types that can be configured
+ * @returns {string[]} Type names
+ */
+export function listAuditSinkTypes() {
+  return Array.from(new Set([...Object.keys(builtInTypes), ...sinkTypes.keys()]));
+}
+
+/**
+ * Build a sink from one config entry
+ * @param {object} config - { type, name, ...options } (filter and delivery options are handled by the dispatcher)
+ * @returns {object} Sink
+ */
+export function createAuditSink(config) {
+  const factory = sinkTypes.get(config.type) || builtInTypes[config.type];
+  if (!factory) {
+    throw new Error(`Unknown audit sink type: ${config.type}. Available: ${listAuditSinkTypes().join(', ')}`);
+  }
+  const sink = factory(config);
+  if (!sink || typeof sink.write !== 'function') {
+    throw new Error(`Audit sink "${config.name}" (${config.type}) must implement write(entries)`);
+  }
+  return { describe: () => config.type, ...sink, name: config.name, type: config.type };
+}
+
+/**
+ * Read the sink config (LUMEN_AUDIT_SINKS, a file or inline JSON; default ./audit-sinks.json)
+ * @returns {object[]} Sink configs with name, type, filter and delivery options
+ */
+export function loadAuditSinkConfig() {
+  let source = process.env.LUMEN_AUDIT_SINKS;
+  if (!source) {
+    const defaultFile = path.join(process.cwd(), 'audit-sinks.json');
+    if (!fs.existsSync(defaultFile)) return [];
+    source = defaultFile;
+  }
+  const trimmed = source.trim();
+  const raw = trimmed.startsWith('[') || trimmed.startsWith('{')
+    ? JSON.parse(trimmed)
+    : JSON.parse(fs.readFileSync(source, 'utf-8'));
+  const list = Array.isArray(raw) ? raw : raw.sinks || [];
+
+  const names = new Set();
+  return list.map((config, index) => {
+    if (!config?.type) throw new Error(`Audit sink #${index + 1} needs a type`);
+    const name = config.name || config.type;
+    if (!NAME_PATTERN.test(name)) throw new Error(`Invalid audit sink name "${name}" (letters, digits, _ . - only)`);
+    if (names.has(name)) throw new Error(`Two audit sinks are named "${name}"; give them distinct names`);
+    names.add(name);
+
+    const filter = { ...(config.filter || {}) };
+    if (typeof filter.status === 'string') filter.status = filter.status.split(',').map(status => status.trim());
+    const badStatus = filter.status?.find(status => !AUDIT_STATUSES.includes(status));
+    if (badStatus) throw new Error(`Audit sink "${name}": unknown status "${badStatus}" (one of ${AUDIT_STATUSES.join(', ')})`);
+
+    return { ...expandEnv(config), name, filter };
+  });
+}
+
+// --- delivery -----------------------------------------------------------------------------
+
+function bufferFile(state) {
+  return path.join(getBufferDir(), `${state.sink.name}.jsonl`);
+}
+
+function readLines(file) {
+  try {
+    return fs.readFileSync(file, 'utf-8').split('\n').filter(line => line.trim() !== '');
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Append entries to the sink's disk buffer (synchronous: also used on exit)
+ */
+function bufferEntries(state, entries) {
+  if (entries.length === 0) return;
+  const file = bufferFile(state);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    const size = fs.statSync(file, { throwIfNoEntry: false })?.size || 0;
+    const text = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    if (size + Buffer.byteLength(text) > bufferMaxBytes()) {
+      log.error(`Sink ${state.sink.name} buffer is full (${file}); dropped ${entries.length} entries`);
+      return;
+    }
+    fs.appendFileSync(file, text, { encoding: 'utf-8', mode: 0o600 });
+  } catch (error) {
+    log.error(`Sink ${state.sink.name} could not buffer ${entries.length} entries: ${error.message}`);
+  }
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Take over the sink's buffer: this process's claim plus any left by a process that died mid-replay
+ * @returns {string[]} Claimed files, oldest first
+ */
+function claimBuffer(state) {
+  const file = bufferFile(state);
+  const base = path.basename(file);
+  const claimed = [];
+  let names = [];
+  try {
+    names = fs.readdirSync(path.dirname(file));
+  } catch {
+    return claimed;
+  }
+  for (const name of names) {
+    const match = name.startsWith(`${base}.replay-`) && name.match(/\.replay-(\d+)$/);
+    if (match && !processAlive(parseInt(match[1], 10))) claimed.push(path.join(path.dirname(file), name));
+  }
+  if (names.includes(base)) {
+    const claim = `${file}.replay-${process.pid}`;
+    try {
+      fs.renameSync(file, claim);
+      claimed.push(claim);
+    } catch {
+      // Another process claimed it first
+    }
+  }
+  return claimed;
+}
+
+/**
+ * Write one batch, retrying with backoff
+ * @returns {Promise<boolean>} Whether it was delivered
+ */
+async function deliver(state, batch) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await state.sink.write(batch);
+      if (state.unavailable) {
+        log.info(`Sink ${state.sink.name} is available again`);
+      }
+      state.unavailable = false;
+      state.lastError = null;
+      state.failures = 0;
+      return true;
+    } catch (error) {
+      state.lastError = error.message;
+      if (attempt >= state.retries) break;
+      await sleep(state.backoffMs * 2 ** attempt);
+    }
+  }
+  if (!state.unavailable) {
+    log.warn(`Sink ${state.sink.name} unavailable (${state.lastError}); buffering to ${bufferFile(state)}`);
+  }
+  state.unavailable = true;
+  state.failures++;
+  return false;
+}
+
+/**
+ * Deliver the disk buffer, oldest first
+ * @returns {Promise<boolean>} Whether the buffer is empty now
+ */
+async function replayBuffer(state) {
+  const claimed = claimBuffer(state);
+  let replayed = 0;
+  for (let index = 0; index < claimed.length; index++) {
+    const lines = readLines(claimed[index]);
+    for (let start = 0; start < lines.length; start += state.batchSize) {
+      const batch = lines.slice(start, start + state.batchSize).map(line => JSON.parse(line));
+      if (!await deliver(state, batch)) {
+        // Put what's left back in front of anything buffered in the meantime
+        const file = bufferFile(state);
+        const rest = [...lines.slice(start), ...claimed.slice(index + 1).flatMap(readLines), ...readLines(file)];
+        fs.writeFileSync(`${file}.tmp`, rest.map(line => `${line}\n`).join(''), { encoding: 'utf-8', mode: 0o600 });
+        fs.renameSync(`${file}.tmp`, file);
+        claimed.slice(index).forEach(claim => fs.rmSync(claim, { force: true }));
+        return false;
+      }
+      replayed += batch.length;
+    }
+    fs.rmSync(claimed[index], { force: true });
+  }
+  if (replayed > 0) log.info(`Sink ${state.sink.name} delivered ${replayed} buffered entries`);
+  return true;
+}
+
+function scheduleFlush(state, delayMs) {
+  if (state.timer) return;
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    flush(state).catch(error => log.error(`Sink ${state.sink.name} failed: ${error.message}`));
+  }, delayMs);
+  state.timer.unref();
+}
+
+/**
+ * Deliver the buffer, then the queue; on failure buffer the rest and try again later
+ */
+async function flush(state) {
+  if (state.flushing) return;
+  state.flushing = true;
+  try {
+    let delivered = await replayBuffer(state);
+    while (delivered && state.queue.length > 0) {
+      state.inflight = state.queue.splice(0, state.batchSize);
+      delivered = await deliver(state, state.inflight);
+      if (!delivered) bufferEntries(state, state.inflight);
+      state.inflight = [];
+    }
+    if (!delivered) {
+      bufferEntries(state, state.queue.splice(0));
+      scheduleFlush(state, Math.min(state.backoffMs * 2 ** (state.retries + state.failures), MAX_REPLAY_DELAY_MS));
+    }
+  } finally {
+    state.flushing = false;
+  }
+  if (state.queue.length > 0) scheduleFlush(state, 0);
+}
+
+/**
+ * Configured sinks with their queues (loaded on first use)
+ */
+function getActiveSinks() {
+  if (activeSinks) return activeSinks;
+  activeSinks = [];
+  failedSinks = [];
+  let configs;
+  try {
+    configs = loadAuditSinkConfig();
+  } catch (error) {
+    log.error(`Sink config not loaded: ${error.message}`);
+    return activeSinks;
+  }
+
+  for (const config of configs) {
+    try {
+      activeSinks.push({
+        sink: createAuditSink(config),
+        filter: config.filter,
+        batchSize: config.batchSize || DEFAULT_BATCH_SIZE,
+        flushMs: config.flushMs ?? DEFAULT_FLUSH_MS,
+        retries: config.retries ?? DEFAULT_RETRIES,
+        backoffMs: config.backoffMs ?? DEFAULT_BACKOFF_MS,
+        queue: [],
+        inflight: [],
+        timer: null,
+        flushing: false,
+        unavailable: false,
+        failures: 0,
+        lastError: null
+      });
+    } catch (error) {
+      failedSinks.push({ name: config.name, type: config.type, filter: config.filter, error: error.message });
+      log.error(`Sink ${config.name} not started: ${error.message}`);
+    }
+  }
+
+  if (activeSinks.length > 0 && !exitHandlerInstalled) {
+    exitHandlerInstalled = true;
+    // Whatever hasn't been delivered yet survives in the buffer
+    process.on('exit', () => {
+      for (const state of activeSinks) bufferEntries(state, [...state.inflight, ...state.queue.splice(0)]);
+    });
+  }
+  // Entries left buffered by an earlier run
+  for (const state of activeSinks) {
+    if (fs.existsSync(bufferFile(state))) scheduleFlush(state, 0);
+  }
+  return activeSinks;
+}
+
+/**
+ * Queue an entry for every sink whose filter matches it; returns at once
+ * @param {object} entry - Audit entry as written (redacted, with seq and hash)
+ */
+export function dispatchAuditEntry(entry) {
+  for (const state of getActiveSinks()) {
+    if (filterAuditEntries([entry], state.filter).length === 0) continue;
+    if (state.unavailable && !state.flushing) {
+      // Keep order behind what's already buffered; the scheduled retry delivers it
+      bufferEntries(state, [entry]);
+      continue;
+    }
+    state.queue.push(entry);
+    scheduleFlush(state, state.queue.length >= state.batchSize ? 0 : state.flushMs);
+  }
+}
+
+/**
+ * Try to deliver everything queued now (e.g. before a clean exit)
+ * @param {object} options - Options
+ * @param {number} options.timeoutMs - Give up after this long; what's left is buffered on exit (default: 5000)
+ */
+export async function flushAuditSinks({ timeoutMs = 5000 } = {}) {
+  const sinks = (activeSinks || []).filter(state => state.queue.length > 0 || state.flushing);
+  if (sinks.length === 0) return;
+  const done = Promise.all(sinks.map(async (state) => {
+    clearTimeout(state.timer);
+    state.timer = null;
+    while (state.flushing) await sleep(20);
+    if (!state.unavailable) await flush(state);
+  }));
+  await Promise.race([done, sleep(timeoutMs)]);
+}
+
+/**
+ * Load the configured sinks now rather than with the first entry, so one that can't start
+ * (bad options, missing SQLite driver) is reported when the app starts
+ * @returns {object[]} Sinks that didn't start [{ name, type, error }]
+ */
+export function startAuditSinks() {
+  getActiveSinks();
+  return failedSinks.map(({ name, type, error }) => ({ name, type, error }));
+}
+
+function countBuffered(sinkName) {
+  if (!NAME_PATTERN.test(sinkName || '')) return 0;
+  const file = bufferFile({ sink: { name: sinkName } });
+  return [file, ...claimBufferNames(file)].reduce((count, name) => count + readLines(name).length, 0);
+}
+
+/**
+ * Configured sinks and how they're doing; sinks that didn't start are listed as unavailable
+ * @returns {object[]} [{ name, type, target, filter, queued, buffered, unavailable, lastError }]
+ */
+export function auditSinkStatus() {
+  const running = getActiveSinks().map(state => ({
+    name: state.sink.name,
+    type: state.sink.type,
+    target: state.sink.describe(),
+    filter: state.filter,
+    queued: state.queue.length + state.inflight.length,
+    buffered: countBuffered(state.sink.name),
+    unavailable: state.unavailable,
+    lastError: state.lastError
+  }));
+  const failed = failedSinks.map(({ name, type, filter, error }) => ({
+    name,
+    type,
+    target: type,
+    filter,
+    queued: 0,
+    buffered: countBuffered(name),
+    unavailable: true,
+    lastError: `not started: ${error}`
+  }));
+  return [...running, ...failed];
+}
+
+/**
+ * One line per sink for `lumen audit sinks` and /audit sinks
+ */
+export function formatAuditSinkStatus(status) {
+  const filter = Object.entries(status.filter || {}).map(([key, value]) => `${key}=${[].concat(value).join(',')}`).join(' ');
+  const state = status.unavailable ? `unavailable (${status.lastError})` : 'ok';
+  return `${status.name}: ${status.target} - ${state}, ${status.buffered} buffered${filter ? `, only ${filter}` : ''}`;
+}
+
+function claimBufferNames(file) {
+  try {
+    return fs.readdirSync(path.dirname(file))
+      .filter(name => name.startsWith(`${path.basename(file)}.replay-`))
+      .map(name => path.join(path.dirname(file), name));
+  } catch {
+    return [];
+  }
+}
+
+export default {
+  createFileSink,
+  createSqliteSink,
+  createSyslogSink,
+  createWebhookSink,
+  formatSyslogMessage,
+  registerAuditSinkType,
+  listAuditSinkTypes,
+  createAuditSink,
+  loadAuditSinkConfig,
+  dispatchAuditEntry,
+  flushAuditSinks,
+  startAuditSinks,
+  auditSinkStatus,
+  formatAuditSinkStatus
+};
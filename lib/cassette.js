@@ -0,0 +1,186 @@
+/**
+ * Cassette - Record and replay LLM calls
+ *
+ * In record mode every queryOpenAI / queryOpenAIJsonMode call is appended to a
+ * JSONL file: the request (system prompt, query, schema name, model, temperature)
+ * and its parsed response. In replay mode responses are served from that file,
+ * keyed by a stable hash of the request, so a pipeline run can be reproduced
+ * exactly without network access.
+ *
+ * Identical requests recorded several times are replayed in recorded order;
+ * once exhausted, the last response for that key keeps being served.
+ *
+ * Configuration:
+ * - LUMEN_CASSETTE_MODE: 'record', 'replay' or 'off' (default 'off')
+ * - LUMEN_CASSETTE_FILE: cassette path (default ./cassette.jsonl)
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const MODES = ['record', 'replay', 'off'];
+
+// Volatile lines that would make every hash unique (e.g. the clock in the Lumen system prompt)
+const VOLATILE_LINES = [
+  /^- Current date and time: .*$/gm
+];
+
+/**
+ * Normalize a system prompt so that hashes survive clock changes
+ * @param {string} systemPrompt - System prompt sent to the model
+ * @returns {string} Normalized prompt
+ */
+export function normalizeSystemPrompt(systemPrompt) {
+  if (!systemPrompt) return '';
+  return VOLATILE_LINES.reduce((text, pattern) => text.replace(pattern, ''), systemPrompt);
+}
+
+/**
+ * Compute the stable key for a request
+ * @param {object} request - Cassette request
+ * @param {string} request.systemPrompt - System prompt
+ * @param {string} request.query - User query
+ * @param {string} request.schemaName - Schema name (or 'json_object')
+ * @param {string} request.model - Resolved model name
+ * @param {number} request.temperature - Sampling temperature
+ * @returns {string} Hex SHA-256 hash
+ */
+export function hashRequest(request) {
+  const normalized = JSON.stringify([
+    normalizeSystemPrompt(request.systemPrompt),
+    request.query ?? '',
+    request.schemaName ?? '',
+    request.model ?? '',
+    request.temperature ?? null
+  ]);
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Derive a readable name for a schema that wasn't given one explicitly
+ * @param {object} schema - JSON schema
+ * @returns {string} Schema name
+ */
+export function describeSchema(schema) {
+  if (!schema) return 'none';
+  if (schema.title) return schema.title;
+  const digest = crypto.createHash('sha256').update(JSON.stringify(schema)).digest('hex');
+  return `schema:${digest.substring(0, 12)}`;
+}
+
+/**
+ * Create a cassette bound to a file
+ * @param {object} options - Cassette options
+ * @param {string} options.file - JSONL file path
+ * @param {string} options.mode - 'record', 'replay' or 'off'
+ * @returns {object} Cassette with record() and replay()
+ */
+export function createCassette(options = {}) {
+  const {
+    file = process.env.LUMEN_CASSETTE_FILE || path.join(process.cwd(), 'cassette.jsonl'),
+    mode = process.env.LUMEN_CASSETTE_MODE || 'off'
+  } = options;
+
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid cassette mode: ${mode}. Expected one of: ${MODES.join(', ')}`);
+  }
+
+  let entries = null; // key -> array of responses (loaded lazily for replay)
+  const cursors = new Map();
+
+  const load = () => {
+    entries = new Map();
+    let data = '';
+    try {
+      data = fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+      throw new Error(`Cannot replay: cassette file not found at ${file}`);
+    }
+
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      const entry = JSON.parse(line);
+      if (!entries.has(entry.key)) {
+        entries.set(entry.key, []);
+      }
+      entries.get(entry.key).push(entry.response);
+    }
+  };
+
+  return {
+    file,
+    mode,
+
+    /**
+     * Append a request/response pair to the cassette
+     */
+    async record(request, response) {
+      const entry = {
+        key: hashRequest(request),
+        ts: new Date().toISOString(),
+        request,
+        response
+      };
+      await fsp.appendFile(file, JSON.stringify(entry) + '\n', 'utf-8');
+      return entry;
+    },
+
+    /**
+     * Serve the recorded response for a request
+     * @throws {Error} When no recording matches (error.code === 'CASSETTE_MISS')
+     */
+    replay(request) {
+      if (!entries) load();
+
+      const key = hashRequest(request);
+      const responses = entries.get(key);
+      if (!responses || responses.length === 0) {
+        const error = new Error(
+          `No cassette entry for ${request.schemaName || 'request'} (key ${key.substring(0, 12)}) in ${file}`
+        );
+        error.code = 'CASSETTE_MISS';
+        error.key = key;
+        throw error;
+      }
+
+      const index = cursors.get(key) || 0;
+      cursors.set(key, index + 1);
+      // Deep copy so callers can't mutate the recording
+      return JSON.parse(JSON.stringify(responses[Math.min(index, responses.length - 1)]));
+    },
+
+    /**
+     * Restart replay from the first recorded response for every key
+     */
+    rewind() {
+      cursors.clear();
+    }
+  };
+}
+
+let defaultCassette = null;
+
+/**
+ * Resolve the cassette for a call
+ * @param {object|boolean|undefined} option - Cassette object, false to disable, undefined for env default
+ * @returns {object|null} Active cassette or null when off
+ */
+export function resolveCassette(option) {
+  if (option === false || option === null) return null;
+  if (option && typeof option === 'object') {
+    return option.mode === 'off' ? null : option;
+  }
+
+  const mode = process.env.LUMEN_CASSETTE_MODE || 'off';
+  if (mode === 'off') return null;
+
+  const file = process.env.LUMEN_CASSETTE_FILE || path.join(process.cwd(), 'cassette.jsonl');
+  if (!defaultCassette || defaultCassette.mode !== mode || defaultCassette.file !== file) {
+    defaultCassette = createCassette({ file, mode });
+  }
+  return defaultCassette;
+}
+
+export default { createCassette, resolveCassette, hashRequest, describeSchema, normalizeSystemPrompt };
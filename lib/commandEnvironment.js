@@ -0,0 +1,147 @@
+/**
+ * Command Environment - The environment variables executed commands get
+ *
+ * Commands don't inherit Lumen's process.env. They get:
+ * - the variables named by the policy's "env.inherit" allowlist (globs, default DEFAULT_INHERIT)
+ * - minus Lumen's own credentials (API keys, bot tokens, anything named like *_TOKEN, *_SECRET,
+ *   *_PASSWORD, *_API_KEY), even when the allowlist names them
+ * - plus named secrets from the local store (LUMEN_SECRETS_FILE, default ./secrets.json, a flat
+ *   { "NAME": "value" } object) - only for commands that reference them as $NAME or ${NAME},
+ *   and only names the policy's "env.secrets" list allows ("*" for all)
+ *
+ *   "env": { "inherit": ["PATH", "HOME", "LANG", "LC_*"], "secrets": ["GITHUB_TOKEN"] }
+ *
+ * findLeaks() checks command output for the values of those credentials and secrets, so the
+ * audit log can flag a command that printed one (by name, never the value). SecretRedactor
+ * withholds the same values (sensitiveValues()) from everything sent to the model or a chat.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getLogger } from './logger.js';
+
+const log = getLogger('secrets');
+
+export const DEFAULT_INHERIT = [
+  'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LANGUAGE', 'LC_*', 'TERM', 'TZ', 'TMPDIR', 'XDG_RUNTIME_DIR'
+];
+
+// Lumen's own credentials, on top of anything named like a credential
+const CREDENTIAL_VARIABLES = ['OPENAI_API_KEY', 'TELEGRAM_BOT_TOKEN', 'TELEGRAM_ADMIN_ID', 'LUMEN_LOCAL_API_KEY', 'DOTENV_KEY'];
+const CREDENTIAL_NAME = /(^|_)(API_?KEY|ACCESS_KEY|PRIVATE_KEY|TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIALS?)(_|$)/i;
+
+// Shorter values (ids, flags) would match ordinary output
+const MIN_LEAK_LENGTH = 8;
+
+const SECRET_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+let storeCache = null; // { file, mtimeMs, secrets }
+
+function getSecretsFile() {
+  return process.env.LUMEN_SECRETS_FILE || path.join(process.cwd(), 'secrets.json');
+}
+
+function globToRegExp(glob) {
+  return new RegExp(`^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+function isCredential(name) {
+  return CREDENTIAL_VARIABLES.includes(name) || CREDENTIAL_NAME.test(name);
+}
+
+/**
+ * Read the local secret store (re-read when the file changes)
+ * @returns {object} Secret name → value; empty when there is no store
+ */
+export function loadSecrets() {
+  const file = getSecretsFile();
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return {};
+  }
+  if (storeCache?.file === file && storeCache.mtimeMs === stat.mtimeMs) return storeCache.secrets;
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const secrets = {};
+  for (const [name, value] of Object.entries(raw)) {
+    if (!SECRET_NAME.test(name) || typeof value !== 'string') {
+      throw new Error(`Invalid secret "${name}" in ${file}: names must be shell variable names and values strings`);
+    }
+    secrets[name] = value;
+  }
+  if (process.platform !== 'win32' && (stat.mode & 0o077)) {
+    log.warn(`⚠️  Secret store ${file} is readable by other users (chmod 600 it)`);
+  }
+  storeCache = { file, mtimeMs: stat.mtimeMs, secrets };
+  return secrets;
+}
+
+/**
+ * Every value that must not leave the process: Lumen's credentials from process.env and the stored secrets
+ * @returns {object} Name → value
+ */
+export function sensitiveValues() {
+  const values = {};
+  for (const [name, value] of Object.entries(process.env)) {
+    if (isCredential(name)) values[name] = value;
+  }
+  return { ...values, ...loadSecrets() };
+}
+
+/**
+ * Secret names a command references as $NAME or ${NAME...}
+ */
+function referencedNames(command, names) {
+  return names.filter(name => new RegExp(`\\$\\{?${name}(?![A-Za-z0-9_])`).test(command));
+}
+
+/**
+ * Build the environment for one command
+ * @param {string} command - Command line (for secret references)
+ * @param {object} envPolicy - The policy's "env" block { inherit, secrets } (default: DEFAULT_INHERIT, no secrets)
+ * @returns {object} { env, secrets: [injected names], scrubbed: [credential names withheld], sensitive: { name: value } }
+ *   sensitive holds every value findLeaks() should look for - keep it out of results and logs
+ */
+export function buildCommandEnvironment(command, envPolicy = {}) {
+  const inherit = (envPolicy?.inherit || DEFAULT_INHERIT).map(globToRegExp);
+  const allowedSecrets = envPolicy?.secrets || [];
+
+  const env = {};
+  const scrubbed = [];
+  for (const [name, value] of Object.entries(process.env)) {
+    if (isCredential(name)) {
+      scrubbed.push(name);
+    } else if (inherit.some(pattern => pattern.test(name))) {
+      env[name] = value;
+    }
+  }
+
+  const store = loadSecrets();
+  const sensitive = sensitiveValues();
+  const injectable = allowedSecrets.includes('*') ? Object.keys(store) : Object.keys(store).filter(name => allowedSecrets.includes(name));
+  const secrets = referencedNames(command, injectable);
+  for (const name of secrets) env[name] = store[name];
+
+  return { env, secrets, scrubbed, sensitive };
+}
+
+/**
+ * Find credential or secret values in command output
+ * @param {object} output - { stdout, stderr }
+ * @param {object} sensitive - Name → value (from buildCommandEnvironment)
+ * @returns {object[]} [{ name, stream }] for each value found
+ */
+export function findLeaks(output, sensitive) {
+  const leaks = [];
+  for (const [name, value] of Object.entries(sensitive || {})) {
+    if (!value || value.length < MIN_LEAK_LENGTH) continue;
+    for (const stream of ['stdout', 'stderr']) {
+      if (output[stream]?.includes(value)) leaks.push({ name, stream });
+    }
+  }
+  return leaks;
+}
+
+export default { DEFAULT_INHERIT, loadSecrets, sensitiveValues, buildCommandEnvironment, findLeaks };
@@ -0,0 +1,150 @@
+/**
+ * Command Safety - Built-in checks for commands that wreck the machine
+ *
+ * These run next to the policy engine as a deny floor: recursive deletes or moves of / and
+ * system directories (rm -r, find -delete, mv), formatting, dd, raw disk access, the password
+ * files, fork bombs and downloaded scripts fed to a shell are blocked whatever the policy
+ * rules say. Only executeAgentCommand's `allowDangerous` skips them.
+ *
+ * Checks run on each simple command from shellParser.analyzeCommand, so they see through
+ * pipelines, chains, subshells, substitutions, wrappers (sudo, busybox), `sh -c` and `cd`.
+ * With the policy engine disabled (policy: false), checkCommandSafety() also matches the raw
+ * string against DANGEROUS_PATTERNS and blocks commands it can't parse; with a policy, those
+ * need approval through the policy instead.
+ */
+
+import os from 'os';
+import path from 'path';
+import { analyzeCommand } from './shellParser.js';
+
+// Raw-string backstop for the structural checks below, used when the policy engine is disabled (policy: false)
+const DANGEROUS_PATTERNS = [
+  /rm\s+-rf\s+\/($|\s)/,  // rm -rf /
+  /:\(\)\{.*:\|:.*\}/,     // Fork bombs
+  /\/dev\/sda/,            // Direct disk writes
+  /mkfs/,                  // Format commands
+  /dd\s+if=/,              // dd operations
+  /\/etc\/passwd/,         // Password file modification
+  /curl.*\|.*bash/,        // Pipe to bash
+  /wget.*\|.*sh/,          // Pipe to shell
+];
+
+// Directories whose recursive deletion wrecks the system
+const CRITICAL_DIRECTORIES = ['/', '/bin', '/boot', '/dev', '/etc', '/home', '/lib', '/lib64', '/proc', '/root', '/sbin', '/sys', '/usr', '/var'];
+const SHELL_INTERPRETERS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'ash', 'eval'];
+const DOWNLOADERS = ['curl', 'wget'];
+
+function isCriticalTarget(target) {
+  if (CRITICAL_DIRECTORIES.includes(target) || target === os.homedir()) return true;
+  // A glob directly inside one of them: /*, /etc/*
+  const parent = path.dirname(target);
+  return /[*?[]/.test(path.basename(target)) && (CRITICAL_DIRECTORIES.includes(parent) || parent === os.homedir());
+}
+
+const isRecursiveFlag = (arg) => arg !== null && (/^-[a-zA-Z]*[rR]/.test(arg) || arg === '--recursive');
+
+// What mv takes away: every operand but the destination (unknown relative paths after a dynamic cd are skipped)
+function movedSources(command) {
+  const operands = command.args.filter(arg => arg !== null && !arg.startsWith('-'));
+  return operands.slice(0, -1)
+    .filter(arg => command.cwd !== null || path.isAbsolute(arg))
+    .map(arg => path.resolve(command.cwd ?? '/', arg));
+}
+
+// Checks on each simple command from shellParser.analyzeCommand
+const DANGEROUS_COMMANDS = [
+  {
+    reason: 'Recursive delete of / or a system directory',
+    test: (command) => (
+      (command.name === 'rm' && command.args.some(isRecursiveFlag)) ||
+      (command.name === 'find' && command.args.includes('-delete'))
+    ) && command.writes.some(isCriticalTarget)
+  },
+  {
+    reason: 'Moves / or a system directory',
+    test: (command) => command.name === 'mv' && movedSources(command).some(isCriticalTarget)
+  },
+  { reason: 'Formats a filesystem', test: (command) => /^(mkfs(\..*)?|mke2fs|wipefs)$/.test(command.name || '') },
+  { reason: 'dd operation', test: (command) => command.name === 'dd' },
+  {
+    reason: 'Direct disk access',
+    test: (command) => command.paths.some(target => /^\/dev\/(sd|hd|vd|xvd|nvme|mmcblk|disk)/.test(target))
+  },
+  {
+    reason: 'Password file access',
+    test: (command) => command.paths.some(target => target === '/etc/passwd' || target === '/etc/shadow')
+  },
+  {
+    reason: 'Fork bomb (function that calls itself)',
+    test: (command) => command.inFunction !== null && command.name === command.inFunction
+  },
+  {
+    reason: 'Computed executable operating on a system directory',
+    test: (command) => command.dynamicExecutable && command.paths.some(isCriticalTarget)
+  }
+];
+
+/**
+ * Find the first structural danger among parsed commands
+ * @param {Array} commands - From shellParser.analyzeCommand
+ * @returns {string|null} Reason, or null if none applies
+ */
+function findDanger(commands) {
+  for (const simple of commands) {
+    const danger = DANGEROUS_COMMANDS.find(check => check.test(simple));
+    if (danger) return `${danger.reason} (${simple.name ?? simple.executable})`;
+  }
+
+  // Downloads piped into a shell, or fed to one through $(...) / <(...)
+  const byId = new Map(commands.map(simple => [simple.id, simple]));
+  for (const simple of commands) {
+    if (!DOWNLOADERS.includes(simple.name)) continue;
+    const laterShell = simple.pipeline && commands.some(other =>
+      other.pipeline?.id === simple.pipeline.id &&
+      other.pipeline.index > simple.pipeline.index &&
+      SHELL_INTERPRETERS.includes(other.name) &&
+      !other.args.some(arg => arg !== null && /^-[a-zA-Z]*c/.test(arg)));
+    const parent = byId.get(simple.parent);
+    const feedsShell = parent && SHELL_INTERPRETERS.includes(parent.name) && /^[$<]\(/.test(simple.via.at(-1) || '');
+    if (laterShell || feedsShell) return `Runs a downloaded script (${simple.name} into a shell)`;
+  }
+  return null;
+}
+
+/**
+ * Check if a command is dangerous
+ * Each simple command is checked after parsing (pipelines, chains, subshells, substitutions,
+ * `sh -c`, `cd` followed); in legacy mode the raw string is also matched against DANGEROUS_PATTERNS.
+ * @param {string} command - Command to check
+ * @param {object} options - Options
+ * @param {string} options.cwd - Working directory the command runs in
+ * @param {boolean} options.legacy - No policy is checking the command: also match the raw patterns,
+ *   and block commands that can't be parsed (default: false, the deny floor next to a policy)
+ * @returns {object} { safe, reason }
+ */
+export function checkCommandSafety(command, options = {}) {
+  const { cwd = process.cwd(), legacy = false } = options;
+
+  let commands = [];
+  try {
+    commands = analyzeCommand(command, { cwd });
+  } catch (error) {
+    // The policy escalates unparseable commands to approval
+    if (legacy) return { safe: false, reason: `Command could not be parsed for safety checks: ${error.message}` };
+  }
+
+  const danger = findDanger(commands);
+  if (danger) return { safe: false, reason: danger };
+
+  if (legacy) {
+    const nested = commands.find(simple => simple.parseError !== null);
+    if (nested) return { safe: false, reason: `Nested script could not be parsed (${nested.name ?? nested.executable})` };
+
+    const pattern = DANGEROUS_PATTERNS.find(candidate => candidate.test(command));
+    if (pattern) return { safe: false, reason: `Matches dangerous pattern: ${pattern.source}` };
+  }
+
+  return { safe: true };
+}
+
+export default { checkCommandSafety };
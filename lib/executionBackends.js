@@ -0,0 +1,420 @@
+/**
+ * Execution Backends - Where executeAgentCommand runs a shell command
+ *
+ * Every backend implements the same small interface:
+ *
+ *   backend.name                 - Registry name ('host', 'sandbox', ...)
+ *   backend.available()          - { ok, reason } whether it can run on this machine
+ *   backend.run(command, options) - Resolves { stdout, stderr, exitCode, signal, timedOut, cancelled,
+ *                                  truncated: { stdout, stderr }, bytes, durationMs, resourceLimit } once
+ *                                  the command exits; rejects only if it can't be started
+ *
+ * Run options: { cwd, timeout, network, workspace, onOutput, signal, maxOutputBytes, killGraceMs, limits, env, input }
+ *
+ * `env` is the command's whole environment (see commandEnvironment.js); without it the
+ * command inherits process.env.
+ *
+ * `limits` are applied with prlimit/ulimit (and a cgroup scope on the host if asked for, see
+ * resourceLimits.js); resourceLimit is { limit, value, label } when the command hit one.
+ *
+ * Commands are spawned in their own process group with stdin closed, or fed `input` (a string
+ * or Buffer) and then closed - file contents travel that way rather than on the command line,
+ * which is capped (E2BIG) and logged. Output is streamed to
+ * onOutput({ stream, text }) as it arrives and captured up to maxOutputBytes per stream
+ * (LUMEN_OUTPUT_MAX_BYTES, default 1 MiB); past that the first and last half are kept.
+ * On timeout or abort (AbortSignal) the whole group gets SIGTERM, then SIGKILL after killGraceMs.
+ *
+ * Built-in backends:
+ * - host:    /bin/sh on the host with the user's full privileges
+ * - sandbox: Linux namespaces via bubblewrap (bwrap) if installed, else util-linux unshare.
+ *            The root filesystem is read-only, the workspace (default: cwd) is writable,
+ *            /tmp is private, host processes are hidden, and network is off unless enabled.
+ *
+ * Selection (resolveExecution): the strictest of the per-call `backend` option, the policy's
+ * "execution" block and LUMEN_EXECUTION_BACKEND wins - if any of them asks for the sandbox,
+ * the command runs sandboxed; otherwise the first one set, else 'host'. Network in the
+ * sandbox is allowed only if some layer enables it and none disables it
+ * (per call `sandbox.network`, policy `execution.network`, LUMEN_SANDBOX_NETWORK).
+ */
+
+import { spawn, execFileSync } from 'child_process';
+import path from 'path';
+import { limitPrefix, detectLimitExceeded } from './resourceLimits.js';
+
+export const DEFAULT_MAX_OUTPUT_BYTES = parseInt(process.env.LUMEN_OUTPUT_MAX_BYTES, 10) || 1024 * 1024;
+const DEFAULT_KILL_GRACE_MS = 5000;
+
+const backends = new Map();
+
+/**
+ * Check whether a program runs at all (cached per argv)
+ */
+const probes = new Map();
+function probe(file, args) {
+  const key = [file, ...args].join(' ');
+  if (!probes.has(key)) {
+    try {
+      execFileSync(file, args, { stdio: 'ignore', timeout: 5000 });
+      probes.set(key, { ok: true });
+    } catch (error) {
+      probes.set(key, { ok: false, reason: error.code === 'ENOENT' ? `${file} is not installed` : `${file} failed: ${error.message}` });
+    }
+  }
+  return probes.get(key);
+}
+
+/**
+ * Keeps the first and last bytes of a stream once it outgrows maxBytes
+ */
+function createOutputCapture(maxBytes) {
+  const headLimit = Math.floor(maxBytes / 2);
+  const tailLimit = maxBytes - headLimit;
+  const head = [];
+  let headBytes = 0;
+  let tail = [];
+  let tailBytes = 0;
+  let total = 0;
+
+  return {
+    push(chunk) {
+      total += chunk.length;
+      if (headBytes < headLimit) {
+        const part = chunk.subarray(0, headLimit - headBytes);
+        head.push(part);
+        headBytes += part.length;
+        chunk = chunk.subarray(part.length);
+      }
+      if (chunk.length === 0) return;
+      tail.push(chunk);
+      tailBytes += chunk.length;
+      while (tailBytes - tail[0].length >= tailLimit) {
+        tailBytes -= tail.shift().length;
+      }
+    },
+
+    get truncated() {
+      return total > maxBytes;
+    },
+
+    get bytes() {
+      return total;
+    },
+
+    text() {
+      const start = Buffer.concat(head).toString('utf-8');
+      let end = Buffer.concat(tail);
+      if (!this.truncated) return start + end.toString('utf-8');
+      end = end.subarray(end.length - tailLimit);
+      const dropped = total - headBytes - end.length;
+      return `${start}\n… [${dropped} bytes truncated] …\n${end.toString('utf-8')}`;
+    }
+  };
+}
+
+/**
+ * Spawn a process in its own process group and stream its output
+ * @param {string} file - Program to run
+ * @param {string[]} args - Arguments
+ * @param {object} options - Run options
+ * @param {string} options.cwd - Working directory
+ * @param {object} options.env - Environment (default: process.env)
+ * @param {number} options.timeout - Wall-clock limit in ms (0/undefined = none)
+ * @param {Function} options.onOutput - Receives { stream: 'stdout'|'stderr', text } as chunks arrive
+ * @param {AbortSignal} options.signal - Cancels the run
+ * @param {number} options.maxOutputBytes - Per-stream capture cap; beyond it the head and tail are kept
+ * @param {number} options.killGraceMs - Wait between SIGTERM and SIGKILL
+ * @param {string|Buffer} options.input - Written to stdin, which is then closed (default: stdin closed from the start)
+ * @returns {Promise<object>} { stdout, stderr, exitCode, signal, timedOut, cancelled, truncated, bytes, durationMs }
+ */
+function runProcess(file, args, options = {}) {
+  const {
+    cwd,
+    env = process.env,
+    timeout,
+    onOutput = null,
+    signal = null,
+    maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES,
+    killGraceMs = DEFAULT_KILL_GRACE_MS,
+    input = null
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const capture = { stdout: createOutputCapture(maxOutputBytes), stderr: createOutputCapture(maxOutputBytes) };
+    let timedOut = false;
+    let cancelled = false;
+    let killTimer = null;
+
+    const child = spawn(file, args, { cwd, env, detached: true, stdio: [input === null ? 'ignore' : 'pipe', 'pipe', 'pipe'] });
+    if (input !== null) {
+      child.stdin.on('error', () => {}); // EPIPE when the command exits without reading it all
+      child.stdin.end(input);
+    }
+
+    // Signal the whole group so grandchildren (pipelines, build tools) go too
+    const killGroup = (sig) => {
+      try {
+        process.kill(-child.pid, sig);
+      } catch {
+        // Already gone
+      }
+    };
+    const terminate = () => {
+      if (killTimer) return;
+      killGroup('SIGTERM');
+      killTimer = setTimeout(() => killGroup('SIGKILL'), killGraceMs);
+    };
+
+    const timer = timeout ? setTimeout(() => {
+      timedOut = true;
+      terminate();
+    }, timeout) : null;
+
+    const onAbort = () => {
+      cancelled = true;
+      terminate();
+    };
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].on('data', (chunk) => {
+        capture[stream].push(chunk);
+        onOutput?.({ stream, text: chunk.toString('utf-8') });
+      });
+    }
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      reject(error);
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      signal?.removeEventListener('abort', onAbort);
+      // The leader is gone; make sure nothing it left behind keeps running
+      if (timedOut || cancelled) killGroup('SIGKILL');
+      resolve({
+        stdout: capture.stdout.text(),
+        stderr: capture.stderr.text(),
+        exitCode,
+        signal: exitSignal,
+        timedOut,
+        cancelled,
+        truncated: { stdout: capture.stdout.truncated, stderr: capture.stderr.truncated },
+        bytes: { stdout: capture.stdout.bytes, stderr: capture.stderr.bytes },
+        durationMs: Date.now() - startTime
+      });
+    });
+  });
+}
+
+/**
+ * Run commands directly on the host
+ * @returns {object} Backend
+ */
+export function createHostBackend() {
+  return {
+    name: 'host',
+    available: () => ({ ok: true }),
+    async run(command, options = {}) {
+      const [file, ...args] = [...limitPrefix(options.limits, { allowCgroup: true }), '/bin/sh', '-c', command];
+      const run = await runProcess(file, args, options);
+      return { ...run, resourceLimit: detectLimitExceeded(run, options.limits) };
+    }
+  };
+}
+
+/**
+ * bubblewrap argv for one command
+ */
+function bubblewrapArgs(argv, { cwd, workspace, network }) {
+  return [
+    '--ro-bind', '/', '/',
+    '--dev', '/dev',
+    '--proc', '/proc',
+    '--tmpfs', '/tmp',
+    '--bind', workspace, workspace,
+    '--chdir', cwd,
+    '--unshare-user', '--unshare-pid', '--unshare-ipc', '--unshare-uts',
+    ...(network ? [] : ['--unshare-net']),
+    '--die-with-parent',
+    '--new-session',
+    ...argv
+  ];
+}
+
+// Runs as root of a fresh user + mount namespace: bind the workspace, make every other
+// mount read-only, give /tmp a private tmpfs (unless the workspace lives under /tmp), then
+// run the command. The command runs as a child, not exec'd: PID 1 of the namespace ignores
+// SIGTERM. Positional args: $1 workspace, $2 cwd, then the argv to run.
+const UNSHARE_SETUP = `
+set -e
+mount --bind "$1" "$1"
+awk '{ print $2 }' /proc/self/mounts | sort -u | while read -r mp; do
+  [ "$mp" = "$1" ] || mount -o remount,bind,ro "$mp" 2>/dev/null || true
+done
+case "$1/" in
+  /tmp/*) ;;
+  *) mount -t tmpfs -o mode=1777 tmpfs /tmp ;;
+esac
+cd "$2"
+shift 2
+set +e
+"$@" &
+wait $!
+`;
+
+/**
+ * util-linux unshare argv for one command
+ */
+function unshareArgs(argv, { cwd, workspace, network }) {
+  return [
+    '--user', '--map-root-user',
+    '--mount', '--pid', '--mount-proc', '--ipc', '--uts',
+    ...(network ? [] : ['--net']),
+    '--kill-child',
+    '/bin/sh', '-c', UNSHARE_SETUP, 'lumen-sandbox', workspace, cwd, ...argv
+  ];
+}
+
+/**
+ * Run commands in an isolated Linux sandbox
+ * @param {object} options - Backend options
+ * @param {string} options.tool - 'bubblewrap' or 'unshare' (default: bubblewrap if installed)
+ * @returns {object} Backend
+ */
+export function createSandboxBackend(options = {}) {
+  const tools = {
+    bubblewrap: { file: 'bwrap', check: ['--ro-bind', '/', '/', '--unshare-user', 'true'], args: bubblewrapArgs },
+    unshare: { file: 'unshare', check: ['--user', '--map-root-user', '--mount', 'true'], args: unshareArgs }
+  };
+
+  const pickTool = () => {
+    if (options.tool) return options.tool;
+    return probe(tools.bubblewrap.file, tools.bubblewrap.check).ok ? 'bubblewrap' : 'unshare';
+  };
+
+  return {
+    name: 'sandbox',
+
+    available() {
+      if (process.platform !== 'linux') {
+        return { ok: false, reason: 'the sandbox needs Linux namespaces' };
+      }
+      const tool = tools[pickTool()];
+      if (!tool) return { ok: false, reason: `unknown sandbox tool "${options.tool}"` };
+      return probe(tool.file, tool.check);
+    },
+
+    async run(command, options = {}) {
+      const { cwd = process.cwd(), network = false, workspace = cwd } = options;
+      const tool = tools[pickTool()];
+      const resolved = {
+        cwd: path.resolve(cwd),
+        workspace: path.resolve(workspace),
+        network
+      };
+      const argv = [...limitPrefix(options.limits), '/bin/sh', '-c', command];
+      const run = await runProcess(tool.file, tool.args(argv, resolved), { ...options, cwd: undefined });
+      return { ...run, resourceLimit: detectLimitExceeded(run, options.limits) };
+    },
+
+    describe() {
+      return `sandbox (${pickTool()})`;
+    }
+  };
+}
+
+const builtInFactories = {
+  host: () => createHostBackend(),
+  sandbox: () => createSandboxBackend()
+};
+
+/**
+ * Register (or replace) a backend under a name
+ * @param {string} name - Registry name
+ * @param {object} backend - Object implementing run() and available()
+ */
+export function registerBackend(name, backend) {
+  if (!backend || typeof backend.run !== 'function' || typeof backend.available !== 'function') {
+    throw new Error(`Execution backend "${name}" must implement run(command, options) and available()`);
+  }
+  backends.set(name, backend);
+  return backend;
+}
+
+/**
+ * Resolve a backend by name or pass a backend object straight through
+ * @param {string|object} backend - Registry name or backend object (default: 'host')
+ * @returns {object} Backend
+ */
+export function getBackend(backend) {
+  if (backend && typeof backend === 'object') {
+    return backend;
+  }
+
+  const name = backend || 'host';
+  if (!backends.has(name)) {
+    const factory = builtInFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown execution backend: ${name}. Available: ${listBackends().join(', ')}`);
+    }
+    backends.set(name, factory());
+  }
+  return backends.get(name);
+}
+
+/**
+ * List all backend names that can be resolved
+ * @returns {string[]} Backend names
+ */
+export function listBackends() {
+  return Array.from(new Set([...Object.keys(builtInFactories), ...backends.keys()]));
+}
+
+function envFlag(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  return ['1', 'true', 'yes', 'on'].includes(value.toLowerCase());
+}
+
+/**
+ * Decide which backend runs a command and with which options
+ * @param {object} options - Selection inputs
+ * @param {string|object} options.backend - Per-call backend name or object
+ * @param {object} options.sandbox - Per-call sandbox options { network, workspace }
+ * @param {object} options.execution - The policy's "execution" block { backend, network, workspace }
+ * @returns {object} { backend, name, options: { network, workspace } }
+ */
+export function resolveExecution({ backend, sandbox = {}, execution = {} } = {}) {
+  const requested = [backend, execution.backend, process.env.LUMEN_EXECUTION_BACKEND]
+    .filter(Boolean);
+  const wantsSandbox = requested.includes('sandbox');
+  const chosen = wantsSandbox ? 'sandbox' : (requested[0] || 'host');
+
+  const networkVotes = [sandbox.network, execution.network, envFlag('LUMEN_SANDBOX_NETWORK')]
+    .filter(vote => vote !== undefined && vote !== null);
+  const network = networkVotes.length > 0 && !networkVotes.includes(false);
+
+  const resolved = getBackend(chosen);
+  return {
+    backend: resolved,
+    name: resolved.describe ? resolved.describe() : resolved.name,
+    options: {
+      network,
+      workspace: sandbox.workspace || execution.workspace || undefined
+    }
+  };
+}
+
+export default {
+  createHostBackend,
+  createSandboxBackend,
+  registerBackend,
+  getBackend,
+  listBackends,
+  resolveExecution
+};
@@ -1,5 +1,9 @@
 import { queryOpenAI } from './openaiWrapper.js';
 import { executeAgentCommand } from './terminalExecutor.js';
+import { createUsageTracker } from './usageTracker.js';
+import { renderPrompt, promptRef } from './promptRegistry.js';
+import { SecretRedactor } from './secretRedactor.js';
+import { resolveLogger } from './logger.js';
 
 /**
  * Resilient Iteration Loop
@@ -10,6 +14,7 @@ import { executeAgentCommand } from './terminalExecutor.js';
  * - Self-correcting: creates solutions to overcome failures
  * - Reassessment after 3 consecutive failures
  * - Maintains execution context across iterations
+ * - Command output is concealed (SecretRedactor) before it reaches step, recovery or verification prompts
  * - Non-failing: continues until all steps complete or max iterations reached
  */
 
@@ -21,7 +26,7 @@ import { executeAgentCommand } from './terminalExecutor.js';
  * @returns {Promise<object>} Step execution result
  */
 async function executeStep(step, context, options = {}) {
-  const { temperature = 0.5 } = options;
+  const { temperature } = options; // Overrides the 'step' profile when set
   
   // Build context prompt
   const contextPrompt = [];
@@ -49,7 +54,12 @@ async function executeStep(step, context, options = {}) {
   
   try {
     const response = await queryOpenAI(query, {
+      profile: 'step',
       temperature,
+      provider: context.provider,
+      cassette: context.cassette,
+      usageTracker: context.usageTracker,
+      logger: context.logger,
       context: context.globalContext
     });
     
@@ -57,22 +67,26 @@ async function executeStep(step, context, options = {}) {
     let result = { response, executed: false };
     
     if (response.choice === 'terminalCommand') {
-      // Execute the terminal command
+      // Execute the terminal command; placeholders become real values only for the shell
       const executionResult = await executeAgentCommand(
         {
-          command: response.terminalCommand,
+          command: context.redactor.substitute(response.terminalCommand),
           commandReasoning: response.commandReasoning,
           requiresApproval: response.requiresApproval
         },
         {
           autoApprove: true,
           dryRun: false,
-          timeout: 60000 // 60 second timeout
+          timeout: 60000, // 60 second timeout
+          policy: context.policy,
+          backend: context.backend,
+          logger: context.logger,
+          redactor: context.redactor
         }
       );
       
       result.executed = true;
-      result.executionResult = executionResult;
+      result.executionResult = context.redactor.concealResult(executionResult);
       result.success = executionResult.status === 'success';
     } else if (response.choice === 'code') {
       result.executed = true;
@@ -104,29 +118,20 @@ async function executeStep(step, context, options = {}) {
  * @returns {Promise<object>} Recovery plan
  */
 async function createRecoverySolution(step, failureInfo, context) {
-  const recoveryPrompt = `
-A step failed during execution. Analyze the failure and create a recovery solution.
-
-Failed Step: ${step}
-
-Failure Information:
-${JSON.stringify(failureInfo, null, 2)}
-
-Previous Context:
-${context.completedSteps.length} steps completed successfully before this failure.
-
-Your task: Provide a solution to overcome this failure and continue. This could be:
-- An alternative approach to accomplish the same goal
-- A fix for the error encountered
-- A workaround for the issue
-- Additional steps needed before retrying
-
-Respond with a clear recovery plan.
-`;
+  const recoveryPrompt = renderPrompt('step-recovery', {
+    step,
+    failureInfo: JSON.stringify(failureInfo, null, 2),
+    completedCount: String(context.completedSteps.length)
+  });
 
   try {
-    const response = await queryOpenAI(recoveryPrompt, {
-      temperature: 0.7,
+    const response = await queryOpenAI(recoveryPrompt.text, {
+      profile: 'recovery',
+      promptRefs: [promptRef(recoveryPrompt)],
+      provider: context.provider,
+      cassette: context.cassette,
+      usageTracker: context.usageTracker,
+      logger: context.logger,
       context: context.globalContext
     });
     
@@ -150,33 +155,23 @@ Respond with a clear recovery plan.
  * @returns {Promise<object>} Reassessment result with modified plan
  */
 async function reassessPlan(steps, context) {
-  console.log('\n🔄 REASSESSING PLAN after multiple failures...\n');
+  context.log.info('🔄 Reassessing plan after multiple failures...');
   
-  const reassessPrompt = `
-The current execution plan has encountered multiple failures. Reassess and create an improved plan.
-
-Original Plan:
-${steps.map((s, i) => `${i + 1}. ${s}`).join('\n')}
-
-Execution History:
-Completed: ${context.completedSteps.length} steps
-Failed: ${context.failures.length} times
-
-Recent Failures:
-${context.failures.slice(-5).map(f => `- ${f.step}: ${f.error}`).join('\n')}
-
-Your task: 
-1. Analyze what went wrong
-2. Create a revised plan that addresses the issues
-3. Consider alternative approaches
-4. Break down complex steps into simpler ones if needed
-
-Provide a revised list of steps to continue from the current point.
-`;
+  const reassessPrompt = renderPrompt('plan-reassess', {
+    planList: steps.map((s, i) => `${i + 1}. ${s}`).join('\n'),
+    completedCount: String(context.completedSteps.length),
+    failureCount: String(context.failures.length),
+    recentFailures: context.failures.slice(-5).map(f => `- ${f.step}: ${f.error}`).join('\n')
+  });
 
   try {
-    const response = await queryOpenAI(reassessPrompt, {
-      temperature: 0.8,
+    const response = await queryOpenAI(reassessPrompt.text, {
+      profile: 'reassess',
+      promptRefs: [promptRef(reassessPrompt)],
+      provider: context.provider,
+      cassette: context.cassette,
+      usageTracker: context.usageTracker,
+      logger: context.logger,
       context: context.globalContext
     });
     
@@ -215,25 +210,35 @@ export async function executeStepsWithResilience(steps, options = {}) {
   const {
     maxIterations = 50,
     maxConsecutiveFailures = 3,
-    temperature = 0.5,
+    temperature = undefined, // Overrides the 'step' and 'verifier' profiles when set (see agentProfiles.js)
     globalContext = null,
+    provider = null, // LLM provider name or object (see llmProviders.js)
+    cassette = undefined, // Record/replay cassette (see cassette.js)
+    usageTracker = createUsageTracker(), // Aggregates tokens/cost across every step (see usageTracker.js)
+    policy = undefined, // Command policy name/file or compiled policy (see policyEngine.js)
+    backend = undefined, // Execution backend name or object (see executionBackends.js)
+    redactor = new SecretRedactor(), // Session redactor; its placeholders are restored in commands (see secretRedactor.js)
+    logger = undefined, // Logger for the loop, its model calls and commands instead of each component's (see logger.js)
     onProgress = null // Callback for progress updates
   } = options;
+  const log = resolveLogger(logger, 'iteration');
   
-  console.log('\n' + '═'.repeat(80));
-  console.log('🚀 RESILIENT ITERATION LOOP STARTED');
-  console.log('═'.repeat(80));
-  console.log(`📋 Total Steps: ${steps.length}`);
-  console.log(`🔄 Max Iterations: ${maxIterations}`);
-  console.log(`⚠️  Failure Threshold: ${maxConsecutiveFailures} consecutive failures`);
-  console.log('═'.repeat(80) + '\n');
+  log.info(`🚀 Iteration loop started: ${steps.length} step(s)`, { maxIterations, maxConsecutiveFailures });
   
   const context = {
     completedSteps: [],
     failures: [],
     recoveryAttempts: [],
     reassessments: 0,
-    globalContext
+    globalContext,
+    provider,
+    cassette,
+    usageTracker,
+    policy,
+    backend,
+    redactor,
+    logger,
+    log
   };
   
   let currentSteps = [...steps];
@@ -245,21 +250,18 @@ export async function executeStepsWithResilience(steps, options = {}) {
     iteration++;
     const step = currentSteps[currentStepIndex];
     
-    console.log(`\n${'─'.repeat(80)}`);
-    console.log(`🔄 Iteration ${iteration} | Step ${currentStepIndex + 1}/${currentSteps.length}`);
-    console.log(`📝 Step: ${step}`);
-    console.log(`📊 Progress: ${context.completedSteps.length} completed, ${context.failures.length} total failures`);
-    console.log('─'.repeat(80));
+    log.info(`🔄 Iteration ${iteration} | Step ${currentStepIndex + 1}/${currentSteps.length}: ${step}`);
+    log.debug(`📊 Progress: ${context.completedSteps.length} completed, ${context.failures.length} total failures`);
     
     // Execute the step
     const result = await executeStep(step, context, { temperature });
     
     if (result.success) {
-      console.log('✅ Step completed successfully');
+      log.info('✅ Step completed successfully');
       if (result.executionResult) {
-        console.log(`   Status: ${result.executionResult.status}`);
+        log.debug(`   Status: ${result.executionResult.status}`);
         if (result.executionResult.stdout) {
-          console.log(`   Output: ${result.executionResult.stdout.substring(0, 200)}`);
+          log.debug(`   Output: ${result.executionResult.stdout.substring(0, 200)}`);
         }
       }
       
@@ -284,8 +286,7 @@ export async function executeStepsWithResilience(steps, options = {}) {
       
     } else {
       consecutiveFailures++;
-      console.log(`❌ Step failed (consecutive failures: ${consecutiveFailures})`);
-      console.log(`   Error: ${result.error || 'Unknown error'}`);
+      log.warn(`❌ Step failed (consecutive failures: ${consecutiveFailures}): ${result.error || 'Unknown error'}`);
       
       context.failures.push({
         step,
@@ -306,7 +307,7 @@ export async function executeStepsWithResilience(steps, options = {}) {
       
       // Check if we need to reassess after multiple failures
       if (consecutiveFailures >= maxConsecutiveFailures) {
-        console.log(`\n⚠️  THRESHOLD REACHED: ${consecutiveFailures} consecutive failures`);
+        log.warn(`⚠️  Threshold reached: ${consecutiveFailures} consecutive failures`);
         
         const reassessment = await reassessPlan(
           currentSteps.slice(currentStepIndex),
@@ -315,8 +316,8 @@ export async function executeStepsWithResilience(steps, options = {}) {
         
         if (reassessment.success) {
           context.reassessments++;
-          console.log('✅ Plan reassessed successfully');
-          console.log(`   Reasoning: ${reassessment.reasoning.substring(0, 200)}`);
+          log.info('✅ Plan reassessed successfully');
+          log.debug(`   Reasoning: ${reassessment.reasoning.substring(0, 200)}`);
           
           // Update remaining steps with revised plan
           currentSteps = [
@@ -334,17 +335,17 @@ export async function executeStepsWithResilience(steps, options = {}) {
             });
           }
         } else {
-          console.log('⚠️  Reassessment failed, continuing with original plan');
+          log.warn(`⚠️  Reassessment failed, continuing with original plan: ${reassessment.error}`);
         }
       } else {
         // Try to create a recovery solution
-        console.log('🔧 Creating recovery solution...');
+        log.info('🔧 Creating recovery solution...');
         
         const recovery = await createRecoverySolution(step, result, context);
         
         if (recovery.success) {
-          console.log('✅ Recovery solution created');
-          console.log(`   Solution: ${recovery.recoverySolution.substring(0, 200)}`);
+          log.info('✅ Recovery solution created');
+          log.debug(`   Solution: ${recovery.recoverySolution.substring(0, 200)}`);
           
           context.recoveryAttempts.push({
             step,
@@ -354,18 +355,18 @@ export async function executeStepsWithResilience(steps, options = {}) {
           
           // Try executing the recovery action if it's a command or code
           if (recovery.recoveryAction.choice === 'terminalCommand') {
-            console.log('🔧 Executing recovery command...');
+            log.info('🔧 Executing recovery command...');
             const recoveryResult = await executeAgentCommand(
               {
-                command: recovery.recoveryAction.terminalCommand,
+                command: context.redactor.substitute(recovery.recoveryAction.terminalCommand),
                 commandReasoning: 'Recovery attempt',
                 requiresApproval: false
               },
-              { autoApprove: true, timeout: 60000 }
+              { autoApprove: true, timeout: 60000, policy: context.policy, backend: context.backend, logger: context.logger, redactor: context.redactor }
             );
             
             if (recoveryResult.status === 'success') {
-              console.log('✅ Recovery successful, retrying step');
+              log.info('✅ Recovery successful, retrying step');
               consecutiveFailures = 0; // Reset on successful recovery
             }
           }
@@ -386,16 +387,12 @@ export async function executeStepsWithResilience(steps, options = {}) {
   }
   
   // Final summary
-  console.log('\n' + '═'.repeat(80));
-  console.log('📊 EXECUTION SUMMARY');
-  console.log('═'.repeat(80));
-  console.log(`✅ Completed Steps: ${context.completedSteps.length}`);
-  console.log(`❌ Total Failures: ${context.failures.length}`);
-  console.log(`🔧 Recovery Attempts: ${context.recoveryAttempts.length}`);
-  console.log(`🔄 Plan Reassessments: ${context.reassessments}`);
-  console.log(`🔁 Total Iterations: ${iteration}`);
-  console.log(`📈 Success Rate: ${((context.completedSteps.length / currentSteps.length) * 100).toFixed(1)}%`);
-  console.log('═'.repeat(80) + '\n');
+  log.info(`📊 Execution summary: ${context.completedSteps.length}/${currentSteps.length} steps completed (${((context.completedSteps.length / currentSteps.length) * 100).toFixed(1)}%)`, {
+    failures: context.failures.length,
+    recoveryAttempts: context.recoveryAttempts.length,
+    reassessments: context.reassessments,
+    iterations: iteration
+  });
   
   const allCompleted = currentStepIndex >= currentSteps.length;
   const reachedMaxIterations = iteration >= maxIterations;
@@ -403,20 +400,16 @@ export async function executeStepsWithResilience(steps, options = {}) {
   // Verification phase if enabled
   let verification = null;
   if (options.verify && allCompleted) {
-    console.log('🔍 VERIFICATION PHASE\n');
+    log.debug('🔍 Verification phase');
     verification = await verifyRequestFulfillment(steps, context, options);
     
     if (verification.fulfilled) {
-      console.log('✅ VERIFICATION PASSED - Request fully fulfilled\n');
+      log.info('✅ Verification passed - request fully fulfilled');
     } else {
-      console.log('⚠️  VERIFICATION ISSUES DETECTED\n');
-      if (verification.issues.length > 0) {
-        console.log('Issues found:');
-        verification.issues.forEach((issue, i) => {
-          console.log(`  ${i + 1}. ${issue}`);
-        });
-        console.log('');
-      }
+      log.warn('⚠️  Verification issues detected');
+      verification.issues.forEach((issue, i) => {
+        log.warn(`  ${i + 1}. ${issue}`);
+      });
     }
   }
   
@@ -432,7 +425,9 @@ export async function executeStepsWithResilience(steps, options = {}) {
     reassessments: context.reassessments,
     iterations: iteration,
     successRate: (context.completedSteps.length / currentSteps.length) * 100,
-    verification
+    verification,
+    cache: usageTracker.cacheSummary(),
+    usage: usageTracker.summary()
   };
 }
 
@@ -446,42 +441,35 @@ export async function executeStepsWithResilience(steps, options = {}) {
 async function verifyRequestFulfillment(originalSteps, context, options = {}) {
   const {
     verificationPrompt = null,
-    temperature = 0.5
+    temperature = undefined
   } = options;
   
-  console.log('📋 Verifying request fulfillment...\n');
+  context.log.debug('📋 Verifying request fulfillment...');
   
-  // Build verification prompt
-  const prompt = verificationPrompt || `
-Review the completed work and verify if the original request was fully fulfilled.
-
-ORIGINAL REQUEST (Steps to complete):
-${originalSteps.map((s, i) => `${i + 1}. ${s}`).join('\n')}
-
-COMPLETED WORK:
-${context.completedSteps.map((s, i) => `
+  // Build verification prompt (a caller-supplied prompt bypasses the template)
+  const renderedPrompt = verificationPrompt ? null : renderPrompt('request-verify', {
+    originalSteps: originalSteps.map((s, i) => `${i + 1}. ${s}`).join('\n'),
+    completedWork: context.completedSteps.map((s, i) => `
 Step ${i + 1}: ${s.step}
 Status: ${s.status}
 Result: ${JSON.stringify(s.result).substring(0, 200)}
-`).join('\n')}
-
-${context.failures.length > 0 ? `
+`).join('\n'),
+    failuresSection: context.failures.length > 0 ? `
 FAILURES ENCOUNTERED:
 ${context.failures.map(f => `- ${f.step}: ${f.error}`).join('\n')}
-` : ''}
-
-Your task:
-1. Compare the original request with what was actually completed
-2. Check if all requirements were met
-3. Identify any discrepancies or missing elements
-4. Verify the quality and correctness of the work
-
-Provide a detailed assessment of whether the request was fully fulfilled.
-`;
+` : ''
+  });
+  const prompt = verificationPrompt || renderedPrompt.text;
 
   try {
     const response = await queryOpenAI(prompt, {
+      profile: 'verifier',
       temperature,
+      ...(renderedPrompt && { promptRefs: [promptRef(renderedPrompt)] }),
+      provider: context.provider,
+      cassette: context.cassette,
+      usageTracker: context.usageTracker,
+      logger: context.logger,
       context: context.globalContext
     });
     
@@ -499,12 +487,7 @@ Provide a detailed assessment of whether the request was fully fulfilled.
       }
     }
     
-    console.log('📝 Verification Analysis:');
-    console.log(responseText.substring(0, 500));
-    if (responseText.length > 500) {
-      console.log('...');
-    }
-    console.log('');
+    context.log.debug('📝 Verification analysis:', { analysis: `${responseText.substring(0, 500)}${responseText.length > 500 ? '\n...' : ''}` });
     
     return {
       fulfilled,
@@ -513,7 +496,7 @@ Provide a detailed assessment of whether the request was fully fulfilled.
       response
     };
   } catch (error) {
-    console.log('⚠️  Verification failed:', error.message);
+    context.log.warn(`⚠️  Verification failed: ${error.message}`);
     return {
       fulfilled: false,
       issues: [`Verification error: ${error.message}`],
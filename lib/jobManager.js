@@ -0,0 +1,281 @@
+/**
+ * Job Manager - Background jobs for approved agent commands
+ *
+ * A job is an approved command that runs detached from the conversation:
+ *
+ *   { id, command, reasoning, cwd, backend, status, origin, createdAt, finishedAt,
+ *     exitCode, durationMs, message, truncated, logFile }
+ *
+ * status: 'running' → 'succeeded' | 'failed' | 'killed'
+ *
+ * State lives in LUMEN_JOBS_DIR (default ./jobs): <id>.json per job, plus <id>.log with the
+ * combined stdout/stderr written as it arrives. The command is stored with secrets as placeholders;
+ * the log is raw, so callers conceal it before showing it. Jobs still 'running' on disk when this process
+ * first looks at them belong to an earlier process and are marked failed.
+ *
+ * executeAgentCommand(..., { background: true }) starts jobs once the command has passed the
+ * policy and approval gates. origin ({ platform, chatId, userId }) records who asked, so
+ * onJobFinished() listeners can notify the originating chat. Finished jobs are written to
+ * memory, with secrets in the command and output concealed, unless the job was started with
+ * remember: false.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { addInteraction } from './memorySystem.js';
+import { SecretRedactor } from './secretRedactor.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('jobs');
+
+const LOG_TAIL_BYTES = 2000;
+
+const active = new Map(); // id → { job, controller, output }
+const listeners = new Set();
+let recovered = false;
+let memoryWrites = Promise.resolve(); // memorySystem reads and rewrites the whole file, so one at a time
+const redactor = new SecretRedactor(); // Memory is replayed to the model
+
+function getJobsDir() {
+  return process.env.LUMEN_JOBS_DIR || path.join(process.cwd(), 'jobs');
+}
+
+function jobFile(id) {
+  return path.join(getJobsDir(), `${id}.json`);
+}
+
+/**
+ * Save job state (atomic write)
+ */
+async function saveJob(job) {
+  const file = jobFile(job.id);
+  const tempFile = `${file}.tmp`;
+  await fsp.writeFile(tempFile, JSON.stringify(job, null, 2), 'utf-8');
+  await fsp.rename(tempFile, file);
+}
+
+async function loadJob(id) {
+  // Ids come from chat and CLI input; never let one point outside the jobs directory
+  if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) return null;
+  try {
+    return JSON.parse(await fsp.readFile(jobFile(id), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mark jobs left 'running' by an earlier process as failed (once per process)
+ */
+async function recoverInterrupted() {
+  if (recovered) return;
+  recovered = true;
+
+  let files;
+  try {
+    files = await fsp.readdir(getJobsDir());
+  } catch {
+    return;
+  }
+  for (const name of files.filter(file => file.endsWith('.json'))) {
+    const job = await loadJob(path.basename(name, '.json'));
+    if (job?.status === 'running' && !active.has(job.id)) {
+      await saveJob({
+        ...job,
+        status: 'failed',
+        message: 'Interrupted: Lumen stopped while the job was running',
+        finishedAt: new Date().toISOString()
+      });
+    }
+  }
+}
+
+function statusFromResult(result) {
+  if (result.status === 'success') return 'succeeded';
+  if (result.status === 'cancelled') return 'killed';
+  return 'failed';
+}
+
+/**
+ * Start a background job
+ * @param {object} options - Job options
+ * @param {string} options.command - Command line with secrets as placeholders (for listings and memory)
+ * @param {string} options.reasoning - Why the command was run
+ * @param {string} options.cwd - Working directory
+ * @param {string} options.backend - Execution backend name
+ * @param {object} options.origin - Who started it { platform, chatId, userId } (optional)
+ * @param {boolean} options.remember - Write the outcome to memory (default: true)
+ * @param {Function} options.run - ({ jobId, onOutput, signal }) => Promise<executeAgentCommand result>
+ * @returns {Promise<object>} The job, status 'running'
+ */
+export async function startJob({ command, reasoning = '', cwd = process.cwd(), backend = 'host', origin = null, remember = true, run }) {
+  await recoverInterrupted();
+  await fsp.mkdir(getJobsDir(), { recursive: true });
+
+  const id = crypto.randomBytes(4).toString('hex');
+  const job = {
+    id,
+    command,
+    reasoning,
+    cwd,
+    backend,
+    status: 'running',
+    origin,
+    remember,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    exitCode: null,
+    durationMs: null,
+    message: null,
+    truncated: null,
+    logFile: path.join(getJobsDir(), `${id}.log`)
+  };
+  await saveJob(job);
+
+  const controller = new AbortController();
+  const output = fs.createWriteStream(job.logFile, { flags: 'a' });
+  active.set(id, { job, controller, output });
+
+  // Not awaited: the caller gets the job back while the command runs
+  run({ jobId: id, onOutput: ({ text }) => output.write(text), signal: controller.signal })
+    .catch(error => ({ status: 'error', exitCode: -1, message: error.message }))
+    .then(result => finishJob(id, result))
+    .catch(error => {
+      // The job file still says 'running'; the next process marks it failed
+      active.delete(id);
+      log.error(`❌ Could not record the outcome of job ${id}: ${error.message}`, { jobId: id });
+    });
+
+  return { ...job };
+}
+
+/**
+ * Record a job's outcome, then tell listeners and memory
+ */
+async function finishJob(id, result) {
+  const entry = active.get(id);
+  await new Promise(resolve => entry.output.end(resolve));
+
+  const job = {
+    ...entry.job,
+    status: statusFromResult(result),
+    finishedAt: new Date().toISOString(),
+    exitCode: result.exitCode ?? null,
+    durationMs: result.executionTimeMs ?? null,
+    message: result.message || null,
+    truncated: result.truncated || null
+  };
+  await saveJob(job);
+  active.delete(id);
+  log.info(`🕒 Job ${id} ${job.status}: ${job.command}`, { jobId: id, exitCode: job.exitCode ?? undefined });
+
+  for (const listener of listeners) {
+    try {
+      await listener(job);
+    } catch (error) {
+      log.warn(`⚠️  Job listener failed for ${id}: ${error.message}`);
+    }
+  }
+
+  if (job.remember) {
+    const outputTail = redactor.conceal(await readJobLog(id, { tailBytes: LOG_TAIL_BYTES }));
+    memoryWrites = memoryWrites
+      .then(() => addInteraction(
+        { type: 'job', jobId: id, command: redactor.conceal(job.command), origin: job.origin },
+        { status: job.status, exitCode: job.exitCode, message: redactor.conceal(job.message), outputTail }
+      ))
+      .catch(error => log.warn(`⚠️  Could not write job ${id} to memory: ${error.message}`));
+    await memoryWrites;
+  }
+}
+
+/**
+ * List jobs, newest first
+ * @param {object} options - Filters
+ * @param {string} options.status - Only jobs with this status
+ * @param {number} options.limit - Max jobs returned (default: 20)
+ * @returns {Promise<object[]>} Jobs
+ */
+export async function listJobs({ status = null, limit = 20 } = {}) {
+  await recoverInterrupted();
+
+  let files;
+  try {
+    files = await fsp.readdir(getJobsDir());
+  } catch {
+    return [];
+  }
+
+  const jobs = [];
+  for (const name of files.filter(file => file.endsWith('.json'))) {
+    const job = await loadJob(path.basename(name, '.json'));
+    if (job && (!status || job.status === status)) jobs.push(job);
+  }
+  return jobs
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Get one job
+ * @param {string} id - Job id
+ * @returns {Promise<object|null>} Job, or null if unknown
+ */
+export async function getJob(id) {
+  await recoverInterrupted();
+  return active.get(id) ? { ...active.get(id).job } : loadJob(id);
+}
+
+/**
+ * Read a job's output log
+ * @param {string} id - Job id
+ * @param {object} options - Options
+ * @param {number} options.tailBytes - Only the last N bytes (default: whole log)
+ * @returns {Promise<string|null>} Output so far, or null if the job has no log
+ */
+export async function readJobLog(id, { tailBytes = null } = {}) {
+  const job = await getJob(id);
+  if (!job) return null;
+
+  let handle;
+  try {
+    handle = await fsp.open(job.logFile, 'r');
+  } catch {
+    return null;
+  }
+  try {
+    const { size } = await handle.stat();
+    const start = tailBytes ? Math.max(0, size - tailBytes) : 0;
+    const buffer = Buffer.alloc(size - start);
+    await handle.read(buffer, 0, buffer.length, start);
+    return (start > 0 ? '…' : '') + buffer.toString('utf-8');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Cancel a running job (SIGTERM, then SIGKILL, of its whole process group)
+ * @param {string} id - Job id
+ * @returns {boolean} Whether a running job was signalled
+ */
+export function killJob(id) {
+  const entry = active.get(id);
+  if (!entry) return false;
+  entry.controller.abort();
+  return true;
+}
+
+/**
+ * Subscribe to job completion
+ * @param {Function} listener - Called with the finished job
+ * @returns {Function} Unsubscribe
+ */
+export function onJobFinished(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export default { startJob, listJobs, getJob, readJobLog, killJob, onJobFinished };
@@ -0,0 +1,392 @@
+/**
+ * LLM Providers - Pluggable chat backends for queryOpenAI
+ *
+ * Every provider implements the same small interface:
+ *
+ *   provider.name          - Registry name ('openai', 'local', 'fake', ...)
+ *   provider.defaultModel  - Model used when the caller doesn't pass one
+ *   provider.chat(request) - Returns { content, toolCalls, usage, model, finishReason }
+ *   provider.chatStream(request) - Optional async iterator yielding
+ *                          { type: 'delta', text } ... then { type: 'done', content, usage, model, finishReason }
+ *
+ * A chat request looks like:
+ *   {
+ *     model, temperature, maxTokens, timeoutMs,
+ *     messages: [{ role, content }],        // OpenAI message format, incl. tool_calls / role 'tool'
+ *     responseFormat: { type: 'json_schema', name, schema, strict } | { type: 'json_object' } | null,
+ *     tools: [{ name, description, parameters }]   // Optional function tools (JSON-schema parameters)
+ *   }
+ *
+ * toolCalls in a response: [{ id, name, arguments }] where arguments is the raw JSON string.
+ *
+ * Built-in providers:
+ * - openai: OpenAI Chat Completions (OPENAI_API_KEY)
+ * - local:  Any OpenAI-compatible endpoint (llama.cpp server, Ollama, vLLM)
+ * - fake:   Deterministic in-process provider for offline tests
+ *
+ * Selection order: per-call `provider` option → setDefaultProvider() → LUMEN_LLM_PROVIDER → 'openai'
+ */
+
+import OpenAI from 'openai';
+import dotenv from 'dotenv';
+
+// Quiet: dotenv's banner would end up in piped output such as `lumen audit export`
+if (!process.env.OPENAI_API_KEY) {
+  dotenv.config({ quiet: true });
+}
+
+const providers = new Map();
+let defaultProviderName = null;
+
+/**
+ * Describe a JSON schema in plain text for providers without native structured output
+ */
+function schemaInstruction(responseFormat) {
+  if (responseFormat.type === 'json_schema') {
+    return `Respond ONLY with a JSON object that matches this JSON schema exactly (no markdown, no extra text):\n${JSON.stringify(responseFormat.schema, null, 2)}`;
+  }
+  return 'Respond ONLY with a valid JSON object (no markdown, no extra text).';
+}
+
+/**
+ * Normalize the usage block returned by OpenAI-compatible APIs
+ */
+function normalizeUsage(usage) {
+  if (!usage) {
+    return { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  }
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens || promptTokens + completionTokens
+  };
+}
+
+/**
+ * Create a provider backed by the OpenAI SDK (also used for OpenAI-compatible servers)
+ * @param {object} options - Provider options
+ * @param {string} options.name - Registry name
+ * @param {string} options.apiKey - API key (local servers usually ignore it)
+ * @param {string} options.baseURL - Base URL for OpenAI-compatible endpoints
+ * @param {string} options.defaultModel - Model used when none is requested
+ * @param {string} options.structuredOutput - 'json_schema' (native), 'json_object', or 'prompt'
+ * @returns {object} Provider
+ */
+export function createOpenAIProvider(options = {}) {
+  const {
+    name = 'openai',
+    apiKey = process.env.OPENAI_API_KEY,
+    baseURL,
+    defaultModel = process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
+    structuredOutput = 'json_schema'
+  } = options;
+
+  // Created lazily so that importing the wrapper never requires credentials
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      // Retries are handled by the caller's retry policy (see agentProfiles.js)
+      client = new OpenAI({ apiKey, maxRetries: 0, ...(baseURL && { baseURL }) });
+    }
+    return client;
+  };
+
+  // Translate a provider-neutral request into Chat Completions parameters
+  const buildParams = (request) => {
+    const { model, temperature, maxTokens, responseFormat = null, tools = null } = request;
+    let messages = request.messages;
+    let response_format;
+
+    if (responseFormat) {
+      if (responseFormat.type === 'json_schema' && structuredOutput === 'json_schema') {
+        response_format = {
+          type: 'json_schema',
+          json_schema: {
+            name: responseFormat.name || 'agent_response',
+            strict: responseFormat.strict !== false,
+            schema: responseFormat.schema
+          }
+        };
+      } else {
+        // No native schema support: describe the contract in the system message
+        messages = [{ role: 'system', content: schemaInstruction(responseFormat) }, ...messages];
+        if (structuredOutput !== 'prompt') {
+          response_format = { type: 'json_object' };
+        }
+      }
+    }
+
+    return {
+      model: model || defaultModel,
+      temperature,
+      messages,
+      ...(maxTokens && { max_tokens: maxTokens }),
+      ...(response_format && { response_format }),
+      ...(tools && tools.length > 0 && {
+        tools: tools.map(tool => ({
+          type: 'function',
+          function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        }))
+      })
+    };
+  };
+
+  const requestOptions = (request) => (request.timeoutMs ? { timeout: request.timeoutMs } : undefined);
+
+  return {
+    name,
+    defaultModel,
+    structuredOutput,
+
+    async chat(request) {
+      const completion = await getClient().chat.completions.create(buildParams(request), requestOptions(request));
+
+      const choice = completion.choices[0];
+      return {
+        content: choice.message.content,
+        toolCalls: (choice.message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: call.function.arguments
+        })),
+        usage: normalizeUsage(completion.usage),
+        model: completion.model || request.model || defaultModel,
+        finishReason: choice.finish_reason
+      };
+    },
+
+    async *chatStream(request) {
+      const stream = await getClient().chat.completions.create({
+        ...buildParams(request),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, requestOptions(request));
+
+      let content = '';
+      let usage = null;
+      let model = request.model || defaultModel;
+      let finishReason = null;
+
+      for await (const chunk of stream) {
+        if (chunk.model) model = chunk.model;
+        if (chunk.usage) usage = chunk.usage;
+
+        const choice = chunk.choices?.[0];
+        if (!choice) continue;
+        if (choice.finish_reason) finishReason = choice.finish_reason;
+
+        const text = choice.delta?.content;
+        if (text) {
+          content += text;
+          yield { type: 'delta', text };
+        }
+      }
+
+      yield { type: 'done', content, usage: normalizeUsage(usage), model, finishReason };
+    }
+  };
+}
+
+/**
+ * Create a provider for a self-hosted OpenAI-compatible endpoint
+ * (llama.cpp `--api`, Ollama `/v1`, vLLM, LM Studio)
+ * @param {object} options - Same as createOpenAIProvider, with local defaults from env
+ * @returns {object} Provider
+ */
+export function createLocalProvider(options = {}) {
+  return createOpenAIProvider({
+    name: 'local',
+    apiKey: process.env.LUMEN_LOCAL_API_KEY || 'not-needed',
+    baseURL: process.env.LUMEN_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+    defaultModel: process.env.LUMEN_LOCAL_MODEL || 'llama3.1',
+    structuredOutput: process.env.LUMEN_LOCAL_STRUCTURED_OUTPUT || 'json_schema',
+    ...options
+  });
+}
+
+/**
+ * Build a minimal object that satisfies a JSON schema
+ * Strings are empty, numbers are 0, booleans false, enums take their first value.
+ * @param {object} schema - JSON schema
+ * @returns {*} Value matching the schema
+ */
+export function generateFromSchema(schema) {
+  if (!schema) return null;
+  if (schema.enum) return schema.enum[0];
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case 'object': {
+      const value = {};
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        value[key] = generateFromSchema(propSchema);
+      }
+      return value;
+    }
+    case 'array':
+      return [];
+    case 'string':
+      return '';
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create a deterministic in-process provider (no network)
+ *
+ * Responses are resolved in this order:
+ * 1. `handler(request)` if given - return an object (serialized for you) or a string
+ * 2. Next entry of the `responses` queue
+ * 3. A minimal object generated from the requested schema
+ *
+ * When the request offers tools, a result shaped { toolCalls: [{ name, arguments }], content }
+ * is returned as tool calls (arguments may be an object). Anything else is a plain answer.
+ *
+ * Every request is kept in `provider.calls` for assertions.
+ *
+ * @param {object} options - Provider options
+ * @param {Function} options.handler - Custom response function
+ * @param {Array} options.responses - Queue of canned responses
+ * @param {number} options.chunkSize - Characters per streamed delta (default: 8)
+ * @returns {object} Provider
+ */
+export function createFakeProvider(options = {}) {
+  const { name = 'fake', handler = null, responses = [], defaultModel = 'fake-model', chunkSize = 8 } = options;
+  const queue = [...responses];
+  const calls = [];
+
+  return {
+    name,
+    defaultModel,
+    structuredOutput: 'json_schema',
+    calls,
+
+    async chat(request) {
+      calls.push(request);
+
+      let result;
+      if (handler) {
+        result = await handler(request);
+      } else if (queue.length > 0) {
+        result = queue.shift();
+      } else if (request.responseFormat?.type === 'json_schema') {
+        result = generateFromSchema(request.responseFormat.schema);
+      } else {
+        result = {};
+      }
+
+      let toolCalls = [];
+      if (request.tools?.length > 0 && result && Array.isArray(result.toolCalls)) {
+        toolCalls = result.toolCalls.map((call, index) => ({
+          id: call.id || `call_${calls.length}_${index}`,
+          name: call.name,
+          arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+        }));
+        result = result.content || '';
+      }
+
+      const content = typeof result === 'string' ? result : JSON.stringify(result);
+      const promptTokens = Math.ceil(request.messages.reduce((n, m) => n + (m.content || '').length, 0) / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+
+      return {
+        content,
+        toolCalls,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+        model: request.model || defaultModel,
+        finishReason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
+      };
+    },
+
+    async *chatStream(request) {
+      const result = await this.chat(request);
+      // Fixed-size chunks keep streamed output deterministic
+      for (let i = 0; i < result.content.length; i += chunkSize) {
+        yield { type: 'delta', text: result.content.substring(i, i + chunkSize) };
+      }
+      yield { type: 'done', ...result };
+    }
+  };
+}
+
+const builtInFactories = {
+  openai: () => createOpenAIProvider(),
+  local: () => createLocalProvider(),
+  fake: () => createFakeProvider()
+};
+
+/**
+ * Register (or replace) a provider under a name
+ * @param {string} name - Registry name
+ * @param {object} provider - Object implementing chat()
+ */
+export function registerProvider(name, provider) {
+  if (!provider || typeof provider.chat !== 'function') {
+    throw new Error(`Provider "${name}" must implement chat(request)`);
+  }
+  providers.set(name, provider);
+  return provider;
+}
+
+/**
+ * Set the provider used when a call doesn't specify one
+ * @param {string|object|null} provider - Registry name, provider object, or null to reset
+ */
+export function setDefaultProvider(provider) {
+  if (provider && typeof provider === 'object') {
+    registerProvider(provider.name || 'custom', provider);
+    defaultProviderName = provider.name || 'custom';
+  } else {
+    defaultProviderName = provider;
+  }
+}
+
+/**
+ * Resolve a provider by name or pass a provider object straight through
+ * @param {string|object} provider - Registry name or provider object (optional)
+ * @returns {object} Provider
+ */
+export function getProvider(provider) {
+  if (provider && typeof provider === 'object') {
+    return provider;
+  }
+
+  const name = provider || defaultProviderName || process.env.LUMEN_LLM_PROVIDER || 'openai';
+
+  if (!providers.has(name)) {
+    const factory = builtInFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${name}. Available: ${listProviders().join(', ')}`);
+    }
+    providers.set(name, factory());
+  }
+
+  return providers.get(name);
+}
+
+/**
+ * List all provider names that can be resolved
+ * @returns {string[]} Provider names
+ */
+export function listProviders() {
+  return Array.from(new Set([...Object.keys(builtInFactories), ...providers.keys()]));
+}
+
+export default {
+  createOpenAIProvider,
+  createLocalProvider,
+  createFakeProvider,
+  generateFromSchema,
+  registerProvider,
+  setDefaultProvider,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,236 @@
+/**
+ * Logger - Leveled, per-component logging for the library, the CLI and the bots
+ *
+ * Modules log through getLogger('<component>') instead of console, with a message and optional
+ * fields: log.info('🔀 Routing to baseAgent', { traceId }). Components: orchestrator, executor,
+ * iteration, memory, llm, tools, jobs, audit, scheduler, cache, secrets, usage, profiles,
+ * tracing, telegram.
+ *
+ * Levels, lowest first: trace, debug, info, warn, error ('silent' turns a component off).
+ * Phase progress is info; detail (personality analysis, policy reasoning, command output) is debug.
+ *
+ * Settings come from the environment and can be changed with configureLogging():
+ * - LUMEN_LOG_LEVEL: lowest level written (default 'info')
+ * - LUMEN_LOG_LEVELS: per-component levels, "executor=debug,memory=warn"; these win over the rest
+ * - LUMEN_LOG_FORMAT: 'pretty' (default; "[component] message key=value", colored on a terminal)
+ *   or 'json' (one object per line: time, level, component, msg and the fields)
+ * - LUMEN_QUIET=true: warnings and errors only
+ * trace, debug and info go to stdout; warn and error to stderr.
+ *
+ * Library consumers can inject their own logger: setLogger(logger) for everything, or `logger` on
+ * processUserRequest, executeAgentCommand, executeStepsWithResilience and addInteraction for one
+ * call. It needs debug/info/warn/error(message, fields) (console and winston fit; trace falls back
+ * to debug), gets { component, ...fields }, and does its own level filtering.
+ */
+
+export const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'silent'];
+
+const LEVEL_RANK = Object.fromEntries(LOG_LEVELS.map((level, index) => [level, index]));
+const LEVEL_COLORS = { trace: '2', debug: '2', warn: '33', error: '31' };
+const LOG_FORMATS = ['pretty', 'json'];
+
+let settings = null; // Read from the environment on first use, after dotenv has run
+let injected = null; // setLogger()
+const loggers = new Map(); // component → logger from getLogger
+const ownLoggers = new WeakSet();
+
+function checkLevel(level, source) {
+  if (!Object.hasOwn(LEVEL_RANK, level)) throw new Error(`Unknown log level "${level}" in ${source} (one of ${LOG_LEVELS.join(', ')})`);
+  return level;
+}
+
+/**
+ * Parse per-component levels
+ * @param {string|object} value - "executor=debug,memory=warn" or { executor: 'debug' }
+ * @returns {object} { component: level }
+ */
+function parseComponentLevels(value, source) {
+  if (!value) return {};
+  const pairs = typeof value === 'string'
+    ? value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => pair.split('=').map(part => part.trim()))
+    : Object.entries(value);
+  const levels = {};
+  for (const [component, level] of pairs) {
+    if (!component || !level) throw new Error(`Invalid component level "${component}=${level ?? ''}" in ${source} (use component=level)`);
+    levels[component] = checkLevel(level.toLowerCase(), source);
+  }
+  return levels;
+}
+
+function settingsFromEnv() {
+  const defaults = { level: 'info', components: {}, format: 'pretty', quiet: false, write: null };
+  try {
+    const format = (process.env.LUMEN_LOG_FORMAT || 'pretty').toLowerCase();
+    if (!LOG_FORMATS.includes(format)) throw new Error(`Unknown log format "${format}" in LUMEN_LOG_FORMAT (pretty or json)`);
+    return {
+      ...defaults,
+      level: checkLevel((process.env.LUMEN_LOG_LEVEL || 'info').toLowerCase(), 'LUMEN_LOG_LEVEL'),
+      components: parseComponentLevels(process.env.LUMEN_LOG_LEVELS, 'LUMEN_LOG_LEVELS'),
+      format,
+      quiet: process.env.LUMEN_QUIET === 'true'
+    };
+  } catch (error) {
+    // A typo in a logging variable shouldn't stop the app
+    process.stderr.write(`⚠️  ${error.message}; using the default logging settings\n`);
+    return defaults;
+  }
+}
+
+function currentSettings() {
+  settings ||= settingsFromEnv();
+  return settings;
+}
+
+/**
+ * Change logging settings (unset options keep their current value)
+ * @param {object} options - Settings
+ * @param {string} options.level - Lowest level written
+ * @param {string|object} options.components - Per-component levels, merged over the current ones
+ * @param {string} options.format - 'pretty' or 'json'
+ * @param {boolean} options.quiet - Warnings and errors only (component levels still win)
+ * @param {Function} options.write - (line, record) => void instead of stdout/stderr; null restores them
+ */
+export function configureLogging(options = {}) {
+  const current = currentSettings();
+  if (options.format !== undefined && !LOG_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown log format "${options.format}" (pretty or json)`);
+  }
+  settings = {
+    level: options.level !== undefined ? checkLevel(options.level, 'configureLogging') : current.level,
+    components: { ...current.components, ...parseComponentLevels(options.components, 'configureLogging') },
+    format: options.format ?? current.format,
+    quiet: options.quiet ?? current.quiet,
+    write: options.write !== undefined ? options.write : current.write
+  };
+}
+
+/**
+ * Current settings, for display
+ * @returns {object} { level, components, format, quiet }
+ */
+export function getLoggingSettings() {
+  const { level, components, format, quiet } = currentSettings();
+  return { level, components: { ...components }, format, quiet };
+}
+
+/**
+ * The level a component logs at
+ * @param {string} component - Component name
+ * @returns {string} Level
+ */
+export function levelFor(component) {
+  const { components, quiet, level } = currentSettings();
+  if (components[component]) return components[component];
+  if (quiet && LEVEL_RANK[level] < LEVEL_RANK.warn) return 'warn';
+  return level;
+}
+
+/**
+ * Send every logger to logger instead of stdout/stderr (null goes back to the built-in output)
+ * @param {object|null} logger - Object with debug/info/warn/error(message, fields)
+ */
+export function setLogger(logger) {
+  injected = logger && !ownLoggers.has(logger) ? logger : null;
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, ...(error.code && { code: error.code }), stack: error.stack };
+}
+
+function formatJson(record) {
+  const fields = Object.fromEntries(Object.entries(record.fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value]));
+  return JSON.stringify({ time: record.time.toISOString(), level: record.level, component: record.component, msg: record.message, ...fields });
+}
+
+function formatPretty(record, color) {
+  const paint = (code, text) => (color && code ? `\x1b[${code}m${text}\x1b[0m` : text);
+  const inline = [];
+  const blocks = [];
+  for (const [key, value] of Object.entries(record.fields)) {
+    if (value === undefined || value === null) continue;
+    const text = value instanceof Error ? value.message : typeof value === 'string' ? value : JSON.stringify(value);
+    // Multi-line values (command output, plans) go below the message
+    if (text.includes('\n')) blocks.push(text);
+    else inline.push(`${key}=${/[\s"=]/.test(text) || text === '' ? JSON.stringify(text) : text}`);
+  }
+  const line = `${paint('2', `[${record.component}]`)} ${paint(LEVEL_COLORS[record.level], record.message)}` +
+    (inline.length > 0 ? ` ${paint('2', inline.join(' '))}` : '');
+  return [line, ...blocks].join('\n');
+}
+
+// Hand a record to an injected logger; a failing logger never fails the caller
+function deliver(target, record) {
+  const method = [record.level, record.level === 'trace' ? 'debug' : null, 'log']
+    .map(name => name && target[name])
+    .find(fn => typeof fn === 'function');
+  try {
+    method?.call(target, record.message, { component: record.component, ...record.fields });
+  } catch {
+    // Ignored on purpose
+  }
+}
+
+function emit(external, component, bindings, level, message, fields) {
+  const record = { time: new Date(), level, component, message: String(message), fields: { ...bindings, ...fields } };
+  const target = external || injected;
+  if (target) {
+    deliver(target, record);
+    return;
+  }
+  if (LEVEL_RANK[level] < LEVEL_RANK[levelFor(component)]) return;
+
+  const { format, write } = currentSettings();
+  const stream = LEVEL_RANK[level] >= LEVEL_RANK.warn ? process.stderr : process.stdout;
+  const color = !write && stream.isTTY && !process.env.NO_COLOR;
+  const line = format === 'json' ? formatJson(record) : formatPretty(record, color);
+  if (write) write(line, record);
+  else stream.write(`${line}\n`);
+}
+
+function makeLogger(component, bindings, external) {
+  const logger = {
+    component,
+    /**
+     * A logger for another component or with fields added to every record
+     * @param {string|object} extra - Component name, or { component, ...fields }
+     */
+    child(extra = {}) {
+      const { component: name = component, ...fields } = typeof extra === 'string' ? { component: extra } : extra;
+      return makeLogger(name, { ...bindings, ...fields }, external);
+    },
+    isLevelEnabled(level) {
+      return Boolean(external || injected) || LEVEL_RANK[level] >= LEVEL_RANK[levelFor(component)];
+    }
+  };
+  for (const level of LOG_LEVELS.filter(name => name !== 'silent')) {
+    logger[level] = (message, fields = {}) => emit(external, component, bindings, level, message, fields);
+  }
+  ownLoggers.add(logger);
+  return logger;
+}
+
+/**
+ * The logger for a component
+ * @param {string} component - Component name ('executor', 'orchestrator', ...)
+ * @returns {object} Logger with trace/debug/info/warn/error(message, fields), child() and isLevelEnabled()
+ */
+export function getLogger(component) {
+  if (!loggers.has(component)) loggers.set(component, makeLogger(component, {}, null));
+  return loggers.get(component);
+}
+
+/**
+ * The logger a call should use: one passed in by the caller, else the component's
+ * @param {object|null} logger - Caller's logger (one of ours or an injected one), if any
+ * @param {string} component - Component name
+ * @returns {object} Logger
+ */
+export function resolveLogger(logger, component) {
+  if (!logger) return getLogger(component);
+  if (ownLoggers.has(logger)) return logger.child({ component });
+  return makeLogger(component, {}, logger);
+}
+
+export default { LOG_LEVELS, configureLogging, getLoggingSettings, levelFor, setLogger, getLogger, resolveLogger };
@@ -12,6 +12,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { queryOpenAI } from './openaiWrapper.js';
 import { summarizeAgentResponseSchema } from '../schemas/summarizeAgent.js';
+import { resolveLogger } from './logger.js';
 
 const MAX_INTERACTIONS = 21;
 const MAX_SUMMARIES = 3;
@@ -68,8 +69,14 @@ async function saveMemory(memory) {
  * Add an interaction to memory
  * @param {object} userRequest - Full JSON request from user
  * @param {object} aiResponse - Full JSON response from AI
+ * @param {object} options - Optional settings
+ * @param {string|object} options.provider - LLM provider used for summarization
+ * @param {object|boolean} options.cassette - Record/replay cassette for summarization
+ * @param {object} options.usageTracker - Usage tracker the summarization call is charged to
+ * @param {object} options.trace - Request trace (see tracing.js); its id is stored with the interaction
+ * @param {object} options.logger - Logger instead of the 'memory' component's (see logger.js)
  */
-export async function addInteraction(userRequest, aiResponse) {
+export async function addInteraction(userRequest, aiResponse, options = {}) {
   const memory = await loadMemory();
   
   // Create interaction with timestamp for temporal awareness
@@ -77,7 +84,8 @@ export async function addInteraction(userRequest, aiResponse) {
     userRequest,
     aiResponse,
     ts: new Date().toISOString(),
-    id: memory.count + 1
+    id: memory.count + 1,
+    ...(options.trace && { traceId: options.trace.traceId })
   };
   
   // Step 1: Add interaction to array
@@ -88,7 +96,7 @@ export async function addInteraction(userRequest, aiResponse) {
   
   // Step 3: Check if we've reached 22 interactions (trigger summarization)
   if (memory.interactions.length > MAX_INTERACTIONS) {
-    await summarizeAndShift(memory);
+    await summarizeAndShift(memory, options);
   }
   
   // Save to disk
@@ -100,11 +108,13 @@ export async function addInteraction(userRequest, aiResponse) {
 /**
  * Summarize interactions 2-22, shift window, add summary
  */
-async function summarizeAndShift(memory) {
+async function summarizeAndShift(memory, options = {}) {
   // Get interactions to summarize (index 1 to end = interactions 2-22)
   const toSummarize = memory.interactions.slice(1);
+  const log = resolveLogger(options.logger, 'memory');
   
   try {
+    log.info(`📚 Summarizing interactions ${toSummarize[0].id}-${toSummarize[toSummarize.length - 1].id}`);
     // Build context for summarization
     const contextText = toSummarize.map((interaction, idx) => {
       const userQuery = interaction.userRequest?.query || JSON.stringify(interaction.userRequest);
@@ -121,7 +131,12 @@ async function summarizeAndShift(memory) {
       `Summarize these ${toSummarize.length} conversation interactions. Preserve key facts, decisions, goals, code created, commands executed, and evolving context:\n\n${contextText}`,
       { 
         schema: summarizeAgentResponseSchema,
-        temperature: 0.1
+        schemaName: 'summarizeAgent', // Also selects the summarizer profile (low temperature)
+        provider: options.provider,
+        cassette: options.cassette,
+        usageTracker: options.usageTracker,
+        trace: options.trace,
+        logger: options.logger
       }
     );
     
@@ -147,7 +162,7 @@ async function summarizeAndShift(memory) {
     }
     
   } catch (error) {
-    console.error('Error creating memory summary:', error.message);
+    log.error(`Error creating memory summary: ${error.message}`);
     // Continue with shift even if summary fails
   }
   
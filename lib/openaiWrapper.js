@@ -1,14 +1,18 @@
-import OpenAI from 'openai';
-import dotenv from 'dotenv';
 import { baseAgentExtendedResponseSchema } from '../schemas/baseAgent.js';
+import { getProvider } from './llmProviders.js';
+import { resolveCassette, describeSchema } from './cassette.js';
+import { validateAgainstSchema, buildRepairPrompt, SchemaValidationError } from './schemaValidator.js';
+import { createUsageTracker, BudgetExceededError } from './usageTracker.js';
+import { createJsonFieldStreamer } from './partialJson.js';
+import { renderPrompt, promptRef } from './promptRegistry.js';
+import { resolveAgentProfile } from './agentProfiles.js';
+import { getRequestScheduler, ProviderUnavailableError } from './requestScheduler.js';
+import { resolveResponseCache, cacheKey, isCacheable } from './responseCache.js';
+import { withSpan } from './tracing.js';
+import { resolveLogger } from './logger.js';
 
-if (!process.env.OPENAI_API_KEY) {
-  dotenv.config();
-}
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Top-level string fields surfaced incrementally while a response streams in
+const DEFAULT_STREAM_FIELDS = ['response', 'code', 'userResponse', 'summary'];
 
 /**
  * Robustly strips Markdown formatting or trailing "garbage" characters 
@@ -27,124 +31,501 @@ function sanitizeJsonString(str) {
 }
 
 /**
- * Wrapper for OpenAI Chat Completions with JSON schema response format
+ * Parse model output as JSON, falling back to sanitizing for providers
+ * without native structured output (local models love markdown fences)
+ */
+function parseJsonContent(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return JSON.parse(sanitizeJsonString(content));
+  }
+}
+
+/**
+ * Merge explicit call options over the agent's profile (see agentProfiles.js)
+ * @returns {object} { model, temperature, maxTokens, timeoutMs, retry, cache }
+ */
+function resolveCallSettings(profileName, options) {
+  const profile = resolveAgentProfile(profileName);
+  return {
+    model: options.model ?? profile.model ?? undefined,
+    temperature: options.temperature ?? profile.temperature,
+    maxTokens: options.maxTokens ?? profile.maxTokens ?? undefined,
+    timeoutMs: options.timeoutMs ?? profile.timeoutMs,
+    retry: {
+      ...profile.retry,
+      ...(options.maxRetries !== undefined && { maxRetries: options.maxRetries })
+    },
+    cache: options.cache === true ? { ...profile.cache, enabled: true } : profile.cache
+  };
+}
+
+/**
+ * Send a chat request through the provider's shared scheduler
+ * (concurrency/rate limits, Retry-After aware jittered retries, circuit breaker)
+ * @param {object} retry - { maxRetries, baseDelayMs }
+ */
+async function chatWithRetry(provider, request, retry) {
+  return getRequestScheduler(provider.name).run(() => provider.chat(request), { retry });
+}
+
+/**
+ * Stream a chat request, passing each text delta to onDelta
+ * Falls back to a single delta for providers without chatStream(). Only retries
+ * when the failure happened before any text was delivered.
+ * @returns {Promise<object>} Completion in the same shape as provider.chat()
+ */
+async function streamWithRetry(provider, request, retry, onDelta) {
+  if (typeof provider.chatStream !== 'function') {
+    const completion = await chatWithRetry(provider, request, retry);
+    onDelta(completion.content || '');
+    return completion;
+  }
+
+  let started = false;
+  return getRequestScheduler(provider.name).run(async () => {
+    started = false;
+    for await (const event of provider.chatStream(request)) {
+      if (event.type === 'delta') {
+        started = true;
+        onDelta(event.text);
+      } else if (event.type === 'done') {
+        const { type, ...completion } = event;
+        return completion;
+      }
+    }
+    throw new Error(`Stream from ${provider.name} ended without a completion`);
+  }, { retry, canRetry: () => !started });
+}
+
+/**
+ * Wrapper for chat completions with JSON schema response format
+ * @param {string} query - User query
+ * @param {object} options - Query options
+ * @param {string|object} options.provider - LLM provider name or object (see llmProviders.js)
+ * @param {string} options.schemaName - Readable schema name recorded in cassettes (derived if omitted)
+ * @param {string} options.profile - Agent profile for model/temperature/maxTokens/timeout/retry (default: schemaName)
+ * @param {string} options.model - Model name (default: profile model, else the provider's default model)
+ * @param {number} options.temperature - Sampling temperature (default: profile)
+ * @param {number} options.maxTokens - Completion token cap (default: profile)
+ * @param {number} options.timeoutMs - Per-request timeout (default: profile)
+ * @param {number} options.maxRetries - Retries for rate limits and server errors (default: profile)
+ * @param {object|boolean} options.cassette - Cassette from cassette.js, or false to bypass LUMEN_CASSETTE_MODE
+ * @param {object|boolean} options.cache - Response cache from responseCache.js instead of the shared one, true to
+ *   cache this call even if its profile doesn't, or false to bypass (temperature > 0 still needs cache.allowTemperature)
+ * @param {boolean} options.validate - Validate the response against the schema locally (default: true)
+ * @param {number} options.maxRepairAttempts - Follow-up requests that feed validation errors back to the model (default: 2)
+ * @param {object} options.usageTracker - Tracker from usageTracker.js that aggregates tokens/cost (default: a one-off
+ *   tracker that writes nothing to the daily ledger)
+ * @param {object} options.trace - Trace from tracing.js; the call becomes an 'llm <schemaName>' span with the model,
+ *   tokens, attempts and where the answer came from (provider, cache or cassette)
+ * @param {object} options.logger - Logger instead of the 'llm' component's (see logger.js)
+ * @param {Function} options.onStream - Stream the completion; receives { type: 'delta' | 'field' | 'retry' | 'final', schemaName, ... }
+ * @param {string[]} options.streamFields - Top-level string fields reported as 'field' events while streaming
+ * @param {string} options.prompt - System prompt template id (default: 'lumen-system', see promptRegistry.js)
+ * @param {string} options.promptVersion - Template version (default: active version)
+ * @param {Array} options.promptRefs - Other templates that shaped the query or context, [{ id, version }]
+ * @returns {Promise<object>} Parsed response plus `_prompts` ([{ id, version }] of the templates used)
+ * @throws {SchemaValidationError} When the response still violates the schema after all repair attempts
+ * @throws {BudgetExceededError} When the next call would exceed a configured budget
+ * @throws {ProviderUnavailableError} When the provider's circuit breaker is open
  */
 export async function queryOpenAI(query, options = {}) {
+  const schemaName = options.schemaName || describeSchema(options.schema || baseAgentExtendedResponseSchema);
+  return withSpan(options.trace, `llm ${schemaName}`, {
+    kind: 'client',
+    attributes: { 'gen_ai.operation.name': 'chat', 'lumen.schema': schemaName }
+  }, (span) => runQuery(query, options, span));
+}
+
+/**
+ * queryOpenAI inside its span
+ */
+async function runQuery(query, options, span) {
   const {
     context = null,
     schema = baseAgentExtendedResponseSchema,
-    model = process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
-    temperature = parseFloat(process.env.OPENAI_DEFAULT_TEMPERATURE) || 0.7, // default moderate creativity
-    maxRetries = 3
+    schemaName = describeSchema(schema),
+    profile = schemaName,
+    cassette: cassetteOption = undefined,
+    cache: cacheOption = undefined,
+    provider: providerOption = null,
+    validate = true,
+    maxRepairAttempts = 2,
+    usageTracker = createUsageTracker({ persist: false }),
+    onStream = null,
+    streamFields = DEFAULT_STREAM_FIELDS,
+    prompt = 'lumen-system',
+    promptVersion = null,
+    promptRefs = []
   } = options;
 
-  const systemPrompt = `You are Lumen, a high-precision AI coding assistant with full terminal access on a live production server.
-
-CAPABILITIES:
-- Full terminal command execution including SSH, network operations, and system administration
-- SSH access to remote servers when credentials are available
-- Execute ANY terminal command the user requests (ssh, curl, wget, scp, rsync, etc.)
-- Generate code in any programming language
-- Provide conversational responses and explanations
-- Access to the filesystem (not restricted to containers)
-- Common commands: ls, cat, grep, find, node, npm, docker, git, ssh, curl, systemctl, pm2, etc.
-
-IMPORTANT SSH BEHAVIOR:
-- When the user asks you to SSH into a server, ALWAYS TRY IT
-- Do not refuse SSH commands - you have the capability to execute them
-- If SSH keys are set up, the connection will work
-- Use format: ssh user@hostname "command" for remote execution
-- Trust that your architect has configured access appropriately
-
-CONTEXT AWARENESS:
-- CAREFULLY review the conversation history below to understand what has already been discussed
-- Pay attention to timestamps to understand the sequence of events and time elapsed
-- Consider previous responses, commands executed, and their outcomes
-- Reference earlier context when relevant (e.g., "As we discussed earlier...", "Following up on...")
-- Maintain continuity with ongoing tasks and conversations
-- If the user refers to something discussed before, check the conversation history
-- Use temporal context to provide timely, relevant responses (e.g., if hours have passed since last interaction)
-
-RESPONSE GUIDELINES:
-- Respond to the user's current query while considering the full conversation history
-- For file/directory questions: Use terminalCommand choice with ls, find, or similar
-- For reading files: Use terminalCommand with cat, head, tail, or grep
-- For SSH requests: Use terminalCommand with ssh commands
-- For code requests: Use code choice with generated code
-- For explanations: Use response choice
-- Respond ONLY with valid JSON matching the schema
-- NEVER include markdown code blocks (\`\`\`json) or trailing text
-- Current date and time: ${new Date().toLocaleString()}
-
-${context ? `\n═══ CONVERSATION CONTEXT ═══\n${typeof context === 'string' ? context : JSON.stringify(context, null, 2)}` : ''}`;
-
-  let lastError = null;
-  
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      const completion = await openai.chat.completions.create({
-        model,
-        temperature,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: query }
-        ],
-        response_format: {
-          type: "json_schema",
-          json_schema: {
-            name: "agent_response",
-            strict: true,
-            schema
-          }
+  const provider = getProvider(providerOption);
+  const { model, temperature, maxTokens, timeoutMs, retry, cache: cacheSettings } = resolveCallSettings(profile, options);
+  const resolvedModel = model || provider.defaultModel;
+  const emit = (event) => onStream && onStream({ schemaName, ...event });
+  span.setAttributes({ 'gen_ai.system': provider.name, 'gen_ai.request.model': resolvedModel });
+
+  const renderedPrompt = renderPrompt(prompt, {
+    now: new Date().toLocaleString(),
+    contextSection: context
+      ? `\n═══ CONVERSATION CONTEXT ═══\n${typeof context === 'string' ? context : JSON.stringify(context, null, 2)}`
+      : ''
+  }, { version: promptVersion });
+  const systemPrompt = renderedPrompt.text;
+  const prompts = [promptRef(renderedPrompt), ...promptRefs];
+
+  // Record/replay: serve from the cassette before touching the provider
+  const cassette = resolveCassette(cassetteOption);
+  const cassetteRequest = {
+    systemPrompt,
+    query,
+    schemaName,
+    model: resolvedModel,
+    temperature
+  };
+  // Stored responses (cassette or cache) are streamed as complete fields
+  const serveStored = (data) => {
+    const stored = { ...data, _prompts: prompts };
+    if (onStream) {
+      for (const name of streamFields) {
+        if (typeof stored[name] === 'string' && stored[name]) {
+          emit({ type: 'field', attempt: 1, name, value: stored[name], delta: stored[name], complete: true });
         }
-      });
+      }
+      emit({ type: 'final', data: stored });
+    }
+    return stored;
+  };
 
-      const responseContent = completion.choices[0].message.content;
-      const parsedData = JSON.parse(responseContent);
+  if (cassette?.mode === 'replay') {
+    span.setAttribute('lumen.source', 'cassette');
+    return serveStored(cassette.replay(cassetteRequest));
+  }
 
-      // Post-process specific fields that might contain nested JSON strings
-      if (parsedData.schemaAsString) {
-        parsedData.schemaAsString = sanitizeJsonString(parsedData.schemaAsString);
+  // Response cache: opt-in per agent profile, deterministic calls only
+  const responseCache = cacheOption !== false && isCacheable(cacheSettings, temperature)
+    ? resolveResponseCache(typeof cacheOption === 'object' ? cacheOption : undefined)
+    : null;
+  const responseCacheKey = responseCache && cacheKey({ model: resolvedModel, schema, systemPrompt, query });
+  if (responseCache) {
+    const cached = responseCache.get(responseCacheKey);
+    usageTracker.recordCacheLookup(schemaName, cached !== null);
+    if (cached) {
+      if (cassette?.mode === 'record') {
+        await cassette.record(cassetteRequest, cached);
       }
+      span.setAttribute('lumen.source', 'cache');
+      return serveStored(cached);
+    }
+  }
 
-      return parsedData;
-    } catch (error) {
-      lastError = error;
-      const shouldRetry = (error.status === 429 || (error.status >= 500 && error.status < 600)) && attempt < maxRetries;
-      
-      if (shouldRetry) {
-        const delayMs = Math.pow(2, attempt) * 1000;
-        console.warn(`Retry ${attempt + 1}: ${error.message}`);
-        await new Promise(r => setTimeout(r, delayMs));
-        continue;
+  const messages = [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: query }
+  ];
+
+  // Repair loop: invalid responses are sent back with the validation errors
+  let parsedData = null;
+  let errors = [];
+  let attempts = 0;
+  const tokens = { input: 0, output: 0 };
+  span.setAttribute('lumen.source', 'provider');
+
+  for (let repair = 0; repair <= maxRepairAttempts; repair++) {
+    attempts++;
+    await usageTracker.check({ model: resolvedModel, messages, maxTokens });
+
+    const request = {
+      model,
+      temperature,
+      maxTokens,
+      timeoutMs,
+      messages,
+      responseFormat: {
+        type: "json_schema",
+        name: "agent_response",
+        strict: true,
+        schema
       }
-      throw error;
+    };
+
+    let completion;
+    if (onStream) {
+      const fieldStreamer = createJsonFieldStreamer(streamFields);
+      const attempt = attempts;
+      completion = await streamWithRetry(provider, request, retry, (text) => {
+        emit({ type: 'delta', attempt, text });
+        for (const update of fieldStreamer.push(text)) {
+          emit({ type: 'field', attempt, ...update });
+        }
+      });
+    } else {
+      completion = await chatWithRetry(provider, request, retry);
     }
+
+    const recorded = await usageTracker.record({
+      schemaName,
+      provider: provider.name,
+      model: completion.model || resolvedModel,
+      usage: completion.usage
+    });
+    tokens.input += recorded.promptTokens;
+    tokens.output += recorded.completionTokens;
+    span.setAttributes({
+      'gen_ai.response.model': recorded.model,
+      'gen_ai.usage.input_tokens': tokens.input,
+      'gen_ai.usage.output_tokens': tokens.output,
+      'lumen.attempts': attempts
+    });
+
+    try {
+      parsedData = parseJsonContent(completion.content);
+      errors = validate ? validateAgainstSchema(parsedData, schema) : [];
+    } catch (error) {
+      parsedData = null;
+      errors = [`$: response is not valid JSON (${error.message})`];
+    }
+
+    if (errors.length === 0) break;
+
+    resolveLogger(options.logger, 'llm').warn(`⚠️  ${schemaName} response failed schema validation (attempt ${attempts}): ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+    // Streaming consumers should discard what they showed for this attempt
+    emit({ type: 'retry', attempt: attempts, errors });
+    messages.push(
+      { role: "assistant", content: completion.content || '' },
+      { role: "user", content: buildRepairPrompt(errors) }
+    );
+  }
+
+  if (errors.length > 0) {
+    throw new SchemaValidationError(
+      `Response for ${schemaName} did not match its schema after ${attempts} attempt(s): ${errors[0]}`,
+      { errors, schemaName, attempts, response: parsedData }
+    );
+  }
+
+  // Post-process specific fields that might contain nested JSON strings
+  if (parsedData.schemaAsString) {
+    parsedData.schemaAsString = sanitizeJsonString(parsedData.schemaAsString);
+  }
+
+  if (responseCache) {
+    await responseCache.set(responseCacheKey, parsedData, {
+      schemaName,
+      model: resolvedModel,
+      ttlMs: cacheSettings.ttlMs
+    });
+  }
+
+  if (cassette?.mode === 'record') {
+    await cassette.record(cassetteRequest, parsedData);
+  }
+
+  const result = { ...parsedData, _prompts: prompts };
+  emit({ type: 'final', data: result });
+
+  return result;
+}
+
+/**
+ * Streaming variant of queryOpenAI as an async iterator
+ *
+ *   for await (const event of streamOpenAI(query, { schema })) {
+ *     if (event.type === 'field' && event.name === 'response') process.stdout.write(event.delta);
+ *     if (event.type === 'final') result = event.data;
+ *   }
+ *
+ * Events: 'delta' (raw text), 'field' (incrementally parsed top-level string field),
+ * 'retry' (attempt failed validation - discard partial output), 'final' (validated object).
+ * The final object is exactly what queryOpenAI would return.
+ * @param {string} query - User query
+ * @param {object} options - Same options as queryOpenAI
+ */
+export async function* streamOpenAI(query, options = {}) {
+  const events = [];
+  let notify = null;
+  let finished = false;
+  let failure = null;
+
+  const run = queryOpenAI(query, {
+    ...options,
+    onStream: (event) => {
+      events.push(event);
+      if (notify) notify();
+    }
+  })
+    .catch(error => { failure = error; })
+    .finally(() => {
+      finished = true;
+      if (notify) notify();
+    });
+
+  while (true) {
+    if (events.length > 0) {
+      yield events.shift();
+      continue;
+    }
+    if (finished) break;
+    await new Promise(resolve => { notify = resolve; });
+    notify = null;
+  }
+
+  await run;
+  if (failure) throw failure;
+}
+
+/**
+ * One turn of a tool-calling conversation
+ * The caller owns the message list and executes the returned tool calls itself.
+ * @param {Array} messages - Full conversation in OpenAI message format (system message first)
+ * @param {object} options - Query options
+ * @param {Array} options.tools - Tool definitions [{ name, description, parameters }]
+ * @param {string} options.schemaName - Name recorded for usage and cassettes (default: 'toolAgent')
+ * @param {string} options.profile - Agent profile (default: schemaName); model, temperature, maxTokens,
+ *   timeoutMs and maxRetries options override it as in queryOpenAI
+ * @param {string|object} options.provider - LLM provider name or object
+ * @param {object|boolean} options.cassette - Record/replay cassette
+ * @param {object} options.usageTracker - Tracker from usageTracker.js (default: a one-off tracker, not persisted)
+ * @param {object} options.trace - Trace from tracing.js (an 'llm <schemaName>' span, as in queryOpenAI)
+ * @returns {Promise<object>} { content, toolCalls: [{ id, name, arguments }] }
+ * @throws {BudgetExceededError} When the call would exceed a configured budget
+ */
+export async function queryWithTools(messages, options = {}) {
+  const schemaName = options.schemaName || 'toolAgent';
+  return withSpan(options.trace, `llm ${schemaName}`, {
+    kind: 'client',
+    attributes: { 'gen_ai.operation.name': 'chat', 'lumen.schema': schemaName }
+  }, (span) => runToolsQuery(messages, options, span));
+}
+
+/**
+ * queryWithTools inside its span
+ */
+async function runToolsQuery(messages, options, span) {
+  const {
+    tools = [],
+    schemaName = 'toolAgent',
+    profile = schemaName,
+    cassette: cassetteOption = undefined,
+    provider: providerOption = null,
+    usageTracker = createUsageTracker({ persist: false })
+  } = options;
+
+  const provider = getProvider(providerOption);
+  const { model, temperature, maxTokens, timeoutMs, retry } = resolveCallSettings(profile, options);
+  const resolvedModel = model || provider.defaultModel;
+  span.setAttributes({ 'gen_ai.system': provider.name, 'gen_ai.request.model': resolvedModel });
+
+  // The whole conversation so far is the cassette key, so every turn replays independently
+  const cassette = resolveCassette(cassetteOption);
+  const cassetteRequest = {
+    systemPrompt: messages[0]?.role === 'system' ? messages[0].content : null,
+    query: JSON.stringify(messages[0]?.role === 'system' ? messages.slice(1) : messages),
+    schemaName,
+    model: resolvedModel,
+    temperature
+  };
+  if (cassette?.mode === 'replay') {
+    span.setAttribute('lumen.source', 'cassette');
+    return cassette.replay(cassetteRequest);
   }
-  throw lastError;
+
+  await usageTracker.check({ model: resolvedModel, messages, maxTokens });
+
+  const completion = await chatWithRetry(provider, { model, temperature, maxTokens, timeoutMs, messages, tools }, retry);
+
+  const recorded = await usageTracker.record({
+    schemaName,
+    provider: provider.name,
+    model: completion.model || resolvedModel,
+    usage: completion.usage
+  });
+  span.setAttributes({
+    'lumen.source': 'provider',
+    'gen_ai.response.model': recorded.model,
+    'gen_ai.usage.input_tokens': recorded.promptTokens,
+    'gen_ai.usage.output_tokens': recorded.completionTokens,
+    'lumen.tool_calls': (completion.toolCalls || []).length
+  });
+
+  const result = {
+    content: completion.content || '',
+    toolCalls: completion.toolCalls || []
+  };
+
+  if (cassette?.mode === 'record') {
+    await cassette.record(cassetteRequest, result);
+  }
+
+  return result;
 }
 
+/**
+ * Wrapper for chat completions in free-form JSON object mode
+ * @param {string} query - User query
+ * @param {object} options - Query options (context, provider, profile, model, temperature, maxTokens, cassette, usageTracker)
+ */
 export async function queryOpenAIJsonMode(query, options = {}) {
   const {
     context = null,
-    model = process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
-    temperature = 0.7,
+    profile = 'default',
+    cassette: cassetteOption = undefined,
+    provider: providerOption = null,
+    usageTracker = createUsageTracker({ persist: false })
   } = options;
 
+  const provider = getProvider(providerOption);
+  const { model, temperature, maxTokens, timeoutMs, retry } = resolveCallSettings(profile, options);
+  const resolvedModel = model || provider.defaultModel;
   const content = context ? `Context: ${JSON.stringify(context)}\n\nQuery: ${query}` : query;
 
+  const cassette = resolveCassette(cassetteOption);
+  const cassetteRequest = {
+    systemPrompt: null,
+    query: content,
+    schemaName: 'json_object',
+    model: resolvedModel,
+    temperature
+  };
+  if (cassette?.mode === 'replay') {
+    return cassette.replay(cassetteRequest);
+  }
+
+  const messages = [{ role: "user", content }];
+
   try {
-    const completion = await openai.chat.completions.create({
+    await usageTracker.check({ model: resolvedModel, messages, maxTokens });
+
+    const completion = await chatWithRetry(provider, {
       model,
       temperature,
-      messages: [{ role: "user", content }],
-      response_format: { type: "json_object" }
+      maxTokens,
+      timeoutMs,
+      messages,
+      responseFormat: { type: "json_object" }
+    }, retry);
+
+    await usageTracker.record({
+      schemaName: 'json_object',
+      provider: provider.name,
+      model: completion.model || resolvedModel,
+      usage: completion.usage
     });
-    return JSON.parse(completion.choices[0].message.content);
+    const parsedData = parseJsonContent(completion.content);
+
+    if (cassette?.mode === 'record') {
+      await cassette.record(cassetteRequest, parsedData);
+    }
+
+    return parsedData;
   } catch (error) {
-    console.error('JsonMode Error:', error.message);
+    resolveLogger(options.logger, 'llm').error(`JsonMode Error: ${error.message}`);
     throw error;
   }
 }
 
-export default { queryOpenAI, queryOpenAIJsonMode };
\ No newline at end of file
+export { SchemaValidationError, BudgetExceededError, ProviderUnavailableError };
+
+export default { queryOpenAI, queryOpenAIJsonMode, streamOpenAI, queryWithTools };
\ No newline at end of file
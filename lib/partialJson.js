@@ -0,0 +1,130 @@
+/**
+ * Partial JSON - Read top-level string fields out of an incomplete JSON document
+ *
+ * Used while a structured response is still streaming in, so that user-facing
+ * fields such as `response`, `code` or `userResponse` can be shown as they arrive
+ * instead of after the whole object has been generated.
+ */
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Decode a JSON string body starting right after its opening quote
+ * Stops at the closing quote or at the end of the buffer (incomplete escapes are dropped).
+ * @returns {object} { value, end, complete }
+ */
+function readString(buffer, start) {
+  let value = '';
+  let i = start;
+
+  while (i < buffer.length) {
+    const ch = buffer[i];
+    if (ch === '"') {
+      return { value, end: i + 1, complete: true };
+    }
+    if (ch === '\\') {
+      const next = buffer[i + 1];
+      if (next === undefined) break; // Escape split across chunks
+      if (next === 'u') {
+        const hex = buffer.substring(i + 2, i + 6);
+        if (hex.length < 4) break;
+        value += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+      value += ESCAPES[next] ?? next;
+      i += 2;
+      continue;
+    }
+    value += ch;
+    i++;
+  }
+
+  return { value, end: buffer.length, complete: false };
+}
+
+/**
+ * Extract the (possibly partial) values of top-level string fields
+ * @param {string} buffer - JSON text received so far
+ * @param {string[]} fields - Field names to look for
+ * @returns {object} Map of field name → { value, complete }
+ */
+export function extractPartialStringFields(buffer, fields) {
+  const wanted = new Set(fields);
+  const found = {};
+  let depth = 0;
+  let expectingKey = false;
+  let currentKey = null;
+  let i = 0;
+
+  while (i < buffer.length) {
+    const ch = buffer[i];
+
+    if (ch === '"') {
+      const str = readString(buffer, i + 1);
+
+      if (depth === 1 && expectingKey) {
+        currentKey = str.value;
+        expectingKey = false;
+      } else if (depth === 1 && currentKey !== null) {
+        if (wanted.has(currentKey)) {
+          found[currentKey] = { value: str.value, complete: str.complete };
+        }
+        currentKey = null;
+      }
+
+      if (!str.complete) break;
+      i = str.end;
+      continue;
+    }
+
+    if (ch === '{' || ch === '[') {
+      depth++;
+      if (depth === 1 && ch === '{') expectingKey = true;
+      if (depth === 2) currentKey = null; // Non-string value for the current key
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+    } else if (ch === ',' && depth === 1) {
+      expectingKey = true;
+      currentKey = null;
+    }
+    i++;
+  }
+
+  return found;
+}
+
+/**
+ * Create a stateful streamer that reports new text for each watched field
+ * @param {string[]} fields - Field names to watch
+ * @returns {object} Streamer with push(text) → [{ name, value, delta, complete }]
+ */
+export function createJsonFieldStreamer(fields) {
+  let buffer = '';
+  const emitted = {};
+
+  return {
+    push(text) {
+      buffer += text;
+      const updates = [];
+      const found = extractPartialStringFields(buffer, fields);
+
+      for (const [name, { value, complete }] of Object.entries(found)) {
+        const previous = emitted[name] || '';
+        if (value.length > previous.length || (complete && !emitted[`${name}:complete`])) {
+          updates.push({ name, value, delta: value.substring(previous.length), complete });
+          emitted[name] = value;
+          if (complete) emitted[`${name}:complete`] = true;
+        }
+      }
+      return updates;
+    },
+
+    reset() {
+      buffer = '';
+      for (const key of Object.keys(emitted)) delete emitted[key];
+    }
+  };
+}
+
+export default { extractPartialStringFields, createJsonFieldStreamer };
@@ -0,0 +1,478 @@
+/**
+ * Policy Engine - Declarative authorization for terminal commands
+ *
+ * Policies are JSON files, one per environment (LUMEN_POLICY_DIR, default ./policies
+ * next to lib/): development.json, staging.json, production.json. The active policy is
+ * LUMEN_POLICY_FILE, else LUMEN_POLICY_ENV (default 'development').
+ *
+ *   {
+ *     "name": "production",
+ *     "environment": "production",
+ *     "extends": "staging",                  // inherit rules; same `id` replaces the parent's rule
+ *     "defaultDecision": "require-approval", // for commands no rule matches
+ *     "allowAutoApprove": false,             // whether autoApprove may skip required approvals
+ *     "execution": { "backend": "sandbox", "network": false }, // see executionBackends.js
+ *     "limits": { "cpuSeconds": 120, "memoryMb": 1024 },       // see resourceLimits.js
+ *     "env": { "inherit": ["PATH", "HOME"], "secrets": [] },   // see commandEnvironment.js
+ *     "rules": [
+ *       { "id": "recursive-delete", "decision": "deny", "executables": ["rm"],
+ *         "arguments": ["-*r*"], "reason": "Recursive deletes are not allowed" }
+ *     ]
+ *   }
+ *
+ * A rule matches a simple command when every criterion it lists matches:
+ *   executables - globs on the program name (basename or full path)
+ *   arguments   - globs, any argument matching is enough
+ *   paths       - globs on path arguments and redirect targets (resolved against cwd, ~ expanded,
+ *                 "dir/**" also matches "dir" itself)
+ *   writes      - globs on the files the command writes, deletes or truncates (same syntax as paths)
+ *   network     - globs on hosts the command connects to (URLs, user@host, host arguments)
+ *   pattern     - regex on the whole command line
+ *
+ * Commands are parsed with shellParser.js and every simple command that would run is
+ * evaluated on its own: pipeline stages, `&&`/`;` lists, subshells, $(...) bodies, and
+ * what sudo/env/xargs, `sh -c`, `eval` and `find -exec` run, with `cd` followed for
+ * relative paths. Executables or scripts only known at runtime, shells and interpreters that
+ * read their program from a pipe or a file (`... | base64 -d | sh`, `bash < script.sh`) or
+ * get it inline (`python -c`, `node -e`), and commands that can't be parsed, need approval
+ * whatever the rules say. Decisions combine strictly: deny > require-approval > allow.
+ * The result is the policyReport that executeAgentCommand accepts.
+ *
+ * executeAgentCommand also applies the deny floor in commandSafety.js next to the policy.
+ * evaluatePolicyCorpus() replays a labelled corpus of commands (policies/corpus/decisions.json)
+ * against the policies and that floor: `npm run policies:eval`.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzeCommand } from './shellParser.js';
+import { resolveLimits } from './resourceLimits.js';
+import { checkCommandSafety } from './commandSafety.js';
+
+const DEFAULT_POLICY_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'policies');
+
+const DECISIONS = ['allow', 'require-approval', 'deny'];
+const DEFAULT_LEVELS = { allow: 'low', 'require-approval': 'medium', deny: 'critical' };
+const LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Programs whose bare host arguments are network targets
+const NETWORK_EXECUTABLES = ['ssh', 'scp', 'sftp', 'rsync', 'nc', 'ncat', 'netcat', 'telnet', 'ping', 'curl', 'wget', 'ftp', 'dig', 'nslookup', 'host', 'mosh', 'traceroute'];
+
+const cache = new Map(); // file → { mtimeMs, policy }
+
+function getPolicyDir() {
+  return process.env.LUMEN_POLICY_DIR || DEFAULT_POLICY_DIR;
+}
+
+// ═══ MATCHING ═══
+
+/**
+ * Convert a glob to a RegExp
+ * @param {string} glob - Pattern with * and ?; ** crosses '/' when `slashes` is true; a backslash makes the next character literal
+ * @param {boolean} slashes - Whether * stops at '/' (paths) or not (arguments, hosts)
+ */
+function globToRegExp(glob, slashes) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "dir/**" also matches "dir"
+      if (source.endsWith('/') && i + 2 === glob.length) {
+        source = source.slice(0, -1) + '(/.*)?';
+      } else {
+        source += '.*';
+      }
+      i++;
+    } else if (char === '*') {
+      source += slashes ? '[^/]*' : '.*';
+    } else if (char === '?') {
+      source += slashes ? '[^/]' : '.';
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // \* is a literal *
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, slashes ? '' : 'i');
+}
+
+function expandHome(value) {
+  return value === '~' || value.startsWith('~/') ? path.join(os.homedir(), value.slice(1)) : value;
+}
+
+/**
+ * Compile a policy's rule globs once
+ */
+function compileRule(rule, file) {
+  if (!DECISIONS.includes(rule.decision)) {
+    throw new Error(`Policy ${file}: rule ${rule.id || '(unnamed)'} has invalid decision "${rule.decision}"`);
+  }
+  if (rule.level && !LEVELS.includes(rule.level)) {
+    throw new Error(`Policy ${file}: rule ${rule.id || '(unnamed)'} has invalid level "${rule.level}"`);
+  }
+  const criteria = ['executables', 'arguments', 'paths', 'writes', 'network', 'pattern'].filter(key => rule[key] !== undefined);
+  if (criteria.length === 0) {
+    throw new Error(`Policy ${file}: rule ${rule.id || '(unnamed)'} has no match criteria`);
+  }
+
+  return {
+    ...rule,
+    level: rule.level || DEFAULT_LEVELS[rule.decision],
+    matchers: {
+      ...(rule.executables && { executables: rule.executables.map(glob => globToRegExp(glob, false)) }),
+      ...(rule.arguments && { arguments: rule.arguments.map(glob => globToRegExp(glob, false)) }),
+      ...(rule.paths && { paths: rule.paths.map(glob => globToRegExp(path.resolve(expandHome(glob)), true)) }),
+      ...(rule.writes && { writes: rule.writes.map(glob => globToRegExp(path.resolve(expandHome(glob)), true)) }),
+      ...(rule.network && { network: rule.network.map(glob => globToRegExp(glob, false)) }),
+      ...(rule.pattern && { pattern: new RegExp(rule.pattern) })
+    }
+  };
+}
+
+/**
+ * Check a rule against one simple command (from shellParser.collectCommands); returns what matched, or null
+ */
+function matchRule(rule, simple, hosts, command) {
+  const { matchers } = rule;
+  const matched = [];
+  const anyMatch = (regexps, values) => values.find(value => value !== null && regexps.some(regexp => regexp.test(value)));
+
+  if (matchers.pattern) {
+    if (!matchers.pattern.test(command)) return null;
+  }
+  if (matchers.executables) {
+    const hit = simple.name !== null && anyMatch(matchers.executables, [simple.executable, simple.name]);
+    if (!hit) return null;
+    matched.push(path.basename(hit));
+  }
+  if (matchers.arguments) {
+    const hit = anyMatch(matchers.arguments, simple.args);
+    if (hit === undefined) return null;
+    matched.push(hit);
+  }
+  for (const [key, values] of [['paths', simple.paths], ['writes', simple.writes], ['network', hosts]]) {
+    if (!matchers[key]) continue;
+    const hit = anyMatch(matchers[key], values);
+    if (!hit) return null;
+    matched.push(hit);
+  }
+  return matched;
+}
+
+// ═══ COMMAND ANALYSIS ═══
+
+const HOST_PATTERN = /^(localhost|(\d{1,3}\.){3}\d{1,3}|[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,})$/i;
+
+/**
+ * Hosts a simple command would connect to
+ */
+function extractHosts(name, args) {
+  const hosts = [];
+  const network = NETWORK_EXECUTABLES.includes(name);
+
+  for (const arg of args) {
+    if (arg === null) continue;
+    const url = arg.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^/@]*@)?(\[[^\]]+\]|[^/:?#]+)/i);
+    if (url) {
+      hosts.push(url[1].replace(/^\[|\]$/g, ''));
+      continue;
+    }
+    if (!network || arg.startsWith('-')) continue;
+
+    // user@host, host:path (scp/rsync) or a bare host
+    const remote = arg.match(/^(?:[^@/\s]+@)?([^:/\s@]+)(?::|$)/);
+    if (remote && (arg.includes('@') || HOST_PATTERN.test(remote[1]))) {
+      hosts.push(remote[1]);
+    }
+  }
+  return hosts;
+}
+
+// ═══ LOADING ═══
+
+function resolvePolicyFile(nameOrFile) {
+  if (nameOrFile.endsWith('.json') || nameOrFile.includes('/')) return path.resolve(nameOrFile);
+  return path.join(getPolicyDir(), `${nameOrFile}.json`);
+}
+
+/**
+ * Load a policy by environment name or file path (with `extends` applied)
+ * @param {string} nameOrFile - 'production', or a path to a JSON file
+ * @returns {object} Compiled policy
+ * @throws {Error} If the file is missing or invalid (callers should fail closed)
+ */
+export function loadPolicy(nameOrFile, seen = []) {
+  const file = resolvePolicyFile(nameOrFile);
+  if (seen.includes(file)) {
+    throw new Error(`Policy ${file} extends itself (${[...seen, file].join(' → ')})`);
+  }
+
+  const { mtimeMs } = fs.statSync(file);
+  const cached = cache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs && !cached.policy.extends) {
+    return cached.policy;
+  }
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const parent = raw.extends ? loadPolicy(raw.extends, [...seen, file]) : null;
+
+  // Child rules replace parent rules with the same id
+  const ownRules = (raw.rules || []).map(rule => compileRule(rule, file));
+  const ownIds = new Set(ownRules.map(rule => rule.id).filter(Boolean));
+  const inherited = parent ? parent.rules.filter(rule => !rule.id || !ownIds.has(rule.id)) : [];
+
+  const defaultDecision = raw.defaultDecision || parent?.defaultDecision || 'require-approval';
+  if (!DECISIONS.includes(defaultDecision)) {
+    throw new Error(`Policy ${file} has invalid defaultDecision "${defaultDecision}"`);
+  }
+
+  for (const key of ['inherit', 'secrets']) {
+    const list = raw.env?.[key];
+    if (list !== undefined && (!Array.isArray(list) || !list.every(item => typeof item === 'string'))) {
+      throw new Error(`Policy ${file} has invalid env.${key}: expected a list of variable names`);
+    }
+  }
+
+  const policy = {
+    name: raw.name || path.basename(file, '.json'),
+    environment: raw.environment || parent?.environment || raw.name || path.basename(file, '.json'),
+    description: raw.description || '',
+    extends: raw.extends || null,
+    file,
+    defaultDecision,
+    allowAutoApprove: raw.allowAutoApprove ?? parent?.allowAutoApprove ?? true,
+    execution: { ...parent?.execution, ...raw.execution },
+    limits: { ...parent?.limits, ...resolveLimits(raw.limits) },
+    env: { ...parent?.env, ...raw.env },
+    rules: [...ownRules, ...inherited]
+  };
+  cache.set(file, { mtimeMs, policy });
+  return policy;
+}
+
+/**
+ * Resolve the policy for a call
+ * @param {string|object} option - Policy name/file, compiled policy, or undefined for the configured one
+ * @returns {object} Compiled policy
+ */
+export function resolvePolicy(option) {
+  if (option && typeof option === 'object') return option;
+  return loadPolicy(option || process.env.LUMEN_POLICY_FILE || process.env.LUMEN_POLICY_ENV || 'development');
+}
+
+/**
+ * List the policies available in LUMEN_POLICY_DIR
+ * @returns {Array} [{ name, environment, description, file }]
+ */
+export function listPolicies() {
+  const dir = getPolicyDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(entry => entry.endsWith('.json'))
+    .map(entry => {
+      const { name, environment, description, file } = loadPolicy(path.join(dir, entry));
+      return { name, environment, description, file };
+    });
+}
+
+// ═══ EVALUATION ═══
+
+/**
+ * Evaluate a command against a policy
+ * @param {string} command - Command line (with real values, as it will run)
+ * @param {object} options - Options
+ * @param {string|object} options.policy - Policy name/file or compiled policy (default: configured policy)
+ * @param {string} options.cwd - Directory relative paths resolve against (default: process.cwd())
+ * @returns {object} policyReport { allowed, decision, requiresApproval, securityLevel, policy, reasoning,
+ *   violations, warnings, matchedRules }
+ */
+export function evaluateCommand(command, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const policy = resolvePolicy(options.policy);
+
+  const reasoning = [];
+  const violations = [];
+  const warnings = [];
+  const matchedRules = [];
+  let decision = 'allow';
+  let levelIndex = 0;
+
+  const escalate = (ruleDecision, level) => {
+    if (DECISIONS.indexOf(ruleDecision) > DECISIONS.indexOf(decision)) decision = ruleDecision;
+    levelIndex = Math.max(levelIndex, LEVELS.indexOf(level));
+  };
+
+  // A command we can't parse can't be checked: a human has to look at it
+  let commands = [];
+  try {
+    commands = analyzeCommand(command, { cwd });
+  } catch (error) {
+    reasoning.push(`Command could not be parsed (${error.message}) → require-approval`);
+    escalate('require-approval', 'high');
+  }
+
+  // Whole-line rules (pattern only) are checked once
+  for (const rule of policy.rules) {
+    if (Object.keys(rule.matchers).length !== 1 || !rule.matchers.pattern) continue;
+    if (rule.matchers.pattern.test(command)) {
+      matchedRules.push({ id: rule.id || null, decision: rule.decision, executable: null });
+      reasoning.push(`${rule.reason || rule.id} → ${rule.decision}`);
+      if (rule.decision === 'deny') violations.push(rule.reason || rule.id);
+      escalate(rule.decision, rule.level);
+    }
+  }
+
+  for (const simple of commands) {
+    const name = (simple.name ?? simple.executable ?? '(redirect)') + (simple.via.length > 0 ? ` (via ${simple.via.join(' → ')})` : '');
+    const hosts = extractHosts(simple.name, simple.args);
+    let strongest = null;
+
+    const unknown = simple.dynamicExecutable ? 'executable is only known at runtime'
+      : simple.dynamicScript ? 'script is only known at runtime'
+        : simple.opaqueScript ? `${simple.opaqueScript}, which can't be checked`
+          : simple.parseError ? `nested script could not be parsed (${simple.parseError})`
+            : null;
+    if (unknown) {
+      reasoning.push(`${name}: ${unknown} → require-approval`);
+      escalate('require-approval', 'high');
+    }
+
+    for (const rule of policy.rules) {
+      if (Object.keys(rule.matchers).length === 1 && rule.matchers.pattern) continue;
+      const matched = matchRule(rule, simple, hosts, command);
+      if (!matched) continue;
+
+      matchedRules.push({ id: rule.id || null, decision: rule.decision, executable: name });
+      if (rule.decision !== 'allow') {
+        reasoning.push(`${name}: ${rule.reason || rule.id} (${matched.join(', ')}) → ${rule.decision}`);
+      }
+      if (rule.decision === 'deny') violations.push(`${name}: ${rule.reason || rule.id}`);
+      if (rule.warning) warnings.push(`${name}: ${rule.warning}`);
+      if (!strongest || DECISIONS.indexOf(rule.decision) > DECISIONS.indexOf(strongest.decision)) {
+        strongest = rule;
+      }
+    }
+
+    if (strongest) {
+      escalate(strongest.decision, strongest.level);
+    } else {
+      if (policy.defaultDecision !== 'allow') {
+        reasoning.push(`${name}: no rule matched → ${policy.defaultDecision} (policy default)`);
+      }
+      escalate(policy.defaultDecision, DEFAULT_LEVELS[policy.defaultDecision]);
+    }
+
+    if (hosts.length > 0) {
+      warnings.push(`${name} connects to ${[...new Set(hosts)].join(', ')}`);
+    }
+    if (simple.cwd === null && simple.paths.some(target => !path.isAbsolute(target))) {
+      warnings.push(`${name}: relative paths after a dynamic cd could not be resolved`);
+    }
+  }
+
+  return {
+    allowed: decision !== 'deny',
+    decision,
+    requiresApproval: decision === 'require-approval',
+    securityLevel: LEVELS[levelIndex],
+    policy: {
+      name: policy.name,
+      environment: policy.environment,
+      file: policy.file,
+      allowAutoApprove: policy.allowAutoApprove,
+      execution: policy.execution,
+      limits: policy.limits,
+      env: policy.env
+    },
+    reasoning,
+    violations,
+    warnings,
+    matchedRules
+  };
+}
+
+/**
+ * Whether a command needs a human's approval before it runs
+ * Either side can ask for it: the policy (require-approval) or the agent's own requiresApproval
+ * flag. autoApprove answers for the user only where the policy allows it; approved means a
+ * human already said yes. Deny is not decided here - the policy report blocks before this.
+ * @param {object|null} report - From evaluateCommand (null with policy: false)
+ * @param {object} options - Options
+ * @param {boolean} options.requiresApproval - The agent asked for approval (default: true)
+ * @param {boolean} options.autoApprove - Skip the prompt (CI, LUMEN_AUTO_APPROVE)
+ * @param {boolean} options.approved - A human already approved this exact command
+ * @returns {boolean} true if the user must be asked
+ */
+export function needsApproval(report, options = {}) {
+  const { requiresApproval = true, autoApprove = false, approved = false } = options;
+  if (approved) return false;
+  if (autoApprove && (!report || report.policy.allowAutoApprove !== false)) return false;
+  return Boolean(report?.requiresApproval || requiresApproval);
+}
+
+/**
+ * Replay a labelled corpus of commands against the policies
+ * @param {object[]} corpus - [{ command, cwd, commands: [program names the parser must find, in order],
+ *   decisions: { policyName: expected decision }, requiresApproval, prompts: { policyName: whether the user is asked } }]
+ *   (cwd defaults to /srv/app, so results don't depend on where this runs). The decision is the one executeAgentCommand
+ *   acts on: the policy's, or deny where the commandSafety.js floor blocks. `prompts` checks needsApproval() for the
+ *   agent's requiresApproval flag (default false) without autoApprove; policy '<name>:prompt' in failures
+ * @returns {object} { cases, checks, failures: [{ command, policy, expected, actual, reasoning }] }; parser
+ *   mismatches have policy 'parser'
+ */
+export function evaluatePolicyCorpus(corpus) {
+  const failures = [];
+  let checks = 0;
+
+  for (const { command, cwd = '/srv/app', commands, decisions = {}, requiresApproval = false, prompts = {} } of corpus) {
+    if (commands) {
+      checks++;
+      let actual;
+      try {
+        actual = analyzeCommand(command, { cwd }).map(simple => simple.name);
+      } catch (error) {
+        actual = `parse error: ${error.message}`;
+      }
+      if (JSON.stringify(actual) !== JSON.stringify(commands)) {
+        failures.push({ command, policy: 'parser', expected: commands.join(', '), actual: [].concat(actual).join(', '), reasoning: [] });
+      }
+    }
+    const safety = checkCommandSafety(command, { cwd });
+    for (const [policy, expected] of Object.entries(decisions)) {
+      checks++;
+      const report = evaluateCommand(command, { policy, cwd });
+      const actual = safety.safe ? report.decision : 'deny';
+      if (actual !== expected) {
+        const reasoning = safety.safe ? report.reasoning : [...report.reasoning, `safety floor: ${safety.reason}`];
+        failures.push({ command, policy, expected, actual, reasoning });
+      }
+    }
+    for (const [policy, expected] of Object.entries(prompts)) {
+      checks++;
+      const report = evaluateCommand(command, { policy, cwd });
+      const actual = needsApproval(report, { requiresApproval });
+      if (actual !== expected) {
+        failures.push({ command, policy: `${policy}:prompt`, expected, actual, reasoning: [`agent requiresApproval: ${requiresApproval}`, ...report.reasoning] });
+      }
+    }
+  }
+  return { cases: corpus.length, checks, failures };
+}
+
+// Replay the corpus and list every mismatch: node lib/policyEngine.js [decisions.json]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const corpusFile = process.argv[2] || path.join(getPolicyDir(), 'corpus', 'decisions.json');
+  const report = evaluatePolicyCorpus(JSON.parse(fs.readFileSync(corpusFile, 'utf-8')));
+
+  console.log(`\n🛡️  ${report.cases} commands, ${report.checks} checks (${corpusFile})\n`);
+  for (const { command, policy, expected, actual, reasoning } of report.failures) {
+    console.log(`   ❌ ${policy}: expected ${expected}, got ${actual}\n      ${command.replace(/\n/g, '\\n')}`);
+    for (const line of reasoning) console.log(`      - ${line}`);
+  }
+  console.log(report.failures.length === 0 ? '   ✅ All checks pass\n' : `\n   ${report.failures.length} failed\n`);
+  if (report.failures.length > 0) process.exitCode = 1;
+}
+
+export default { evaluateCommand, needsApproval, evaluatePolicyCorpus, loadPolicy, resolvePolicy, listPolicies };
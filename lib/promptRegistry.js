@@ -0,0 +1,216 @@
+/**
+ * Prompt Registry - Versioned prompt templates stored as files
+ *
+ * Layout (LUMEN_PROMPTS_DIR, default ./prompts next to lib/):
+ *
+ *   prompts/<id>/<version>.md
+ *
+ * Each file starts with a small front matter block:
+ *
+ *   ---
+ *   id: step-recovery
+ *   version: v2
+ *   description: What the prompt is for
+ *   variables: [step, failureInfo]
+ *   ---
+ *   Template body with {{step}} and {{failureInfo}}
+ *
+ * Only declared variables are substituted, so other {{...}} text (like secret
+ * placeholders in examples) passes through untouched. Rendering fails if a declared
+ * variable is missing.
+ *
+ * The active version of a prompt is, in order: per-call `version` → setPromptVersion()
+ * → LUMEN_PROMPT_VERSIONS ("lumen-system=v2,step-recovery=v1") → the highest version on disk.
+ * Files are re-read when they change, so prompts can be tuned without a restart.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_PROMPTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+
+const cache = new Map(); // file → { mtimeMs, template }
+const pinnedVersions = new Map();
+
+function getPromptsDir() {
+  return process.env.LUMEN_PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+}
+
+/**
+ * Parse "a=v1,b=v2" from LUMEN_PROMPT_VERSIONS
+ */
+function versionsFromEnv() {
+  const versions = {};
+  for (const pair of (process.env.LUMEN_PROMPT_VERSIONS || '').split(',')) {
+    const [id, version] = pair.split('=').map(part => part?.trim());
+    if (id && version) versions[id] = version;
+  }
+  return versions;
+}
+
+/**
+ * Parse the front matter block (flat key: value pairs, [a, b] lists)
+ */
+function parseTemplate(raw, file) {
+  const match = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    throw new Error(`Prompt template ${file} is missing its front matter block`);
+  }
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const key = line.substring(0, separator).trim();
+    const value = line.substring(separator + 1).trim();
+    meta[key] = value.startsWith('[')
+      ? value.slice(1, -1).split(',').map(item => item.trim()).filter(Boolean)
+      : value;
+  }
+
+  return {
+    id: meta.id,
+    version: meta.version,
+    description: meta.description || '',
+    variables: meta.variables || [],
+    body: raw.substring(match[0].length),
+    file
+  };
+}
+
+/**
+ * List the versions available on disk for a prompt id, oldest first
+ * @param {string} id - Prompt id
+ * @returns {string[]} Version names
+ */
+export function listPromptVersions(id) {
+  const dir = path.join(getPromptsDir(), id);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.md'))
+    .map(name => name.slice(0, -3))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Resolve which version of a prompt is active
+ * @param {string} id - Prompt id
+ * @param {string} version - Explicit version (optional)
+ * @returns {string} Version name
+ */
+export function resolvePromptVersion(id, version = null) {
+  const resolved = version || pinnedVersions.get(id) || versionsFromEnv()[id] || listPromptVersions(id).at(-1);
+  if (!resolved) {
+    throw new Error(`Unknown prompt template: ${id} (looked in ${getPromptsDir()})`);
+  }
+  return resolved;
+}
+
+/**
+ * Load a prompt template
+ * @param {string} id - Prompt id
+ * @param {string} version - Version name (default: active version)
+ * @returns {object} { id, version, description, variables, body, file }
+ */
+export function loadPrompt(id, version = null) {
+  const resolvedVersion = resolvePromptVersion(id, version);
+  const file = path.join(getPromptsDir(), id, `${resolvedVersion}.md`);
+
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (error) {
+    throw new Error(`Prompt template ${id}@${resolvedVersion} not found: ${file}`);
+  }
+
+  const cached = cache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    return cached.template;
+  }
+
+  const template = parseTemplate(fs.readFileSync(file, 'utf-8'), file);
+  // The directory layout is authoritative; front matter is documentation
+  template.id = id;
+  template.version = resolvedVersion;
+  cache.set(file, { mtimeMs: stat.mtimeMs, template });
+  return template;
+}
+
+/**
+ * Render a prompt template with variables
+ * @param {string} id - Prompt id
+ * @param {object} variables - Values for the template's declared variables
+ * @param {object} options - Options
+ * @param {string} options.version - Version to render (default: active version)
+ * @returns {object} { id, version, text }
+ */
+export function renderPrompt(id, variables = {}, options = {}) {
+  const template = loadPrompt(id, options.version);
+
+  const missing = template.variables.filter(name => variables[name] === undefined || variables[name] === null);
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${id}@${template.version} is missing variables: ${missing.join(', ')}`);
+  }
+
+  const declared = new Set(template.variables);
+  const text = template.body.replace(/{{\s*([A-Za-z_][\w]*)\s*}}/g, (match, name) => {
+    if (!declared.has(name)) return match;
+    const value = variables[name];
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  });
+
+  return { id, version: template.version, text };
+}
+
+/**
+ * Pin the version used for a prompt in this process (null to unpin)
+ * @param {string} id - Prompt id
+ * @param {string|null} version - Version name
+ */
+export function setPromptVersion(id, version) {
+  if (version === null || version === undefined) {
+    pinnedVersions.delete(id);
+    return;
+  }
+  if (!listPromptVersions(id).includes(version)) {
+    throw new Error(`Prompt ${id} has no version ${version}. Available: ${listPromptVersions(id).join(', ') || 'none'}`);
+  }
+  pinnedVersions.set(id, version);
+}
+
+/**
+ * List every prompt with its versions and the active one
+ * @returns {Array} [{ id, versions, active }]
+ */
+export function listPrompts() {
+  const dir = getPromptsDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => ({
+      id: entry.name,
+      versions: listPromptVersions(entry.name),
+      active: resolvePromptVersion(entry.name)
+    }))
+    .filter(prompt => prompt.versions.length > 0);
+}
+
+/**
+ * Reference to a rendered prompt for response metadata
+ * @param {object} rendered - Result of renderPrompt()
+ * @returns {object} { id, version }
+ */
+export function promptRef(rendered) {
+  return { id: rendered.id, version: rendered.version };
+}
+
+export default {
+  loadPrompt,
+  renderPrompt,
+  listPrompts,
+  listPromptVersions,
+  resolvePromptVersion,
+  setPromptVersion,
+  promptRef
+};
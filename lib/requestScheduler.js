@@ -0,0 +1,348 @@
+/**
+ * Request Scheduler - Shared admission control for model calls
+ *
+ * One scheduler per provider, shared by every caller in the process:
+ * - Concurrency limit: at most `maxConcurrent` requests in flight, the rest wait in FIFO order
+ * - Token bucket: at most `ratePerMinute` request starts, with bursts up to `burst`
+ * - Retries: 429/5xx/network errors are retried with full-jitter exponential backoff, or
+ *   after the server's Retry-After hint. A 429 hint pauses the whole scheduler, not just
+ *   the one request, so a burst of callers doesn't turn into a retry storm.
+ * - Circuit breaker: after `failureThreshold` consecutive provider failures the breaker
+ *   opens and calls fail fast with ProviderUnavailableError for `cooldownMs`; then a single
+ *   probe request is let through (half-open) and closes the breaker on success.
+ *
+ * Defaults come from the environment:
+ *   LUMEN_LLM_MAX_CONCURRENT (4), LUMEN_LLM_RATE_PER_MINUTE (0 = unlimited), LUMEN_LLM_BURST,
+ *   LUMEN_BREAKER_THRESHOLD (5), LUMEN_BREAKER_COOLDOWN_MS (30000)
+ */
+
+import { getLogger } from './logger.js';
+
+const log = getLogger('scheduler');
+
+const MAX_BACKOFF_MS = 30000;
+
+/**
+ * Thrown without calling the provider while its circuit breaker is open
+ */
+export class ProviderUnavailableError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - Breaker details
+   * @param {string} details.provider - Provider name
+   * @param {number} details.retryAt - Epoch ms when the breaker lets a probe through
+   * @param {Error} details.lastError - Failure that opened the breaker
+   */
+  constructor(message, { provider, retryAt, lastError = null } = {}) {
+    super(message);
+    this.name = 'ProviderUnavailableError';
+    this.code = 'PROVIDER_UNAVAILABLE';
+    this.provider = provider;
+    this.retryAt = retryAt;
+    this.lastError = lastError;
+  }
+
+  /**
+   * Short explanation suitable for end users (CLI, Telegram)
+   */
+  get userMessage() {
+    const seconds = Math.max(1, Math.ceil((this.retryAt - Date.now()) / 1000));
+    return `The language model service (${this.provider}) is not responding right now, so Lumen paused requests to it. ` +
+      `Please try again in about ${seconds}s.`;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether an error is worth retrying (rate limits, server errors, dropped connections)
+ */
+export function isRetryableError(error) {
+  if (error instanceof ProviderUnavailableError) return false;
+  if (error.status === 429 || (error.status >= 500 && error.status < 600)) return true;
+  return error.status === undefined && /ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|timed? ?out|Connection error/i
+    .test(`${error.code || ''} ${error.name || ''} ${error.message || ''}`);
+}
+
+/**
+ * Failures that mean the provider itself is unhealthy (count toward the breaker)
+ * Rate limits don't: the provider is up, we're just asking too often.
+ */
+function isProviderFailure(error) {
+  return error.status !== 429 && isRetryableError(error);
+}
+
+/**
+ * Read a server retry hint (retry-after-ms, or Retry-After in seconds / HTTP date)
+ * @param {Error} error - Provider error (OpenAI SDK errors carry `headers`)
+ * @returns {number|null} Delay in ms
+ */
+export function getRetryAfterMs(error) {
+  const headers = error?.headers;
+  if (!headers) return null;
+  const read = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const ms = parseFloat(read('retry-after-ms'));
+  if (!Number.isNaN(ms) && ms >= 0) return ms;
+
+  const value = read('retry-after');
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Full-jitter exponential backoff: random delay in [0, base * 2^attempt], capped
+ */
+function backoffMs(attempt, baseDelayMs) {
+  return Math.random() * Math.min(MAX_BACKOFF_MS, baseDelayMs * Math.pow(2, attempt));
+}
+
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Create a request scheduler
+ * @param {object} options - Scheduler options
+ * @param {string} options.name - Provider name (used in messages)
+ * @param {number} options.maxConcurrent - Max requests in flight
+ * @param {number} options.ratePerMinute - Token bucket refill rate (0 = unlimited)
+ * @param {number} options.burst - Token bucket capacity (default: max(1, ratePerMinute / 6))
+ * @param {number} options.failureThreshold - Consecutive provider failures that open the breaker
+ * @param {number} options.cooldownMs - How long the breaker stays open
+ * @returns {object} Scheduler with run(), stats() and reset()
+ */
+export function createRequestScheduler(options = {}) {
+  const {
+    name = 'default',
+    maxConcurrent = readNumber('LUMEN_LLM_MAX_CONCURRENT', 4),
+    ratePerMinute = readNumber('LUMEN_LLM_RATE_PER_MINUTE', 0),
+    burst = readNumber('LUMEN_LLM_BURST', Math.max(1, Math.floor(ratePerMinute / 6))),
+    failureThreshold = readNumber('LUMEN_BREAKER_THRESHOLD', 5),
+    cooldownMs = readNumber('LUMEN_BREAKER_COOLDOWN_MS', 30000)
+  } = options;
+
+  let inFlight = 0;
+  const waiting = [];
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+
+  const breaker = { state: 'closed', failures: 0, openedAt: 0, lastError: null, probing: false };
+  const counters = { started: 0, succeeded: 0, failed: 0, retried: 0, rejected: 0 };
+
+  // ═══ CONCURRENCY ═══
+
+  const acquireSlot = () => {
+    if (inFlight < maxConcurrent) {
+      inFlight++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+
+  const releaseSlot = () => {
+    const next = waiting.shift();
+    if (next) {
+      next(); // Hand the slot over directly
+    } else {
+      inFlight--;
+    }
+  };
+
+  // ═══ RATE LIMIT ═══
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 60000) * ratePerMinute);
+    lastRefill = now;
+  };
+
+  const acquireToken = async () => {
+    while (true) {
+      const pause = pausedUntil - Date.now();
+      if (pause > 0) {
+        await sleep(pause);
+        continue;
+      }
+      if (!ratePerMinute) return;
+
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(((1 - tokens) / ratePerMinute) * 60000);
+    }
+  };
+
+  // ═══ CIRCUIT BREAKER ═══
+
+  const unavailable = () => {
+    counters.rejected++;
+    const retryAt = breaker.openedAt + cooldownMs;
+    return new ProviderUnavailableError(
+      `Provider ${name} is unavailable (circuit open after ${breaker.failures} consecutive failures: ` +
+      `${breaker.lastError?.message || 'unknown error'}). Retry after ${new Date(retryAt).toISOString()}`,
+      { provider: name, retryAt, lastError: breaker.lastError }
+    );
+  };
+
+  // Returns true when this call is the half-open probe
+  const admit = () => {
+    if (breaker.state === 'closed') return false;
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= cooldownMs) {
+      breaker.state = 'half-open';
+    }
+    if (breaker.state === 'half-open' && !breaker.probing) {
+      breaker.probing = true;
+      return true;
+    }
+    throw unavailable();
+  };
+
+  const onSuccess = () => {
+    if (breaker.state !== 'closed') {
+      log.info(`✅ Provider ${name} recovered - circuit closed`);
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.probing = false;
+  };
+
+  const onFailure = (error, probe) => {
+    if (!isProviderFailure(error)) {
+      if (probe) breaker.probing = false;
+      return;
+    }
+    breaker.failures++;
+    breaker.lastError = error;
+    if (probe || breaker.failures >= failureThreshold) {
+      if (breaker.state !== 'open') {
+        log.warn(`⛔ Provider ${name} circuit opened after ${breaker.failures} failure(s): ${error.message}`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+      breaker.probing = false;
+    }
+  };
+
+  return {
+    name,
+
+    /**
+     * Run a provider call under the scheduler's limits, retrying transient errors
+     * @param {Function} fn - async () => result; called once per attempt
+     * @param {object} runOptions - Options
+     * @param {object} runOptions.retry - { maxRetries, baseDelayMs } (see agentProfiles.js)
+     * @param {Function} runOptions.canRetry - (error) => boolean, extra veto (e.g. stream already started)
+     * @returns {Promise<*>} Result of fn
+     * @throws {ProviderUnavailableError} While the circuit breaker is open
+     */
+    async run(fn, runOptions = {}) {
+      const { retry = { maxRetries: 3, baseDelayMs: 1000 }, canRetry = () => true } = runOptions;
+
+      for (let attempt = 0; ; attempt++) {
+        const probe = admit();
+        await acquireSlot();
+
+        let error;
+        try {
+          await acquireToken();
+          counters.started++;
+          const result = await fn();
+          counters.succeeded++;
+          onSuccess();
+          return result;
+        } catch (caught) {
+          error = caught;
+          counters.failed++;
+          onFailure(error, probe);
+        } finally {
+          releaseSlot();
+        }
+
+        if (!isRetryableError(error) || !canRetry(error) || attempt >= retry.maxRetries) {
+          throw error;
+        }
+        if (breaker.state === 'open') {
+          throw unavailable();
+        }
+
+        const hintMs = getRetryAfterMs(error);
+        const delayMs = hintMs ?? backoffMs(attempt, retry.baseDelayMs);
+        if (hintMs !== null && error.status === 429) {
+          // Everyone waits for the server's hint, not just this request
+          pausedUntil = Math.max(pausedUntil, Date.now() + hintMs);
+        }
+
+        counters.retried++;
+        log.warn(`Retry ${attempt + 1} in ${Math.round(delayMs)}ms${hintMs !== null ? ' (server hint)' : ''}: ${error.message}`);
+        await sleep(delayMs);
+      }
+    },
+
+    /**
+     * Current limiter and breaker state
+     */
+    stats() {
+      refill();
+      return {
+        name,
+        inFlight,
+        queued: waiting.length,
+        tokens: ratePerMinute ? Math.floor(tokens) : null,
+        pausedForMs: Math.max(0, pausedUntil - Date.now()),
+        breaker: { state: breaker.state, failures: breaker.failures, lastError: breaker.lastError?.message || null },
+        ...counters
+      };
+    },
+
+    /**
+     * Close the breaker and clear pauses (e.g. after fixing credentials)
+     */
+    reset() {
+      breaker.state = 'closed';
+      breaker.failures = 0;
+      breaker.probing = false;
+      breaker.lastError = null;
+      pausedUntil = 0;
+    }
+  };
+}
+
+const schedulers = new Map();
+
+/**
+ * Get the shared scheduler for a provider (created on first use)
+ * @param {string} name - Provider name
+ * @param {object} options - Options for createRequestScheduler (first call only)
+ * @returns {object} Scheduler
+ */
+export function getRequestScheduler(name = 'default', options = {}) {
+  if (!schedulers.has(name)) {
+    schedulers.set(name, createRequestScheduler({ name, ...options }));
+  }
+  return schedulers.get(name);
+}
+
+/**
+ * Snapshot of every scheduler's state
+ * @returns {Array} Scheduler stats
+ */
+export function getSchedulerStats() {
+  return Array.from(schedulers.values()).map(scheduler => scheduler.stats());
+}
+
+export default {
+  createRequestScheduler,
+  getRequestScheduler,
+  getSchedulerStats,
+  getRetryAfterMs,
+  isRetryableError,
+  ProviderUnavailableError
+};
@@ -0,0 +1,193 @@
+/**
+ * Resource Limits - CPU, memory, process, open-file and file-size caps for executed commands
+ *
+ * Limits come from the policy's "limits" block and the per-call `limits` option of
+ * executeAgentCommand; for each limit the lowest value wins.
+ *
+ *   "limits": {
+ *     "cpuSeconds": 120,    // CPU time (SIGXCPU, then SIGKILL 5s later)
+ *     "memoryMb": 2048,     // address space (RLIMIT_AS), or MemoryMax with a cgroup
+ *     "processes": 512,     // RLIMIT_NPROC, or TasksMax with a cgroup (see below)
+ *     "openFiles": 1024,    // file descriptors per process
+ *     "fileSizeMb": 1024,   // largest file a command may write (SIGXFSZ)
+ *     "cgroup": false       // on the host, put the command in a systemd-run --user scope if possible
+ *   }
+ *
+ * Limits are applied by prefixing the command's argv with util-linux prlimit, or a /bin/sh
+ * `ulimit` wrapper where prlimit is missing. Exceeded limits are recognized from the exit
+ * signal (SIGXCPU, SIGXFSZ) or the error the command printed, and reported as
+ * { limit, value, label }. Under a memory limit, a runtime that aborts (SIGTRAP, SIGABRT) is
+ * counted as out of memory: V8 and C++ programs abort when they can't reserve address space.
+ *
+ * RLIMIT_NPROC is not a per-command cap: the kernel counts every process of the real user
+ * against it, so a busy account can fail at fork before the command starts anything, and it
+ * is ignored for root. Use "cgroup": true (TasksMax) to limit the command's own processes.
+ */
+
+import { execFileSync } from 'child_process';
+import os from 'os';
+
+const MB = 1024 * 1024;
+const CPU_KILL_GRACE_SECONDS = 5;
+
+// Signal numbers for the 128+N exit code a shell reports
+const SIGNAL_NUMBERS = { SIGTRAP: 5, SIGABRT: 6, SIGKILL: 9, SIGXCPU: 24, SIGXFSZ: 25 };
+
+const LIMITS = {
+  cpuSeconds: {
+    label: 'CPU time',
+    format: value => `${value}s`,
+    prlimit: value => `--cpu=${value}:${value + CPU_KILL_GRACE_SECONDS}`,
+    ulimit: value => `ulimit -t ${value}`,
+    signals: ['SIGXCPU']
+  },
+  memoryMb: {
+    label: 'memory',
+    format: value => `${value} MB`,
+    prlimit: value => `--as=${value * MB}`,
+    ulimit: value => `ulimit -v ${value * 1024}`,
+    cgroup: value => `MemoryMax=${value}M`,
+    pattern: /cannot allocate memory|out of memory|Fatal process OOM|MemoryError|bad_alloc|\bENOMEM\b|heap limit/i,
+    aborts: ['SIGTRAP', 'SIGABRT']
+  },
+  processes: {
+    label: 'process count',
+    format: value => `${value}`,
+    prlimit: value => `--nproc=${value}`,
+    // dash spells it -p, bash -u
+    ulimit: value => `{ ulimit -p ${value} 2>/dev/null || ulimit -u ${value}; }`,
+    cgroup: value => `TasksMax=${value}`,
+    pattern: /can't fork|cannot fork|fork: (retry: )?resource temporarily unavailable|\bEAGAIN\b/i
+  },
+  openFiles: {
+    label: 'open files',
+    format: value => `${value}`,
+    prlimit: value => `--nofile=${value}`,
+    ulimit: value => `ulimit -n ${value}`,
+    pattern: /too many open files|\bEMFILE\b/i
+  },
+  fileSizeMb: {
+    label: 'file size',
+    format: value => `${value} MB`,
+    prlimit: value => `--fsize=${value * MB}`,
+    ulimit: value => `ulimit -f ${value * 2048}`, // 512-byte blocks
+    signals: ['SIGXFSZ']
+  }
+};
+
+export const LIMIT_NAMES = Object.keys(LIMITS);
+
+const probes = new Map();
+function works(file, args) {
+  const key = [file, ...args].join(' ');
+  if (!probes.has(key)) {
+    try {
+      execFileSync(file, args, { stdio: 'ignore', timeout: 5000 });
+      probes.set(key, true);
+    } catch {
+      probes.set(key, false);
+    }
+  }
+  return probes.get(key);
+}
+
+/**
+ * Combine limit layers; for each limit the lowest value wins
+ * @param {...object} layers - Limit blocks (policy, per call); null/undefined are skipped
+ * @returns {object} Limits with only the set values (plus cgroup when any layer asks for it)
+ */
+export function resolveLimits(...layers) {
+  const limits = {};
+  for (const layer of layers) {
+    if (!layer) continue;
+    for (const name of LIMIT_NAMES) {
+      const value = layer[name];
+      if (value === undefined || value === null) continue;
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid resource limit ${name}: ${value}`);
+      }
+      limits[name] = limits[name] === undefined ? value : Math.min(limits[name], value);
+    }
+    if (layer.cgroup) limits.cgroup = true;
+  }
+  return limits;
+}
+
+/**
+ * Whether any limit is set
+ */
+export function hasLimits(limits) {
+  return Boolean(limits) && LIMIT_NAMES.some(name => limits[name] !== undefined);
+}
+
+/**
+ * One-line description for logs ("CPU time 120s, memory 2048 MB")
+ */
+export function describeLimits(limits) {
+  return LIMIT_NAMES
+    .filter(name => limits?.[name] !== undefined)
+    .map(name => `${LIMITS[name].label} ${LIMITS[name].format(limits[name])}`)
+    .join(', ');
+}
+
+/**
+ * argv that applies the limits and then runs the rest of the argv
+ * @param {object} limits - Resolved limits
+ * @param {object} options - Options
+ * @param {boolean} options.allowCgroup - A systemd-run scope may be used (host only: it needs the user's systemd)
+ * @returns {string[]} Prefix, e.g. ['prlimit', '--cpu=60:65', '--']
+ */
+export function limitPrefix(limits, { allowCgroup = false } = {}) {
+  if (!hasLimits(limits)) return [];
+
+  const set = LIMIT_NAMES.filter(name => limits[name] !== undefined);
+  const prefix = [];
+  let rlimits = set;
+
+  if (allowCgroup && limits.cgroup && works('systemd-run', ['--user', '--scope', '--quiet', 'true'])) {
+    const cgroupNames = set.filter(name => LIMITS[name].cgroup);
+    prefix.push('systemd-run', '--user', '--scope', '--quiet', '--collect');
+    for (const name of cgroupNames) prefix.push('-p', LIMITS[name].cgroup(limits[name]));
+    prefix.push('--');
+    rlimits = set.filter(name => !cgroupNames.includes(name));
+  }
+  if (rlimits.length === 0) return prefix;
+
+  if (works('prlimit', ['--version'])) {
+    return [...prefix, 'prlimit', ...rlimits.map(name => LIMITS[name].prlimit(limits[name])), '--'];
+  }
+  const script = [...rlimits.map(name => LIMITS[name].ulimit(limits[name])), 'exec "$@"'].join(' && ');
+  return [...prefix, '/bin/sh', '-c', script, 'lumen-limits'];
+}
+
+/**
+ * Work out whether a failed run hit one of its limits
+ * @param {object} run - backend.run() result
+ * @param {object} limits - Limits the command ran under
+ * @returns {object|null} { limit, value, label } or null
+ */
+export function detectLimitExceeded(run, limits) {
+  if (!hasLimits(limits) || run.exitCode === 0 || run.timedOut || run.cancelled) return null;
+
+  const exceeded = (name) => ({ limit: name, value: limits[name], label: `${LIMITS[name].label} (${LIMITS[name].format(limits[name])})` });
+  const killedBy = (signal) => run.signal === signal || run.exitCode === 128 + SIGNAL_NUMBERS[signal];
+
+  for (const name of LIMIT_NAMES) {
+    if (limits[name] !== undefined && LIMITS[name].signals?.some(killedBy)) return exceeded(name);
+  }
+  // V8 traps and C++ aborts when RLIMIT_AS stops an allocation, often before printing anything useful
+  if (limits.memoryMb !== undefined && LIMITS.memoryMb.aborts.some(killedBy)) return exceeded('memoryMb');
+  // The CPU hard limit is a SIGKILL (for commands that ignore SIGXCPU); so is a cgroup OOM kill.
+  // It can only be the CPU limit if the run was long enough to use that much CPU on every core.
+  if (killedBy('SIGKILL')) {
+    const couldUseCpu = run.durationMs * os.availableParallelism() >= limits.cpuSeconds * 1000;
+    if (limits.cpuSeconds !== undefined && couldUseCpu) return exceeded('cpuSeconds');
+    if (limits.cgroup && limits.memoryMb !== undefined) return exceeded('memoryMb');
+  }
+  for (const name of LIMIT_NAMES) {
+    if (limits[name] !== undefined && LIMITS[name].pattern?.test(run.stderr)) return exceeded(name);
+  }
+  return null;
+}
+
+export default { LIMIT_NAMES, resolveLimits, hasLimits, describeLimits, limitPrefix, detectLimitExceeded };
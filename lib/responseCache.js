@@ -0,0 +1,245 @@
+/**
+ * Response Cache - Content-addressed cache for deterministic agent calls
+ *
+ * Routing decisions, summaries of the same interaction block and validator checks
+ * of the same command don't need a fresh model call every time. queryOpenAI looks
+ * responses up here by a hash of model + schema + system prompt (which carries the
+ * context) + query, before calling the provider.
+ *
+ * Opt-in per agent through its profile (see agentProfiles.js):
+ *
+ *   { "routerAgent": { "cache": { "enabled": true, "ttlMs": 3600000 } } }
+ *
+ * or LUMEN_CACHE_AGENTS=routerAgent,validatorAgent. Calls with temperature > 0 are
+ * never cached unless the profile sets `cache.allowTemperature: true`. The built-in
+ * profiles sample above 0, so enabling the cache alone caches nothing; either allow
+ * temperature or give the agent's profile "temperature": 0:
+ *
+ *   { "routerAgent": { "temperature": 0, "cache": { "enabled": true } } }
+ *
+ * agentProfiles.warnUnusableCaches() (run at CLI and bot startup) lists agents that miss this.
+ *
+ * Entries persist to LUMEN_CACHE_FILE (default ./response-cache.json), expire after
+ * their TTL (LUMEN_CACHE_TTL_MS, default 1h) and are evicted least-recently-used
+ * beyond LUMEN_CACHE_MAX_ENTRIES (default 500) or LUMEN_CACHE_MAX_BYTES (default 5 MB).
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { normalizeSystemPrompt } from './cassette.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('cache');
+
+const FILE_VERSION = 1;
+
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Compute the cache key for a structured call
+ * @param {object} request - { model, schema, systemPrompt, query }
+ * @returns {string} Hex SHA-256 hash
+ */
+export function cacheKey(request) {
+  const schemaDigest = crypto.createHash('sha256').update(JSON.stringify(request.schema ?? null)).digest('hex');
+  const normalized = JSON.stringify([
+    request.model ?? '',
+    schemaDigest,
+    normalizeSystemPrompt(request.systemPrompt),
+    request.query ?? ''
+  ]);
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Create a response cache
+ * @param {object} options - Cache options
+ * @param {string} options.file - Persistence file (null keeps the cache in memory only)
+ * @param {number} options.ttlMs - Default time to live
+ * @param {number} options.maxEntries - Max entries before LRU eviction
+ * @param {number} options.maxBytes - Max total serialized size before LRU eviction
+ * @returns {object} Cache with get(), set(), delete(), clear() and stats()
+ */
+export function createResponseCache(options = {}) {
+  const {
+    file = process.env.LUMEN_CACHE_FILE || path.join(process.cwd(), 'response-cache.json'),
+    ttlMs = readNumber('LUMEN_CACHE_TTL_MS', 60 * 60 * 1000),
+    maxEntries = readNumber('LUMEN_CACHE_MAX_ENTRIES', 500),
+    maxBytes = readNumber('LUMEN_CACHE_MAX_BYTES', 5 * 1024 * 1024)
+  } = options;
+
+  let entries = null; // key → { value, schemaName, model, createdAt, expiresAt, lastUsedAt, bytes }
+  let totalBytes = 0;
+  const counters = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+
+  const load = () => {
+    entries = new Map();
+    totalBytes = 0;
+    if (!file) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      if (data.version !== FILE_VERSION) return;
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(data.entries || {})) {
+        if (entry.expiresAt > now) {
+          entries.set(key, entry);
+          totalBytes += entry.bytes;
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn(`⚠️  Ignoring unreadable response cache ${file}: ${error.message}`);
+      }
+    }
+  };
+
+  // Writes are serialized so concurrent calls don't interleave partial files
+  let writeQueue = Promise.resolve();
+  const persist = () => {
+    if (!file) return writeQueue;
+    writeQueue = writeQueue.then(async () => {
+      const tempFile = file + '.tmp';
+      const snapshot = { version: FILE_VERSION, entries: Object.fromEntries(entries) };
+      await fsp.writeFile(tempFile, JSON.stringify(snapshot), 'utf-8');
+      await fsp.rename(tempFile, file);
+    }).catch(error => {
+      log.warn(`⚠️  Failed to persist response cache: ${error.message}`);
+    });
+    return writeQueue;
+  };
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    totalBytes -= entry.bytes;
+    entries.delete(key);
+    return true;
+  };
+
+  // Drop expired entries, then least recently used until within limits
+  const evict = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) remove(key);
+    }
+    if (entries.size <= maxEntries && totalBytes <= maxBytes) return;
+
+    const byAge = [...entries.entries()].sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+    for (const [key] of byAge) {
+      if (entries.size <= maxEntries && totalBytes <= maxBytes) break;
+      remove(key);
+      counters.evictions++;
+    }
+  };
+
+  return {
+    file,
+
+    /**
+     * Look up a response
+     * @param {string} key - Key from cacheKey()
+     * @returns {object|null} Deep copy of the cached response, or null
+     */
+    get(key) {
+      if (!entries) load();
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) remove(key);
+        counters.misses++;
+        return null;
+      }
+      entry.lastUsedAt = Date.now();
+      counters.hits++;
+      return JSON.parse(JSON.stringify(entry.value));
+    },
+
+    /**
+     * Store a response
+     * @param {string} key - Key from cacheKey()
+     * @param {object} value - Validated response
+     * @param {object} meta - { schemaName, model, ttlMs }
+     */
+    async set(key, value, meta = {}) {
+      if (!entries) load();
+      const serialized = JSON.stringify(value);
+      if (serialized.length > maxBytes) return;
+
+      remove(key);
+      const now = Date.now();
+      entries.set(key, {
+        value,
+        schemaName: meta.schemaName || null,
+        model: meta.model || null,
+        createdAt: now,
+        expiresAt: now + (meta.ttlMs || ttlMs),
+        lastUsedAt: now,
+        bytes: serialized.length
+      });
+      totalBytes += serialized.length;
+      counters.writes++;
+      evict();
+      await persist();
+    },
+
+    /**
+     * Remove one entry
+     */
+    async delete(key) {
+      if (!entries) load();
+      if (remove(key)) await persist();
+    },
+
+    /**
+     * Remove every entry
+     */
+    async clear() {
+      entries = new Map();
+      totalBytes = 0;
+      await persist();
+    },
+
+    /**
+     * Size and hit/miss counters for this process
+     */
+    stats() {
+      if (!entries) load();
+      return { entries: entries.size, bytes: totalBytes, maxEntries, maxBytes, ...counters };
+    }
+  };
+}
+
+let defaultCache = null;
+
+/**
+ * Resolve the cache for a call
+ * @param {object|boolean|undefined} option - Cache object, false to bypass, undefined for the shared cache
+ * @returns {object|null} Cache or null
+ */
+export function resolveResponseCache(option) {
+  if (option === false || option === null) return null;
+  if (option && typeof option === 'object') return option;
+
+  const file = process.env.LUMEN_CACHE_FILE || path.join(process.cwd(), 'response-cache.json');
+  if (!defaultCache || defaultCache.file !== file) {
+    defaultCache = createResponseCache({ file });
+  }
+  return defaultCache;
+}
+
+/**
+ * Decide whether a call may use the cache
+ * @param {object} cacheProfile - Profile `cache` block { enabled, ttlMs, allowTemperature }
+ * @param {number} temperature - Resolved temperature
+ * @returns {boolean}
+ */
+export function isCacheable(cacheProfile, temperature) {
+  if (!cacheProfile?.enabled) return false;
+  return !(temperature > 0) || cacheProfile.allowTemperature === true;
+}
+
+export default { createResponseCache, resolveResponseCache, cacheKey, isCacheable };
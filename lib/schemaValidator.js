@@ -0,0 +1,174 @@
+/**
+ * Schema Validator - Local JSON Schema checks for agent responses
+ *
+ * Provider-side structured output (`strict: true`) is a request, not a guarantee:
+ * local models and prompt-only providers ignore it entirely. Every parsed response
+ * is therefore checked here against the schema that was passed to queryOpenAI.
+ *
+ * Supports the subset of JSON Schema used by the agent schemas in schemas/:
+ * type (incl. type arrays), enum, const, required, properties, additionalProperties,
+ * items, minItems/maxItems, minLength/maxLength, minimum/maximum, anyOf/oneOf.
+ */
+
+/**
+ * Thrown when a response still violates its schema after all repair attempts
+ */
+export class SchemaValidationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - Validation details
+   * @param {string[]} details.errors - Validation errors from the last attempt
+   * @param {string} details.schemaName - Name of the schema that was violated
+   * @param {number} details.attempts - Number of model responses that were checked
+   * @param {*} details.response - Last (invalid) response received
+   */
+  constructor(message, { errors = [], schemaName = null, attempts = 0, response = null } = {}) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+    this.schemaName = schemaName;
+    this.attempts = attempts;
+    this.response = response;
+  }
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a single JSON Schema type name
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Validate a value against a JSON schema
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON schema
+ * @param {string} path - JSON path used in error messages
+ * @returns {string[]} List of errors (empty when valid)
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const errors = [];
+
+  if (schema.anyOf || schema.oneOf) {
+    const variants = schema.anyOf || schema.oneOf;
+    const matching = variants.filter(variant => validateAgainstSchema(value, variant, path).length === 0);
+    if (matching.length === 0 || (schema.oneOf && matching.length > 1)) {
+      errors.push(`${path}: must match ${schema.oneOf ? 'exactly one' : 'at least one'} of ${variants.length} allowed schemas`);
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors; // Nested checks are meaningless on the wrong type
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (schema.const !== undefined && schema.const !== value) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(propValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(propValue, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value and report the result
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON schema
+ * @returns {object} { valid, errors }
+ */
+export function validateResponse(value, schema) {
+  const errors = validateAgainstSchema(value, schema);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Build the follow-up message asking the model to fix its previous answer
+ * @param {string[]} errors - Validation (or parse) errors
+ * @returns {string} Repair instruction
+ */
+export function buildRepairPrompt(errors) {
+  return `Your previous response did not match the required JSON schema:\n` +
+    errors.slice(0, 20).map(e => `- ${e}`).join('\n') +
+    `\n\nRespond again with the complete corrected JSON object only. Include every required field and use only the allowed enum values.`;
+}
+
+export default { validateAgainstSchema, validateResponse, buildRepairPrompt, SchemaValidationError };
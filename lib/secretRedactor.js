@@ -1,62 +1,159 @@
 /**
  * Secret Redactor - Replaces sensitive data with placeholders before sending to AI
  * and substitutes them back when executing commands
+ *
+ * One redactor per session (a CLI process, a Telegram chat) keeps placeholders stable:
+ * the same secret always gets the same placeholder, so the model can refer to it in later
+ * commands. With a vault session (see secretVault.js) placeholders also survive restarts, and
+ * secrets the user named are {{SECRET:name}}. Values of Lumen's own credentials and of the
+ * local secret store (see commandEnvironment.js) are withheld as {{REDACTED_NAME}} and never
+ * substituted back.
+ *
+ * What counts as a secret is the detector rule set (see secretDetectors.js, default
+ * detectors/default.json); a placeholder's type is the detector that found it.
  */
 
+import { sensitiveValues } from './commandEnvironment.js';
+import { PLACEHOLDER_PATTERN, loadDetectors, resolveDetectors, applyDetectors } from './secretDetectors.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('secrets');
+
+// Shorter withheld values (ids, flags) would be replaced in ordinary text
+const MIN_WITHHELD_LENGTH = 8;
+
+let warnedDetectors = false;
+
 export class SecretRedactor {
-  constructor() {
+  /**
+   * @param {object} options - Options
+   * @param {Function} options.withheld - Returns { name: value } to withhold (default: Lumen's credentials and stored secrets)
+   * @param {object} options.vault - Vault session (openVaultSession) that stores the placeholders instead of this instance
+   * @param {object|string} options.detectors - Rule set, or its name or file (default: LUMEN_DETECTORS_FILE or the bundled set)
+   */
+  constructor(options = {}) {
     this.secrets = new Map(); // Store original values
+    this.detected = new Map(); // placeholder → detector
     this.counter = 0;
+    this.withheld = options.withheld || sensitiveValues;
+    this.vault = options.vault || null;
+    this.detectors = options.detectors || null;
   }
 
   /**
-   * Patterns to detect sensitive data
+   * Detector rule set; a broken custom set falls back to the bundled one rather than redacting nothing
    */
-  static PATTERNS = {
-    // SSH private keys
-    sshKey: /-----BEGIN (?:RSA |OPENSSH )?PRIVATE KEY-----[\s\S]+?-----END (?:RSA |OPENSSH )?PRIVATE KEY-----/g,
-    
-    // API keys and tokens
-    apiKey: /\b(?:sk-[a-zA-Z0-9]{20,}|ghp_[a-zA-Z0-9]{36}|xoxb-[a-zA-Z0-9-]+)\b/g,
-    
-    // Passwords in common formats
-    password: /(?:password|passwd|pwd)[\s=:]+['"]?([^'"\s]{8,})['"]?/gi,
-    
-    // JWT tokens
-    jwt: /eyJ[a-zA-Z0-9_-]+\.eyJ[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+/g,
-    
-    // AWS keys
-    awsKey: /\b(?:AKIA[0-9A-Z]{16}|aws_[a-z_]+_[a-zA-Z0-9]+)\b/g,
-    
-    // Generic secrets (long alphanumeric strings)
-    genericSecret: /\b[a-f0-9]{32,128}\b/gi,
-    
-    // Database connection strings
-    dbConnection: /(?:mongodb|mysql|postgresql|redis):\/\/[^:\s]+:[^@\s]+@[^\s]+/gi,
-  };
+  ruleSet() {
+    if (this.detectors && typeof this.detectors === 'object') return this.detectors;
+    try {
+      return this.detectors ? loadDetectors(this.detectors) : resolveDetectors();
+    } catch (error) {
+      if (!warnedDetectors) log.warn(`⚠️  Could not load secret detectors (${error.message}); using the bundled set`);
+      warnedDetectors = true;
+      return loadDetectors('default');
+    }
+  }
+
+  /**
+   * Current placeholder → secret
+   */
+  knownSecrets() {
+    return this.vault ? this.vault.current() : this.secrets;
+  }
 
   /**
    * Redact secrets from text, replacing them with placeholders
+   * Without a vault this starts over: earlier placeholders are forgotten (see conceal)
    * @param {string} text - Original text with secrets
    * @returns {string} - Text with placeholders
    */
   redact(text) {
-    let redacted = text;
+    if (this.vault) return this.conceal(text);
     this.secrets.clear();
+    this.detected.clear();
     this.counter = 0;
+    return this.redactPatterns(text);
+  }
 
-    // Process each pattern type
-    for (const [type, pattern] of Object.entries(SecretRedactor.PATTERNS)) {
-      redacted = redacted.replace(pattern, (match) => {
-        const placeholder = this.createPlaceholder(type);
-        this.secrets.set(placeholder, match);
-        return placeholder;
-      });
+  /**
+   * Redact text without forgetting earlier placeholders
+   * Known secrets are mapped back to their existing placeholders, new ones get fresh
+   * placeholders. Used for queries and for command output that is fed back to the AI.
+   * @param {string} text - Text that may contain secrets
+   * @returns {string} - Text with placeholders
+   */
+  conceal(text) {
+    if (typeof text !== 'string' || text === '') return text;
+    let concealed = text;
+    for (const [placeholder, secret] of this.knownSecrets().entries()) {
+      concealed = concealed.split(secret).join(placeholder);
     }
+    return this.redactPatterns(concealed);
+  }
 
+  /**
+   * Copy of an execution result with its output and messages concealed
+   * @param {object} result - executeAgentCommand result (or null)
+   * @returns {object} - Result safe to send to the AI, memory or a chat
+   */
+  concealResult(result) {
+    if (!result) return result;
+    const concealed = { ...result };
+    for (const field of ['command', 'stdout', 'stderr', 'message', 'error']) {
+      if (typeof concealed[field] === 'string') concealed[field] = this.conceal(concealed[field]);
+    }
+    return concealed;
+  }
+
+  /**
+   * Replace withheld values (longest first, so one value containing another is caught whole)
+   * @param {string} text - Text to scan
+   * @returns {string} - Text with {{REDACTED_NAME}} placeholders
+   */
+  redactWithheld(text) {
+    let values;
+    try {
+      values = this.withheld();
+    } catch (error) {
+      log.warn(`⚠️  Could not load withheld secrets: ${error.message}`);
+      return text;
+    }
+    let redacted = text;
+    const entries = Object.entries(values)
+      .filter(([, value]) => typeof value === 'string' && value.length >= MIN_WITHHELD_LENGTH)
+      .sort(([, a], [, b]) => b.length - a.length);
+    for (const [name, value] of entries) {
+      redacted = redacted.split(value).join(`{{REDACTED_${name.toUpperCase()}}}`);
+    }
     return redacted;
   }
 
+  /**
+   * Replace everything the detectors find with a placeholder (existing placeholders are left alone)
+   * @param {string} text - Text to scan
+   * @returns {string} - Text with placeholders
+   */
+  redactPatterns(text) {
+    // A secret seen before keeps its placeholder
+    return applyDetectors(this.redactWithheld(text), this.ruleSet(), (detector, match) => this.remember(detector, match));
+  }
+
+  /**
+   * Placeholder for a secret: the one it already has, else a new one
+   * @param {string} type - Detector that found the secret
+   * @param {string} secret - Secret value
+   * @returns {string} - Placeholder string
+   */
+  remember(type, secret) {
+    if (this.vault) return this.vault.store({ type, value: secret });
+    const known = [...this.secrets.entries()].find(([, value]) => value === secret);
+    if (known) return known[0];
+    const placeholder = this.createPlaceholder(type);
+    this.secrets.set(placeholder, secret);
+    this.detected.set(placeholder, type);
+    return placeholder;
+  }
+
   /**
    * Create a unique placeholder for a secret
    * @param {string} type - Type of secret
@@ -74,8 +171,9 @@ export class SecretRedactor {
    */
   substitute(text) {
     let result = text;
+    const secrets = this.vault ? this.vault.lookup() : this.secrets;
 
-    for (const [placeholder, secret] of this.secrets.entries()) {
+    for (const [placeholder, secret] of secrets.entries()) {
       // Use replaceAll to handle multiple occurrences
       result = result.split(placeholder).join(secret);
     }
@@ -83,40 +181,60 @@ export class SecretRedactor {
     return result;
   }
 
+  /**
+   * Placeholders substitute() can't fill: unknown, expired, revoked or withheld secrets
+   * @param {string} text - Text with placeholders (before substitution)
+   * @returns {string[]} - Unresolved placeholders
+   */
+  unresolved(text) {
+    return [...new Set(this.substitute(text).match(PLACEHOLDER_PATTERN) || [])];
+  }
+
   /**
    * Check if any secrets have been redacted
    * @returns {boolean} - True if secrets are stored
    */
   hasSecrets() {
-    return this.secrets.size > 0;
+    return this.knownSecrets().size > 0;
   }
 
   /**
    * Get redaction report for debugging
-   * @returns {object} - Report of redacted secrets
+   * @returns {object} - Report of redacted secrets, with the detector that found each one
+   *   ('secret' for secrets the user stored by hand)
    */
   getReport() {
-    const placeholders = Array.from(this.secrets.keys()).map(key => {
-      const match = key.match(/{{(\w+)_\d+}}/);
+    const secrets = this.knownSecrets();
+    const detected = this.vault
+      ? new Map(this.vault.list().map(secret => [secret.placeholder, secret.type]))
+      : this.detected;
+    const placeholders = Array.from(secrets.keys()).map(key => {
+      const match = key.match(/{{(\w+)_\d+}}/) || key.match(/{{(SECRET):[\w.-]+}}/);
       const type = match ? match[1] : 'UNKNOWN';
       return {
         placeholder: key,
-        type: type
+        type: type,
+        detector: detected.get(key) || 'unknown'
       };
     });
 
+    const detectors = {};
+    for (const { detector } of placeholders) detectors[detector] = (detectors[detector] || 0) + 1;
+
     return {
-      secretsProtected: this.secrets.size,
+      secretsProtected: secrets.size,
       placeholders: placeholders,
-      types: Array.from(new Set(placeholders.map(p => p.type)))
+      types: Array.from(new Set(placeholders.map(p => p.type))),
+      detectors
     };
   }
 
   /**
-   * Clear all stored secrets
+   * Clear all stored secrets (a vault keeps its secrets; revoke them there)
    */
   clear() {
     this.secrets.clear();
+    this.detected.clear();
     this.counter = 0;
   }
 }
@@ -180,7 +298,8 @@ export function testSecretRedactor() {
   console.log(`Sent to AI: "${redactedMessage}"`);
   
   // Simulate AI response
-  const aiResponse = 'ssh user@server -p {{PASSWORD_1}} && ls -la';
+  const [placeholder] = redactedMessage.match(/{{\w+}}/);
+  const aiResponse = `ssh user@server -p ${placeholder} && ls -la`;
   console.log(`AI returns: "${aiResponse}"`);
   
   const finalCommand = redactor.substitute(aiResponse);
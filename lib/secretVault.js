@@ -0,0 +1,289 @@
+/**
+ * Secret Vault - Persistent, encrypted store behind SecretRedactor placeholders
+ *
+ * Secrets detected in a session (a CLI user, a Telegram chat) keep their placeholder across
+ * requests and restarts, so "use that password again" works and {{PASSWORD_1}} never means two
+ * things. Users can store or name secrets themselves; the model then refers to them as
+ * {{SECRET:prod_db}}. Values are substituted back only when a command runs.
+ *
+ *   { id, placeholder, aliases, type, name, createdAt, expiresAt, value }
+ *
+ * aliases keeps a renamed secret's earlier placeholders working (memory may still hold them).
+ *
+ * The vault file (LUMEN_VAULT_FILE, default ./vault.json) is AES-256-GCM encrypted. The key is
+ * derived with scrypt from LUMEN_VAULT_KEY (a passphrase), or else read from LUMEN_VAULT_KEY_FILE
+ * (default ./.vault-key), which is created with a random key on first use. Secrets expire after
+ * LUMEN_VAULT_TTL ms (default 24 hours) unless stored with their own ttl; expired and revoked
+ * secrets are dropped and can't be substituted any more.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getLogger } from './logger.js';
+
+const log = getLogger('secrets');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const NAME_PATTERN = /^[\w.-]+$/;
+
+let keyCache = null; // { source, key }
+let vaultCache = null; // { file, mtimeMs, vault }
+
+function getVaultFile() {
+  return process.env.LUMEN_VAULT_FILE || path.join(process.cwd(), 'vault.json');
+}
+
+function getKeyFile() {
+  return process.env.LUMEN_VAULT_KEY_FILE || path.join(process.cwd(), '.vault-key');
+}
+
+function getDefaultTtl() {
+  const ttl = parseInt(process.env.LUMEN_VAULT_TTL, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_MS;
+}
+
+/**
+ * Encryption key: scrypt of LUMEN_VAULT_KEY with the file's salt, or the key file
+ */
+function getKey(salt) {
+  const passphrase = process.env.LUMEN_VAULT_KEY;
+  const source = passphrase ? `passphrase:${salt}` : `file:${getKeyFile()}`;
+  if (keyCache?.source === source) return keyCache.key;
+
+  let key;
+  if (passphrase) {
+    key = crypto.scryptSync(passphrase, Buffer.from(salt, 'hex'), 32);
+  } else {
+    const file = getKeyFile();
+    if (!fs.existsSync(file)) {
+      fs.writeFileSync(file, crypto.randomBytes(32).toString('hex'), { encoding: 'utf-8', mode: 0o600, flag: 'wx' });
+      log.info(`🔐 Created vault key ${file} (keep it with the vault, never commit it)`);
+    }
+    key = Buffer.from(fs.readFileSync(file, 'utf-8').trim(), 'hex');
+    if (key.length !== 32) throw new Error(`Vault key ${file} must be 32 bytes of hex`);
+  }
+  keyCache = { source, key };
+  return key;
+}
+
+/**
+ * Read and decrypt the vault (cached until the file changes)
+ * @returns {object} { salt, sessions: { [sessionId]: { counter, secrets: [] } } }
+ */
+function readVault() {
+  const file = getVaultFile();
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return { salt: crypto.randomBytes(16).toString('hex'), sessions: {} };
+  }
+  if (vaultCache?.file === file && vaultCache.mtimeMs === stat.mtimeMs) return vaultCache.vault;
+
+  const sealed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  let data;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(sealed.salt), Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    data = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString('utf-8');
+  } catch {
+    throw new Error(`Could not decrypt the secret vault ${file} (wrong LUMEN_VAULT_KEY or key file?)`);
+  }
+  const vault = { salt: sealed.salt, sessions: JSON.parse(data).sessions || {} };
+  vaultCache = { file, mtimeMs: stat.mtimeMs, vault };
+  return vault;
+}
+
+/**
+ * Encrypt and save the vault (atomic write, owner-only permissions)
+ */
+function writeVault(vault) {
+  const file = getVaultFile();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(vault.salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify({ sessions: vault.sessions }), 'utf-8'), cipher.final()]);
+  const sealed = {
+    version: 1,
+    salt: vault.salt,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(sealed, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  fs.renameSync(tempFile, file);
+  vaultCache = { file, mtimeMs: fs.statSync(file).mtimeMs, vault };
+}
+
+/**
+ * Read, change and save one session (saved only if it changed; expired secrets are dropped on the way)
+ * @param {string} sessionId - Session
+ * @param {Function} change - (session) => result; the result is passed through
+ */
+function updateSession(sessionId, change) {
+  const vault = readVault();
+  const stored = vault.sessions[sessionId] || { counter: 0, secrets: [] };
+  const before = JSON.stringify(stored);
+  const now = Date.now();
+  const session = {
+    counter: stored.counter,
+    secrets: stored.secrets
+      .filter(secret => !secret.expiresAt || Date.parse(secret.expiresAt) > now)
+      .map(secret => ({ ...secret, aliases: [...secret.aliases] }))
+  };
+
+  const result = change(session);
+  if (JSON.stringify(session) !== before) {
+    writeVault({ ...vault, sessions: { ...vault.sessions, [sessionId]: session } });
+  }
+  return result;
+}
+
+function liveSecrets(sessionId) {
+  const now = Date.now();
+  return (readVault().sessions[sessionId]?.secrets || [])
+    .filter(secret => !secret.expiresAt || Date.parse(secret.expiresAt) > now);
+}
+
+function findSecret(secrets, ref) {
+  return secrets.find(secret => secret.placeholder === ref || secret.name === ref || secret.aliases.includes(ref));
+}
+
+function expiryFor(ttlMs) {
+  return ttlMs === 0 ? null : new Date(Date.now() + (ttlMs || getDefaultTtl())).toISOString();
+}
+
+/**
+ * Describe a secret without its value
+ */
+function describeSecret({ placeholder, type, name, createdAt, expiresAt }) {
+  return { placeholder, type, name, createdAt, expiresAt };
+}
+
+/**
+ * Parse a lifetime like "30m", "12h", "7d" or "never"
+ * @param {string} text - Duration (a bare number is hours)
+ * @returns {number} Milliseconds, 0 for never
+ */
+export function parseTtl(text) {
+  if (/^(never|0)$/i.test(text)) return 0;
+  const match = String(text).match(/^(\d+(?:\.\d+)?)\s*([mhd]?)$/i);
+  if (!match) throw new Error(`Invalid lifetime "${text}" (use e.g. 30m, 12h, 7d or never)`);
+  const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[(match[2] || 'h').toLowerCase()];
+  return Math.round(parseFloat(match[1]) * unit);
+}
+
+/**
+ * Open a session of the vault (for SecretRedactor's `vault` option)
+ * @param {string} sessionId - Session key, e.g. 'cli:alice' or 'telegram:12345'
+ * @param {object} options - Options
+ * @param {number} options.ttlMs - Lifetime of secrets stored in this session (default: LUMEN_VAULT_TTL or 24 hours, 0 = never expire)
+ * @returns {object} Session
+ */
+export function openVaultSession(sessionId, { ttlMs = undefined } = {}) {
+  if (!sessionId) throw new Error('A vault session needs an id');
+
+  return {
+    id: sessionId,
+
+    /**
+     * Current placeholder → value, for concealing
+     */
+    current() {
+      return new Map(liveSecrets(sessionId).map(secret => [secret.placeholder, secret.value]));
+    },
+
+    /**
+     * Every placeholder (including aliases) → value, for substituting
+     */
+    lookup() {
+      const map = new Map();
+      for (const secret of liveSecrets(sessionId)) {
+        map.set(secret.placeholder, secret.value);
+        for (const alias of secret.aliases) map.set(alias, secret.value);
+      }
+      return map;
+    },
+
+    /**
+     * Store a secret, or return the placeholder it already has
+     * @param {object} secret - { type, value, name, ttlMs }; a name makes the placeholder {{SECRET:name}}
+     *   and replaces an earlier secret with that name
+     * @returns {string} Placeholder
+     */
+    store({ type = 'secret', value, name = null, ttlMs: ownTtl = ttlMs }) {
+      if (typeof value !== 'string' || value === '') throw new Error('A secret needs a value');
+      if (name !== null && !NAME_PATTERN.test(name)) throw new Error(`Invalid secret name "${name}" (letters, digits, _ . - only)`);
+
+      return updateSession(sessionId, (session) => {
+        if (name) session.secrets = session.secrets.filter(secret => secret.name !== name);
+        const existing = session.secrets.find(secret => secret.value === value);
+        if (existing && name && !existing.name) {
+          existing.aliases.push(existing.placeholder);
+          existing.placeholder = `{{SECRET:${name}}}`;
+          existing.name = name;
+        }
+        if (existing && (!name || existing.name === name)) return existing.placeholder;
+        session.counter++;
+        const placeholder = name ? `{{SECRET:${name}}}` : `{{${type.toUpperCase()}_${session.counter}}}`;
+        session.secrets.push({
+          id: crypto.randomBytes(4).toString('hex'),
+          placeholder,
+          aliases: [],
+          type,
+          name,
+          createdAt: new Date().toISOString(),
+          expiresAt: expiryFor(ownTtl),
+          value
+        });
+        return placeholder;
+      });
+    },
+
+    /**
+     * Give a stored secret a name; its old placeholder keeps working
+     * @param {string} ref - Placeholder or current name
+     * @param {string} name - New name
+     * @returns {string|null} New placeholder, or null if ref is unknown
+     */
+    rename(ref, name) {
+      if (!NAME_PATTERN.test(name)) throw new Error(`Invalid secret name "${name}" (letters, digits, _ . - only)`);
+      return updateSession(sessionId, (session) => {
+        const secret = findSecret(session.secrets, ref);
+        if (!secret) return null;
+        if (session.secrets.some(other => other !== secret && other.name === name)) {
+          throw new Error(`A secret named "${name}" already exists`);
+        }
+        secret.aliases.push(secret.placeholder);
+        secret.placeholder = `{{SECRET:${name}}}`;
+        secret.name = name;
+        return secret.placeholder;
+      });
+    },
+
+    /**
+     * Forget a secret; its placeholders can't be substituted any more
+     * @param {string} ref - Placeholder or name
+     * @returns {boolean} Whether a secret was removed
+     */
+    revoke(ref) {
+      return updateSession(sessionId, (session) => {
+        const secret = findSecret(session.secrets, ref);
+        if (!secret) return false;
+        session.secrets = session.secrets.filter(other => other !== secret);
+        return true;
+      });
+    },
+
+    /**
+     * Stored secrets, without values
+     * @returns {object[]} [{ placeholder, type, name, createdAt, expiresAt }]
+     */
+    list() {
+      return liveSecrets(sessionId).map(describeSecret);
+    }
+  };
+}
+
+export default { openVaultSession, parseTtl };
@@ -0,0 +1,988 @@
+/**
+ * Shell Parser - Shell command lines as an AST, for safety checks
+ *
+ * Regexes over the raw string miss `rm -r -f /`, `cd / && rm -rf .`, `$(echo rm) -rf /`
+ * or `bash -c '...'`. This module parses a POSIX-ish command line into:
+ *
+ *   script     { body: list }
+ *   list       { items: [{ node, background }] }       a; b & c
+ *   and-or     { pipelines, operators }                a && b || c
+ *   pipeline   { commands, negated }                   ! a | b
+ *   command    { assignments, words, redirects }       FOO=1 cmd arg > file
+ *   subshell   { body, redirects }                     ( ... )
+ *   group      { body, redirects }                     { ...; }
+ *   function   { name, body }                          name() { ... }
+ *   arithmetic {}                                      (( ... ))
+ *
+ * Words keep their parts (literal, substitution, process-substitution, variable, arithmetic)
+ * and a static `value`, or null when it depends on runtime state. $(...) and `...` bodies
+ * are parsed recursively; `$(echo rm)` and `$(printf rm)` resolve to their output.
+ * if/while/for/case are parsed flat: their keywords are skipped and the commands inside
+ * are analysed like any other.
+ *
+ * collectCommands() flattens an AST into the simple commands that would run, with the
+ * resolved executable, arguments, paths and write targets, following `cd` through lists
+ * and unwrapping sudo/env/xargs/timeout, busybox applets, `sh -c`, `eval` and `find -exec`.
+ * Shells fed a static here-document are unwrapped too; a shell or interpreter reading its
+ * program from a pipe or a file (`... | sh`, `bash < script.sh`) or given inline code (`python -c`,
+ * `node -e`) is marked opaqueScript.
+ */
+
+import os from 'os';
+import path from 'path';
+
+/**
+ * Thrown for input the parser can't make sense of (unterminated quotes, stray operators)
+ */
+export class ShellParseError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} position - Offset in the input where parsing failed
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'ShellParseError';
+    this.position = position;
+  }
+}
+
+const METACHARS = new Set([' ', '\t', '\n', '|', '&', ';', '(', ')', '<', '>']);
+
+// Longest first, so '&&' wins over '&'
+const OPERATORS = ['&&', '||', ';;', '|&', '&>>', '&>', '<<<', '<<-', '<<', '>>', '>&', '<&', '<>', '>|', '|', '&', ';', '(', ')', '<', '>'];
+const REDIRECTS = new Set(['<', '>', '>>', '>|', '<>', '<<', '<<-', '<<<', '>&', '<&', '&>', '&>>']);
+const WRITE_REDIRECTS = new Set(['>', '>>', '>|', '<>', '&>', '&>>', '>&']);
+
+const ASSIGNMENT = /^[A-Za-z_][A-Za-z0-9_]*\+?=/;
+
+// Reserved words that just introduce the next command, and those that close a compound command
+const KEYWORD_PREFIXES = new Set(['if', 'then', 'elif', 'else', 'do', 'while', 'until', 'time']);
+const KEYWORD_CLOSERS = new Set(['fi', 'done', 'esac']);
+
+// ═══ LEXER ═══
+
+/**
+ * Find the ')' matching the '(' at openIndex, skipping quotes and escapes
+ */
+function findClosingParen(input, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === "'") {
+      i = input.indexOf("'", i + 1);
+      if (i === -1) break;
+    } else if (char === '"') {
+      for (i++; i < input.length && input[i] !== '"'; i++) {
+        if (input[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  throw new ShellParseError('Unterminated $( or (', openIndex);
+}
+
+/**
+ * Read a $..., $(...) or `...` expansion starting at index
+ * @returns {object} { part, end } with part null if this '$' is literal
+ */
+function readExpansion(input, index) {
+  if (input[index] === '`') {
+    let end = index + 1;
+    while (end < input.length && input[end] !== '`') {
+      if (input[end] === '\\') end++;
+      end++;
+    }
+    if (end >= input.length) throw new ShellParseError('Unterminated backquote', index);
+    const inner = input.slice(index + 1, end).replace(/\\([`$\\])/g, '$1');
+    return { part: { type: 'substitution', raw: input.slice(index, end + 1), script: parseShell(inner) }, end: end + 1 };
+  }
+
+  const next = input[index + 1];
+  if (next === '(' && input[index + 2] === '(') {
+    const end = findClosingParen(input, index + 1);
+    return { part: { type: 'arithmetic', raw: input.slice(index, end + 1) }, end: end + 1 };
+  }
+  if (next === '(') {
+    const end = findClosingParen(input, index + 1);
+    return {
+      part: { type: 'substitution', raw: input.slice(index, end + 1), script: parseShell(input.slice(index + 2, end)) },
+      end: end + 1
+    };
+  }
+  if (next === '{') {
+    let depth = 0;
+    for (let i = index + 1; i < input.length; i++) {
+      if (input[i] === '\\') i++;
+      else if (input[i] === '{') depth++;
+      else if (input[i] === '}' && --depth === 0) {
+        return { part: { type: 'variable', raw: input.slice(index, i + 1) }, end: i + 1 };
+      }
+    }
+    throw new ShellParseError('Unterminated ${', index);
+  }
+  const name = input.slice(index + 1).match(/^([A-Za-z_][A-Za-z0-9_]*|[0-9@*#?$!-])/);
+  if (name) {
+    return { part: { type: 'variable', raw: '$' + name[1] }, end: index + 1 + name[1].length };
+  }
+  return { part: null, end: index + 1 };
+}
+
+/**
+ * Read double-quoted content up to endChar (or to the end of input when endChar is null)
+ * @returns {object} { parts, end } - end is the index of endChar
+ */
+function readDoubleQuoted(input, index, endChar) {
+  const parts = [];
+  const literal = (text) => {
+    const last = parts.at(-1);
+    if (last?.type === 'literal') last.value += text;
+    else parts.push({ type: 'literal', value: text });
+  };
+
+  let i = index;
+  while (i < input.length) {
+    const char = input[i];
+    if (char === endChar) return { parts, end: i };
+    if (char === '\\' && i + 1 < input.length && '$`"\\\n'.includes(input[i + 1])) {
+      if (input[i + 1] !== '\n') literal(input[i + 1]);
+      i += 2;
+    } else if (char === '$' || char === '`') {
+      const { part, end } = readExpansion(input, i);
+      if (part) parts.push(part);
+      else literal('$');
+      i = end;
+    } else {
+      literal(char);
+      i++;
+    }
+  }
+  if (endChar !== null) throw new ShellParseError('Unterminated double quote', index - 1);
+  return { parts, end: i };
+}
+
+/**
+ * Decode $'...' ANSI-C quoting (the common escapes)
+ */
+function readAnsiQuoted(input, index) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', a: '\x07', e: '\x1b', '0': '\0' };
+  let value = '';
+  let i = index + 2;
+  while (i < input.length && input[i] !== "'") {
+    if (input[i] === '\\' && i + 1 < input.length) {
+      const hex = input.slice(i + 2).match(/^[0-9a-fA-F]{1,2}/);
+      if (input[i + 1] === 'x' && hex) {
+        value += String.fromCharCode(parseInt(hex[0], 16));
+        i += 2 + hex[0].length;
+        continue;
+      }
+      value += escapes[input[i + 1]] ?? input[i + 1];
+      i += 2;
+    } else {
+      value += input[i++];
+    }
+  }
+  if (i >= input.length) throw new ShellParseError("Unterminated $'", index);
+  return { value, end: i + 1 };
+}
+
+/**
+ * Static output of a substitution like $(echo rm) or $(printf 'rm'), else null
+ */
+function staticOutput(script) {
+  const items = script.body.items;
+  if (items.length !== 1 || items[0].node.pipelines.length !== 1) return null;
+  const { commands } = items[0].node.pipelines[0];
+  if (commands.length !== 1 || commands[0].type !== 'command' || commands[0].redirects.length > 0) return null;
+
+  const values = commands[0].words.map(word => word.value);
+  if (values.includes(null)) return null;
+  const [name, ...args] = values;
+  if (name === 'echo') {
+    while (/^-[neE]+$/.test(args[0] || '')) args.shift();
+    return args.join(' ');
+  }
+  if (name === 'printf' && args.length === 1 && !/[%\\]/.test(args[0])) {
+    return args[0];
+  }
+  return null;
+}
+
+function makeWord(raw, parts, flags) {
+  let value = '';
+  let dynamic = false;
+  let splittable = false;
+  for (const part of parts) {
+    if (part.type === 'literal') {
+      value += part.value;
+    } else if (part.type === 'substitution' && staticOutput(part.script) !== null) {
+      value += staticOutput(part.script);
+      if (!part.quoted) splittable = true;
+    } else {
+      dynamic = true;
+    }
+  }
+  return {
+    type: 'word',
+    raw,
+    parts,
+    value: dynamic ? null : value,
+    dynamic,
+    quoted: flags.quoted,
+    glob: flags.glob,
+    splittable
+  };
+}
+
+/**
+ * Read one word starting at index (quotes, escapes and expansions included)
+ */
+function readWord(input, index) {
+  const parts = [];
+  let quoted = false;
+  let glob = false;
+  const literal = (text, isQuoted) => {
+    const last = parts.at(-1);
+    if (last?.type === 'literal' && last.quoted === isQuoted) last.value += text;
+    else parts.push({ type: 'literal', value: text, quoted: isQuoted });
+  };
+
+  let i = index;
+  while (i < input.length && !METACHARS.has(input[i])) {
+    const char = input[i];
+    if (char === '\\') {
+      if (input[i + 1] !== '\n' && i + 1 < input.length) literal(input[i + 1], true);
+      i += 2;
+    } else if (char === "'") {
+      const end = input.indexOf("'", i + 1);
+      if (end === -1) throw new ShellParseError('Unterminated single quote', i);
+      literal(input.slice(i + 1, end), true);
+      quoted = true;
+      i = end + 1;
+    } else if (char === '"') {
+      const { parts: inner, end } = readDoubleQuoted(input, i + 1, '"');
+      for (const part of inner) {
+        if (part.type === 'literal') literal(part.value, true);
+        else parts.push({ ...part, quoted: true });
+      }
+      quoted = true;
+      i = end + 1;
+    } else if (char === '$' && input[i + 1] === "'") {
+      const { value, end } = readAnsiQuoted(input, i);
+      literal(value, true);
+      quoted = true;
+      i = end;
+    } else if (char === '$' || char === '`') {
+      const { part, end } = readExpansion(input, i);
+      if (part) parts.push({ ...part, quoted: false });
+      else literal('$', false);
+      i = end;
+    } else {
+      if (char === '*' || char === '?' || char === '[') glob = true;
+      literal(char, false);
+      i++;
+    }
+  }
+  return { word: makeWord(input.slice(index, i), parts, { quoted, glob }), end: i };
+}
+
+/**
+ * Split input into word and operator tokens; heredoc bodies are attached to their operator
+ */
+function tokenize(input) {
+  const tokens = [];
+  const pendingHeredocs = [];
+  let i = 0;
+
+  const readHeredocs = () => {
+    for (const heredoc of pendingHeredocs.splice(0)) {
+      const lines = [];
+      while (i < input.length) {
+        const lineEnd = input.indexOf('\n', i);
+        const line = input.slice(i, lineEnd === -1 ? input.length : lineEnd);
+        i = lineEnd === -1 ? input.length : lineEnd + 1;
+        if ((heredoc.strip ? line.replace(/^\t+/, '') : line) === heredoc.delimiter) break;
+        lines.push(line);
+      }
+      const body = lines.join('\n');
+      // Unquoted delimiters mean the body is expanded, including $(...)
+      heredoc.token.heredoc = heredoc.expand
+        ? makeWord(body, readDoubleQuoted(body, 0, null).parts, { quoted: true, glob: false })
+        : makeWord(body, [{ type: 'literal', value: body, quoted: true }], { quoted: true, glob: false });
+    }
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (char === ' ' || char === '\t') {
+      i++;
+      continue;
+    }
+    if (char === '\\' && input[i + 1] === '\n') {
+      i += 2;
+      continue;
+    }
+    if (char === '#') {
+      while (i < input.length && input[i] !== '\n') i++;
+      continue;
+    }
+    if (char === '\n') {
+      tokens.push({ type: 'op', value: '\n', start: i });
+      i++;
+      readHeredocs();
+      continue;
+    }
+
+    // <(...) and >(...) process substitution
+    if ((char === '<' || char === '>') && input[i + 1] === '(') {
+      const end = findClosingParen(input, i + 1);
+      const part = { type: 'process-substitution', raw: input.slice(i, end + 1), script: parseShell(input.slice(i + 2, end)), quoted: false };
+      tokens.push({ type: 'word', word: makeWord(part.raw, [part], { quoted: false, glob: false }), start: i, end: end + 1 });
+      i = end + 1;
+      continue;
+    }
+
+    const op = OPERATORS.find(candidate => input.startsWith(candidate, i));
+    if (op) {
+      // A number right before a redirect is its file descriptor (2>file)
+      let fd = null;
+      const previous = tokens.at(-1);
+      if (REDIRECTS.has(op) && previous?.type === 'word' && previous.end === i && /^\d+$/.test(previous.word.raw)) {
+        tokens.pop();
+        fd = Number(previous.word.raw);
+      }
+      tokens.push({ type: 'op', value: op, fd, start: i });
+      i += op.length;
+      continue;
+    }
+
+    const { word, end } = readWord(input, i);
+    tokens.push({ type: 'word', word, start: i, end });
+    const operator = tokens.at(-2);
+    if (operator?.type === 'op' && (operator.value === '<<' || operator.value === '<<-')) {
+      pendingHeredocs.push({ token: operator, delimiter: word.value ?? word.raw, strip: operator.value === '<<-', expand: !word.quoted });
+    }
+    i = end;
+  }
+  readHeredocs();
+  return tokens;
+}
+
+// ═══ PARSER ═══
+
+function describeToken(token) {
+  if (!token) return 'end of input';
+  if (token.type === 'op') return token.value === '\n' ? 'newline' : `'${token.value}'`;
+  return `'${token.word.raw}'`;
+}
+
+function parseTokens(tokens) {
+  let pos = 0;
+  let caseDepth = 0;
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isOp = (token, ...values) => token?.type === 'op' && values.includes(token.value);
+  const isWord = (token, ...values) => token?.type === 'word' && !token.word.quoted && values.includes(token.word.raw);
+  const skipNewlines = () => {
+    while (isOp(peek(), '\n')) pos++;
+  };
+  const fail = (message) => {
+    throw new ShellParseError(message || `Unexpected ${describeToken(peek())}`, peek()?.start ?? -1);
+  };
+
+  function parseRedirects() {
+    const redirects = [];
+    while (peek()?.type === 'op' && REDIRECTS.has(peek().value)) {
+      const operator = tokens[pos++];
+      if (peek()?.type !== 'word') fail(`Expected a target after '${operator.value}'`);
+      redirects.push({ op: operator.value, fd: operator.fd, target: tokens[pos++].word, heredoc: operator.heredoc || null });
+    }
+    return redirects;
+  }
+
+  function parseSimpleCommand() {
+    const command = { type: 'command', assignments: [], words: [], redirects: [] };
+    while (peek()) {
+      const token = peek();
+      if (token.type === 'word') {
+        pos++;
+        if (command.words.length === 0 && ASSIGNMENT.test(token.word.raw)) {
+          command.assignments.push(token.word);
+          continue;
+        }
+        command.words.push(token.word);
+        // [[ ... ]] compares with < and > and uses && inside, none of which are operators there
+        if (command.words.length === 1 && isWord(token, '[[')) {
+          while (peek() && !isWord(peek(), ']]')) {
+            const inner = tokens[pos++];
+            command.words.push(inner.type === 'word' ? inner.word : makeWord(inner.value, [{ type: 'literal', value: inner.value }], { quoted: false, glob: false }));
+          }
+          if (!peek()) fail("Expected ']]'");
+          command.words.push(tokens[pos++].word);
+        }
+      } else if (token.type === 'op' && REDIRECTS.has(token.value)) {
+        command.redirects.push(...parseRedirects());
+      } else {
+        break;
+      }
+    }
+    if (command.words.length === 0 && command.assignments.length === 0 && command.redirects.length === 0) fail();
+    return command;
+  }
+
+  function parseCommand() {
+    const token = peek();
+    if (!token) fail('Unexpected end of input');
+
+    if (isOp(token, '(')) {
+      if (isOp(peek(1), '(') && peek(1).start === token.start + 1) {
+        // (( arithmetic )) - skip to the matching ))
+        pos += 2;
+        while (peek() && !(isOp(peek(), ')') && isOp(peek(1), ')') && peek(1).start === peek().start + 1)) pos++;
+        if (!peek()) fail("Expected '))'");
+        pos += 2;
+        return { type: 'arithmetic' };
+      }
+      pos++;
+      const body = parseList(next => isOp(next, ')'));
+      if (!isOp(peek(), ')')) fail("Expected ')'");
+      pos++;
+      return { type: 'subshell', body, redirects: parseRedirects() };
+    }
+
+    if (isWord(token, '{')) {
+      pos++;
+      const body = parseList(next => isWord(next, '}'));
+      if (!isWord(peek(), '}')) fail("Expected '}'");
+      pos++;
+      return { type: 'group', body, redirects: parseRedirects() };
+    }
+
+    if (isWord(token, 'function') && peek(1)?.type === 'word') {
+      const name = peek(1).word.value ?? peek(1).word.raw;
+      pos += 2;
+      if (isOp(peek(), '(') && isOp(peek(1), ')')) pos += 2;
+      skipNewlines();
+      return { type: 'function', name, body: parseCommand() };
+    }
+    if (token.type === 'word' && isOp(peek(1), '(') && isOp(peek(2), ')')) {
+      const name = token.word.value ?? token.word.raw;
+      pos += 3;
+      skipNewlines();
+      return { type: 'function', name, body: parseCommand() };
+    }
+
+    if (token.type === 'word' && !token.word.quoted) {
+      const keyword = token.word.raw;
+
+      if (KEYWORD_PREFIXES.has(keyword)) {
+        pos++;
+        skipNewlines();
+        if (!peek() || isOp(peek(), ';', '&', ')') || (peek().type === 'word' && KEYWORD_CLOSERS.has(peek().word.raw))) {
+          return { type: 'command', keyword, assignments: [], words: [], redirects: [] };
+        }
+        return parseCommand();
+      }
+
+      if (KEYWORD_CLOSERS.has(keyword)) {
+        pos++;
+        if (keyword === 'esac') caseDepth = Math.max(0, caseDepth - 1);
+        return { type: 'command', keyword, assignments: [], words: [], redirects: parseRedirects() };
+      }
+
+      // for NAME [in WORDS]; and case WORD in - keep the words, their substitutions still run
+      if ((keyword === 'for' || keyword === 'select') && !isOp(peek(1), '(')) {
+        pos++;
+        const words = [];
+        while (peek()?.type === 'word' && !isWord(peek(), 'do')) words.push(tokens[pos++].word);
+        return { type: 'command', keyword, assignments: [], words: [], loopWords: words, redirects: [] };
+      }
+      if (keyword === 'for' && isOp(peek(1), '(')) {
+        pos++;
+        return parseCommand(); // for (( ... )) - arithmetic header
+      }
+      if (keyword === 'case') {
+        pos++;
+        const words = [];
+        while (peek()?.type === 'word' && !isWord(peek(), 'in')) words.push(tokens[pos++].word);
+        if (isWord(peek(), 'in')) pos++;
+        caseDepth++;
+        return { type: 'command', keyword, assignments: [], words: [], loopWords: words, redirects: [] };
+      }
+
+      // case patterns: `pattern)` or `(a|b)` before the commands of a branch
+      if (caseDepth > 0) {
+        let end = pos + (isOp(peek(), '(') ? 1 : 0);
+        while (tokens[end]?.type === 'word' && isOp(tokens[end + 1], '|')) end += 2;
+        if (tokens[end]?.type === 'word' && isOp(tokens[end + 1], ')')) {
+          pos = end + 2;
+          skipNewlines();
+          if (!peek() || isOp(peek(), ';;') || isWord(peek(), 'esac')) {
+            return { type: 'command', keyword: 'case-pattern', assignments: [], words: [], redirects: [] };
+          }
+          return parseCommand();
+        }
+      }
+    }
+
+    return parseSimpleCommand();
+  }
+
+  function parsePipeline() {
+    let negated = false;
+    if (isWord(peek(), '!')) {
+      negated = true;
+      pos++;
+    }
+    const commands = [parseCommand()];
+    while (isOp(peek(), '|', '|&')) {
+      pos++;
+      skipNewlines();
+      commands.push(parseCommand());
+    }
+    return { type: 'pipeline', commands, negated };
+  }
+
+  function parseAndOr() {
+    const pipelines = [parsePipeline()];
+    const operators = [];
+    while (isOp(peek(), '&&', '||')) {
+      operators.push(tokens[pos++].value);
+      skipNewlines();
+      pipelines.push(parsePipeline());
+    }
+    return { type: 'and-or', pipelines, operators };
+  }
+
+  function parseList(isEnd) {
+    const items = [];
+    while (true) {
+      while (isOp(peek(), '\n', ';', ';;')) pos++;
+      if (!peek() || isEnd(peek())) break;
+
+      const node = parseAndOr();
+      let background = false;
+      if (isOp(peek(), '&')) {
+        background = true;
+        pos++;
+      } else if (isOp(peek(), ';', ';;', '\n')) {
+        pos++;
+      } else if (peek() && !isEnd(peek()) && node.pipelines.at(-1).commands.at(-1).keyword !== 'case') {
+        fail(); // `case WORD in` runs straight into its first pattern
+      }
+      items.push({ node, background });
+    }
+    return { type: 'list', items };
+  }
+
+  const body = parseList(() => false);
+  if (pos < tokens.length) fail();
+  return { type: 'script', body };
+}
+
+/**
+ * Parse a command line into an AST
+ * @param {string} input - Command line or script
+ * @returns {object} { type: 'script', body }
+ * @throws {ShellParseError} On unterminated quotes, unbalanced parentheses or stray operators
+ */
+export function parseShell(input) {
+  return parseTokens(tokenize(String(input ?? '')));
+}
+
+// ═══ ANALYSIS ═══
+
+// Programs that run the command given in their arguments
+const WRAPPERS = ['sudo', 'doas', 'env', 'nohup', 'nice', 'ionice', 'time', 'timeout', 'xargs', 'exec', 'command', 'builtin', 'stdbuf', 'chroot', 'setsid', 'watch'];
+// Wrapper options that take a value (sudo -u root, nice -n 10, xargs -I {} ...)
+const WRAPPER_OPTIONS_WITH_VALUE = ['-u', '-g', '-n', '-c', '-s', '-k', '-I', '-L', '-P', '-d', '-C', '-p', '-h', '-E'];
+
+// Programs that run a script passed with -c
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'ash', 'mksh', 'fish', 'busybox', 'su'];
+
+// Interpreters and the options that hand them a program inline (python -Bc, node --eval, perl -ne)
+const INTERPRETERS = [
+  { name: /^(python[\d.]*|pypy3?)$/, inline: /^-[a-zA-Z]*c$/ },
+  { name: /^(node|nodejs|bun)$/, inline: /^(-e|-p|--eval|--print)(=|$)/ },
+  { name: /^(perl|ruby)$/, inline: /^-[a-zA-Z]*[eE][a-zA-Z]*$/ },
+  { name: /^php$/, inline: /^-r$/ },
+  { name: /^lua[\d.]*$/, inline: /^-e$/ },
+  { name: /^(osascript|tclsh|wish)$/, inline: /^-e$/ }
+];
+
+const INPUT_REDIRECTS = new Set(['<', '<<', '<<-', '<<<', '<&', '<>']);
+const PIPE_INPUT = { label: 'a pipe', script: null };
+
+const allPositional = (positional) => positional;
+const lastPositional = (positional) => (positional.length >= 2 ? [positional.at(-1)] : []);
+const afterFirst = (positional) => positional.slice(1);
+
+// Programs and which of their positional arguments they write to
+const WRITERS = {
+  rm: allPositional,
+  rmdir: allPositional,
+  unlink: allPositional,
+  shred: allPositional,
+  truncate: allPositional,
+  touch: allPositional,
+  mkdir: allPositional,
+  tee: allPositional,
+  wipefs: allPositional,
+  cp: lastPositional,
+  mv: lastPositional,
+  install: lastPositional,
+  ln: lastPositional,
+  rsync: lastPositional,
+  scp: lastPositional,
+  chmod: afterFirst,
+  chown: afterFirst,
+  chgrp: afterFirst,
+  sed: (positional, args) => {
+    if (!args.some(arg => /^-[a-zA-Z]*i/.test(arg || '') || (arg || '').startsWith('--in-place'))) return [];
+    return args.some(arg => arg === '-e' || arg === '-f' || arg === '--expression') ? positional : positional.slice(1);
+  },
+  dd: (positional, args) => args.filter(arg => arg?.startsWith('of=')).map(arg => arg.slice(3)),
+  // find -delete removes what it finds under its starting points (the arguments before the expression)
+  find: (positional, args) => {
+    if (!args.includes('-delete')) return [];
+    const end = args.findIndex(arg => arg === null || /^[-(!]/.test(arg));
+    return end === -1 ? args : args.slice(0, end);
+  }
+};
+
+function writersFor(name) {
+  if (!name) return null;
+  if (WRITERS[name]) return WRITERS[name];
+  return /^mkfs(\.|$)|^mke2fs$/.test(name) ? allPositional : null;
+}
+
+/**
+ * Resolve a path against the tracked working directory (null = unknown, kept relative)
+ */
+function resolvePath(value, cwd) {
+  if (value === null || value === undefined) return null;
+  const expanded = value === '~' || value.startsWith('~/') ? path.join(os.homedir(), value.slice(1)) : value;
+  if (path.isAbsolute(expanded)) return path.resolve(expanded);
+  return cwd ? path.resolve(cwd, expanded) : expanded;
+}
+
+function looksLikePath(value) {
+  if (/\s/.test(value)) return false; // script strings (sh -c '...'), messages
+  return value === '.' || value === '..' || value === '~' ||
+    /^(\/|~\/|\.\.?\/)/.test(value) ||
+    (value.includes('/') && !/^[a-z][a-z0-9+.-]*:\/\//i.test(value) && !value.startsWith('-'));
+}
+
+/**
+ * Where a redirect list points stdin: { label, script } (script is the static text of a
+ * here-document or here-string), or null when it leaves stdin alone
+ */
+function inputFrom(redirects) {
+  const input = redirects.filter(({ op, fd }) => INPUT_REDIRECTS.has(op) && (fd === null || fd === 0)).at(-1);
+  if (!input) return null;
+  if (input.op === '<<<') return { label: 'a here-string', script: input.target.value === null ? null : `${input.target.value}\n` };
+  if (input.op === '<<' || input.op === '<<-') return { label: 'a here-document', script: input.heredoc?.value ?? null };
+  if (input.op === '<&') return { label: `file descriptor ${input.target.value ?? '(dynamic)'}`, script: null };
+  return { label: input.target.value ?? 'a file only known at runtime', script: null };
+}
+
+/**
+ * Whether a shell started with these arguments reads its commands from stdin: no script file, or -s
+ */
+function shellReadsStdin(args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === null) return false;
+    if (arg === '-') return true;
+    if (arg === '--') return i + 1 >= args.length;
+    if (/^-[a-zA-Z]*s[a-zA-Z]*$/.test(arg)) return true;
+    if (/^[-+]O?o$/.test(arg)) i++; // -o pipefail
+    else if (!/^[-+]/.test(arg)) return false; // Script file
+  }
+  return true;
+}
+
+function positionalArgs(args) {
+  const positional = [];
+  let endOfOptions = false;
+  for (const arg of args) {
+    if (!endOfOptions && arg === '--') {
+      endOfOptions = true;
+    } else if (endOfOptions || arg === null || !arg.startsWith('-') || arg === '-') {
+      positional.push(arg);
+    }
+  }
+  return positional;
+}
+
+/**
+ * Flatten an AST into the simple commands it would run
+ *
+ * @param {object} ast - From parseShell()
+ * @param {object} options - Options
+ * @param {string} options.cwd - Starting working directory (default: process.cwd())
+ * @returns {Array} Commands: { id, executable, name, args, dynamicExecutable, dynamicScript, opaqueScript,
+ *   redirects, writes, dynamicWrites, paths, cwd, via, pipeline, background, inFunction, parent, parseError }.
+ *   `args` entries are null where the value is only known at runtime; `via` lists what the command
+ *   runs inside ('sudo', 'bash -c', '$(...)', 'find -exec'); `cwd` is null after a dynamic `cd`;
+ *   opaqueScript says why the program a shell or interpreter runs can't be seen ('python -c inline code',
+ *   'sh reads its program from a pipe'), else null.
+ */
+export function collectCommands(ast, options = {}) {
+  const commands = [];
+  let nextId = 0;
+  let nextPipeline = 0;
+
+  const walkSubstitutions = (word, shell, meta) => {
+    for (const part of word?.parts || []) {
+      if (part.type === 'substitution' || part.type === 'process-substitution') {
+        walk(part.script, { ...shell }, { ...meta, pipeline: null, stdin: null, via: [...meta.via, part.type === 'substitution' ? '$(...)' : '<(...)'] });
+      }
+    }
+  };
+
+  const runScript = (script, shell, meta, label, descriptor) => {
+    try {
+      walk(parseShell(script), { ...shell }, { ...meta, via: [...meta.via, label], parent: descriptor.id });
+    } catch (error) {
+      if (!(error instanceof ShellParseError)) throw error;
+      descriptor.parseError = `${label}: ${error.message}`;
+    }
+  };
+
+  const describe = (values, raws, redirects, shell, meta, id = nextId++) => {
+    const [executable = null, ...args] = values;
+    const name = executable === null ? null : path.basename(executable);
+
+    const descriptor = {
+      id,
+      executable: executable ?? raws[0] ?? null,
+      name,
+      args,
+      dynamicExecutable: values.length > 0 && executable === null,
+      dynamicScript: false,
+      opaqueScript: null,
+      redirects: redirects.map(({ op, fd, target }) => ({
+        op,
+        fd,
+        target: target.value,
+        duplicate: (op === '>&' || op === '<&') && /^(\d+|-)$/.test(target.value ?? '')
+      })),
+      writes: [],
+      dynamicWrites: false,
+      paths: [],
+      cwd: shell.cwd,
+      via: meta.via,
+      pipeline: meta.pipeline,
+      background: meta.background,
+      inFunction: meta.inFunction,
+      parent: meta.parent,
+      parseError: null
+    };
+
+    // Write targets: output redirects plus what the program itself writes
+    const writes = descriptor.redirects
+      .filter(redirect => WRITE_REDIRECTS.has(redirect.op) && !redirect.duplicate)
+      .map(redirect => redirect.target);
+    const writer = writersFor(name);
+    if (writer) writes.push(...writer(positionalArgs(args), args));
+    descriptor.dynamicWrites = writes.includes(null);
+    descriptor.writes = [...new Set(writes.filter(target => target !== null).map(target => resolvePath(target, shell.cwd)))];
+
+    const argPaths = args
+      .filter(arg => arg !== null)
+      .map(arg => (/^(-|[\w.-]+=)/.test(arg) && arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : arg))
+      .filter(looksLikePath)
+      .map(arg => resolvePath(arg, shell.cwd));
+    const redirectPaths = descriptor.redirects
+      .filter(redirect => !redirect.duplicate && redirect.target !== null && !['<<', '<<-', '<<<'].includes(redirect.op))
+      .map(redirect => resolvePath(redirect.target, shell.cwd));
+    descriptor.paths = [...new Set([...argPaths, ...redirectPaths, ...descriptor.writes])];
+
+    commands.push(descriptor);
+
+    // cd changes the directory for the rest of the list (not inside a pipeline stage)
+    if (name === 'cd' && !meta.pipeline) {
+      const [target] = positionalArgs(args);
+      if (target === undefined) shell.cwd = os.homedir();
+      else if (target === null || target === '-') shell.cwd = null;
+      else shell.cwd = path.isAbsolute(resolvePath(target, shell.cwd) || '') ? resolvePath(target, shell.cwd) : null;
+    }
+
+    // Wrapped and nested commands share this command's stdin
+    const stdin = inputFrom(redirects) ?? meta.stdin;
+    const nestedMeta = { ...meta, parent: id, stdin };
+
+    if (WRAPPERS.includes(name)) {
+      let skip = 1;
+      while (skip < values.length && values[skip] !== null && (values[skip].startsWith('-') || ASSIGNMENT.test(values[skip]))) {
+        if (WRAPPER_OPTIONS_WITH_VALUE.includes(values[skip])) skip++;
+        skip++;
+      }
+      if (name === 'timeout' && skip < values.length) skip++;
+      if (skip < values.length) {
+        describe(values.slice(skip), raws.slice(skip), [], shell, { ...nestedMeta, via: [...meta.via, name] });
+      }
+    }
+
+    // busybox runs the applet named first: busybox rm -rf /
+    if (name === 'busybox' && args.length > 0 && !SHELLS.includes(args[0]) && !args[0]?.startsWith('-')) {
+      describe(values.slice(1), raws.slice(1), [], shell, { ...nestedMeta, via: [...meta.via, name] });
+    }
+
+    if (SHELLS.includes(name)) {
+      const flagIndex = args.findIndex(arg => arg !== null && /^-[a-zA-Z]*c[a-zA-Z]*$/.test(arg));
+      if (flagIndex !== -1 && flagIndex + 1 < args.length) {
+        const script = args[flagIndex + 1];
+        if (script === null) descriptor.dynamicScript = true;
+        else runScript(script, shell, nestedMeta, `${name} -c`, descriptor);
+      } else if (flagIndex !== -1 && meta.via.at(-1) === 'xargs') {
+        descriptor.dynamicScript = true; // xargs sh -c: the script comes from xargs' input
+      } else if (flagIndex === -1 && stdin && name !== 'su') {
+        // busybox runs the applet named first: busybox sh < script
+        const shellArgs = name === 'busybox' ? (SHELLS.includes(args[0]) ? args.slice(1) : null) : args;
+        if (shellArgs && shellReadsStdin(shellArgs)) {
+          if (stdin.script !== null) runScript(stdin.script, shell, { ...nestedMeta, stdin: null }, `${name} ${stdin.label === 'a here-string' ? '<<<' : '<<'}`, descriptor);
+          else descriptor.opaqueScript = `${name} reads its program from ${stdin.label}`;
+        }
+      }
+    }
+
+    const interpreter = name && INTERPRETERS.find(candidate => candidate.name.test(name));
+    if (interpreter) {
+      const positional = positionalArgs(args);
+      if (args.some(arg => arg !== null && interpreter.inline.test(arg))) {
+        descriptor.opaqueScript = `${name} runs inline code`;
+      } else if (stdin && (positional.length === 0 || positional[0] === '-')) {
+        descriptor.opaqueScript = `${name} reads its program from ${stdin.label}`;
+      }
+    }
+
+    if (name === 'eval' && args.length > 0) {
+      if (args.includes(null)) descriptor.dynamicScript = true;
+      else runScript(args.join(' '), shell, nestedMeta, 'eval', descriptor);
+    }
+
+    if (name === 'find') {
+      for (let i = 0; i < args.length; i++) {
+        if (!['-exec', '-execdir', '-ok', '-okdir'].includes(args[i])) continue;
+        let end = i + 1;
+        while (end < args.length && args[end] !== ';' && args[end] !== '+') end++;
+        if (end > i + 1) {
+          // {} is each found file: known only at runtime
+          describe(args.slice(i + 1, end).map(arg => (arg === '{}' ? null : arg)), raws.slice(i + 2, end + 1), [], shell, { ...nestedMeta, via: [...meta.via, `find ${args[i]}`] });
+        }
+        i = end;
+      }
+    }
+
+    return descriptor;
+  };
+
+  const walk = (node, shell, meta) => {
+    switch (node.type) {
+      case 'script':
+        walk(node.body, shell, meta);
+        break;
+
+      case 'list':
+        for (const item of node.items) {
+          // Background jobs run in a subshell, so their cd doesn't stick
+          walk(item.node, item.background ? { ...shell } : shell, { ...meta, background: meta.background || item.background });
+        }
+        break;
+
+      case 'and-or':
+        for (const pipeline of node.pipelines) walk(pipeline, shell, meta);
+        break;
+
+      case 'pipeline':
+        if (node.commands.length === 1) {
+          walk(node.commands[0], shell, meta);
+        } else {
+          const id = nextPipeline++;
+          node.commands.forEach((command, index) => {
+            walk(command, { ...shell }, {
+              ...meta,
+              pipeline: { id, index, length: node.commands.length },
+              stdin: index > 0 ? PIPE_INPUT : meta.stdin
+            });
+          });
+        }
+        break;
+
+      case 'subshell':
+      case 'group': {
+        for (const redirect of node.redirects) walkSubstitutions(redirect.target, shell, meta);
+        if (node.redirects.length > 0) {
+          const label = node.type === 'subshell' ? '(subshell)' : '{group}';
+          describe([label], [label], node.redirects, shell, meta);
+        }
+        const body = { ...meta, stdin: inputFrom(node.redirects) ?? meta.stdin };
+        walk(node.body, node.type === 'subshell' ? { ...shell } : shell, body);
+        break;
+      }
+
+      case 'function':
+        walk(node.body, { ...shell }, { ...meta, inFunction: node.name });
+        break;
+
+      case 'command': {
+        // Substitutions run first; they record this command as their parent
+        const id = nextId++;
+        const inner = { ...meta, parent: id };
+        const words = [...node.assignments, ...node.words, ...(node.loopWords || [])];
+        for (const word of words) walkSubstitutions(word, shell, inner);
+        for (const redirect of node.redirects) {
+          walkSubstitutions(redirect.target, shell, inner);
+          walkSubstitutions(redirect.heredoc, shell, inner);
+        }
+        if (node.words.length === 0 && node.redirects.length === 0) break;
+
+        // Unquoted substitutions are word-split: $(echo rm -rf) is two words
+        const values = [];
+        const raws = [];
+        for (const word of node.words) {
+          const pieces = word.value !== null && word.splittable ? word.value.split(/\s+/).filter(Boolean) : [word.value];
+          for (const piece of pieces) {
+            values.push(piece);
+            raws.push(word.raw);
+          }
+        }
+        describe(values, raws, node.redirects, shell, meta, id);
+        break;
+      }
+
+      default:
+        break;
+    }
+  };
+
+  walk(ast, { cwd: options.cwd ?? process.cwd() }, {
+    via: [],
+    pipeline: null,
+    stdin: null, // Where stdin comes from when a pipe or redirect sets it: { label, script }
+    background: false,
+    inFunction: null,
+    parent: null
+  });
+  return commands;
+}
+
+/**
+ * Parse and flatten a command line in one step
+ * @param {string} command - Command line
+ * @param {object} options - { cwd }
+ * @returns {Array} Simple commands (see collectCommands)
+ * @throws {ShellParseError} If the command can't be parsed
+ */
+export function analyzeCommand(command, options = {}) {
+  return collectCommands(parseShell(command), options);
+}
+
+export default { parseShell, collectCommands, analyzeCommand, ShellParseError };
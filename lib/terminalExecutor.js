@@ -1,9 +1,14 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import { createInterface } from 'readline';
 import { logCommand } from './auditLogger.js';
-
-const execPromise = promisify(exec);
+import { withSpan } from './tracing.js';
+import { resolveLogger } from './logger.js';
+import { evaluateCommand, needsApproval } from './policyEngine.js';
+import { checkCommandSafety } from './commandSafety.js';
+import { resolveExecution, DEFAULT_MAX_OUTPUT_BYTES } from './executionBackends.js';
+import { startJob } from './jobManager.js';
+import { resolveLimits, hasLimits, describeLimits } from './resourceLimits.js';
+import { buildCommandEnvironment, findLeaks } from './commandEnvironment.js';
+import { SecretRedactor } from './secretRedactor.js';
 
 /**
  * Terminal Executor - Executes commands generated by agents with safety gates
@@ -11,22 +16,19 @@ const execPromise = promisify(exec);
  * Features:
  * - Permission-based execution (auto-approve vs manual)
  * - Dry-run mode for testing
- * - Command sanitization and blacklisting
- * - Timeout protection
+ * - Policy engine authorization (allow / require-approval / deny, see policyEngine.js)
+ * - Deny floor for commands that wreck the machine, next to the policy (see commandSafety.js)
+ * - Host or sandboxed execution backend (see executionBackends.js)
+ * - Scrubbed environment with per-command secret injection and leak detection (see commandEnvironment.js)
+ * - Streaming output with head/tail capped capture
+ * - Timeout and cancel protection (SIGTERM, then SIGKILL of the whole process group)
  * - Audit trail integration
  */
 
-// Dangerous command patterns to block
-const DANGEROUS_PATTERNS = [
-  /rm\s+-rf\s+\/($|\s)/,  // rm -rf /
-  /:\(\)\{.*:\|:.*\}/,     // Fork bombs
-  /\/dev\/sda/,            // Direct disk writes
-  /mkfs/,                  // Format commands
-  /dd\s+if=/,              // dd operations
-  /\/etc\/passwd/,         // Password file modification
-  /curl.*\|.*bash/,        // Pipe to bash
-  /wget.*\|.*sh/,          // Pipe to shell
-];
+const INPUT_PREVIEW_CHARS = 2000; // Start of stdin input shown at the approval prompt
+
+// Detector-only redaction for log lines when the caller has no session redactor (as in auditLogger.js)
+const logRedactor = new SecretRedactor();
 
 /**
  * Executes terminal commands generated by agents
@@ -39,10 +41,59 @@ const DANGEROUS_PATTERNS = [
  * @param {boolean} config.dryRun - Don't actually execute, just validate
  * @param {string} config.cwd - Working directory (defaults to project root)
  * @param {number} config.timeout - Max execution time in ms
- * @param {object} config.policyReport - Safety policy evaluation report (optional)
- * @returns {Promise<object>} Execution result with status, stdout, stderr
+ * @param {object} config.policyReport - Safety policy evaluation report (default: evaluated here)
+ * @param {string|object|boolean} config.policy - Policy name/file or compiled policy to evaluate against
+ *   (default: LUMEN_POLICY_FILE / LUMEN_POLICY_ENV), or false for the legacy pattern check only
+ * @param {boolean} config.allowDangerous - Skip the commandSafety.js deny floor (the policy still applies)
+ * @param {boolean} config.approved - A human already approved this exact command (e.g. Telegram buttons);
+ *   satisfies require-approval even when the policy disallows autoApprove, never overrides deny
+ * @param {string|object} config.backend - Execution backend name ('host', 'sandbox') or object; the policy's
+ *   "execution" block and LUMEN_EXECUTION_BACKEND also apply, and a sandbox request from any of them wins
+ * @param {object} config.sandbox - Sandbox options { network, workspace } (workspace defaults to cwd)
+ * @param {Function} config.onOutput - Receives { stream: 'stdout'|'stderr', text } chunks while the command runs
+ * @param {AbortSignal} config.signal - Cancels the command (status 'cancelled')
+ * @param {number} config.maxOutputBytes - Per-stream output kept in the result; beyond it the head and tail are kept
+ *   and result.truncated says which stream was cut (default: LUMEN_OUTPUT_MAX_BYTES or 1 MiB)
+ * @param {number} config.killGraceMs - Wait between SIGTERM and SIGKILL on timeout or cancel (default: 5000)
+ * @param {boolean} config.background - Run as a background job once approved (status 'started' with jobId, see jobManager.js);
+ *   the CLI approval prompt also offers this
+ * @param {object} config.jobOrigin - Who started the job { platform, chatId, userId }, for completion notices
+ * @param {object} config.actor - Who asked for the command { platform, userId, chatId, username }, for the audit log (default: jobOrigin)
+ * @param {object} config.limits - Resource limits { cpuSeconds, memoryMb, processes, openFiles, fileSizeMb }; combined
+ *   with the policy's "limits" (lowest wins, see resourceLimits.js). Exceeding one gives status 'resource-limit'
+ * @param {number} config.jobTimeout - Max run time of a background job in ms, replaces timeout (default: LUMEN_JOB_TIMEOUT or 1 hour)
+ * @param {object} config.logger - Logger for this call instead of the 'executor' component's (see logger.js)
+ * @param {string|Buffer} config.input - Data for the command's stdin, e.g. a file body (default: stdin closed). It stays
+ *   out of the command line, the logs and the audit entry, which records inputBytes; the approval prompt shows its start
+ * @param {SecretRedactor} config.redactor - Session redactor whose placeholders stand in for substituted secrets in log
+ *   lines and the approval prompt (default: the detectors alone, as in the audit log)
+ * @param {object} config.trace - Request trace (see tracing.js): the call becomes a 'command' span (status, exit code,
+ *   backend, policy decision - not the command line, which only the redacted audit log keeps) and the audit
+ *   entry gets its traceId
+ * @returns {Promise<object>} Execution result with status, exitCode, stdout, stderr, executionTimeMs, timedOut, truncated
+ *   (and resourceLimit when status is 'resource-limit'). The command's environment follows the policy's "env" block;
+ *   secrets gives the names of injected secrets and leaks [{ name, stream }] any credential or secret found in the output
  */
 export async function executeAgentCommand(agentResponse, config = {}) {
+  return withSpan(config.trace, 'command', {}, async (span) => {
+    const result = await runAgentCommand(agentResponse, config);
+    span.setAttributes({
+      'lumen.command.status': result.status,
+      'process.exit.code': result.exitCode,
+      'lumen.backend': result.backend,
+      'lumen.policy.decision': result.policyReport?.decision,
+      'lumen.job_id': result.jobId,
+      'lumen.duration_ms': result.executionTimeMs
+    });
+    if (result.status === 'error' || result.status === 'resource-limit') span.setError(result.message || result.status);
+    return result;
+  });
+}
+
+/**
+ * executeAgentCommand inside its span
+ */
+async function runAgentCommand(agentResponse, config) {
   const {
     command,
     commandReasoning = 'No reasoning provided',
@@ -56,192 +107,382 @@ export async function executeAgentCommand(agentResponse, config = {}) {
     cwd = process.cwd(),
     timeout = 30000,
     allowDangerous = false,
-    policyReport = null // Safety policy report from policyEngine
+    policy = undefined,
+    approved = false,
+    backend = undefined,
+    sandbox = {},
+    onOutput = null,
+    signal = null,
+    maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES,
+    killGraceMs = undefined,
+    jobOrigin = null,
+    actor = jobOrigin,
+    jobTimeout = parseInt(process.env.LUMEN_JOB_TIMEOUT || '3600000'),
+    limits = null,
+    trace = null,
+    redactor = null,
+    input = null
   } = config;
+  const traceId = trace?.traceId;
+  const log = resolveLogger(config.logger, 'executor');
+  let { background: runInBackground = false } = config;
+  let { policyReport = null } = config; // Safety policy report from policyEngine
 
   // Validate command exists
   if (!command || command.trim() === '') {
     const error = { status: 'error', message: 'No command provided for execution.' };
-    await logCommand({ command: '', ...error, reasoning });
+    await logCommand({ command: '', ...error, reasoning, actor, traceId });
     return error;
   }
 
   const trimmedCommand = command.trim();
 
-  console.log('\n🤖 [Lumen Terminal Executor]');
-  console.log(`📝 Reasoning: ${reasoning}`);
-  console.log(`💻 Command: ${trimmedCommand}`);
-  console.log(`📂 Working Directory: ${cwd}`);
+  // The command may carry substituted secrets; only the shell sees them
+  const conceal = (text) => (redactor ? redactor.conceal(text) : logRedactor.redact(text));
+  const shownCommand = conceal(trimmedCommand);
+  const inputBytes = input === null ? undefined : Buffer.byteLength(input);
+  log.info(`💻 Command: ${shownCommand}`);
+  log.debug(`📝 Reasoning: ${reasoning}`);
+  log.debug(`📂 Working directory: ${cwd}`);
+
+  // Evaluate the policy; a broken policy file blocks execution rather than allowing everything
+  if (!policyReport && policy !== false) {
+    try {
+      policyReport = evaluateCommand(trimmedCommand, { policy, cwd });
+    } catch (error) {
+      const result = {
+        status: 'blocked',
+        message: `Command blocked: policy could not be loaded (${error.message})`,
+        command: trimmedCommand,
+        reasoning
+      };
+      log.warn(`🚫 ${result.message}`);
+      await logCommand({ ...result, actor, traceId });
+      return result;
+    }
+  }
   
-  // Display policy report if provided
+  // Log the policy report if provided
   if (policyReport) {
-    console.log(`🛡️  Policy: ${policyReport.policy.name} (${policyReport.policy.environment})`);
-    console.log(`   Security Level: ${policyReport.securityLevel}`);
-    
-    if (policyReport.reasoning.length > 0) {
-      console.log(`   Security Thoughts:`);
-      policyReport.reasoning.slice(0, 3).forEach(r => console.log(`     • ${r}`));
-    }
-    
-    if (policyReport.warnings.length > 0) {
-      console.log(`   ⚠️  Warnings:`);
-      policyReport.warnings.forEach(w => console.log(`     • ${w}`));
-    }
+    log.debug(`🛡️  Policy: ${policyReport.policy.name} (${policyReport.policy.environment}), security level ${policyReport.securityLevel}`);
+    policyReport.reasoning.slice(0, 3).forEach(r => log.debug(`   • ${r}`));
+    policyReport.warnings.forEach(w => log.warn(`⚠️  Policy warning: ${w}`));
+  }
+
+  // Policy deny is final (allowDangerous only affects the safety floor below)
+  if (policyReport && policyReport.allowed === false) {
+    const result = {
+      status: 'blocked',
+      message: `Command blocked by policy ${policyReport.policy.name}: ${(policyReport.violations || policyReport.reasoning).join('; ')}`,
+      command: trimmedCommand,
+      reasoning,
+      policyReport: summarizePolicyReport(policyReport)
+    };
+    log.warn(`🚫 ${result.message}`);
+    await logCommand({ ...result, actor, traceId });
+    return result;
   }
 
-  // Safety check: Detect dangerous patterns (legacy check - policy engine is primary)
-  if (!allowDangerous && !policyReport) {
-    const dangerCheck = checkCommandSafety(trimmedCommand);
+  // Safety floor: structural danger checks deny next to the policy, whatever its rules allow
+  if (!allowDangerous) {
+    const dangerCheck = checkCommandSafety(trimmedCommand, { cwd, legacy: !policyReport });
     if (!dangerCheck.safe) {
       const error = {
         status: 'blocked',
         message: `Command blocked for safety: ${dangerCheck.reason}`,
         command: trimmedCommand,
-        reasoning
+        reasoning,
+        policyReport: summarizePolicyReport(policyReport)
       };
-      console.error(`🚫 ${error.message}`);
-      await logCommand(error);
+      log.warn(`🚫 ${error.message}`);
+      await logCommand({ ...error, actor, traceId });
       return error;
     }
   }
 
+  // Pick the execution backend; a requested sandbox that can't run here blocks instead of falling back to the host
+  let execution;
+  let availability;
+  try {
+    execution = resolveExecution({ backend, sandbox, execution: policyReport?.policy.execution });
+    availability = execution.backend.available();
+  } catch (error) {
+    availability = { ok: false, reason: error.message };
+  }
+  if (!availability.ok) {
+    const result = {
+      status: 'blocked',
+      message: `Command blocked: execution backend unavailable (${availability.reason})`,
+      command: trimmedCommand,
+      reasoning,
+      policyReport: summarizePolicyReport(policyReport)
+    };
+    log.warn(`🚫 ${result.message}`);
+    await logCommand({ ...result, actor, traceId });
+    return result;
+  }
+  log.debug(`📦 Backend: ${execution.name}${execution.backend.name === 'sandbox' ? ` (network ${execution.options.network ? 'on' : 'off'})` : ''}`);
+
+  // Resource limits: policy and per call, lowest wins; a bad value blocks rather than running unlimited
+  let resourceLimits;
+  try {
+    resourceLimits = resolveLimits(policyReport?.policy.limits, limits);
+  } catch (error) {
+    const result = {
+      status: 'blocked',
+      message: `Command blocked: ${error.message}`,
+      command: trimmedCommand,
+      reasoning,
+      policyReport: summarizePolicyReport(policyReport)
+    };
+    log.warn(`🚫 ${result.message}`);
+    await logCommand({ ...result, actor, traceId });
+    return result;
+  }
+  if (hasLimits(resourceLimits)) {
+    log.debug(`📏 Limits: ${describeLimits(resourceLimits)}`);
+  }
+
+  // Environment: allowlisted variables without Lumen's credentials, plus the secrets the command references
+  let environment;
+  try {
+    environment = buildCommandEnvironment(trimmedCommand, policyReport?.policy.env);
+  } catch (error) {
+    const result = {
+      status: 'blocked',
+      message: `Command blocked: secret store could not be loaded (${error.message})`,
+      command: trimmedCommand,
+      reasoning,
+      policyReport: summarizePolicyReport(policyReport)
+    };
+    log.warn(`🚫 ${result.message}`);
+    await logCommand({ ...result, actor, traceId });
+    return result;
+  }
+  if (environment.secrets.length > 0) {
+    log.debug(`🔑 Secrets: ${environment.secrets.join(', ')}`);
+  }
+
   // Dry run mode
   if (dryRun) {
-    console.log('🧪 [DRY RUN] Command would be executed but dryRun=true');
+    log.info('🧪 [DRY RUN] Command would be executed but dryRun=true');
     const result = {
       status: 'dry-run',
       command: trimmedCommand,
       reasoning,
-      message: 'Command validated but not executed (dry run mode)'
+      message: 'Command validated but not executed (dry run mode)',
+      backend: execution.name,
+      policyReport: summarizePolicyReport(policyReport)
     };
-    await logCommand(result);
+    await logCommand({ ...result, actor, traceId });
     return result;
   }
 
-  // Permission gate: autoApprove overrides requiresApproval
-  const needsManualApproval = autoApprove ? false : (policyReport ? policyReport.requiresApproval : requiresApproval);
+  // Permission gate: the policy or the agent can ask for approval; autoApprove skips it unless the policy forbids it
+  const needsManualApproval = needsApproval(policyReport, { requiresApproval, autoApprove, approved });
 
+  let approval;
   if (needsManualApproval) {
-    console.log('⚠️  Manual approval required');
-    
-    // Show policy reasoning if available
-    if (policyReport && policyReport.reasoning.length > 0) {
-      console.log('   Policy says:');
-      policyReport.reasoning.forEach(r => console.log(`     ${r}`));
-    }
+    approval = 'prompt';
+    const answer = await promptUserForApproval(
+      shownCommand,
+      policyReport?.policy.allowAutoApprove !== false,
+      policyReport?.reasoning,
+      input === null ? null : { bytes: inputBytes, preview: conceal(String(input).slice(0, INPUT_PREVIEW_CHARS)) }
+    );
     
-    const approved = await promptUserForApproval(trimmedCommand);
-    
-    if (!approved) {
+    if (!answer.approved) {
       const result = {
         status: 'denied',
         message: 'Execution halted by user',
         command: trimmedCommand,
         reasoning,
-        policyReport
+        policyReport: summarizePolicyReport(policyReport)
       };
-      console.log('❌ User denied execution');
-      await logCommand(result);
+      log.info('❌ User denied execution');
+      await logCommand({ ...result, actor, approval, traceId });
       return result;
     }
-    console.log('✅ User approved execution');
+    log.info(answer.background ? '✅ User approved execution in the background' : '✅ User approved execution');
+    runInBackground = runInBackground || answer.background;
   } else {
-    const approvalReason = policyReport 
-      ? `Policy auto-approved (${policyReport.securityLevel})`
-      : 'Legacy auto-approve (autoApprove=true, requiresApproval=false)';
-    console.log(`⚡ ${approvalReason}`);
+    const approvalReason = approved
+      ? 'Approved by user'
+      : policyReport
+        ? `Policy auto-approved (${policyReport.securityLevel})`
+        : 'Legacy auto-approve (autoApprove=true, requiresApproval=false)';
+    log.debug(`⚡ ${approvalReason}`);
+    const required = policyReport?.requiresApproval || requiresApproval;
+    approval = approved ? 'pre-approved' : required ? 'auto-approve' : policyReport ? 'policy' : 'not-required';
   }
 
-  // Execute the command
-  try {
-    console.log('🚀 Executing command...');
-    const startTime = Date.now();
-    
-    const { stdout, stderr } = await execPromise(trimmedCommand, {
+  const runTimeout = runInBackground ? jobTimeout : timeout;
+  const runOptions = { cwd, timeout: runTimeout, maxOutputBytes, killGraceMs, limits: resourceLimits, env: environment.env, input, ...execution.options };
+  const report = {
+    command: trimmedCommand,
+    inputBytes,
+    reasoning,
+    cwd,
+    timeout: runTimeout,
+    maxOutputBytes,
+    backend: execution.name,
+    secrets: environment.secrets,
+    sensitive: environment.sensitive,
+    policyReport,
+    actor,
+    approval,
+    traceId
+  };
+
+  // Hand the run to the job manager and return right away
+  if (runInBackground) {
+    const job = await startJob({
+      command: shownCommand,
+      reasoning,
       cwd,
-      timeout,
-      shell: '/bin/sh'
+      backend: execution.name,
+      origin: jobOrigin,
+      run: ({ jobId, ...jobIo }) => runAndReport(execution.backend, { ...runOptions, ...jobIo }, { ...report, jobId }, log.child({ jobId }))
     });
-
-    const executionTime = Date.now() - startTime;
-
     const result = {
-      status: 'success',
+      status: 'started',
       command: trimmedCommand,
       reasoning,
-      stdout: stdout.trim(),
-      stderr: stderr.trim(),
-      executionTimeMs: executionTime,
+      jobId: job.id,
+      logFile: job.logFile,
+      message: `Running in the background as job ${job.id}`,
       cwd,
-      policyReport: policyReport ? {
-        securityLevel: policyReport.securityLevel,
-        policy: policyReport.policy.name,
-        warnings: policyReport.warnings
-      } : null
+      backend: execution.name,
+      policyReport: summarizePolicyReport(policyReport)
     };
+    log.info(`🕒 ${result.message}`, { jobId: job.id });
+    await logCommand({ ...result, actor, approval, traceId });
+    return result;
+  }
 
-    console.log(`✅ Command executed successfully (${executionTime}ms)`);
-    if (stdout.trim()) {
-      console.log('\n📤 Output:');
-      console.log(stdout.trim());
-    }
-    if (stderr.trim()) {
-      console.log('\n⚠️  Stderr:');
-      console.log(stderr.trim());
-    }
+  return runAndReport(execution.backend, { ...runOptions, onOutput, signal }, report, log);
+}
 
-    await logCommand(result);
-    return result;
+/**
+ * Run an approved command on a backend and build, print and audit its result
+ * @param {object} backend - Execution backend (see executionBackends.js)
+ * @param {object} runOptions - backend.run() options
+ * @param {object} report - { command, reasoning, cwd, timeout, maxOutputBytes, backend, secrets, sensitive, policyReport,
+ *   actor, approval, jobId, traceId }
+ * @param {object} log - Logger (see logger.js)
+ * @returns {Promise<object>} Execution result
+ */
+async function runAndReport(backend, runOptions, report, log) {
+  const { command: trimmedCommand, reasoning, cwd, timeout, maxOutputBytes, policyReport } = report;
+  const { onOutput } = runOptions;
 
+  // Execute the command, streaming output as it arrives
+  let run;
+  try {
+    log.debug('🚀 Executing command...');
+    run = await backend.run(trimmedCommand, runOptions);
   } catch (error) {
     const result = {
       status: 'error',
       command: trimmedCommand,
       reasoning,
-      exitCode: error.code || -1,
-      message: error.message,
-      stderr: error.stderr?.trim() || '',
-      stdout: error.stdout?.trim() || '',
-      cwd
+      exitCode: -1,
+      message: `Command could not be started: ${error.message}`,
+      stdout: '',
+      stderr: '',
+      cwd,
+      backend: report.backend,
+      policyReport: summarizePolicyReport(policyReport)
     };
+    log.error(`❌ Execution failed: ${result.message}`);
+    await logCommand({ ...result, actor: report.actor, approval: report.approval, jobId: report.jobId, traceId: report.traceId });
+    return result;
+  }
 
-    console.error(`❌ Execution failed: ${error.message}`);
-    if (error.stderr) {
-      console.error('Error output:', error.stderr.trim());
-    }
+  const succeeded = run.exitCode === 0 && !run.timedOut && !run.cancelled;
+  const leaks = findLeaks(run, report.sensitive);
+  const status = succeeded ? 'success'
+    : run.cancelled ? 'cancelled'
+      : run.resourceLimit ? 'resource-limit'
+        : 'error';
+  const result = {
+    status,
+    command: trimmedCommand,
+    reasoning,
+    exitCode: run.exitCode ?? -1,
+    ...(run.signal && { signal: run.signal }),
+    ...(!succeeded && {
+      message: run.timedOut
+        ? `Command timed out after ${timeout}ms`
+        : run.cancelled
+          ? 'Command cancelled'
+          : run.resourceLimit
+            ? `Command exceeded its ${run.resourceLimit.label} limit`
+            : `Command failed with exit code ${run.exitCode ?? run.signal}`
+    }),
+    ...(run.resourceLimit && { resourceLimit: run.resourceLimit }),
+    stdout: run.stdout.trim(),
+    stderr: run.stderr.trim(),
+    executionTimeMs: run.durationMs,
+    timedOut: run.timedOut,
+    truncated: run.truncated,
+    cwd,
+    backend: report.backend,
+    ...(report.inputBytes !== undefined && { inputBytes: report.inputBytes }),
+    ...(report.secrets.length > 0 && { secrets: report.secrets }),
+    ...(leaks.length > 0 && { leaks }),
+    policyReport: summarizePolicyReport(policyReport)
+  };
 
-    await logCommand(result);
-    return result;
+  if (succeeded) {
+    log.info(`✅ Command executed successfully (${run.durationMs}ms)`);
+  } else {
+    log.warn(`❌ Execution failed: ${result.message}`);
+  }
+  if (leaks.length > 0) {
+    log.warn(`🔓 Output contains the value of ${leaks.map(leak => `${leak.name} (${leak.stream})`).join(', ')}`);
+  }
+  if (run.truncated.stdout || run.truncated.stderr) {
+    log.info(`✂️  Output truncated to the first and last ${maxOutputBytes / 2} bytes (${run.bytes.stdout} bytes stdout, ${run.bytes.stderr} bytes stderr)`);
+  }
+  // Callers with onOutput already showed the output live
+  if (!onOutput) {
+    if (result.stdout) log.debug('📤 Output:', { stdout: result.stdout });
+    if (result.stderr) log.debug(succeeded ? '⚠️  Stderr:' : 'Error output:', { stderr: result.stderr });
   }
+
+  await logCommand({ ...result, actor: report.actor, approval: report.approval, jobId: report.jobId, traceId: report.traceId });
+  return result;
 }
 
 /**
- * Check if a command contains dangerous patterns
- * @param {string} command - Command to check
- * @returns {object} Safety check result
+ * Compact policy report for results and the audit log
+ * @param {object|null} policyReport - Report from policyEngine.evaluateCommand
+ * @returns {object|null} { securityLevel, policy, environment, decision, rules, warnings }
  */
-function checkCommandSafety(command) {
-  for (const pattern of DANGEROUS_PATTERNS) {
-    if (pattern.test(command)) {
-      return {
-        safe: false,
-        reason: `Matches dangerous pattern: ${pattern.source}`
-      };
-    }
-  }
-
-  return { safe: true };
+function summarizePolicyReport(policyReport) {
+  return policyReport ? {
+    securityLevel: policyReport.securityLevel,
+    policy: policyReport.policy.name,
+    environment: policyReport.policy.environment,
+    decision: policyReport.decision,
+    rules: [...new Set((policyReport.matchedRules || []).map(rule => rule.id).filter(Boolean))],
+    warnings: policyReport.warnings
+  } : null;
 }
 
 /**
  * Prompt user for command approval (CLI-based)
  * @param {string} command - Command requiring approval
- * @returns {Promise<boolean>} Whether user approved
+ * @param {boolean} allowAutoApprove - Whether the policy lets LUMEN_AUTO_APPROVE answer for the user
+ * @param {string[]} policyReasoning - What the policy says about the command, shown with the question
+ * @param {object} input - { bytes, preview } of the data for the command's stdin, if any
+ * @returns {Promise<object>} { approved, background } - background: the user chose to run it as a job
  */
-async function promptUserForApproval(command) {
+async function promptUserForApproval(command, allowAutoApprove = true, policyReasoning = [], input = null) {
   // In CI/automated environments, check for ENV var override
-  if (process.env.LUMEN_AUTO_APPROVE === 'true') {
-    return true;
+  if (allowAutoApprove && process.env.LUMEN_AUTO_APPROVE === 'true') {
+    return { approved: true, background: false };
   }
 
   const rl = createInterface({
@@ -249,11 +490,18 @@ async function promptUserForApproval(command) {
     output: process.stdout
   });
 
+  // Part of the question, so it shows whatever the log level
+  const policySays = policyReasoning.length > 0 ? `\n⚠️  Policy says:\n${policyReasoning.map(r => `     ${r}`).join('\n')}` : '';
+  const inputSays = input
+    ? `\n📥 Stdin (${input.bytes} bytes)${input.bytes > INPUT_PREVIEW_CHARS ? `, first ${INPUT_PREVIEW_CHARS} characters` : ''}:\n${input.preview}\n`
+    : '';
+
   return new Promise((resolve) => {
-    rl.question(`\n❓ Execute this command? (y/n): ${command}\n> `, (answer) => {
+    rl.question(`${policySays}${inputSays}\n❓ Execute this command? (y/n, b = run in background): ${command}\n> `, (answer) => {
       rl.close();
       const normalized = answer.trim().toLowerCase();
-      resolve(normalized === 'y' || normalized === 'yes');
+      const background = normalized === 'b' || normalized === 'background';
+      resolve({ approved: background || normalized === 'y' || normalized === 'yes', background });
     });
   });
 }
@@ -266,23 +514,24 @@ async function promptUserForApproval(command) {
  */
 export async function executeCommandSequence(agentResponses, config = {}) {
   const results = [];
+  const log = resolveLogger(config.logger, 'executor');
   
-  console.log(`\n🔄 Executing ${agentResponses.length} commands in sequence...`);
+  log.info(`🔄 Executing ${agentResponses.length} commands in sequence...`);
   
   for (const [index, response] of agentResponses.entries()) {
-    console.log(`\n[${index + 1}/${agentResponses.length}]`);
+    log.info(`[${index + 1}/${agentResponses.length}]`);
     const result = await executeAgentCommand(response, config);
     results.push(result);
     
     // Stop on error unless continueOnError is set
-    if (result.status === 'error' && !config.continueOnError) {
-      console.log('❌ Stopping sequence due to error');
+    if ((result.status === 'error' || result.status === 'resource-limit') && !config.continueOnError) {
+      log.warn('❌ Stopping sequence due to error');
       break;
     }
     
     // Stop if user denies
     if (result.status === 'denied') {
-      console.log('⛔ Stopping sequence due to user denial');
+      log.info('⛔ Stopping sequence due to user denial');
       break;
     }
   }
@@ -316,6 +565,6 @@ export async function executeCommand(command, options = {}) {
   return {
     output: result.stdout || result.message || '',
     exitCode: result.exitCode || (result.status === 'success' ? 0 : 1),
-    error: result.stderr || (result.status === 'error' ? result.message : null)
+    error: result.stderr || (['error', 'resource-limit'].includes(result.status) ? result.message : null)
   };
 }
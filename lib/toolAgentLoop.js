@@ -0,0 +1,332 @@
+/**
+ * Tool Agent Loop - Multi-turn agent mode using native tool/function calling
+ *
+ * Instead of emitting a single `terminalCommand`, the model calls tools, sees their
+ * results, and keeps going until it answers without calling a tool:
+ *
+ *   run_command   - Run a shell command
+ *   read_file     - Read (the start of) a file
+ *   write_file    - Create or overwrite a file
+ *   list_dir      - List a directory
+ *   search_files  - grep a directory tree
+ *
+ * Every tool runs as a shell command through executeAgentCommand, so the same
+ * approval gate, dangerous-pattern check, dry-run mode and audit log apply. write_file
+ * sends the file body on the command's stdin, so large files fit and stay out of the
+ * command line, the logs and the audit log.
+ * Placeholders from the SecretRedactor are substituted back only when a command
+ * runs, and tool output is concealed again before the model sees it.
+ */
+
+import path from 'path';
+import { queryWithTools } from './openaiWrapper.js';
+import { executeAgentCommand } from './terminalExecutor.js';
+import { validateAgainstSchema } from './schemaValidator.js';
+import { renderPrompt, promptRef } from './promptRegistry.js';
+import { resolveLogger } from './logger.js';
+
+const DEFAULT_MAX_TURNS = 10;
+const DEFAULT_MAX_OUTPUT_CHARS = 8000;
+const DEFAULT_READ_BYTES = 20000;
+const SEARCH_RESULT_LINES = 200;
+
+/**
+ * Quote a value for /bin/sh
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Tool definitions: JSON-schema parameters plus how each call becomes a shell command
+ * (toCommand) and, optionally, the data piped to its stdin (toInput)
+ */
+export const AGENT_TOOLS = {
+  run_command: {
+    description: 'Run a shell command with /bin/sh and return its exit status, stdout and stderr.',
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', description: 'The command to run' },
+        reasoning: { type: 'string', description: 'Why this command is needed' }
+      },
+      required: ['command'],
+      additionalProperties: false
+    },
+    readOnly: false,
+    toCommand: (args) => args.command
+  },
+
+  read_file: {
+    description: 'Read a text file. Returns at most maxBytes bytes from the start of the file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path' },
+        maxBytes: { type: 'integer', description: `Maximum bytes to read (default ${DEFAULT_READ_BYTES})` }
+      },
+      required: ['path'],
+      additionalProperties: false
+    },
+    readOnly: true,
+    toCommand: (args) => `head -c ${parseInt(args.maxBytes, 10) || DEFAULT_READ_BYTES} -- ${shellQuote(args.path)}`
+  },
+
+  write_file: {
+    description: 'Create or overwrite a file with the given content. Parent directories are created.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path' },
+        content: { type: 'string', description: 'Full file content' }
+      },
+      required: ['path', 'content'],
+      additionalProperties: false
+    },
+    readOnly: false,
+    toCommand: (args) => `mkdir -p -- ${shellQuote(path.dirname(args.path))} && cat > ${shellQuote(args.path)}`,
+    toInput: (args) => args.content
+  },
+
+  list_dir: {
+    description: 'List a directory with sizes, permissions and modification times.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path (default: working directory)' }
+      },
+      required: [],
+      additionalProperties: false
+    },
+    readOnly: true,
+    toCommand: (args) => `ls -la -- ${shellQuote(args.path || '.')}`
+  },
+
+  search_files: {
+    description: `Search file contents recursively (grep). Returns up to ${SEARCH_RESULT_LINES} matching lines as path:line:text.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: 'Extended regular expression' },
+        path: { type: 'string', description: 'Directory or file to search (default: working directory)' },
+        include: { type: 'string', description: 'Only search files matching this glob, e.g. "*.js"' }
+      },
+      required: ['pattern'],
+      additionalProperties: false
+    },
+    readOnly: true,
+    toCommand: (args) =>
+      `grep -rnIE ${args.include ? `--include=${shellQuote(args.include)} ` : ''}-e ${shellQuote(args.pattern)} -- ` +
+      `${shellQuote(args.path || '.')} | head -n ${SEARCH_RESULT_LINES}`
+  }
+};
+
+/**
+ * Tool list in the provider-neutral format accepted by provider.chat()
+ * @param {string[]} names - Tools to offer (default: all)
+ * @returns {Array} [{ name, description, parameters }]
+ */
+export function getToolDefinitions(names = Object.keys(AGENT_TOOLS)) {
+  return names.map(name => {
+    const tool = AGENT_TOOLS[name];
+    if (!tool) {
+      throw new Error(`Unknown agent tool: ${name}. Available: ${Object.keys(AGENT_TOOLS).join(', ')}`);
+    }
+    return { name, description: tool.description, parameters: tool.parameters };
+  });
+}
+
+/**
+ * Trim long output, keeping the head and the tail
+ */
+function truncate(text, maxChars) {
+  if (!text || text.length <= maxChars) return text || '';
+  const half = Math.floor(maxChars / 2);
+  return `${text.substring(0, half)}\n… [${text.length - maxChars} characters omitted] …\n${text.substring(text.length - half)}`;
+}
+
+/**
+ * Run one tool call through the executor
+ * @returns {Promise<object>} { run, content } - run is kept for the caller, content goes back to the model
+ */
+async function runToolCall(call, state) {
+  const { redactor, execution, maxOutputChars, log } = state;
+  const tool = AGENT_TOOLS[call.name];
+  const run = { id: call.id, tool: call.name, arguments: null, command: null, status: null };
+
+  let args;
+  try {
+    args = JSON.parse(call.arguments || '{}');
+    run.arguments = args;
+  } catch (error) {
+    run.status = 'error';
+    return { run, content: JSON.stringify({ status: 'error', message: `Arguments are not valid JSON: ${error.message}` }) };
+  }
+
+  if (!tool || !state.enabledTools.includes(call.name)) {
+    run.status = 'error';
+    return { run, content: JSON.stringify({ status: 'error', message: `Unknown tool: ${call.name}` }) };
+  }
+
+  const errors = validateAgainstSchema(args, tool.parameters);
+  if (errors.length > 0) {
+    run.status = 'error';
+    return { run, content: JSON.stringify({ status: 'error', message: `Invalid arguments: ${errors.join('; ')}` }) };
+  }
+
+  // The model only ever sees placeholders; real values go to the shell
+  const command = tool.toCommand(args);
+  const input = tool.toInput ? tool.toInput(args) : null;
+  run.command = command;
+  const realCommand = redactor ? redactor.substitute(command) : command;
+  const realInput = redactor && input !== null ? redactor.substitute(input) : input;
+
+  const unresolved = redactor ? [...new Set([...redactor.unresolved(command), ...redactor.unresolved(input ?? '')])] : [];
+  if (unresolved.length > 0) {
+    run.status = 'blocked';
+    return { run, content: JSON.stringify({ status: 'blocked', message: `${unresolved.join(', ')} is not a secret in this session (unknown, expired, revoked or withheld)` }) };
+  }
+
+  log.info(`🔧 Tool: ${call.name}`);
+  const result = await executeAgentCommand(
+    {
+      command: realCommand,
+      reasoning: args.reasoning || `${call.name} tool call`,
+      requiresApproval: !tool.readOnly
+    },
+    { ...execution, redactor, ...(realInput !== null && { input: realInput }) }
+  );
+  run.status = result.status;
+  if (result.exitCode !== undefined) run.exitCode = result.exitCode;
+
+  const conceal = (text) => (redactor && text ? redactor.conceal(text) : text);
+  const feedback = {
+    status: result.status,
+    ...(result.exitCode !== undefined && { exitCode: result.exitCode }),
+    ...(result.message && { message: conceal(result.message) }),
+    ...(result.stdout && { stdout: truncate(conceal(result.stdout), maxOutputChars) }),
+    ...(result.stderr && { stderr: truncate(conceal(result.stderr), maxOutputChars) })
+  };
+
+  return { run, content: JSON.stringify(feedback) };
+}
+
+/**
+ * Run the tool-calling agent loop until the model answers without calling a tool
+ *
+ * @param {string} query - User query (already redacted)
+ * @param {object} options - Loop options
+ * @param {object|string} options.context - Extra context appended to the system prompt (memory, user info)
+ * @param {string[]} options.tools - Tool names to offer (default: all of AGENT_TOOLS)
+ * @param {number} options.maxTurns - Model calls before the model is told to wrap up (default: 10)
+ * @param {number} options.maxOutputChars - Per-stream cap on output fed back to the model (default: 8000)
+ * @param {SecretRedactor} options.redactor - Redactor holding the query's placeholders (optional)
+ * @param {object} options.execution - executeAgentCommand config { autoApprove, dryRun, timeout, allowDangerous, cwd, policy, backend, onOutput, actor }
+ * @param {string|object} options.provider - LLM provider name or object
+ * @param {object|boolean} options.cassette - Record/replay cassette
+ * @param {object} options.usageTracker - Tracker from usageTracker.js
+ * @param {object} options.trace - Request trace (see tracing.js); each model turn becomes a span
+ * @param {object} options.logger - Logger instead of the 'tools' component's (see logger.js)
+ * @param {string} options.model - Model name
+ * @param {number} options.temperature - Sampling temperature
+ * @param {string} options.promptVersion - Version of the 'tool-agent-system' prompt (default: active version)
+ * @returns {Promise<object>} { choice: 'response', response, reasoning, toolRuns, turns, stopReason, _prompts }
+ */
+export async function runToolAgent(query, options = {}) {
+  const {
+    context = null,
+    tools = Object.keys(AGENT_TOOLS),
+    maxTurns = DEFAULT_MAX_TURNS,
+    maxOutputChars = DEFAULT_MAX_OUTPUT_CHARS,
+    redactor = null,
+    execution = {},
+    provider = null,
+    cassette = undefined,
+    usageTracker = undefined,
+    trace = undefined,
+    logger = undefined,
+    model = undefined,
+    temperature = undefined,
+    promptVersion = null
+  } = options;
+
+  const toolDefinitions = getToolDefinitions(tools);
+  const llmOptions = {
+    schemaName: 'toolAgent',
+    provider,
+    cassette,
+    ...(usageTracker && { usageTracker }),
+    ...(trace && { trace }),
+    ...(logger && { logger }),
+    ...(model && { model }),
+    ...(temperature !== undefined && { temperature })
+  };
+  const state = { redactor, execution, maxOutputChars, enabledTools: tools, log: resolveLogger(logger, 'tools') };
+
+  const systemPrompt = renderPrompt('tool-agent-system', {
+    now: new Date().toLocaleString(),
+    contextSection: context
+      ? `\n═══ CONVERSATION CONTEXT ═══\n${typeof context === 'string' ? context : JSON.stringify(context, null, 2)}`
+      : ''
+  }, { version: promptVersion });
+
+  const messages = [
+    { role: 'system', content: systemPrompt.text },
+    { role: 'user', content: query }
+  ];
+  const toolRuns = [];
+  let answer = '';
+  let turns = 0;
+  let stopReason = 'done';
+
+  while (true) {
+    turns++;
+    const lastTurn = turns >= maxTurns;
+
+    if (lastTurn) {
+      messages.push({
+        role: 'user',
+        content: 'Tool budget exhausted. Do not call any more tools - summarize what was done and what is left.'
+      });
+    }
+
+    const completion = await queryWithTools(messages, {
+      ...llmOptions,
+      tools: lastTurn ? [] : toolDefinitions
+    });
+
+    if (completion.toolCalls.length === 0 || lastTurn) {
+      answer = completion.content;
+      if (lastTurn) stopReason = 'max-turns';
+      break;
+    }
+
+    messages.push({
+      role: 'assistant',
+      content: completion.content || null,
+      tool_calls: completion.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    });
+
+    for (const call of completion.toolCalls) {
+      const { run, content } = await runToolCall(call, state);
+      toolRuns.push(run);
+      messages.push({ role: 'tool', tool_call_id: call.id, content });
+    }
+  }
+
+  return {
+    choice: 'response',
+    response: answer,
+    reasoning: `Tool agent finished after ${turns} model turn(s) and ${toolRuns.length} tool call(s)`,
+    toolRuns,
+    turns,
+    stopReason,
+    _prompts: [promptRef(systemPrompt)]
+  };
+}
+
+export default { runToolAgent, getToolDefinitions, AGENT_TOOLS };
@@ -0,0 +1,320 @@
+/**
+ * Tracing - One trace per request, tying model calls, commands, audit entries and memory together
+ *
+ * processUserRequest creates a trace and hands it down next to the usage tracker. Each pipeline
+ * phase is a span, and so is every queryOpenAI / queryWithTools call (model, tokens, attempts,
+ * cache) and every executeAgentCommand call (status, exit code, backend, policy decision).
+ * Spans started inside another span's callback become its children.
+ *
+ * The trace id is returned in _metadata.trace, written to audit entries and memory
+ * interactions, and set as error.traceId on errors thrown out of the pipeline, so a user's
+ * "it failed" can be found in the audit log and in the exported trace.
+ *
+ * When a trace ends it is exported as OTLP/JSON (an ExportTraceServiceRequest):
+ * - LUMEN_TRACE_FILE: appended, one trace per line (the OpenTelemetry Collector's
+ *   otlpjsonfile receiver reads this format)
+ * - OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, or OTEL_EXPORTER_OTLP_ENDPOINT plus /v1/traces: POSTed
+ *   over OTLP/HTTP with OTEL_EXPORTER_OTLP_HEADERS ("key=value,key2=value2")
+ * OTEL_SERVICE_NAME names the service (default 'lumen'). Export happens in the background and
+ * never fails a request. LUMEN_TRACING=false turns export off; trace ids are still assigned.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getLogger } from './logger.js';
+
+const log = getLogger('tracing');
+
+const SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+const EXPORT_TIMEOUT_MS = 5000;
+
+// The span whose callback is running, so nested spans find their parent
+const activeSpan = new AsyncLocalStorage();
+let exportWarned = false;
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Wall clock at nanosecond resolution that never runs backwards within the process
+const clockOffsetNs = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+function nowNs() {
+  return clockOffsetNs + process.hrtime.bigint();
+}
+
+/**
+ * An attribute value in OTLP/JSON form (null for values OTLP can't carry)
+ */
+function otlpValue(value) {
+  if (typeof value === 'string') return { stringValue: value };
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(otlpValue).filter(Boolean) } };
+  return null;
+}
+
+function otlpAttributes(attributes) {
+  return Object.entries(attributes)
+    .map(([key, value]) => ({ key, value: otlpValue(value) }))
+    .filter(attribute => attribute.value !== null);
+}
+
+/**
+ * A span: a timed, named piece of work with attributes
+ */
+function createSpan(trace, name, { kind = 'internal', attributes = {}, parentSpanId = null } = {}) {
+  const span = {
+    traceId: trace.traceId,
+    spanId: randomId(8),
+    parentSpanId,
+    name,
+    kind,
+    attributes: {},
+    events: [],
+    status: 'unset',
+    statusMessage: null,
+    startNs: nowNs(),
+    endNs: null,
+
+    setAttribute(key, value) {
+      if (value !== undefined && value !== null) span.attributes[key] = value;
+      return span;
+    },
+
+    setAttributes(values) {
+      for (const [key, value] of Object.entries(values || {})) span.setAttribute(key, value);
+      return span;
+    },
+
+    addEvent(eventName, eventAttributes = {}) {
+      span.events.push({ name: eventName, timeNs: nowNs(), attributes: eventAttributes });
+      return span;
+    },
+
+    /**
+     * Mark the span failed; a thrown error is also recorded as an 'exception' event
+     * @param {Error|string} error - Error or failure message
+     */
+    setError(error) {
+      span.status = 'error';
+      span.statusMessage = typeof error === 'string' ? error : error?.message || String(error);
+      if (error instanceof Error) {
+        span.addEvent('exception', { 'exception.type': error.name, 'exception.message': error.message });
+      }
+      return span;
+    },
+
+    end() {
+      if (span.endNs === null) span.endNs = nowNs();
+      return span;
+    },
+
+    durationMs() {
+      return Number(((span.endNs ?? nowNs()) - span.startNs) / 1000000n);
+    }
+  };
+  span.setAttributes(attributes);
+  trace.spans.push(span);
+  return span;
+}
+
+// Stands in for a span when there is no trace, so callers don't need to check
+const NOOP_SPAN = {
+  traceId: null,
+  spanId: null,
+  setAttribute() { return NOOP_SPAN; },
+  setAttributes() { return NOOP_SPAN; },
+  addEvent() { return NOOP_SPAN; },
+  setError() { return NOOP_SPAN; },
+  end() { return NOOP_SPAN; },
+  durationMs() { return 0; }
+};
+
+/**
+ * Start a trace (the root span starts with it)
+ * @param {object} options - Trace options
+ * @param {string} options.name - Root span name (default: 'lumen.request')
+ * @param {object} options.attributes - Root span attributes
+ * @param {string} options.traceId - Continue an earlier trace, e.g. a command approved after its request
+ *   finished (default: a new random id)
+ * @param {Function|false} options.exporter - Receives the OTLP/JSON payload when the trace ends, instead of the
+ *   LUMEN_TRACE_FILE / OTLP endpoint export; false exports nothing (default: the environment's)
+ * @returns {object} Trace with span(), end() and summary()
+ */
+export function createTrace({ name = 'lumen.request', attributes = {}, traceId = randomId(16), exporter = undefined } = {}) {
+  const trace = { traceId, spans: [] };
+  const root = createSpan(trace, name, { kind: 'server', attributes });
+  let exported = false;
+
+  return {
+    traceId,
+    root,
+
+    /**
+     * Run fn inside a new span; nested spans started in fn become its children
+     * @param {string} spanName - Span name ('route', 'llm routerAgent', 'command', ...)
+     * @param {object} options - { kind: 'internal'|'client'|..., attributes }
+     * @param {Function} fn - (span) => result; a throw marks the span failed and gets error.traceId
+     * @returns {Promise<*>} fn's result
+     */
+    async span(spanName, options, fn) {
+      const parent = activeSpan.getStore();
+      const span = createSpan(trace, spanName, {
+        ...options,
+        parentSpanId: parent?.traceId === traceId ? parent.spanId : root.spanId
+      });
+      try {
+        return await activeSpan.run(span, () => fn(span));
+      } catch (error) {
+        span.setError(error);
+        if (error && typeof error === 'object' && !error.traceId) error.traceId = traceId;
+        throw error;
+      } finally {
+        span.end();
+      }
+    },
+
+    /**
+     * End the trace and export it (once; in the background)
+     * @param {object} options - { error } to mark the request failed
+     */
+    end({ error = null } = {}) {
+      if (error) root.setError(error);
+      root.end();
+      if (exported) return;
+      exported = true;
+      exportTrace(toOtlpJson(trace), exporter);
+    },
+
+    /**
+     * Compact view for _metadata
+     * @returns {object} { traceId, durationMs, spans: [{ name, durationMs, status }] }
+     */
+    summary() {
+      return {
+        traceId,
+        durationMs: root.durationMs(),
+        spans: trace.spans.filter(span => span !== root).map(span => ({
+          name: span.name,
+          durationMs: span.durationMs(),
+          status: span.status === 'error' ? 'error' : 'ok'
+        }))
+      };
+    }
+  };
+}
+
+/**
+ * Run fn in a span of trace, or with a no-op span when there is no trace
+ * @param {object|null} trace - Trace from createTrace, or null/undefined
+ * @param {string} name - Span name
+ * @param {object} options - { kind, attributes }
+ * @param {Function} fn - (span) => result
+ */
+export function withSpan(trace, name, options, fn) {
+  return trace ? trace.span(name, options, fn) : fn(NOOP_SPAN);
+}
+
+/**
+ * A trace as an OTLP/JSON ExportTraceServiceRequest
+ * @param {object} trace - { traceId, spans }
+ * @returns {object} { resourceSpans: [...] }
+ */
+export function toOtlpJson(trace) {
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: otlpAttributes({
+          'service.name': process.env.OTEL_SERVICE_NAME || 'lumen',
+          'host.name': os.hostname(),
+          'process.pid': process.pid
+        })
+      },
+      scopeSpans: [{
+        scope: { name: 'lumen' },
+        spans: trace.spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+          name: span.name,
+          kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+          startTimeUnixNano: String(span.startNs),
+          endTimeUnixNano: String(span.endNs ?? nowNs()),
+          attributes: otlpAttributes(span.attributes),
+          events: span.events.map(event => ({
+            timeUnixNano: String(event.timeNs),
+            name: event.name,
+            attributes: otlpAttributes(event.attributes)
+          })),
+          status: {
+            code: STATUS_CODES[span.status],
+            ...(span.statusMessage && { message: span.statusMessage })
+          }
+        }))
+      }]
+    }]
+  };
+}
+
+function otlpEndpoint() {
+  if (process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) return process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+  if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT) return `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, '')}/v1/traces`;
+  return null;
+}
+
+function otlpHeaders() {
+  const headers = {};
+  for (const pair of (process.env.OTEL_EXPORTER_OTLP_HEADERS || '').split(',')) {
+    const index = pair.indexOf('=');
+    if (index > 0) headers[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+  }
+  return headers;
+}
+
+/**
+ * Send a finished trace to the configured destinations; failures are logged, never thrown
+ */
+function exportTrace(payload, exporter) {
+  const destinations = [];
+  if (typeof exporter === 'function') {
+    destinations.push(() => exporter(payload));
+  } else if (exporter !== false && process.env.LUMEN_TRACING !== 'false') {
+    const file = process.env.LUMEN_TRACE_FILE;
+    if (file) {
+      destinations.push(async () => {
+        await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(payload)}\n`, 'utf-8');
+      });
+    }
+    const endpoint = otlpEndpoint();
+    if (endpoint) {
+      destinations.push(async () => {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...otlpHeaders() },
+          body: JSON.stringify(payload),
+          signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS)
+        });
+        if (!response.ok) throw new Error(`${endpoint} answered HTTP ${response.status}`);
+      });
+    }
+  }
+
+  for (const destination of destinations) {
+    Promise.resolve()
+      .then(destination)
+      .then(() => { exportWarned = false; })
+      .catch(error => {
+        // One warning per outage, not one per request
+        if (exportWarned) return;
+        exportWarned = true;
+        log.warn(`⚠️  Could not export trace: ${error.message}`);
+      });
+  }
+}
+
+export default { createTrace, withSpan, toOtlpJson };
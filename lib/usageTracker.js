@@ -0,0 +1,373 @@
+/**
+ * Usage Tracker - Token usage, cost accounting and budgets for model calls
+ *
+ * - Each queryOpenAI call reports prompt/completion tokens to a tracker
+ * - Cost is estimated from a price table (USD per 1M tokens), overridable via LUMEN_PRICE_TABLE
+ * - Daily totals (global and per user) persist to usage.json for running totals; queryOpenAI's
+ *   default one-off tracker doesn't persist, only trackers created for a request or a loop do
+ * - Hard budgets abort BEFORE a call that would overspend:
+ *     perRequestUsd   (LUMEN_BUDGET_REQUEST_USD)     - one processUserRequest
+ *     perUserDailyUsd (LUMEN_BUDGET_USER_DAILY_USD)  - one user, one calendar day (UTC)
+ *     dailyUsd        (LUMEN_BUDGET_DAILY_USD)       - everyone, one calendar day (UTC)
+ * - The pre-call estimate counts the call's maxTokens as the answer, else
+ *   LUMEN_BUDGET_COMPLETION_TOKENS, else 4096. Models missing from the price table cost $0,
+ *   so budgets can't hold them back; the tracker warns once per model when a budget is set
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { getLogger } from './logger.js';
+
+const log = getLogger('usage');
+
+const MAX_DAYS_KEPT = 31;
+const DEFAULT_COMPLETION_TOKENS = 4096; // Budget estimate for calls without maxTokens
+
+// USD per 1M tokens
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'o4-mini': { input: 1.10, output: 4.40 },
+  'fake-model': { input: 0, output: 0 }
+};
+
+/**
+ * Thrown before a model call that would exceed a configured budget
+ */
+export class BudgetExceededError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - Budget details
+   * @param {string} details.budget - Which budget was hit ('perRequestUsd', 'perUserDailyUsd', 'dailyUsd')
+   * @param {number} details.limitUsd - Configured limit
+   * @param {number} details.spentUsd - Amount already spent against that budget
+   * @param {number} details.estimatedUsd - Estimated cost of the call that was refused
+   */
+  constructor(message, { budget, limitUsd, spentUsd, estimatedUsd } = {}) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.budget = budget;
+    this.limitUsd = limitUsd;
+    this.spentUsd = spentUsd;
+    this.estimatedUsd = estimatedUsd;
+  }
+}
+
+let priceTable = null;
+
+/**
+ * Load the price table (defaults merged with the JSON file at LUMEN_PRICE_TABLE)
+ * @returns {object} Map of model → { input, output } (USD per 1M tokens)
+ */
+export function loadPriceTable() {
+  if (priceTable) return priceTable;
+
+  priceTable = { ...DEFAULT_PRICES };
+  if (process.env.LUMEN_PRICE_TABLE) {
+    try {
+      Object.assign(priceTable, JSON.parse(fs.readFileSync(process.env.LUMEN_PRICE_TABLE, 'utf-8')));
+    } catch (error) {
+      log.warn(`⚠️  Could not load price table ${process.env.LUMEN_PRICE_TABLE}: ${error.message}`);
+    }
+  }
+  return priceTable;
+}
+
+/**
+ * Find the price for a model, matching dated snapshots (gpt-4o-mini-2024-07-18) to their base name
+ */
+function priceFor(model) {
+  const prices = loadPriceTable();
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+
+  const base = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? prices[base] : null;
+}
+
+/**
+ * Estimate the cost of a call
+ * @param {string} model - Model name
+ * @param {object} usage - { promptTokens, completionTokens }
+ * @returns {number} Estimated cost in USD
+ */
+export function estimateCost(model, usage = {}) {
+  const price = priceFor(model) || { input: 0, output: 0 };
+  return ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1_000_000;
+}
+
+/**
+ * Completion tokens to budget for before a call: the cap it was given (maxTokens option or
+ * profile), else LUMEN_BUDGET_COMPLETION_TOKENS, else DEFAULT_COMPLETION_TOKENS
+ * @param {number} maxTokens - Completion token cap of the call (if any)
+ * @returns {number} Completion tokens
+ */
+export function estimateCompletionTokens(maxTokens) {
+  if (maxTokens) return maxTokens;
+  const configured = parseInt(process.env.LUMEN_BUDGET_COMPLETION_TOKENS, 10);
+  return configured > 0 ? configured : DEFAULT_COMPLETION_TOKENS;
+}
+
+// Models a budget was checked for without a price, warned about once per process
+const unpricedWarned = new Set();
+
+/**
+ * Rough pre-flight token estimate for messages (~4 characters per token)
+ * @param {Array} messages - Chat messages
+ * @returns {number} Estimated prompt tokens
+ */
+export function estimatePromptTokens(messages = []) {
+  return Math.ceil(messages.reduce((n, m) => n + (m.content || '').length, 0) / 4);
+}
+
+/**
+ * Read budgets from the environment
+ */
+function budgetsFromEnv() {
+  const read = (name) => (process.env[name] ? parseFloat(process.env[name]) : null);
+  return {
+    perRequestUsd: read('LUMEN_BUDGET_REQUEST_USD'),
+    perUserDailyUsd: read('LUMEN_BUDGET_USER_DAILY_USD'),
+    dailyUsd: read('LUMEN_BUDGET_DAILY_USD')
+  };
+}
+
+// ═══ PERSISTENT LEDGER ═══
+
+function getUsageFile() {
+  return process.env.LUMEN_USAGE_FILE || path.join(process.cwd(), 'usage.json');
+}
+
+function today() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+function addToTotals(totals, entry) {
+  totals.calls += 1;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.totalTokens;
+  totals.costUsd += entry.costUsd;
+}
+
+async function loadLedger() {
+  try {
+    return JSON.parse(await fsp.readFile(getUsageFile(), 'utf-8'));
+  } catch (error) {
+    return { days: {} };
+  }
+}
+
+async function saveLedger(ledger) {
+  const usageFile = getUsageFile();
+  const tempFile = usageFile + '.tmp';
+  await fsp.writeFile(tempFile, JSON.stringify(ledger, null, 2), 'utf-8');
+  await fsp.rename(tempFile, usageFile);
+}
+
+// Ledger updates are serialized so concurrent calls don't lose writes
+let ledgerQueue = Promise.resolve();
+
+function persistUsage(entry, userId) {
+  ledgerQueue = ledgerQueue.then(async () => {
+    const ledger = await loadLedger();
+    const day = today();
+    ledger.days[day] = ledger.days[day] || { ...emptyTotals(), users: {} };
+    addToTotals(ledger.days[day], entry);
+
+    if (userId) {
+      ledger.days[day].users[userId] = ledger.days[day].users[userId] || emptyTotals();
+      addToTotals(ledger.days[day].users[userId], entry);
+    }
+
+    // Drop days beyond the retention window
+    const days = Object.keys(ledger.days).sort();
+    for (const old of days.slice(0, Math.max(0, days.length - MAX_DAYS_KEPT))) {
+      delete ledger.days[old];
+    }
+
+    await saveLedger(ledger);
+  }).catch(error => {
+    log.warn(`⚠️  Failed to persist usage: ${error.message}`);
+  });
+  return ledgerQueue;
+}
+
+/**
+ * Get running usage totals for today (and optionally one user)
+ * @param {object} options - Options
+ * @param {string} options.userId - User to report on
+ * @returns {Promise<object>} { date, today, user, budgets }
+ */
+export async function getUsageTotals(options = {}) {
+  await ledgerQueue;
+  const ledger = await loadLedger();
+  const day = ledger.days[today()] || { ...emptyTotals(), users: {} };
+  const { users, ...totals } = day;
+
+  return {
+    date: today(),
+    today: totals,
+    user: options.userId ? (users[options.userId] || emptyTotals()) : null,
+    budgets: budgetsFromEnv()
+  };
+}
+
+// ═══ PER-REQUEST TRACKER ═══
+
+/**
+ * Create a usage tracker for one request (or any unit of work)
+ * @param {object} options - Tracker options
+ * @param {string} options.userId - User the usage is attributed to
+ * @param {object} options.budgets - { perRequestUsd, perUserDailyUsd, dailyUsd } (env defaults)
+ * @param {boolean} options.persist - Write usage to the daily ledger (default: true)
+ * @returns {object} Tracker with check(), record() and summary()
+ */
+export function createUsageTracker(options = {}) {
+  const {
+    userId = null,
+    budgets = {},
+    persist = true
+  } = options;
+
+  const limits = { ...budgetsFromEnv(), ...budgets };
+  const calls = [];
+  const cacheEvents = { hits: 0, misses: 0, byAgent: {} };
+
+  const spentThisRequest = () => calls.reduce((sum, c) => sum + c.costUsd, 0);
+
+  const refuse = (budget, limitUsd, spentUsd, estimatedUsd) => {
+    throw new BudgetExceededError(
+      `Budget exceeded: ${budget} limit $${limitUsd.toFixed(4)} would be exceeded ` +
+      `(spent $${spentUsd.toFixed(4)}, next call est. $${estimatedUsd.toFixed(4)})`,
+      { budget, limitUsd, spentUsd, estimatedUsd }
+    );
+  };
+
+  return {
+    userId,
+    budgets: limits,
+    calls,
+
+    /**
+     * Refuse a call whose estimated cost would push any budget over its limit (see
+     * estimateCompletionTokens for the answer length it assumes)
+     * @param {object} request - { model, messages, maxTokens }
+     * @throws {BudgetExceededError}
+     */
+    async check(request) {
+      const { model, messages = [], maxTokens = 0 } = request;
+      const budgeted = Object.values(limits).some(l => l !== null && l !== undefined);
+      if (budgeted && model && !priceFor(model) && !unpricedWarned.has(model)) {
+        unpricedWarned.add(model);
+        log.warn(`⚠️  No price for model ${model}: its calls count as $0 against budgets (add it to LUMEN_PRICE_TABLE)`);
+      }
+
+      const estimatedUsd = estimateCost(model, {
+        promptTokens: estimatePromptTokens(messages),
+        completionTokens: estimateCompletionTokens(maxTokens)
+      });
+
+      if (limits.perRequestUsd !== null && limits.perRequestUsd !== undefined) {
+        const spent = spentThisRequest();
+        if (spent + estimatedUsd > limits.perRequestUsd) {
+          refuse('perRequestUsd', limits.perRequestUsd, spent, estimatedUsd);
+        }
+      }
+
+      const needsLedger = [limits.perUserDailyUsd, limits.dailyUsd].some(l => l !== null && l !== undefined);
+      if (needsLedger) {
+        const totals = await getUsageTotals({ userId });
+        if (limits.dailyUsd !== null && limits.dailyUsd !== undefined &&
+            totals.today.costUsd + estimatedUsd > limits.dailyUsd) {
+          refuse('dailyUsd', limits.dailyUsd, totals.today.costUsd, estimatedUsd);
+        }
+        if (userId && limits.perUserDailyUsd !== null && limits.perUserDailyUsd !== undefined &&
+            totals.user.costUsd + estimatedUsd > limits.perUserDailyUsd) {
+          refuse('perUserDailyUsd', limits.perUserDailyUsd, totals.user.costUsd, estimatedUsd);
+        }
+      }
+    },
+
+    /**
+     * Record a completed call
+     * @param {object} call - { schemaName, provider, model, usage: { promptTokens, completionTokens, totalTokens } }
+     * @returns {Promise<object>} Recorded entry
+     */
+    async record(call) {
+      const { schemaName = null, provider = null, model = null, usage = {} } = call;
+      const promptTokens = usage.promptTokens || 0;
+      const completionTokens = usage.completionTokens || 0;
+      const entry = {
+        schemaName,
+        provider,
+        model,
+        promptTokens,
+        completionTokens,
+        totalTokens: usage.totalTokens || promptTokens + completionTokens,
+        costUsd: estimateCost(model, usage),
+        ts: new Date().toISOString()
+      };
+      calls.push(entry);
+
+      if (persist) {
+        await persistUsage(entry, userId);
+      }
+      return entry;
+    },
+
+    /**
+     * Record a response cache lookup (see responseCache.js)
+     * @param {string} schemaName - Agent the lookup was for
+     * @param {boolean} hit - Whether the cache served the response
+     */
+    recordCacheLookup(schemaName, hit) {
+      const key = schemaName || 'unknown';
+      cacheEvents.byAgent[key] = cacheEvents.byAgent[key] || { hits: 0, misses: 0 };
+      const field = hit ? 'hits' : 'misses';
+      cacheEvents[field]++;
+      cacheEvents.byAgent[key][field]++;
+    },
+
+    /**
+     * Cache hit/miss counts for _metadata
+     * @returns {object} { hits, misses, byAgent }
+     */
+    cacheSummary() {
+      return JSON.parse(JSON.stringify(cacheEvents));
+    },
+
+    /**
+     * Aggregate usage for _metadata
+     * @returns {object} Totals plus a per-agent breakdown
+     */
+    summary() {
+      const totals = emptyTotals();
+      const byAgent = {};
+      for (const call of calls) {
+        addToTotals(totals, call);
+        const key = call.schemaName || 'unknown';
+        byAgent[key] = byAgent[key] || emptyTotals();
+        addToTotals(byAgent[key], call);
+      }
+      const { costUsd, ...tokens } = totals;
+      return {
+        ...tokens,
+        estimatedCostUsd: Number(costUsd.toFixed(6)),
+        byAgent
+      };
+    }
+  };
+}
+
+export default { createUsageTracker, getUsageTotals, estimateCost, estimateCompletionTokens, estimatePromptTokens, loadPriceTable, BudgetExceededError };
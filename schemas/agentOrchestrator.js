@@ -6,10 +6,15 @@ import { validatorAgentResponseSchema } from './validatorAgent.js';
 import { multiStepPlannerAgentResponseSchema } from './multiStepPlannerAgent.js';
 import { followThroughAgentResponseSchema } from './followThroughAgent.js';
 import { sshExplorerAgentResponseSchema } from './sshExplorerAgent.js';
-import { lumenPersonalityAgentResponseSchema, LUMEN_PERSONALITY_CONTEXT } from './lumenPersonalityAgent.js';
+import { lumenPersonalityAgentResponseSchema } from './lumenPersonalityAgent.js';
 import memorySystem from '../lib/memorySystem.js';
 import { SecretRedactor } from '../lib/secretRedactor.js';
 import { executeAgentCommand } from '../lib/terminalExecutor.js';
+import { createUsageTracker } from '../lib/usageTracker.js';
+import { runToolAgent } from '../lib/toolAgentLoop.js';
+import { renderPrompt, promptRef } from '../lib/promptRegistry.js';
+import { createTrace } from '../lib/tracing.js';
+import { resolveLogger } from '../lib/logger.js';
 
 // Map the string 'choice' to the actual schema object
 const schemaMap = {
@@ -45,9 +50,17 @@ const schemaMap = {
  * 
  * @param {string} query - The user's query to process
  * @param {object} userContext - Optional context to pass to both router and final agent
+ * @param {object} options - Optional settings
+ * @param {string|object} options.provider - LLM provider name or object (default: configured provider)
+ * @param {object|boolean} options.cassette - Record/replay cassette (default: LUMEN_CASSETTE_MODE)
+ * @param {object} options.logger - Logger instead of the 'orchestrator' component's (see logger.js)
  * @returns {Promise<object>} - The response from the selected agent schema
  */
-export async function orchestrateQuery(query, userContext = {}) {
+export async function orchestrateQuery(query, userContext = {}, options = {}) {
+  const { provider = null, cassette = undefined, logger = undefined } = options;
+  const llmOptions = { provider, cassette, logger };
+  const log = resolveLogger(logger, 'orchestrator');
+
   // 1. Ask the Router which schema to use
   const availableSchemas = Object.entries(schemaMap).map(([name, config]) => ({
     name,
@@ -56,6 +69,8 @@ export async function orchestrateQuery(query, userContext = {}) {
 
   const routingDecision = await queryOpenAI(query, {
     schema: routerAgentResponseSchema,
+    schemaName: 'routerAgent',
+    ...llmOptions,
     context: {
       message: "Route this query to the most appropriate schema.",
       availableOptions: availableSchemas,
@@ -67,10 +82,12 @@ export async function orchestrateQuery(query, userContext = {}) {
   const selectedSchemaConfig = schemaMap[selectedSchemaName];
 
   if (!selectedSchemaConfig) {
-    console.warn(`Router selected unknown schema: ${selectedSchemaName}. Falling back to baseAgent.`);
+    log.warn(`Router selected unknown schema: ${selectedSchemaName}. Falling back to baseAgent.`);
     // Fallback to baseAgent if router returns invalid choice
     const fallbackResponse = await queryOpenAI(query, {
       schema: schemaMap['baseAgent'].schema,
+      schemaName: 'baseAgent',
+      ...llmOptions,
       context: userContext
     });
     return {
@@ -84,10 +101,12 @@ export async function orchestrateQuery(query, userContext = {}) {
   }
 
   // 2. Execute the actual request using the chosen schema
-  console.log(`🔀 Routing to ${selectedSchemaName}: ${routingDecision.explanation}`);
+  log.info(`🔀 Routing to ${selectedSchemaName}: ${routingDecision.explanation}`);
   
   const finalResponse = await queryOpenAI(query, {
     schema: selectedSchemaConfig.schema,
+    schemaName: selectedSchemaName,
+    ...llmOptions,
     context: userContext
   });
 
@@ -122,10 +141,49 @@ export async function orchestrateQuery(query, userContext = {}) {
  * @param {number} config.timeout - Command execution timeout in ms (default: 30000)
  * @param {boolean} config.skipMemory - Skip memory read/write (default: false)
  * @param {boolean} config.skipRedaction - Skip secret redaction (default: false)
+ * @param {SecretRedactor} config.redactor - Session redactor, so placeholders stay the same across requests
+ *   (default: a new one per request). The query, command output and memory only ever hold placeholders.
  * @param {boolean} config.skipPersonality - Skip Lumen personality layer (default: false)
- * @returns {Promise<object>} - Complete response with execution results and metadata
+ * @param {string|object} config.provider - LLM provider name or object for every model call (default: configured provider)
+ * @param {object|boolean} config.cassette - Record/replay cassette for every model call (default: LUMEN_CASSETTE_MODE)
+ * @param {string} config.userId - User that usage and per-user budgets are attributed to (default: additionalContext.userId)
+ * @param {object} config.budgets - Budget overrides { perRequestUsd, perUserDailyUsd, dailyUsd } (default: LUMEN_BUDGET_* env)
+ * @param {Function} config.onStream - Receives streaming events from the personality and executor calls
+ *   ({ schemaName, type: 'delta' | 'field' | 'retry' | 'final', ... }, see streamOpenAI). The returned
+ *   result and memory writes are identical with or without streaming.
+ * @param {string} config.agentMode - 'single' (one terminalCommand per request) or 'tools' (multi-turn
+ *   tool-calling loop for baseAgent requests, see toolAgentLoop.js) (default: LUMEN_AGENT_MODE or 'single')
+ * @param {number} config.maxToolTurns - Model turns allowed in tools mode (default: 10)
+ * @param {string|object} config.policy - Command policy name/file or compiled policy (default: LUMEN_POLICY_FILE /
+ *   LUMEN_POLICY_ENV, see policyEngine.js). Denied commands come back as executionResult.status 'blocked'.
+ * @param {string|object} config.backend - Execution backend for commands ('host', 'sandbox', see executionBackends.js)
+ * @param {Function} config.onCommandOutput - Receives { stream, text } chunks while a command runs (see executeAgentCommand)
+ * @param {object} config.actor - Who is asking, for the audit log { platform, userId, chatId, username }
+ *   (default: platform, userId and username from additionalContext)
+ * @param {object} config.logger - Logger for this request and the model calls, commands and memory writes it makes,
+ *   instead of each component's (see logger.js)
+ * @param {object} config.trace - Trace to record the request in (see tracing.js); the caller then ends it.
+ *   Default: a new trace, ended and exported when the request finishes
+ * @returns {Promise<object>} - Complete response with execution results and metadata; _metadata.trace holds the
+ *   trace id and span timings. Errors thrown from here carry error.traceId
  */
 export async function processUserRequest(userQuery, config = {}) {
+  const trace = config.trace || createTrace({ name: 'lumen.request' });
+  try {
+    const result = await runUserRequest(userQuery, { ...config, trace });
+    if (!config.trace) trace.end();
+    return result;
+  } catch (error) {
+    if (error && typeof error === 'object' && !error.traceId) error.traceId = trace.traceId;
+    if (!config.trace) trace.end({ error });
+    throw error;
+  }
+}
+
+/**
+ * processUserRequest's pipeline, phase by phase in spans of config.trace
+ */
+async function runUserRequest(userQuery, config) {
   const {
     additionalContext = {},
     autoApprove = false,
@@ -134,14 +192,34 @@ export async function processUserRequest(userQuery, config = {}) {
     skipMemory = false,
     skipRedaction = false,
     skipPersonality = false,
-    allowDangerous = false
+    allowDangerous = false,
+    provider = null,
+    cassette = undefined,
+    userId = additionalContext.userId ? String(additionalContext.userId) : null,
+    budgets = {},
+    onStream = null,
+    agentMode = process.env.LUMEN_AGENT_MODE || 'single',
+    maxToolTurns = undefined,
+    policy = undefined,
+    backend = undefined,
+    onCommandOutput = null,
+    redactor = new SecretRedactor(),
+    actor = {
+      platform: additionalContext.platform || null,
+      userId,
+      ...(additionalContext.username && { username: additionalContext.username })
+    },
+    logger = undefined,
+    trace
   } = config;
 
-  const redactor = new SecretRedactor();
-  
-  console.log('\n╔══════════════════════════════════════════════════════════╗');
-  console.log('║  🧠 LUMEN ORCHESTRATOR - Full Pipeline Engaged          ║');
-  console.log('╚══════════════════════════════════════════════════════════╝\n');
+  // Shared by every model call in this request (including memory summarization)
+  const usageTracker = createUsageTracker({ userId, budgets });
+  const llmOptions = { provider, cassette, usageTracker, trace, logger };
+  trace.root.setAttributes({ 'enduser.id': userId, 'lumen.platform': actor?.platform, 'lumen.agent_mode': agentMode });
+  const log = resolveLogger(logger, 'orchestrator');
+
+  log.info('🧠 Processing request', { traceId: trace.traceId, userId: userId ?? undefined, platform: actor?.platform ?? undefined });
 
   // ═══ PHASE 0: LUMEN PERSONALITY (NEW!) ═══
   let lumenPersonality = null;
@@ -149,39 +227,47 @@ export async function processUserRequest(userQuery, config = {}) {
   let userResponse = null;
   
   if (!skipPersonality) {
-    console.log('✨ Lumen Personality Layer - Processing context...');
+    log.debug('✨ Lumen Personality Layer - Processing context...');
     
-    // Load memory for personality context
-    let memoryForPersonality = '';
-    if (!skipMemory) {
-      try {
-        memoryForPersonality = await memorySystem.getMemoryContextString();
-      } catch (error) {
-        console.warn('⚠️  Could not load memory for personality layer:', error.message);
+    lumenPersonality = await trace.span('personality', {}, async () => {
+      // Load memory for personality context
+      let memoryForPersonality = '';
+      if (!skipMemory) {
+        try {
+          memoryForPersonality = await memorySystem.getMemoryContextString();
+        } catch (error) {
+          log.warn(`⚠️  Could not load memory for personality layer: ${error.message}`);
+        }
       }
-    }
     
-    lumenPersonality = await queryOpenAI(userQuery, {
-      schema: lumenPersonalityAgentResponseSchema,
-      context: {
-        systemContext: LUMEN_PERSONALITY_CONTEXT,
-        conversationHistory: memoryForPersonality,
-        ...additionalContext
-      }
+      const personalityPrompt = renderPrompt('lumen-personality');
+      return queryOpenAI(skipRedaction ? userQuery : redactor.conceal(userQuery), {
+        schema: lumenPersonalityAgentResponseSchema,
+        schemaName: 'lumenPersonalityAgent',
+        ...llmOptions,
+        onStream,
+        promptRefs: [promptRef(personalityPrompt)],
+        context: {
+          systemContext: personalityPrompt.text,
+          conversationHistory: memoryForPersonality,
+          ...additionalContext
+        }
+      });
+    
     });
     
-    console.log(`   ➜ Intent: ${lumenPersonality.userIntent} (Urgency: ${lumenPersonality.urgency})`);
-    console.log(`   ➜ Team Member: ${lumenPersonality.teamMemberContext.recognizedAs} (${lumenPersonality.teamMemberContext.tone} tone)`);
-    console.log(`   ➜ Platform: ${lumenPersonality.platformContext.relevantSystems.join(', ') || 'general'}`);
-    console.log(`   ➜ Safety: ${lumenPersonality.platformContext.safetyLevel}`);
-    console.log(`   ➜ Proceed to agents: ${lumenPersonality.shouldProceed ? 'YES' : 'NO'}\n`);
+    log.debug(`   ➜ Intent: ${lumenPersonality.userIntent} (Urgency: ${lumenPersonality.urgency})`);
+    log.debug(`   ➜ Team Member: ${lumenPersonality.teamMemberContext.recognizedAs} (${lumenPersonality.teamMemberContext.tone} tone)`);
+    log.debug(`   ➜ Platform: ${lumenPersonality.platformContext.relevantSystems.join(', ') || 'general'}`);
+    log.debug(`   ➜ Safety: ${lumenPersonality.platformContext.safetyLevel}`);
+    log.debug(`   ➜ Proceed to agents: ${lumenPersonality.shouldProceed ? 'YES' : 'NO'}`);
     
     userResponse = lumenPersonality.userResponse;
     enhancedQuery = lumenPersonality.internalGuidance || userQuery;
     
     // If Lumen determines no further processing needed, return early
     if (!lumenPersonality.shouldProceed) {
-      console.log('✅ Lumen handled request directly (no agent chain needed)\n');
+      log.info('✅ Lumen handled request directly (no agent chain needed)', { traceId: trace.traceId });
       
       return {
         response: userResponse,
@@ -198,29 +284,42 @@ export async function processUserRequest(userQuery, config = {}) {
           routing: null,
           security: { secretsRedacted: false, redactorUsed: false },
           memory: { contextProvided: false, interactionSaved: false },
-          execution: { commandExecuted: false, executionStatus: null }
+          execution: { commandExecuted: false, executionStatus: null },
+          prompts: { lumenPersonalityAgent: lumenPersonality._prompts },
+          cache: usageTracker.cacheSummary(),
+          usage: usageTracker.summary(),
+          trace: trace.summary()
         }
       };
     }
   }
 
   // ═══ PHASE 1: REDACT ═══
-  const safeQuery = skipRedaction ? enhancedQuery : redactor.redact(enhancedQuery);
+  const safeQuery = await trace.span('redact', {}, (span) => {
+    const concealed = skipRedaction ? enhancedQuery : redactor.conceal(enhancedQuery);
+    span.setAttribute('lumen.secrets_redacted', concealed !== enhancedQuery);
+    return concealed;
+  });
   if (!skipRedaction && safeQuery !== enhancedQuery) {
-    console.log('🔒 Secrets detected and redacted from query');
+    log.info('🔒 Secrets detected and redacted from query');
   }
 
   // ═══ PHASE 2: CONTEXTUALIZE ═══
   let memoryContext = '';
   if (!skipMemory) {
-    try {
-      memoryContext = await memorySystem.getMemoryContextString();
-      if (memoryContext) {
-        console.log('🧠 Memory context loaded (summaries + recent interactions)');
+    memoryContext = await trace.span('memory.load', {}, async (span) => {
+      try {
+        const context = await memorySystem.getMemoryContextString();
+        if (context) {
+          log.debug('🧠 Memory context loaded (summaries + recent interactions)');
+        }
+        return context;
+      } catch (error) {
+        span.setError(error);
+        log.warn(`⚠️  Failed to load memory context: ${error.message}`);
+        return '';
       }
-    } catch (error) {
-      console.warn('⚠️  Failed to load memory context:', error.message);
-    }
+    });
   }
 
   // ═══ PHASE 3: ROUTE ═══
@@ -229,29 +328,58 @@ export async function processUserRequest(userQuery, config = {}) {
     purpose: config.description
   }));
 
-  console.log('🔀 Routing query to appropriate schema...');
-  const routingDecision = await queryOpenAI(safeQuery, {
-    schema: routerAgentResponseSchema,
-    context: {
-      memory: memoryContext,
-      instructions: "Route this query to the most appropriate schema based on the user's intent.",
-      availableOptions: availableSchemas,
-      ...additionalContext
-    }
+  log.debug('🔀 Routing query to appropriate schema...');
+  const routingDecision = await trace.span('route', {}, async (span) => {
+    const decision = await queryOpenAI(safeQuery, {
+      schema: routerAgentResponseSchema,
+      schemaName: 'routerAgent',
+      ...llmOptions,
+      context: {
+        memory: memoryContext,
+        instructions: "Route this query to the most appropriate schema based on the user's intent.",
+        availableOptions: availableSchemas,
+        ...additionalContext
+      }
+    });
+    span.setAttribute('lumen.route', decision.choice);
+    return decision;
   });
 
-  console.log(`   ➜ Selected: ${routingDecision.choice}`);
-  console.log(`   ➜ Reason: ${routingDecision.explanation}\n`);
+  log.info(`🔀 Routing to ${routingDecision.choice}: ${routingDecision.explanation}`);
 
   // ═══ PHASE 4: EXECUTE (with chosen schema) ═══
-  const selectedSchema = schemaMap[routingDecision.choice]?.schema || baseAgentExtendedResponseSchema;
+  const selectedSchemaName = schemaMap[routingDecision.choice] ? routingDecision.choice : 'baseAgent';
+  const selectedSchema = schemaMap[selectedSchemaName].schema;
   
-  console.log('⚙️  Executing with selected schema...');
-  const aiResponse = await queryOpenAI(safeQuery, {
-    schema: selectedSchema,
-    context: {
-      memory: memoryContext,
-      ...additionalContext
+  const useTools = agentMode === 'tools' && selectedSchemaName === 'baseAgent';
+  const aiResponse = await trace.span('execute', { attributes: { 'lumen.schema': selectedSchemaName, 'lumen.agent_mode': useTools ? 'tools' : 'single' } }, async () => {
+    if (useTools) {
+      // Multi-turn: the model calls tools, sees results and decides when it is done
+      log.debug('🔧 Executing with tool-calling agent loop...');
+      const result = await runToolAgent(safeQuery, {
+        ...llmOptions,
+        redactor: skipRedaction ? null : redactor,
+        maxTurns: maxToolTurns,
+        execution: { autoApprove, dryRun, timeout, allowDangerous, policy, backend, onOutput: onCommandOutput, actor, trace, logger },
+        context: {
+          memory: memoryContext,
+          ...additionalContext
+        }
+      });
+      log.debug(`   ➜ ${result.reasoning}`);
+      return result;
+    } else {
+      log.debug('⚙️  Executing with selected schema...');
+      return queryOpenAI(safeQuery, {
+        schema: selectedSchema,
+        schemaName: selectedSchemaName,
+        ...llmOptions,
+        onStream,
+        context: {
+          memory: memoryContext,
+          ...additionalContext
+        }
+      });
     }
   });
 
@@ -260,65 +388,91 @@ export async function processUserRequest(userQuery, config = {}) {
 
   // Handle terminal command execution
   if (aiResponse.choice === 'terminalCommand') {
-    console.log('\n💻 Terminal command detected');
+    log.debug('💻 Terminal command detected');
     
-    // Restore secrets specifically for the terminal
-    const realCommand = skipRedaction ? aiResponse.terminalCommand : redactor.substitute(aiResponse.terminalCommand);
+    await trace.span('action', {}, async (span) => {
+      // Restore secrets specifically for the terminal
+      const realCommand = skipRedaction ? aiResponse.terminalCommand : redactor.substitute(aiResponse.terminalCommand);
     
-    console.log(`   Command: ${skipRedaction ? realCommand : aiResponse.terminalCommand}`);
-    console.log(`   Reasoning: ${aiResponse.commandReasoning || aiResponse.reasoning || 'No reasoning provided'}`);
+      log.debug(`   Command: ${skipRedaction ? realCommand : aiResponse.terminalCommand}`);
+      log.debug(`   Reasoning: ${aiResponse.commandReasoning || aiResponse.reasoning || 'No reasoning provided'}`);
     
-    // Execute with safety gates and logging
-    try {
-      executionResult = await executeAgentCommand(
-        {
-          ...aiResponse,
-          command: realCommand,
-          reasoning: aiResponse.commandReasoning || aiResponse.reasoning
-        },
-        {
-          autoApprove,
-          dryRun,
-          timeout,
-          allowDangerous
-        }
-      );
+      // A placeholder the session can't fill would run literally
+      const unresolved = skipRedaction ? [] : redactor.unresolved(aiResponse.terminalCommand);
+      if (unresolved.length > 0) {
+        executionResult = {
+          status: 'blocked',
+          message: `Command blocked: ${unresolved.join(', ')} is not a secret in this session (unknown, expired, revoked or withheld)`,
+          command: realCommand
+        };
+        log.warn(`🚫 ${executionResult.message}`);
+      } else {
+        try {
+          // Execute with safety gates and logging
+          executionResult = await executeAgentCommand(
+            {
+              ...aiResponse,
+              command: realCommand,
+              reasoning: aiResponse.commandReasoning || aiResponse.reasoning
+            },
+            {
+              autoApprove,
+              dryRun,
+              timeout,
+              allowDangerous,
+              policy,
+              backend,
+              onOutput: onCommandOutput,
+              jobOrigin: { platform: additionalContext.platform || null, userId },
+              actor,
+              trace,
+              logger,
+              redactor: skipRedaction ? null : redactor
+            }
+          );
       
-      console.log(`   Status: ${executionResult.status}`);
-    } catch (error) {
-      executionResult = {
-        status: 'error',
-        message: error.message,
-        error: error.toString()
-      };
-      console.error(`   Execution failed: ${error.message}`);
-    }
+          log.debug(`   Status: ${executionResult.status}`);
+        } catch (error) {
+          executionResult = {
+            status: 'error',
+            message: error.message,
+            error: error.toString()
+          };
+          log.error(`❌ Execution failed: ${error.message}`);
+        }
+      }
+      span.setAttribute('lumen.command.status', executionResult.status);
+    });
+
+    // Output goes to memory, the next prompt and chat platforms: placeholders only from here on
+    if (!skipRedaction) executionResult = redactor.concealResult(executionResult);
   }
 
   // ═══ PHASE 6: MEMORY UPDATE ═══
   if (!skipMemory) {
-    try {
-      const interactionData = {
-        query: userQuery, // Store original query (with secrets redacted by memorySystem if needed)
-        redacted: safeQuery !== userQuery
-      };
-      
-      const responseData = {
-        ...aiResponse,
-        ...(executionResult && { executionResult })
-      };
-      
-      await memorySystem.addInteraction(interactionData, responseData);
-      console.log('\n✅ Interaction saved to memory');
-    } catch (error) {
-      console.warn('⚠️  Failed to save interaction to memory:', error.message);
-    }
+    await trace.span('memory.update', {}, async (span) => {
+      try {
+        const interactionData = {
+          query: skipRedaction ? userQuery : redactor.conceal(userQuery), // Memory is replayed to the model
+          redacted: safeQuery !== userQuery
+        };
+        
+        const responseData = {
+          ...aiResponse,
+          ...(executionResult && { executionResult })
+        };
+        
+        await memorySystem.addInteraction(interactionData, responseData, llmOptions);
+        log.debug('✅ Interaction saved to memory');
+      } catch (error) {
+        span.setError(error);
+        log.warn(`⚠️  Failed to save interaction to memory: ${error.message}`);
+      }
+    });
   }
 
   // ═══ FINAL RESPONSE ═══
-  console.log('\n╔══════════════════════════════════════════════════════════╗');
-  console.log('║  ✨ Pipeline Complete                                    ║');
-  console.log('╚══════════════════════════════════════════════════════════╝\n');
+  log.info(`✨ Pipeline complete (${trace.root.durationMs()}ms)`, { traceId: trace.traceId });
 
   return {
     response: userResponse || aiResponse.response,
@@ -348,9 +502,20 @@ export async function processUserRequest(userQuery, config = {}) {
         interactionSaved: !skipMemory
       },
       execution: {
-        commandExecuted: aiResponse.choice === 'terminalCommand',
-        executionStatus: executionResult?.status || null
-      }
+        commandExecuted: aiResponse.choice === 'terminalCommand' || (aiResponse.toolRuns?.length || 0) > 0,
+        executionStatus: executionResult?.status || null,
+        agentMode: useTools ? 'tools' : 'single',
+        ...(useTools && { toolCalls: aiResponse.toolRuns.length, turns: aiResponse.turns, stopReason: aiResponse.stopReason })
+      },
+      // Template id/version behind each model call, to correlate behavior with prompt changes
+      prompts: {
+        ...(lumenPersonality && { lumenPersonalityAgent: lumenPersonality._prompts }),
+        routerAgent: routingDecision._prompts,
+        [useTools ? 'toolAgent' : selectedSchemaName]: aiResponse._prompts
+      },
+      cache: usageTracker.cacheSummary(),
+      usage: usageTracker.summary(),
+      trace: trace.summary()
     }
   };
 }
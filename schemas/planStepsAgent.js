@@ -5,7 +5,7 @@ export const planStepsAgentResponseSchema = {
   properties: {
     steps: {
       type: "array",
-      description: "An ordered list of steps to complete the task, with each step containing a description and optional reasoning.",
+      description: "An ordered list of steps to complete the task, with each step containing a description and its reasoning.",
       items: {
         type: "object",
         properties: {
@@ -15,10 +15,11 @@ export const planStepsAgentResponseSchema = {
           },
           reasoning: {
             type: "string",
-            description: "The reasoning or rationale that justifies why this step is necessary and how it contributes to completing the overall task."
+            description: "The reasoning or rationale that justifies why this step is necessary and how it contributes to completing the overall task. Empty string if the step is self-explanatory."
           }
         },
-        required: ["stepDescription"]
+        required: ["stepDescription", "reasoning"],
+        additionalProperties: false
       }
     },
     missingContext: {
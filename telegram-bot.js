@@ -16,15 +16,32 @@ import dotenv from 'dotenv';
 import { processUserRequest } from './schemas/agentOrchestrator.js';
 import { executeAgentCommand } from './lib/terminalExecutor.js';
 import memorySystem from './lib/memorySystem.js';
+import { getUsageTotals } from './lib/usageTracker.js';
+import { ProviderUnavailableError } from './lib/requestScheduler.js';
+import { listJobs, getJob, readJobLog, killJob, onJobFinished } from './lib/jobManager.js';
+import { SecretRedactor } from './lib/secretRedactor.js';
+import { openVaultSession, parseTtl } from './lib/secretVault.js';
+import { verifyAuditLog } from './lib/auditLogger.js';
+import { auditSinkStatus, formatAuditSinkStatus, flushAuditSinks, startAuditSinks } from './lib/auditSinks.js';
+import { createTrace } from './lib/tracing.js';
+import { getLogger } from './lib/logger.js';
+import { warnUnusableCaches } from './lib/agentProfiles.js';
+import {
+  parseAuditArgs, readAuditEntries, filterAuditEntries, buildAuditReport, toCsv, formatAuditLine, formatAuditEntry
+} from './lib/auditReports.js';
 
 // Load environment variables
 dotenv.config();
 
+const log = getLogger('telegram');
+
 const token = process.env.TELEGRAM_BOT_TOKEN;
 const adminId = process.env.TELEGRAM_ADMIN_ID;
+// Commands approved from chat run in the sandbox by default (see lib/executionBackends.js)
+const telegramBackend = process.env.LUMEN_TELEGRAM_BACKEND || 'sandbox';
 
 if (!token) {
-  console.error('❌ TELEGRAM_BOT_TOKEN is not set in .env file');
+  log.error('❌ TELEGRAM_BOT_TOKEN is not set in .env file');
   process.exit(1);
 }
 
@@ -34,11 +51,18 @@ const bot = new TelegramBot(token, { polling: true });
 // Store pending commands awaiting approval
 const pendingCommands = new Map(); // chatId -> { command, reasoning, timestamp, response }
 
-console.log('╔════════════════════════════════════════════════════════════╗');
-console.log('║  🌟 Lumen Telegram Bot - Advanced Orchestrator Started   ║');
-console.log('╚════════════════════════════════════════════════════════════╝\n');
-console.log(`📱 Admin ID: ${adminId || 'Not set'}`);
-console.log('🤖 Bot is ready and listening for messages...\n');
+// One redactor per chat: placeholders stay stable across its requests and never cross chats
+const chatRedactors = new Map(); // chatId -> SecretRedactor
+
+// Streaming: how often the live message is edited (Telegram rate-limits edits)
+const STREAM_EDIT_INTERVAL_MS = 1200;
+const STREAM_ENABLED = process.env.LUMEN_STREAM !== 'false';
+const TELEGRAM_MAX_MESSAGE_LENGTH = 4000;
+
+log.info('🌟 Lumen Telegram Bot started', { adminId: adminId || 'not set' });
+log.info('🤖 Bot is ready and listening for messages...');
+startAuditSinks(); // A sink that can't start is reported now, not with the first command
+warnUnusableCaches();
 
 /**
  * Escape special characters for Telegram Markdown
@@ -81,27 +105,265 @@ function formatTelegramMessage(text, useMarkdown = false) {
     .replace(/`([^`]+)`/g, '`$1`');      // Code
 }
 
+/**
+ * Create a single Telegram message that is progressively edited as the model streams
+ * Shows Lumen's reply (userResponse) followed by the agent's response text.
+ * @returns {object} { onStream, streamed, finish } - streamed maps field name → schema it came from
+ */
+function createLiveMessage(chatId) {
+  const sections = { userResponse: '', response: '' };
+  const streamed = new Map();
+  let messageId = null;
+  let lastSent = '';
+  let timer = null;
+  let sending = Promise.resolve();
+
+  const render = () => {
+    const text = [
+      sections.userResponse && `✨ Lumen: ${sections.userResponse}`,
+      sections.response
+    ].filter(Boolean).join('\n\n');
+    return text.length > TELEGRAM_MAX_MESSAGE_LENGTH
+      ? text.substring(0, TELEGRAM_MAX_MESSAGE_LENGTH) + '…'
+      : text;
+  };
+
+  const flush = () => {
+    sending = sending.then(async () => {
+      const text = render();
+      if (!text || text === lastSent) return;
+      if (!messageId) {
+        const sent = await bot.sendMessage(chatId, text);
+        messageId = sent.message_id;
+      } else {
+        await bot.editMessageText(text, { chat_id: chatId, message_id: messageId });
+      }
+      lastSent = text;
+    }).catch(error => {
+      log.warn(`⚠️ Failed to update streaming message: ${error.message}`, { chatId });
+    });
+    return sending;
+  };
+
+  const schedule = () => {
+    if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        flush();
+      }, STREAM_EDIT_INTERVAL_MS);
+    }
+  };
+
+  const onStream = (event) => {
+    if (event.type === 'retry') {
+      for (const [name, schemaName] of streamed) {
+        if (schemaName === event.schemaName) {
+          sections[name] = '';
+          streamed.delete(name);
+        }
+      }
+      return;
+    }
+
+    if (event.type !== 'field' || !(event.name in sections)) return;
+
+    sections[event.name] = event.value;
+    if (event.complete && event.value) {
+      streamed.set(event.name, event.schemaName);
+    }
+    schedule();
+  };
+
+  const finish = async () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    await flush();
+  };
+
+  return { onStream, streamed, finish };
+}
+
+/**
+ * Redactor for a chat's session; everything sent to the chat or the model goes through it.
+ * Backed by the vault, so placeholders survive restarts (in-memory if the vault can't be opened).
+ */
+function getChatRedactor(chatId) {
+  if (!chatRedactors.has(chatId)) {
+    let redactor;
+    try {
+      const vault = openVaultSession(`telegram:${chatId}`);
+      vault.list();
+      redactor = new SecretRedactor({ vault });
+    } catch (error) {
+      log.warn(`⚠️ Secret vault unavailable for chat ${chatId}: ${error.message}`);
+      redactor = new SecretRedactor();
+    }
+    chatRedactors.set(chatId, redactor);
+  }
+  return chatRedactors.get(chatId);
+}
+
+/**
+ * Create a progress message that is edited with the tail of a running command's output
+ * @returns {object} { onOutput, finish } - finish(result) writes the final status line
+ */
+function createCommandProgress(chatId, command) {
+  const redactor = getChatRedactor(chatId);
+  const header = `⚙️ Executing: ${redactor.conceal(command)}`;
+  let output = '';
+  let messageId = null;
+  let lastSent = '';
+  let timer = null;
+  let sending = Promise.resolve();
+
+  const render = (status) => {
+    const room = TELEGRAM_MAX_MESSAGE_LENGTH - header.length - 40;
+    const shown = redactor.conceal(output);
+    const tail = shown.length > room ? '…' + shown.slice(-room) : shown;
+    return [header, tail, status].filter(Boolean).join('\n\n');
+  };
+
+  const flush = (status) => {
+    sending = sending.then(async () => {
+      const text = render(status);
+      if (text === lastSent) return;
+      if (!messageId) {
+        const sent = await bot.sendMessage(chatId, text);
+        messageId = sent.message_id;
+      } else {
+        await bot.editMessageText(text, { chat_id: chatId, message_id: messageId });
+      }
+      lastSent = text;
+    }).catch(error => {
+      log.warn(`⚠️ Failed to update command progress: ${error.message}`, { chatId });
+    });
+    return sending;
+  };
+
+  flush();
+
+  const onOutput = ({ text }) => {
+    // Only the tail is ever shown, so don't hold more than a message's worth
+    output = (output + text).slice(-TELEGRAM_MAX_MESSAGE_LENGTH);
+    if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        flush();
+      }, STREAM_EDIT_INTERVAL_MS);
+    }
+  };
+
+  const finish = async (result) => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    const took = result.executionTimeMs !== undefined ? ` in ${(result.executionTimeMs / 1000).toFixed(1)}s` : '';
+    await flush(`${result.status === 'success' ? '✅' : '⚠️'} ${result.status}${took}`);
+  };
+
+  return { onOutput, finish };
+}
+
+/**
+ * Who approved a command, for the audit log
+ */
+function telegramActor(chatId, user) {
+  return { platform: 'telegram', userId: user.id, chatId, username: user.username || user.first_name || null };
+}
+
+/**
+ * Logger for work done for a chat; the library's log lines for it carry chatId and userId
+ */
+function chatLogger(chatId, user) {
+  return log.child({ chatId, userId: user.id });
+}
+
+/**
+ * Trace for a command approved after its request finished; it continues the request's trace
+ */
+function approvalTrace(pending, user) {
+  return createTrace({
+    name: 'telegram.approved-command',
+    traceId: pending.traceId,
+    attributes: { 'enduser.id': String(user.id), 'lumen.platform': 'telegram' }
+  });
+}
+
+/**
+ * "Trace: <id>" line for error messages, so a report can be matched to the audit log and traces
+ */
+function traceLine(traceId) {
+  // Hex only, so it reads the same with and without Markdown
+  return traceId ? `\n\n🔎 Trace: ${traceId}` : '';
+}
+
+/**
+ * Run an approved pending command as a background job
+ */
+async function startBackgroundJob(chatId, user, pending) {
+  const userId = user.id;
+  log.info(`✅ User approved background job: ${pending.command}`, { chatId, userId });
+  const trace = approvalTrace(pending, user);
+  try {
+    const result = getChatRedactor(chatId).concealResult(await executeAgentCommand(
+      {
+        command: getChatRedactor(chatId).substitute(pending.command),
+        reasoning: pending.reasoning,
+        choice: 'terminalCommand'
+      },
+      {
+        approved: true,     // Approved by the user; policy deny still applies
+        background: true,
+        jobOrigin: { platform: 'telegram', chatId, userId },
+        actor: telegramActor(chatId, user),
+        allowDangerous: false,
+        backend: telegramBackend,
+        logger: chatLogger(chatId, user),
+        redactor: getChatRedactor(chatId),
+        trace
+      }
+    ));
+    await bot.sendMessage(chatId, result.status === 'started'
+      ? `🕒 Started job ${result.jobId}. I'll message you when it finishes.\n/job ${result.jobId} shows its output, /kill ${result.jobId} stops it.`
+      : `⚠️ Job not started (${result.status}): ${result.message}${traceLine(trace.traceId)}`);
+  } catch (error) {
+    log.error('❌ Background job failed to start', { chatId, error });
+    trace.root.setError(error);
+    await bot.sendMessage(chatId, `❌ Could not start job: ${error.message}${traceLine(trace.traceId)}`);
+  } finally {
+    trace.end();
+  }
+}
+
 /**
  * Handle response based on agent choice
+ * @param {number} chatId - Telegram chat
+ * @param {object} response - Orchestrator result
+ * @param {Map} streamed - Fields already delivered through the live streaming message
  */
-async function handleAgentResponse(chatId, response) {
+async function handleAgentResponse(chatId, response, streamed = new Map()) {
   try {
     // ═══ LUMEN PERSONALITY FIRST ═══
     // If Lumen provided a direct response, send it first
-    if (response.lumenPersonality?.userResponse) {
+    if (response.lumenPersonality?.userResponse && !streamed.has('userResponse')) {
       const lumenMsg = `✨ *Lumen:* ${response.lumenPersonality.userResponse}`;
       await bot.sendMessage(chatId, lumenMsg, { parse_mode: 'Markdown' });
-      
-      // If Lumen handled it directly (no further agents), we're done
-      if (response.choice === 'lumenPersonality') {
-        return;
-      }
+    }
+
+    // If Lumen handled it directly (no further agents), we're done
+    if (response.choice === 'lumenPersonality') {
+      return;
     }
     
     switch (response.choice) {
       case 'response':
         // Conversational response
-        await bot.sendMessage(chatId, response.response, { parse_mode: 'Markdown' });
+        if (!streamed.has('response')) {
+          await bot.sendMessage(chatId, response.response, { parse_mode: 'Markdown' });
+        }
         
         // Send follow-up questions if any
         if (response.questionsForUser && response.questions?.length > 0) {
@@ -130,11 +392,27 @@ async function handleAgentResponse(chatId, response) {
         break;
         
       case 'terminalCommand':
-        // Terminal command (requires approval)
+        // Terminal command (requires approval unless the policy denies it outright)
         const reasoning = escapeMarkdown(response.commandReasoning || response.reasoning);
+        const policy = response.executionResult?.policyReport;
+
+        if (response.executionResult?.status === 'blocked') {
+          await bot.sendMessage(chatId,
+            `🚫 Command blocked:\n\n${response.terminalCommand}\n\n${response.executionResult.message}` +
+            traceLine(response._metadata?.trace?.traceId));
+          break;
+        }
+
+        const backendName = response.executionResult?.backend;
+        const policyLine = policy
+          ? `🛡️ *Policy:* ${escapeMarkdown(policy.policy)} • risk ${policy.securityLevel}` +
+            (backendName ? ` • runs in ${escapeMarkdown(backendName)}` : '') + '\n' +
+            policy.warnings.map(w => `⚠️ ${escapeMarkdown(w)}\n`).join('') + '\n'
+          : '';
         const cmdMsg = `💻 *Terminal Command:*\n\n` +
                       `\`${response.terminalCommand}\`\n\n` +
                       `📝 *Reasoning:* ${reasoning}\n\n` +
+                      policyLine +
                       `⚠️ *Awaiting your approval to execute*`;
         
         // Store command for approval
@@ -142,6 +420,7 @@ async function handleAgentResponse(chatId, response) {
           command: response.terminalCommand,
           reasoning: response.commandReasoning || response.reasoning,
           timestamp: Date.now(),
+          traceId: response._metadata?.trace?.traceId,
           fullResponse: response
         });
         
@@ -152,13 +431,14 @@ async function handleAgentResponse(chatId, response) {
             reply_markup: {
               inline_keyboard: [[
                 { text: '✅ Execute', callback_data: 'approve_command' },
+                { text: '🕒 Background', callback_data: 'background_command' },
                 { text: '❌ Cancel', callback_data: 'deny_command' }
               ]]
             }
           });
         } catch (markdownError) {
           // If Markdown fails, send without formatting
-          console.warn('⚠️ Markdown parsing error, sending as plain text:', markdownError.message);
+          log.warn(`⚠️ Markdown parsing error, sending as plain text: ${markdownError.message}`, { chatId });
           const plainMsg = `💻 Terminal Command:\n\n${response.terminalCommand}\n\n` +
                           `📝 Reasoning: ${response.commandReasoning || response.reasoning}\n\n` +
                           `⚠️ Awaiting your approval to execute`;
@@ -166,6 +446,7 @@ async function handleAgentResponse(chatId, response) {
             reply_markup: {
               inline_keyboard: [[
                 { text: '✅ Execute', callback_data: 'approve_command' },
+                { text: '🕒 Background', callback_data: 'background_command' },
                 { text: '❌ Cancel', callback_data: 'deny_command' }
               ]]
             }
@@ -240,7 +521,7 @@ async function handleAgentResponse(chatId, response) {
     }
     
   } catch (error) {
-    console.error('Error sending response:', error);
+    log.error('Error sending response', { chatId, error });
     await bot.sendMessage(chatId, '❌ Error formatting response. Check logs for details.');
   }
 }
@@ -280,6 +561,14 @@ bot.onText(/\/help/, async (msg) => {
     `/start - Welcome message\n` +
     `/help - This help message\n` +
     `/memory - Memory statistics\n` +
+    `/jobs - Background jobs started from this chat\n` +
+    `/job <id> - Job status and latest output\n` +
+    `/kill <id> - Stop a running job\n` +
+    `/secrets - Secrets stored for this chat (placeholders only)\n` +
+    `/secret set <name> <value> [ttl] - Store a secret as {{SECRET:name}}\n` +
+    `/secret name <placeholder> <name> - Name a detected secret\n` +
+    `/secret revoke <name> - Forget a secret\n` +
+    `/audit [list|show|export|verify|sinks] - Query the audit log (admin)\n` +
     `/clear - Clear conversation history\n\n` +
     `*What I Can Do:*\n` +
     `• Answer questions and have conversations\n` +
@@ -298,7 +587,9 @@ bot.onText(/\/help/, async (msg) => {
     `*Security Features:*\n` +
     `• Automatic secret detection\n` +
     `• Command validation\n` +
-    `• Manual approval for dangerous operations`;
+    `• Manual approval for dangerous operations\n` +
+    `• Command policies per environment (allow / approve / deny)\n` +
+    `• Approved commands run in a sandbox (read-only system, network off by default)`;
   
   await bot.sendMessage(chatId, helpMsg, { parse_mode: 'Markdown' });
 });
@@ -311,13 +602,17 @@ bot.onText(/\/memory/, async (msg) => {
   
   try {
     const stats = await memorySystem.getMemoryStats();
+    const usage = await getUsageTotals({ userId: String(msg.from.id) });
     const memoryMsg = 
       `🧠 *Memory System Statistics*\n\n` +
       `Total interactions: ${stats.totalInteractionsProcessed}\n` +
       `Current interactions: ${stats.currentInteractionsStored}/${stats.maxInteractions}\n` +
       `Summaries stored: ${stats.summariesStored}/${stats.maxSummaries}\n\n` +
       (stats.oldestInteraction ? `Oldest: ${stats.oldestInteraction}\n` : '') +
-      (stats.newestInteraction ? `Newest: ${stats.newestInteraction}` : '');
+      (stats.newestInteraction ? `Newest: ${stats.newestInteraction}\n` : '') +
+      `\n💰 *Model Usage Today*\n` +
+      `You: ${usage.user.calls} calls, ${usage.user.totalTokens} tokens, $${usage.user.costUsd.toFixed(4)}\n` +
+      `Everyone: ${usage.today.calls} calls, ${usage.today.totalTokens} tokens, $${usage.today.costUsd.toFixed(4)}`;
     
     await bot.sendMessage(chatId, memoryMsg, { parse_mode: 'Markdown' });
   } catch (error) {
@@ -325,6 +620,205 @@ bot.onText(/\/memory/, async (msg) => {
   }
 });
 
+/**
+ * Jobs a chat may see and stop: its own, or all of them for the admin
+ */
+function canAccessJob(job, msg) {
+  return job && (job.origin?.chatId === msg.chat.id || String(msg.from.id) === String(adminId));
+}
+
+/**
+ * Handle /jobs command
+ */
+bot.onText(/^\/jobs\b/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  try {
+    const jobs = (await listJobs({ limit: 100 })).filter(job => canAccessJob(job, msg)).slice(0, 15);
+    if (jobs.length === 0) {
+      await bot.sendMessage(chatId, '🕒 No background jobs.');
+      return;
+    }
+    const redactor = getChatRedactor(chatId);
+    const lines = jobs.map(job => {
+      const took = job.durationMs !== null ? ` (${(job.durationMs / 1000).toFixed(1)}s)` : '';
+      return `${job.id} • ${job.status}${took}\n  ${redactor.conceal(job.command)}`;
+    });
+    await bot.sendMessage(chatId, `🕒 Background jobs:\n\n${lines.join('\n')}`);
+  } catch (error) {
+    await bot.sendMessage(chatId, '❌ Error listing jobs: ' + error.message);
+  }
+});
+
+/**
+ * Handle /job <id> command
+ */
+bot.onText(/^\/job(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const id = match[1];
+
+  try {
+    const job = id ? await getJob(id) : null;
+    if (!canAccessJob(job, msg)) {
+      await bot.sendMessage(chatId, `❌ Unknown job: ${id || '(usage: /job <id>)'}`);
+      return;
+    }
+    const redactor = getChatRedactor(chatId);
+    const output = redactor.conceal(await readJobLog(id, { tailBytes: 3000 }));
+    await bot.sendMessage(chatId,
+      `🕒 Job ${job.id} • ${job.status}` + (job.exitCode !== null ? ` • exit ${job.exitCode}` : '') + '\n' +
+      `${redactor.conceal(job.command)}\n` +
+      (job.message ? `\n${redactor.conceal(job.message)}\n` : '') +
+      (output ? `\nOutput (latest):\n${output}` : '\nNo output yet.'));
+  } catch (error) {
+    await bot.sendMessage(chatId, '❌ Error reading job: ' + error.message);
+  }
+});
+
+/**
+ * Handle /kill <id> command
+ */
+bot.onText(/^\/kill(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const id = match[1];
+
+  try {
+    const job = id ? await getJob(id) : null;
+    if (!canAccessJob(job, msg)) {
+      await bot.sendMessage(chatId, `❌ Unknown job: ${id || '(usage: /kill <id>)'}`);
+    } else if (killJob(id)) {
+      await bot.sendMessage(chatId, `🛑 Stopping job ${id}...`);
+    } else {
+      await bot.sendMessage(chatId, `Job ${id} is not running (${job.status}).`);
+    }
+  } catch (error) {
+    await bot.sendMessage(chatId, '❌ Error stopping job: ' + error.message);
+  }
+});
+
+/**
+ * Handle /secrets command
+ */
+bot.onText(/^\/secrets$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const { vault } = getChatRedactor(chatId);
+  if (!vault) {
+    await bot.sendMessage(chatId, '❌ The secret vault is unavailable.');
+    return;
+  }
+  const secrets = vault.list();
+  await bot.sendMessage(chatId, secrets.length === 0
+    ? '🔐 No secrets stored for this chat.'
+    : `🔐 Secrets:\n\n${secrets.map(secret => `${secret.placeholder} • ${secret.type} • expires ${secret.expiresAt || 'never'}`).join('\n')}`);
+});
+
+/**
+ * Handle /secret set|name|revoke
+ */
+bot.onText(/^\/secret(?:\s+(.*))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const [action, ...args] = (match[1] || '').trim().split(/\s+/);
+  const { vault } = getChatRedactor(chatId);
+  if (!vault) {
+    await bot.sendMessage(chatId, '❌ The secret vault is unavailable.');
+    return;
+  }
+
+  try {
+    if (action === 'set') {
+      const [name, value, ttl] = args;
+      // The value shouldn't stay in the chat history
+      await bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+      if (!name || !value) throw new Error('Usage: /secret set <name> <value> [ttl]');
+      const placeholder = vault.store({ type: 'secret', value, name, ...(ttl && { ttlMs: parseTtl(ttl) }) });
+      await bot.sendMessage(chatId, `🔐 Stored as ${placeholder} (your message was deleted).`);
+    } else if (action === 'name') {
+      const [ref, name] = args;
+      if (!ref || !name) throw new Error('Usage: /secret name <placeholder> <name>');
+      const placeholder = vault.rename(ref, name);
+      await bot.sendMessage(chatId, placeholder ? `🔐 ${ref} is now ${placeholder}` : `❌ Unknown secret: ${ref}`);
+    } else if (action === 'revoke') {
+      if (!args[0]) throw new Error('Usage: /secret revoke <name|placeholder>');
+      await bot.sendMessage(chatId, vault.revoke(args[0]) ? `🗑️ Revoked ${args[0]}` : `❌ Unknown secret: ${args[0]}`);
+    } else {
+      throw new Error('Usage: /secret set|name|revoke ... (/secrets lists them)');
+    }
+  } catch (error) {
+    await bot.sendMessage(chatId, `❌ ${error.message}`);
+  }
+});
+
+/**
+ * Handle /audit command (admin only); same arguments as `lumen audit`
+ */
+bot.onText(/^\/audit(?:\s+([\s\S]*))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  if (!adminId || String(msg.from.id) !== String(adminId)) {
+    await bot.sendMessage(chatId, '⛔ The audit log is only available to the admin.');
+    return;
+  }
+
+  try {
+    // Quotes keep multi-word values together: /audit list --command "rm -rf"
+    const args = ((match[1] || '').match(/"[^"]*"|'[^']*'|\S+/g) || []).map(arg => arg.replace(/^(["'])([\s\S]*)\1$/, '$2'));
+    const { positional: [action = 'list', target], filters, format } = parseAuditArgs(args);
+
+    if (action === 'list') {
+      const entries = filterAuditEntries(readAuditEntries(), { ...filters, limit: filters.limit ?? 20 });
+      const text = entries.length > 0 ? entries.map(entry => formatAuditLine(entry, 60)).join('\n') : 'No matching audit entries.';
+      await bot.sendMessage(chatId, `🧾 Audit log:\n\n${text.length > 3800 ? `${text.slice(0, 3800)}\n…` : text}`);
+    } else if (action === 'show') {
+      const entry = readAuditEntries().find(candidate => String(candidate.seq) === String(target).replace(/^#/, ''));
+      if (!entry) {
+        await bot.sendMessage(chatId, `❌ No audit entry ${target || '(usage: /audit show <seq>)'}`);
+        return;
+      }
+      const text = formatAuditEntry(entry);
+      if (text.length > 3900) {
+        await bot.sendDocument(chatId, Buffer.from(text), { caption: `🧾 Audit entry #${entry.seq}` }, { filename: `audit-${entry.seq}.txt`, contentType: 'text/plain' });
+      } else {
+        await bot.sendMessage(chatId, text);
+      }
+    } else if (action === 'export') {
+      const report = target || 'entries';
+      const rows = buildAuditReport(report, filterAuditEntries(readAuditEntries(), filters).reverse());
+      const text = format === 'json' ? JSON.stringify(rows, null, 2) : toCsv(rows);
+      await bot.sendDocument(chatId, Buffer.from(text || '\n'), { caption: `🧾 ${report}: ${rows.length} rows` }, {
+        filename: `audit-${report}.${format}`,
+        contentType: format === 'json' ? 'application/json' : 'text/csv'
+      });
+    } else if (action === 'verify') {
+      const result = verifyAuditLog();
+      await bot.sendMessage(chatId, result.ok
+        ? `✅ Audit log intact: ${result.entries} entries in ${result.files.length} file(s)`
+        : `❌ Audit log tampered or damaged:\n\n${result.problems.slice(0, 20).map(problem => `${problem.file}${problem.line ? `:${problem.line}` : ''} - ${problem.problem}`).join('\n')}`);
+    } else if (action === 'sinks') {
+      const sinks = auditSinkStatus();
+      await bot.sendMessage(chatId, sinks.length > 0
+        ? `🧾 Audit sinks:\n\n${sinks.map(formatAuditSinkStatus).join('\n')}`
+        : 'No audit sinks configured (LUMEN_AUDIT_SINKS).');
+    } else {
+      await bot.sendMessage(chatId,
+        'Usage: /audit list|show <seq>|export <entries|per-user-day|blocked>|verify|sinks\n' +
+        'Filters: --since 24h --until 2026-10-01 --status blocked,denied --actor <user> --host <name> --command <text> --trace <id> --limit <n>\n' +
+        'Export: --format csv|json');
+    }
+  } catch (error) {
+    await bot.sendMessage(chatId, `❌ ${error.message}`);
+  }
+});
+
+// Tell the chat that started a job when it finishes
+onJobFinished(async (job) => {
+  if (job.origin?.platform !== 'telegram' || !job.origin.chatId) return;
+  const icon = { succeeded: '✅', failed: '❌', killed: '🛑' }[job.status] || '🕒';
+  const redactor = getChatRedactor(job.origin.chatId);
+  const output = redactor.conceal(await readJobLog(job.id, { tailBytes: 1500 }));
+  await bot.sendMessage(job.origin.chatId,
+    `${icon} Job ${job.id} ${job.status}` + (job.exitCode !== null ? ` (exit ${job.exitCode})` : '') + `\n${redactor.conceal(job.command)}` +
+    (output ? `\n\nOutput (latest):\n${output}` : ''));
+});
+
 /**
  * Handle /clear command
  */
@@ -363,25 +857,33 @@ bot.on('message', async (msg) => {
   
   if (pending && ['yes', 'y', 'approve', 'execute', 'run', 'ok'].includes(lowerQuery)) {
     // User is approving via text
+    const trace = approvalTrace(pending, msg.from);
     try {
       await bot.sendChatAction(chatId, 'typing');
-      await bot.sendMessage(chatId, '⚙️ Executing command...');
       
-      console.log(`✅ User approved command via text: ${pending.command}`);
+      log.info(`✅ User approved command via text: ${pending.command}`, { chatId, userId });
       
-      const executionResult = await executeAgentCommand(
+      const progress = createCommandProgress(chatId, pending.command);
+      const executionResult = getChatRedactor(chatId).concealResult(await executeAgentCommand(
         {
-          command: pending.command,
+          command: getChatRedactor(chatId).substitute(pending.command),
           reasoning: pending.reasoning,
           choice: 'terminalCommand'
         },
         {
-          autoApprove: true,
+          approved: true,     // Approved by the user; policy deny still applies
+          actor: telegramActor(chatId, msg.from),
+          logger: chatLogger(chatId, msg.from),
+          trace,
           dryRun: false,
           timeout: 60000,
-          allowDangerous: false
+          allowDangerous: false,
+          backend: telegramBackend,
+          redactor: getChatRedactor(chatId),
+          onOutput: progress.onOutput
         }
-      );
+      ));
+      await progress.finish(executionResult);
       
       let resultMsg = `✅ *Command Executed*\n\n`;
       resultMsg += `*Status:* ${executionResult.status}\n`;
@@ -403,41 +905,63 @@ bot.on('message', async (msg) => {
       if (executionResult.message) {
         resultMsg += `\n📝 ${executionResult.message}`;
       }
+      if (executionResult.status !== 'success') {
+        resultMsg += traceLine(trace.traceId);
+      }
       
       await bot.sendMessage(chatId, resultMsg, { parse_mode: 'Markdown' });
       
     } catch (error) {
-      console.error('❌ Command execution failed:', error);
+      log.error('❌ Command execution failed', { chatId, error });
       await bot.sendMessage(chatId, 
-        `❌ *Execution Failed*\n\n${error.message}`,
+        `❌ *Execution Failed*\n\n${error.message}${traceLine(trace.traceId)}`,
         { parse_mode: 'Markdown' }
       );
     } finally {
+      trace.end();
       pendingCommands.delete(chatId);
     }
     return;
   }
   
+  if (pending && ['background', 'bg'].includes(lowerQuery)) {
+    try {
+      await startBackgroundJob(chatId, msg.from, pending);
+    } finally {
+      pendingCommands.delete(chatId);
+    }
+    return;
+  }
+
   if (pending && ['no', 'n', 'cancel', 'deny', 'stop'].includes(lowerQuery)) {
     // User is denying via text
     await bot.sendMessage(chatId, '🚫 Command cancelled.');
     pendingCommands.delete(chatId);
-    console.log(`🚫 User cancelled command via text: ${pending.command}`);
+    log.info(`🚫 User cancelled command via text: ${pending.command}`, { chatId, userId });
     return;
   }
   
-  console.log(`📱 Message from ${username} (${userId}): ${query.substring(0, 100)}...`);
+  log.info(`📱 Message from ${username} (${userId}): ${query.substring(0, 100)}...`, { chatId });
   
   // Send "typing" indicator
   await bot.sendChatAction(chatId, 'typing');
   
+  const liveMessage = STREAM_ENABLED ? createLiveMessage(chatId) : null;
+
   try {
     // Process through full orchestrator pipeline
     const response = await processUserRequest(query, {
+      ...(liveMessage && { onStream: liveMessage.onStream }),
       autoApprove: false,       // Never auto-approve in Telegram
       dryRun: true,             // Always dry-run for security
       skipMemory: false,        // Use memory for context
       skipRedaction: false,     // Always protect secrets
+      redactor: getChatRedactor(chatId), // Placeholders stay stable across the chat
+      userId: String(userId),   // Usage and budgets are tracked per Telegram user
+      agentMode: 'single',      // Commands go through the approval buttons, not the tool loop
+      backend: telegramBackend, // Dry run checks the same backend the approved command will use
+      actor: telegramActor(chatId, msg.from),
+      logger: chatLogger(chatId, msg.from),
       additionalContext: {
         platform: 'telegram',
         userId: userId,
@@ -445,18 +969,22 @@ bot.on('message', async (msg) => {
       }
     });
     
-    console.log(`✅ Response generated using ${response._metadata?.routing?.selectedSchema || 'unknown'} agent`);
+    log.info(`✅ Response generated using ${response._metadata?.routing?.selectedSchema || 'unknown'} agent`, { chatId, traceId: response._metadata?.trace?.traceId });
     
     // Handle and send response
-    await handleAgentResponse(chatId, response);
+    await liveMessage?.finish();
+    await handleAgentResponse(chatId, response, liveMessage?.streamed);
     
   } catch (error) {
-    console.error('❌ Error processing message:', error);
+    log.error('❌ Error processing message', { chatId, traceId: error.traceId, error });
+    await liveMessage?.finish();
     
-    const errorMsg = 
-      `❌ *Error Processing Request*\n\n` +
-      `${error.message}\n\n` +
-      `Please try again or rephrase your question.`;
+    const errorMsg = error instanceof ProviderUnavailableError
+      ? `⏸️ *Lumen is temporarily unavailable*\n\n${error.userMessage}`
+      : `❌ *Error Processing Request*\n\n` +
+        `${error.message}\n\n` +
+        `Please try again or rephrase your question.` +
+        traceLine(error.traceId);
     
     await bot.sendMessage(chatId, errorMsg, { parse_mode: 'Markdown' });
   }
@@ -496,6 +1024,22 @@ bot.on('callback_query', async (callbackQuery) => {
     return;
   }
   
+  if (action === 'background_command') {
+    // User approved - run it as a background job and report back when it finishes
+    await bot.answerCallbackQuery(callbackQuery.id, { text: '🕒 Starting background job...' });
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+      chat_id: chatId,
+      message_id: messageId
+    });
+
+    try {
+      await startBackgroundJob(chatId, callbackQuery.from, pending);
+    } finally {
+      pendingCommands.delete(chatId);
+    }
+    return;
+  }
+
   if (action === 'approve_command') {
     // User approved - execute the command
     await bot.answerCallbackQuery(callbackQuery.id, { text: '⚙️ Executing command...' });
@@ -506,25 +1050,34 @@ bot.on('callback_query', async (callbackQuery) => {
       message_id: messageId
     });
     
+    const trace = approvalTrace(pending, callbackQuery.from);
     try {
       await bot.sendChatAction(chatId, 'typing');
       
-      console.log(`✅ User approved command: ${pending.command}`);
+      log.info(`✅ User approved command: ${pending.command}`, { chatId, userId: callbackQuery.from.id });
       
-      // Execute the command
-      const executionResult = await executeAgentCommand(
+      // Execute the command, editing a progress message as output arrives
+      const progress = createCommandProgress(chatId, pending.command);
+      const executionResult = getChatRedactor(chatId).concealResult(await executeAgentCommand(
         {
-          command: pending.command,
+          command: getChatRedactor(chatId).substitute(pending.command),
           reasoning: pending.reasoning,
           choice: 'terminalCommand'
         },
         {
-          autoApprove: true,  // Already approved by user
+          approved: true,     // Already approved by user; policy deny still applies
+          actor: telegramActor(chatId, callbackQuery.from),
+          logger: chatLogger(chatId, callbackQuery.from),
+          trace,
           dryRun: false,      // Execute for real
           timeout: 60000,     // 60 second timeout
-          allowDangerous: false
+          allowDangerous: false,
+          backend: telegramBackend, // Sandboxed unless LUMEN_TELEGRAM_BACKEND says otherwise
+          redactor: getChatRedactor(chatId),
+          onOutput: progress.onOutput
         }
-      );
+      ));
+      await progress.finish(executionResult);
       
       // Send result
       let resultMsg = `✅ *Command Executed*\n\n`;
@@ -548,17 +1101,21 @@ bot.on('callback_query', async (callbackQuery) => {
       if (executionResult.message) {
         resultMsg += `\n📝 ${executionResult.message}`;
       }
+      if (executionResult.status !== 'success') {
+        resultMsg += traceLine(trace.traceId);
+      }
       
       await bot.sendMessage(chatId, resultMsg, { parse_mode: 'Markdown' });
       
     } catch (error) {
-      console.error('❌ Command execution failed:', error);
+      log.error('❌ Command execution failed', { chatId, error });
       await bot.sendMessage(chatId, 
-        `❌ *Execution Failed*\n\n${error.message}`,
+        `❌ *Execution Failed*\n\n${error.message}${traceLine(trace.traceId)}`,
         { parse_mode: 'Markdown' }
       );
     } finally {
       // Clean up pending command
+      trace.end();
       pendingCommands.delete(chatId);
     }
     
@@ -576,7 +1133,7 @@ bot.on('callback_query', async (callbackQuery) => {
     
     // Clean up
     pendingCommands.delete(chatId);
-    console.log(`🚫 User cancelled command: ${pending.command}`);
+    log.info(`🚫 User cancelled command: ${pending.command}`, { chatId });
   }
 });
 
@@ -584,17 +1141,18 @@ bot.on('callback_query', async (callbackQuery) => {
  * Handle polling errors
  */
 bot.on('polling_error', (error) => {
-  console.error('❌ Polling error:', error.message);
+  log.error(`❌ Polling error: ${error.message}`);
 });
 
 /**
  * Graceful shutdown
  */
 process.on('SIGINT', async () => {
-  console.log('\n\n🛑 Shutting down Lumen Telegram Bot...');
+  log.info('🛑 Shutting down Lumen Telegram Bot...');
   await bot.stopPolling();
-  console.log('👋 Bot stopped. Goodbye!\n');
+  await flushAuditSinks();
+  log.info('👋 Bot stopped. Goodbye!');
   process.exit(0);
 });
 
-console.log('✅ Bot initialization complete!\n');
+log.info('✅ Bot initialization complete!');